@@ -1,20 +1,36 @@
 /**
  * audience/app.js — Audience display BroadcastChannel listener.
  * Stateless: renders whatever the operator sends.
+ *
+ * audience.html?track=B follows one track only. Without it, the display
+ * splits into one pane per track while two tracks are racing at once.
+ *
+ * audience.html?relay listens on the network relay that served the page
+ * (?relay=host:port for another one) instead of the same-browser channel,
+ * for a TV driven by a separate device.
  */
 
 import { onMessage, requestState } from '../broadcast.js';
 import {
   renderWelcome, renderStaging, renderResults,
-  renderLeaderboard, renderSectionComplete,
+  renderLeaderboard, renderSectionComplete, renderBracket,
   revealNext, revealAll,
-  renderTrackOverlay, clearTrackOverlay
+  renderTrackOverlay, clearTrackOverlay,
+  renderReplay, clearReplay
 } from './screens.js';
 
 const app = () => document.getElementById('app');
 const ZOOM_STORAGE_KEY = 'rallylab-audience-zoom';
+const PARAMS = new URLSearchParams(location.search);
+const TRACK_FILTER = PARAMS.get('track');
+const RELAY = PARAMS.has('relay') ? PARAMS.get('relay') : null;
 let _hasReceived = false;
 
+// Latest race screen and track status per track, so panes can be redrawn
+// when a second track joins
+const _screens = new Map();   // track_id → SHOW_* message
+const _statuses = new Map();  // track_id → TRACK_STATUS message
+
 function applyZoom(level) {
   const z = Number.isFinite(level) && level > 0 ? level : 1;
   app().style.zoom = z;
@@ -26,16 +42,15 @@ try {
   if (Number.isFinite(saved) && saved > 0) applyZoom(saved);
 } catch {}
 
-onMessage((msg) => {
-  if (msg.type !== 'SET_ZOOM') _hasReceived = true;
-  const container = app();
+// ─── Screens ─────────────────────────────────────────────────────
 
+function renderMessage(container, msg) {
   switch (msg.type) {
     case 'SHOW_WELCOME':
       renderWelcome(container, msg.rally_name);
       break;
     case 'SHOW_STAGING':
-      renderStaging(container, msg.section_name, msg.heat_number, msg.lanes, msg.next_heat);
+      renderStaging(container, msg.section_name, msg.heat_number, msg.lanes, msg.next_heat, msg.on_deck || []);
       break;
     case 'SHOW_RESULTS':
       renderResults(container, msg.section_name, msg.heat_number, msg.results);
@@ -43,27 +58,132 @@ onMessage((msg) => {
     case 'SHOW_LEADERBOARD':
       renderLeaderboard(container, msg.section_name, msg.standings);
       break;
+    case 'SHOW_BRACKET':
+      renderBracket(container, msg.section_name, msg.bracket);
+      break;
     case 'SHOW_SECTION_COMPLETE':
       renderSectionComplete(container, msg.section_name, msg.standings);
       break;
+  }
+}
+
+// ─── Split Display ───────────────────────────────────────────────
+
+function isSplit() {
+  return _screens.size > 1;
+}
+
+/** The pane element for a track on a split display, or null. */
+function pane(trackId) {
+  if (!isSplit() || !trackId) return null;
+  return [...app().querySelectorAll('.audience-split-pane')].find(el => el.dataset.track === trackId) || null;
+}
+
+/** Where a track's screen renders: its pane body, or the whole display. */
+function screenHost(trackId) {
+  return pane(trackId)?.querySelector('.audience-split-body') || app();
+}
+
+/** Where a track's status overlay renders: its pane, or the page. */
+function overlayHost(trackId) {
+  return pane(trackId) || document.body;
+}
+
+/** Split the display into one pane per track and redraw each from its last screen. */
+function layoutSplit() {
+  clearTrackOverlay(document.body);
+  clearReplay(document.body);
+  const trackIds = [..._screens.keys()].sort();
+  const wrap = document.createElement('div');
+  wrap.className = 'audience-split';
+  for (const trackId of trackIds) {
+    const el = document.createElement('section');
+    el.className = 'audience-split-pane';
+    el.dataset.track = trackId;
+    const label = document.createElement('div');
+    label.className = 'audience-split-label';
+    label.textContent = `Track ${trackId}`;
+    const body = document.createElement('div');
+    body.className = 'audience-split-body';
+    el.append(label, body);
+    wrap.appendChild(el);
+  }
+  app().innerHTML = '';
+  app().appendChild(wrap);
+  document.body.classList.add('audience-split-mode');
+
+  for (const trackId of trackIds) {
+    renderMessage(screenHost(trackId), _screens.get(trackId));
+    const status = _statuses.get(trackId);
+    if (status) renderTrackOverlay(status, overlayHost(trackId));
+  }
+}
+
+function showScreen(msg) {
+  const trackId = msg.track_id || null;
+  if (!trackId) {
+    // Untracked screens (welcome) take over the whole display
+    _screens.clear();
+    _statuses.clear();
+    clearTrackOverlay(document.body);
+    clearReplay(document.body);
+    document.body.classList.remove('audience-split-mode');
+    renderMessage(app(), msg);
+    return;
+  }
+  const joined = !_screens.has(trackId);
+  _screens.set(trackId, msg);
+  if (joined && isSplit()) layoutSplit();
+  else renderMessage(screenHost(trackId), msg);
+}
+
+// ─── Messages ────────────────────────────────────────────────────
+
+onMessage((msg) => {
+  if (msg.type !== 'SET_ZOOM') _hasReceived = true;
+  if (TRACK_FILTER && msg.track_id && msg.track_id !== TRACK_FILTER) return;
+
+  switch (msg.type) {
+    case 'SHOW_WELCOME':
+    case 'SHOW_STAGING':
+    case 'SHOW_RESULTS':
+    case 'SHOW_LEADERBOARD':
+    case 'SHOW_BRACKET':
+    case 'SHOW_SECTION_COMPLETE':
+      showScreen(msg);
+      break;
     case 'REVEAL_NEXT':
-      revealNext();
+      revealNext(screenHost(msg.track_id));
       break;
     case 'REVEAL_ALL':
-      revealAll();
+      revealAll(screenHost(msg.track_id));
       break;
     case 'SET_ZOOM':
       applyZoom(msg.level);
       try { localStorage.setItem(ZOOM_STORAGE_KEY, String(msg.level)); } catch {}
       break;
+    case 'SHOW_REPLAY':
+      renderReplay(msg, overlayHost(msg.track_id));
+      break;
+    case 'HIDE_REPLAY':
+      clearReplay(overlayHost(msg.track_id));
+      break;
     case 'TRACK_STATUS':
-      renderTrackOverlay(msg);
+      if (msg.track_id) _statuses.set(msg.track_id, msg);
+      renderTrackOverlay(msg, overlayHost(msg.track_id));
       break;
     case 'TRACK_STATUS_CLEAR':
-      clearTrackOverlay();
+      if (msg.track_id) {
+        _statuses.delete(msg.track_id);
+        clearTrackOverlay(overlayHost(msg.track_id));
+      } else {
+        _statuses.clear();
+        clearTrackOverlay(document.body);
+        for (const el of app().querySelectorAll('.audience-split-pane')) clearTrackOverlay(el);
+      }
       break;
   }
-});
+}, { relay: RELAY });
 
 // Ask the operator for its current display state (handles late join / refresh).
 // Retry a few times in case the operator channel isn't ready yet.
@@ -1,5 +1,5 @@
 /**
- * audience/screens.js — 5 audience renderers optimized for projector display.
+ * audience/screens.js — 6 audience renderers optimized for projector display.
  * Large fonts, high contrast, dark theme.
  */
 
@@ -14,6 +14,19 @@ function formatTime(ms) {
   return (ms / 1000).toFixed(3) + 's';
 }
 
+// Standings from a points-scored section carry a `points` total; show it in
+// place of the average time.
+function usesPoints(standings) {
+  return standings.some(s => s.points != null);
+}
+
+function standingScore(s, showPoints) {
+  if (showPoints) return `${s.points} pts`;
+  // Lane-bias-corrected sections rank by the adjusted average, so show that
+  const ms = s.adjusted_avg_time_ms ?? s.avg_time_ms;
+  return ms != null ? formatTime(ms) : '—';
+}
+
 // ─── Welcome ─────────────────────────────────────────────────────
 
 export function renderWelcome(container, rallyName) {
@@ -27,7 +40,77 @@ export function renderWelcome(container, rallyName) {
 
 // ─── Staging ─────────────────────────────────────────────────────
 
-export function renderStaging(container, sectionName, heatNumber, lanes, nextHeat) {
+const ON_DECK_CYCLE_MS = 5000;
+// One cycling timer per container — a split display stages two tracks at once
+const _onDeckTimers = new WeakMap();
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * On Deck panel: one chip per upcoming heat with its estimated clock time,
+ * and the car list of whichever heat is currently highlighted.
+ */
+function renderOnDeck(onDeck) {
+  const first = onDeck[0].heat_number;
+  const last = onDeck[onDeck.length - 1].heat_number;
+  const range = first === last ? `Heat ${first}` : `Heats ${first}–${last}`;
+
+  let chips = '';
+  let details = '';
+  onDeck.forEach((heat, i) => {
+    const active = i === 0 ? ' active' : '';
+    const eta = heat.eta != null ? `~${formatClock(heat.eta)}` : '';
+    chips += `
+      <div class="audience-ondeck-chip${active}" data-idx="${i}">
+        <span class="audience-ondeck-heat">Heat ${heat.heat_number}</span>
+        <span class="audience-ondeck-eta">${eta}</span>
+      </div>`;
+    const cars = [...heat.lanes]
+      .sort((a, b) => a.lane - b.lane)
+      .map(l => `<span class="audience-ondeck-car">#${l.car_number} ${esc(l.name)}</span>`)
+      .join('');
+    details += `<div class="audience-ondeck-cars${active}" data-idx="${i}">${cars}</div>`;
+  });
+
+  return `
+    <div class="audience-ondeck" id="audience-ondeck">
+      <div class="audience-upnext-label">On Deck — ${range}</div>
+      <div class="audience-ondeck-chips">${chips}</div>
+      ${details}
+    </div>`;
+}
+
+/** Step the highlighted On Deck heat until the panel leaves the page. */
+function cycleOnDeck(container, panel, count) {
+  let idx = 0;
+  const timer = setInterval(() => {
+    if (!panel.isConnected) {
+      clearInterval(timer);
+      if (_onDeckTimers.get(container) === timer) _onDeckTimers.delete(container);
+      return;
+    }
+    idx = (idx + 1) % count;
+    for (const el of panel.querySelectorAll('[data-idx]')) {
+      el.classList.toggle('active', Number(el.dataset.idx) === idx);
+    }
+  }, ON_DECK_CYCLE_MS);
+  _onDeckTimers.set(container, timer);
+}
+
+/** A car's photo thumbnail (a data URL from the operator), if it has one. */
+function carPhoto(row) {
+  if (!row.photo?.startsWith('data:image/')) return '';
+  return `<img class="audience-car-photo" src="${esc(row.photo)}" alt="">`;
+}
+
+export function renderStaging(container, sectionName, heatNumber, lanes, nextHeat, onDeck = []) {
+  if (_onDeckTimers.has(container)) {
+    clearInterval(_onDeckTimers.get(container));
+    _onDeckTimers.delete(container);
+  }
+
   const sortedLanes = [...lanes].sort((a, b) => a.lane - b.lane);
   const nextLanesSorted = nextHeat ? [...nextHeat.lanes].sort((a, b) => a.lane - b.lane) : [];
 
@@ -37,7 +120,7 @@ export function renderStaging(container, sectionName, heatNumber, lanes, nextHea
       <tr>
         <td class="audience-lane-number">Lane ${lane.lane}</td>
         <td class="audience-car-number">#${lane.car_number}</td>
-        <td class="audience-name">${esc(lane.name)}</td>
+        <td class="audience-name">${carPhoto(lane)}${esc(lane.name)}</td>
       </tr>`;
   }
 
@@ -49,7 +132,7 @@ export function renderStaging(container, sectionName, heatNumber, lanes, nextHea
         <tr>
           <td class="audience-lane-number">Lane ${lane.lane}</td>
           <td class="audience-car-number">#${lane.car_number}</td>
-          <td class="audience-name">${esc(lane.name)}</td>
+          <td class="audience-name">${carPhoto(lane)}${esc(lane.name)}</td>
         </tr>`;
     }
     nextHtml = `
@@ -76,8 +159,13 @@ export function renderStaging(container, sectionName, heatNumber, lanes, nextHea
         </div>
         ${nextHtml}
       </div>
+      ${onDeck.length > 0 ? renderOnDeck(onDeck) : ''}
     </div>
   `;
+
+  if (onDeck.length > 1) {
+    cycleOnDeck(container, container.querySelector('#audience-ondeck'), onDeck.length);
+  }
 }
 
 // ─── Results ─────────────────────────────────────────────────────
@@ -93,7 +181,7 @@ export function renderResults(container, sectionName, heatNumber, results) {
       <tr class="${medalClass}">
         <td class="audience-place">${place}</td>
         <td class="audience-car-number">#${r.car_number}</td>
-        <td class="audience-name">${esc(r.name)}</td>
+        <td class="audience-name">${carPhoto(r)}${esc(r.name)}</td>
         ${showGroup ? `<td class="audience-group">${esc(r.group_name || '')}</td>` : ''}
         <td class="audience-time">${r.time_ms ? formatTime(r.time_ms) : 'DNF'}</td>
       </tr>`;
@@ -124,6 +212,7 @@ export function renderResults(container, sectionName, heatNumber, results) {
 export function renderLeaderboard(container, sectionName, standings) {
   const top = standings.slice(0, 10);
   const showGroup = top.some(s => s.group_name);
+  const showPoints = usesPoints(top);
   let tableRows = '';
   for (const s of top) {
     const medalClass = s.rank <= 3 ? ` audience-place-${s.rank}` : '';
@@ -131,9 +220,9 @@ export function renderLeaderboard(container, sectionName, standings) {
       <tr class="${medalClass}">
         <td class="audience-place">${s.rank}</td>
         <td class="audience-car-number">#${s.car_number}</td>
-        <td class="audience-name">${esc(s.name)}</td>
+        <td class="audience-name">${carPhoto(s)}${esc(s.name)}</td>
         ${showGroup ? `<td class="audience-group">${esc(s.group_name || '')}</td>` : ''}
-        <td class="audience-time">${s.avg_time_ms != null ? formatTime(s.avg_time_ms) : '—'}</td>
+        <td class="audience-time">${standingScore(s, showPoints)}</td>
       </tr>`;
   }
 
@@ -149,7 +238,7 @@ export function renderLeaderboard(container, sectionName, standings) {
           <th class="audience-th-car">Car</th>
           <th>Name</th>
           ${showGroup ? '<th>Group</th>' : ''}
-          <th class="audience-th-time">Avg Time</th>
+          <th class="audience-th-time">${showPoints ? 'Points' : 'Avg Time'}</th>
         </tr></thead>
         <tbody>${tableRows}</tbody>
       </table>
@@ -161,6 +250,7 @@ export function renderLeaderboard(container, sectionName, standings) {
 
 export function renderSectionComplete(container, sectionName, standings) {
   const showGroup = standings.some(s => s.group_name);
+  const showPoints = usesPoints(standings);
   let tableRows = '';
   for (const s of standings) {
     const medalClass = s.rank <= 3 ? ` audience-place-${s.rank}` : '';
@@ -168,9 +258,9 @@ export function renderSectionComplete(container, sectionName, standings) {
       <tr class="audience-reveal-hidden${medalClass}" data-rank="${s.rank}">
         <td class="audience-place">${s.rank}</td>
         <td class="audience-car-number">#${s.car_number}</td>
-        <td class="audience-name">${esc(s.name)}</td>
+        <td class="audience-name">${carPhoto(s)}${esc(s.name)}</td>
         ${showGroup ? `<td class="audience-group">${esc(s.group_name || '')}</td>` : ''}
-        <td class="audience-time">${s.avg_time_ms != null ? formatTime(s.avg_time_ms) : '—'}</td>
+        <td class="audience-time">${standingScore(s, showPoints)}</td>
         <td>${s.heats_run}${s.incomplete ? ' *' : ''}</td>
       </tr>`;
   }
@@ -187,7 +277,7 @@ export function renderSectionComplete(container, sectionName, standings) {
           <th class="audience-th-car">Car</th>
           <th>Name</th>
           ${showGroup ? '<th>Group</th>' : ''}
-          <th class="audience-th-time">Avg Time</th>
+          <th class="audience-th-time">${showPoints ? 'Points' : 'Avg Time'}</th>
           <th>Heats</th>
         </tr></thead>
         <tbody>${tableRows}</tbody>
@@ -196,6 +286,54 @@ export function renderSectionComplete(container, sectionName, standings) {
   `;
 }
 
+// ─── Bracket ─────────────────────────────────────────────────────
+
+const BRACKET_LABELS = { winners: 'Winners', losers: 'Losers', final: 'Final' };
+
+export function renderBracket(container, sectionName, bracket) {
+  let roundsHtml = '';
+  for (const round of bracket.rounds) {
+    let heatsHtml = '';
+    for (const heat of round.heats) {
+      let carsHtml = '';
+      for (const car of heat.cars) {
+        carsHtml += `
+          <div class="bracket-car bracket-car-${car.status}">
+            <span class="bracket-car-number">#${esc(car.car_number)}</span>
+            <span class="bracket-car-name">${esc(car.name)}</span>
+            <span class="bracket-car-time">${car.time_ms != null ? formatTime(car.time_ms) : ''}</span>
+          </div>`;
+      }
+      heatsHtml += `
+        <div class="bracket-heat bracket-heat-${heat.bracket}">
+          <div class="bracket-heat-label">${BRACKET_LABELS[heat.bracket] || ''} · Heat ${heat.heat_number}</div>
+          ${carsHtml}
+        </div>`;
+    }
+    roundsHtml += `
+      <div class="bracket-round">
+        <div class="bracket-round-label">Round ${round.round}</div>
+        ${heatsHtml}
+      </div>`;
+  }
+
+  const champion = bracket.champion != null
+    ? bracket.rounds.flatMap(r => r.heats).flatMap(h => h.cars).find(c => c.car_number === bracket.champion)
+    : null;
+
+  container.innerHTML = `
+    <div class="audience-screen">
+      <div class="audience-header">
+        <h1 class="audience-section">${esc(sectionName)}</h1>
+        ${champion
+          ? `<div class="audience-complete-banner">Champion: #${esc(champion.car_number)} ${esc(champion.name)}</div>`
+          : `<div class="audience-heat-label">Bracket — Round ${bracket.round}</div>`}
+      </div>
+      <div class="bracket audience-bracket">${roundsHtml}</div>
+    </div>
+  `;
+}
+
 // ─── Track Status Overlay ────────────────────────────────────────
 //
 // A persistent banner pinned to the top of the audience screen that tells
@@ -212,27 +350,26 @@ export function renderSectionComplete(container, sectionName, standings) {
 //   waiting-for-race, gate dropped          → green "RACING!" / "N of M finished"
 //   any other phase                         → overlay hidden
 
-const OVERLAY_ID = 'audience-track-overlay';
+// The overlay lives in `host`: the page body, or one pane of a split display.
 
-function getOrCreateOverlay() {
-  let el = document.getElementById(OVERLAY_ID);
+function getOrCreateOverlay(host) {
+  let el = host.querySelector(':scope > .audience-track-overlay');
   if (!el) {
     el = document.createElement('div');
-    el.id = OVERLAY_ID;
     el.className = 'audience-track-overlay';
     el.hidden = true;
-    document.body.appendChild(el);
+    host.appendChild(el);
   }
   return el;
 }
 
-export function clearTrackOverlay() {
-  const el = document.getElementById(OVERLAY_ID);
+export function clearTrackOverlay(host = document.body) {
+  const el = host.querySelector(':scope > .audience-track-overlay');
   if (el) el.hidden = true;
 }
 
-export function renderTrackOverlay(status) {
-  const el = getOrCreateOverlay();
+export function renderTrackOverlay(status, host = document.body) {
+  const el = getOrCreateOverlay(host);
   const view = deriveOverlayView(status);
   if (!view) {
     el.hidden = true;
@@ -307,12 +444,63 @@ function deriveOverlayView(status) {
   return null;
 }
 
+// ─── Instant Replay ──────────────────────────────────────────────
+// A heat's photo-finish replay, popped up over whatever the display is
+// showing. The clip plays slowed down and looped; displays that only got
+// the still (network relay) show the frame at the finish. Hides itself
+// after REPLAY_SHOW_MS so a forgotten replay doesn't cover the next heat.
+
+const REPLAY_SHOW_MS = 15000;
+const REPLAY_PLAYBACK_RATE = 0.25;
+
+export function clearReplay(host = document.body) {
+  const el = host.querySelector(':scope > .audience-replay');
+  if (!el) return;
+  clearTimeout(el._hideTimer);
+  const video = el.querySelector('video');
+  if (video) URL.revokeObjectURL(video.src);
+  el.remove();
+}
+
+export function renderReplay(msg, host = document.body) {
+  clearReplay(host);
+  let media = null;
+  if (msg.clip instanceof Blob) {
+    media = document.createElement('video');
+    media.src = URL.createObjectURL(msg.clip);
+    media.muted = true;
+    media.loop = true;
+    media.autoplay = true;
+    media.playsInline = true;
+    media.onloadedmetadata = () => { media.playbackRate = REPLAY_PLAYBACK_RATE; };
+  } else if (msg.still_url) {
+    media = document.createElement('img');
+    media.src = msg.still_url;
+    media.alt = '';
+  } else {
+    return;
+  }
+  media.className = 'audience-replay-media';
+
+  const el = document.createElement('div');
+  el.className = 'audience-replay';
+  el.innerHTML = `
+    <div class="audience-replay-caption">
+      Instant Replay — ${esc(msg.section_name)} Heat ${msg.heat_number}
+    </div>
+  `;
+  el.appendChild(media);
+  host.appendChild(el);
+  el._hideTimer = setTimeout(() => clearReplay(host), REPLAY_SHOW_MS);
+}
+
 /**
  * Reveal the next hidden row (last place first → first place last).
  * Returns the number of rows still hidden after this reveal.
+ * @param {ParentNode} [root] - the pane to reveal in on a split display
  */
-export function revealNext() {
-  const hidden = document.querySelectorAll('.audience-reveal-hidden');
+export function revealNext(root = document) {
+  const hidden = root.querySelectorAll('.audience-reveal-hidden');
   if (hidden.length === 0) return 0;
 
   // Last hidden row = highest rank number = last place among remaining
@@ -331,9 +519,10 @@ export function revealNext() {
 
 /**
  * Reveal all remaining hidden rows with a staggered cascade (60ms per row).
+ * @param {ParentNode} [root] - the pane to reveal in on a split display
  */
-export function revealAll() {
-  const hidden = [...document.querySelectorAll('.audience-reveal-hidden')];
+export function revealAll(root = document) {
+  const hidden = [...root.querySelectorAll('.audience-reveal-hidden')];
   if (hidden.length === 0) return;
 
   // Reveal from last place (end of list) to first place (start of list)
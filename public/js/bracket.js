@@ -0,0 +1,393 @@
+/**
+ * bracket.js — Single- and double-elimination brackets for RallyLab.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ * Deterministic: same bracket state + lanes always produces the same heats.
+ *
+ * A bracket section races in rounds. Every heat eliminates its slower half:
+ * the faster ceil(n/2) cars advance, the rest drop to the losers' bracket
+ * (double elimination) or are out (single elimination, or a loss in the
+ * losers' bracket). The operator records each round's outcome with a
+ * BracketRoundCompleted event, which the reducer folds into `start.bracket`.
+ *
+ * See specs/07-heat-scheduling.md §10 for the format specification.
+ */
+
+export const BRACKET_FORMATS = {
+  single_elimination: 'Single Elimination',
+  double_elimination: 'Double Elimination'
+};
+
+/**
+ * @param {string} format - SectionStarted.format
+ * @returns {boolean} True when the format is an elimination bracket
+ */
+export function isBracketFormat(format) {
+  return Object.hasOwn(BRACKET_FORMATS, format);
+}
+
+// ─── Bracket State ───────────────────────────────────────────────────
+
+/**
+ * Create the initial bracket state for a start.
+ * @param {string} format - 'single_elimination' | 'double_elimination'
+ * @param {Array<string>} seeds - Car numbers in seed order
+ * @returns {Object} Bracket state
+ */
+export function createBracket(format, seeds) {
+  return {
+    format,
+    round: 1,
+    winners: [...seeds],
+    losers: [],
+    rounds: [],
+    champion: seeds.length === 1 ? seeds[0] : null
+  };
+}
+
+/**
+ * Fold a round outcome (BracketRoundCompleted payload) into bracket state.
+ * @param {Object} bracket
+ * @param {{round: number, winners: Array, losers: Array, eliminated: Array, champion: string|null}} outcome
+ * @returns {Object} New bracket state
+ */
+export function applyRoundOutcome(bracket, outcome) {
+  return {
+    ...bracket,
+    round: outcome.round + 1,
+    winners: outcome.winners || [],
+    losers: outcome.losers || [],
+    rounds: [...bracket.rounds, {
+      round: outcome.round,
+      winners: outcome.winners || [],
+      losers: outcome.losers || [],
+      eliminated: outcome.eliminated || []
+    }],
+    champion: outcome.champion ?? null
+  };
+}
+
+/**
+ * @param {Object} bracket
+ * @returns {boolean} True once a champion is decided (or nobody is left)
+ */
+export function isBracketComplete(bracket) {
+  return bracket.champion != null
+    || (bracket.winners.length === 0 && bracket.losers.length === 0);
+}
+
+// ─── Heat Generation ─────────────────────────────────────────────────
+
+/**
+ * Generate the heats for the bracket's current round.
+ * Cars are dealt across ceil(n / lanes) heats so top seeds are spread out;
+ * a car left alone in a heat gets a bye. When one unbeaten car and one
+ * losers'-bracket car remain, they meet in a single 'final' heat.
+ * @param {Object} params
+ * @param {Object} params.bracket - Bracket state
+ * @param {Array<{car_number: string, name: string}>} params.participants
+ * @param {Array<number>} params.available_lanes
+ * @param {number} [params.first_heat_number=1]
+ * @returns {Array<{heat_number, round, bracket, lanes}>}
+ */
+export function generateBracketRound({ bracket, participants, available_lanes, first_heat_number = 1 }) {
+  if (isBracketComplete(bracket)) return [];
+
+  const lanes = [...available_lanes].sort((a, b) => a - b);
+  const nameOf = carNumber => participants.find(p => p.car_number === carNumber)?.name || '';
+  const groups = [];
+
+  if (bracket.winners.length === 1 && bracket.losers.length === 1) {
+    groups.push({ tag: 'final', cars: [bracket.winners[0], bracket.losers[0]] });
+  } else {
+    if (bracket.winners.length > 1) {
+      for (const cars of splitIntoHeats(bracket.winners, lanes.length)) groups.push({ tag: 'winners', cars });
+    }
+    if (bracket.losers.length > 1) {
+      for (const cars of splitIntoHeats(bracket.losers, lanes.length)) groups.push({ tag: 'losers', cars });
+    }
+  }
+
+  return groups.map((g, i) => ({
+    heat_number: first_heat_number + i,
+    round: bracket.round,
+    bracket: g.tag,
+    lanes: assignLanes(g.cars, lanes, bracket.round + i, nameOf)
+  }));
+}
+
+/**
+ * Wrap bracket heats in the schedule shape the race loop expects.
+ * @param {Array} heats
+ * @param {string} format
+ * @param {Array<number>} availableLanes
+ * @returns {{heats: Array, metadata: Object}}
+ */
+export function bracketSchedule(heats, format, availableLanes) {
+  return {
+    heats,
+    metadata: {
+      algorithm_used: format,
+      total_heats: heats.length,
+      cars_per_heat: availableLanes.length,
+      lane_balance_perfect: false,
+      speed_matched: false,
+      available_lanes: [...availableLanes]
+    }
+  };
+}
+
+/**
+ * Drop a removed car from every heat after currentHeatNumber. Heats left
+ * with fewer than two cars are dropped (the survivor gets a bye) and the
+ * remaining pending heats are renumbered.
+ * @param {{heats: Array, metadata: Object}} schedule
+ * @param {string} carNumber
+ * @param {number} currentHeatNumber
+ * @returns {{heats: Array, metadata: Object}}
+ */
+export function removeCarFromBracket(schedule, carNumber, currentHeatNumber) {
+  const completed = schedule.heats.filter(h => h.heat_number <= currentHeatNumber);
+  const pending = schedule.heats
+    .filter(h => h.heat_number > currentHeatNumber)
+    .map(h => ({ ...h, lanes: h.lanes.filter(l => l.car_number !== carNumber) }))
+    .filter(h => h.lanes.length >= 2)
+    .map((h, i) => ({ ...h, heat_number: currentHeatNumber + i + 1 }));
+  const heats = [...completed, ...pending];
+  return { ...schedule, heats, metadata: { ...schedule.metadata, total_heats: heats.length } };
+}
+
+/**
+ * Re-deal the pending heats of the current round onto a new set of lanes.
+ * Completed heats are kept verbatim.
+ * @param {{heats: Array, metadata: Object}} schedule
+ * @param {number} currentHeatNumber
+ * @param {Array<number>} availableLanes
+ * @returns {{heats: Array, metadata: Object}}
+ */
+export function relaneBracket(schedule, currentHeatNumber, availableLanes) {
+  const lanes = [...availableLanes].sort((a, b) => a - b);
+  const completed = schedule.heats.filter(h => h.heat_number <= currentHeatNumber);
+  const pending = schedule.heats.filter(h => h.heat_number > currentHeatNumber);
+
+  const heats = [...completed];
+  let nextNum = currentHeatNumber + 1;
+  for (const tag of ['winners', 'losers', 'final']) {
+    const tagged = pending.filter(h => h.bracket === tag);
+    if (tagged.length === 0) continue;
+    const round = tagged[0].round;
+    const entries = tagged.flatMap(h => h.lanes);
+    const nameOf = carNumber => entries.find(l => l.car_number === carNumber)?.name || '';
+    for (const cars of splitIntoHeats(entries.map(l => l.car_number), lanes.length)) {
+      heats.push({
+        heat_number: nextNum,
+        round,
+        bracket: tag,
+        lanes: assignLanes(cars, lanes, round + nextNum, nameOf)
+      });
+      nextNum++;
+    }
+  }
+
+  return {
+    ...schedule,
+    heats,
+    metadata: { ...schedule.metadata, total_heats: heats.length, cars_per_heat: lanes.length, available_lanes: lanes }
+  };
+}
+
+// ─── Round Resolution ────────────────────────────────────────────────
+
+/**
+ * Decide who advances from a finished round.
+ * Within each heat the faster ceil(n/2) cars advance; DNFs and cars missing
+ * from a manual ranking finish last. Removed cars are eliminated outright.
+ * @param {Object} params
+ * @param {Object} params.bracket - Bracket state before the round
+ * @param {Array} params.heats - This round's heats (with bracket tags)
+ * @param {Object} params.results - heat_number → accepted result
+ * @param {Object} [params.lane_corrections={}] - heat_number → corrected lanes
+ * @param {Array<string>} [params.removed=[]] - Removed car numbers
+ * @returns {{round: number, winners: Array, losers: Array, eliminated: Array, champion: string|null}}
+ *   `eliminated` is ordered best-first.
+ */
+export function resolveRound({ bracket, heats, results, lane_corrections = {}, removed = [] }) {
+  const isDouble = bracket.format === 'double_elimination';
+  const removedSet = new Set(removed);
+  const raced = new Set();
+  const winnerFinishes = [];
+  const loserFinishes = [];
+  const outFinishes = [];
+  let champion = null;
+
+  for (const heat of heats) {
+    const result = results[heat.heat_number];
+    const lanes = lane_corrections[heat.heat_number] || (result && result.lanes) || heat.lanes;
+    for (const l of heat.lanes) raced.add(l.car_number);
+
+    const order = rankHeat(lanes, result).filter(f => !removedSet.has(f.car_number));
+    const keep = Math.ceil(order.length / 2);
+    const ahead = order.slice(0, keep);
+    const behind = order.slice(keep);
+
+    if (heat.bracket === 'final') {
+      if (order.length > 0) champion = order[0].car_number;
+      outFinishes.push(...order.slice(1));
+    } else if (heat.bracket === 'losers') {
+      loserFinishes.push(...ahead);
+      outFinishes.push(...behind);
+    } else {
+      winnerFinishes.push(...ahead);
+      if (isDouble) loserFinishes.push(...behind);
+      else outFinishes.push(...behind);
+    }
+  }
+
+  const alive = c => !raced.has(c) && !removedSet.has(c);
+  const winners = [...bracket.winners.filter(alive), ...sortFinishes(winnerFinishes)];
+  const losers = [...bracket.losers.filter(alive), ...sortFinishes(loserFinishes)];
+  const eliminated = [
+    ...sortFinishes(outFinishes),
+    ...[...bracket.winners, ...bracket.losers].filter(c => removedSet.has(c))
+  ];
+
+  if (champion == null) {
+    if (winners.length === 1 && losers.length === 0) champion = winners[0];
+    else if (winners.length === 0 && losers.length === 1) champion = losers[0];
+  }
+
+  return {
+    round: bracket.round,
+    winners: champion != null ? [] : winners,
+    losers: champion != null ? [] : losers,
+    eliminated,
+    champion
+  };
+}
+
+/**
+ * Final placings: champion, then cars still alive (unbeaten first), then
+ * eliminated cars — latest round first, best-first within a round.
+ * @param {Object} bracket
+ * @returns {Array<string>} Car numbers, 1st place first
+ */
+export function bracketPlacings(bracket) {
+  const order = [];
+  if (bracket.champion != null) order.push(bracket.champion);
+  order.push(...bracket.winners, ...bracket.losers);
+  for (let i = bracket.rounds.length - 1; i >= 0; i--) {
+    order.push(...bracket.rounds[i].eliminated);
+  }
+  return order;
+}
+
+/**
+ * Build a display model of the bracket for the operator and audience views.
+ * @param {Object} bracket - Bracket state
+ * @param {Array} heats - All scheduled heats (with round + bracket tags)
+ * @param {Object} results - heat_number → accepted result
+ * @returns {{format: string, round: number, champion: string|null, rounds: Array}}
+ *   Each round: `{ round, heats: [{ heat_number, bracket, cars: [{ car_number, name, time_ms, status }] }] }`,
+ *   status ∈ 'pending' | 'advanced' | 'dropped' | 'eliminated' | 'champion'.
+ */
+export function buildBracketView(bracket, heats, results) {
+  const outcomes = {};
+  for (const r of bracket.rounds) outcomes[r.round] = r;
+
+  const rounds = [];
+  for (const heat of heats) {
+    if (heat.round == null) continue;
+    let round = rounds.find(r => r.round === heat.round);
+    if (!round) {
+      round = { round: heat.round, heats: [] };
+      rounds.push(round);
+    }
+
+    const result = results[heat.heat_number];
+    const outcome = outcomes[heat.round];
+    const cars = heat.lanes.map(l => {
+      const time = result && result.type === 'RaceCompleted' && result.times_ms
+        ? result.times_ms[String(l.lane)]
+        : undefined;
+      return {
+        car_number: l.car_number,
+        name: l.name,
+        time_ms: time ?? null,
+        status: carStatus(l.car_number, heat.bracket, outcome, bracket.champion)
+      };
+    });
+    round.heats.push({ heat_number: heat.heat_number, bracket: heat.bracket, cars });
+  }
+
+  rounds.sort((a, b) => a.round - b.round);
+  return { format: bracket.format, round: bracket.round, champion: bracket.champion, rounds };
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────
+
+function carStatus(carNumber, tag, outcome, champion) {
+  if (!outcome) return 'pending';
+  if (carNumber === champion) return 'champion';
+  if (outcome.winners.includes(carNumber)) return 'advanced';
+  if (outcome.losers.includes(carNumber)) return tag === 'winners' ? 'dropped' : 'advanced';
+  return 'eliminated';
+}
+
+/**
+ * Deal cars round-robin across ceil(n / laneCount) heats so neighbouring
+ * seeds land in different heats. Single-car heats are byes and omitted.
+ */
+function splitIntoHeats(cars, laneCount) {
+  const k = Math.ceil(cars.length / laneCount);
+  const heats = Array.from({ length: k }, () => []);
+  cars.forEach((c, i) => heats[i % k].push(c));
+  return heats.filter(h => h.length >= 2);
+}
+
+/**
+ * Put a heat's cars on lanes, rotating the starting lane by `offset` so
+ * the top seed doesn't always get lane 1.
+ */
+function assignLanes(cars, lanes, offset, nameOf) {
+  const used = lanes.slice(0, cars.length);
+  return cars
+    .map((car, j) => ({
+      lane: used[(j + offset) % used.length],
+      car_number: car,
+      name: nameOf(car)
+    }))
+    .sort((a, b) => a.lane - b.lane);
+}
+
+/**
+ * Order a heat's cars best-first. Returns [{car_number, place, time}].
+ */
+function rankHeat(lanes, result) {
+  const entries = lanes.map((l, i) => ({ car_number: l.car_number, seed: i, time: Infinity, manualPlace: Infinity }));
+
+  if (result && result.type === 'RaceCompleted' && result.times_ms) {
+    for (const e of entries) {
+      const lane = lanes[e.seed].lane;
+      const t = result.times_ms[String(lane)];
+      if (t != null) e.time = t;
+    }
+    entries.sort((a, b) => (a.time - b.time) || (a.seed - b.seed));
+  } else if (result && result.type === 'ResultManuallyEntered' && result.rankings) {
+    for (const e of entries) {
+      const r = result.rankings.find(rr => rr.car_number === e.car_number);
+      if (r) e.manualPlace = r.place;
+    }
+    entries.sort((a, b) => (a.manualPlace - b.manualPlace) || (a.seed - b.seed));
+  }
+
+  return entries.map((e, i) => ({ car_number: e.car_number, place: i + 1, time: e.time }));
+}
+
+/**
+ * Order finishes from several heats: all heat winners first (fastest
+ * first), then all second places, and so on.
+ */
+function sortFinishes(finishes) {
+  return [...finishes]
+    .sort((a, b) => (a.place - b.place) || (a.time - b.time))
+    .map(f => f.car_number);
+}
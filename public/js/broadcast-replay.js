@@ -0,0 +1,70 @@
+/**
+ * broadcast-replay.js — What a late-joining audience display needs to see.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * Records operator→audience messages as they are sent and answers
+ * REQUEST_STATE with the messages that rebuild the current display: the
+ * zoom level, the last untracked screen (welcome), then each track's last
+ * race screen and track status. Used by broadcast.js in the operator tab
+ * and by the network relay (scripts/audience-relay.mjs), so a display
+ * behind either transport joins the same way.
+ */
+
+/** Screens that replace the whole display (or one track's pane). */
+const SCREEN_TYPES = new Set([
+  'SHOW_WELCOME', 'SHOW_STAGING', 'SHOW_RESULTS',
+  'SHOW_LEADERBOARD', 'SHOW_BRACKET', 'SHOW_SECTION_COMPLETE'
+]);
+
+/**
+ * @returns {{
+ *   record: (message: Object) => void,
+ *   replay: () => Array<Object>,
+ *   clear: () => void
+ * }}
+ */
+export function createReplayCache() {
+  let lastMessage = null;
+  let zoom = null;
+  const byTrack = new Map();      // track_id → last race screen on that track
+  // Track status overlays the main screen, so it has its own replay slot —
+  // otherwise a late-joining audience would see SHOW_STAGING but no
+  // gate/lane state until the next sensor event.
+  const trackStatus = new Map();  // track_id → last TRACK_STATUS
+
+  function record(message) {
+    const type = message?.type;
+    if (SCREEN_TYPES.has(type)) {
+      if (message.track_id) {
+        byTrack.set(message.track_id, message);
+      } else {
+        lastMessage = message;
+        byTrack.clear();
+      }
+    } else if (type === 'TRACK_STATUS') {
+      trackStatus.set(message.track_id || null, message);
+    } else if (type === 'TRACK_STATUS_CLEAR') {
+      if (message.track_id) trackStatus.delete(message.track_id);
+      else trackStatus.clear();
+    } else if (type === 'SET_ZOOM') {
+      zoom = message.level;
+    }
+  }
+
+  function replay() {
+    const messages = [];
+    if (zoom != null) messages.push({ type: 'SET_ZOOM', level: zoom });
+    if (lastMessage) messages.push(lastMessage);
+    messages.push(...byTrack.values(), ...trackStatus.values());
+    return messages;
+  }
+
+  function clear() {
+    lastMessage = null;
+    zoom = null;
+    byTrack.clear();
+    trackStatus.clear();
+  }
+
+  return { record, replay, clear };
+}
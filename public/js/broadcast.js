@@ -1,86 +1,280 @@
 /**
- * broadcast.js — BroadcastChannel wrapper for operator→audience messaging.
+ * broadcast.js — Operator→audience messaging.
+ *
+ * Race screens carry the `track_id` of the track they belong to, so an
+ * audience display can follow one track or split between two running at
+ * once. Messages without a track (welcome) take over the whole display.
+ *
+ * Messages travel over pluggable transports. A BroadcastChannel reaches
+ * audience tabs in the same browser. A WebSocket relay (see
+ * scripts/audience-relay.mjs) reaches displays on other devices on the
+ * local network: the operator sends through it when a relay address is
+ * set, and an audience page opened with `?relay` listens on it instead.
+ * The relay also carries the public event log to parent results pages
+ * (see results-feed.js).
  */
 
+import { createReplayCache } from './broadcast-replay.js';
+import { toPublicEvent, feedMessage } from './results-feed.js';
+
 const CHANNEL_NAME = 'rallylab-race';
 const ZOOM_STORAGE_KEY = 'rallylab-audience-zoom';
+const RELAY_STORAGE_KEY = 'rallylab-audience-relay';
+const RELAY_TOKEN_STORAGE_KEY = 'rallylab-audience-relay-token';
+const RELAY_PATH = '/relay';
+const RELAY_RETRY_MS = 3000;
+const RELAY_CLOSE_FORBIDDEN = 4003;   // relay refused the operator code
+
+// ─── Transports ─────────────────────────────────────────────────
+// A transport is { post(message), onMessage(callback), close() }.
+
+function createChannelTransport(name) {
+  const channel = new BroadcastChannel(name);
+  return {
+    post: (message) => channel.postMessage(message),
+    onMessage: (callback) => { channel.onmessage = (e) => callback(e.data); },
+    close: () => channel.close()
+  };
+}
+
+/**
+ * WebSocket URL of a relay from what the operator typed or the audience
+ * page's `?relay=` value: "192.168.1.20:8787", "ws://host:port" or, when
+ * empty, the host that served the page.
+ * @param {string} address
+ * @returns {string}
+ */
+export function relayUrl(address) {
+  const a = String(address || '').trim();
+  if (!a) return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}${RELAY_PATH}`;
+  if (/^wss?:\/\//i.test(a)) return a;
+  return `ws://${a.replace(/^https?:\/\//i, '').replace(/\/+$/, '')}${RELAY_PATH}`;
+}
+
+/**
+ * WebSocket transport to the audience relay. Reconnects until closed;
+ * messages posted while disconnected are dropped (the relay replays state
+ * to displays that join later). `onOpen` runs after every (re)connect.
+ * The operator passes the relay's operator code as `token`; if the relay
+ * refuses it the status becomes 'denied' and it stops retrying.
+ */
+function createRelayTransport(url, role, { token = '', onOpen = () => {}, onStatus = () => {} } = {}) {
+  let socket = null;
+  let callback = () => {};
+  let retryTimer = null;
+  let closed = false;
+
+  function open() {
+    onStatus('connecting');
+    const query = `role=${role}${token ? `&token=${encodeURIComponent(token)}` : ''}`;
+    socket = new WebSocket(`${url}?${query}`);
+    socket.onopen = () => { onStatus('open'); onOpen(); };
+    socket.onmessage = (e) => {
+      try { callback(JSON.parse(e.data)); } catch {}
+    };
+    socket.onclose = (e) => {
+      socket = null;
+      if (closed) return;
+      if (e.code === RELAY_CLOSE_FORBIDDEN) {
+        onStatus('denied');
+        return;
+      }
+      onStatus('closed');
+      retryTimer = setTimeout(open, RELAY_RETRY_MS);
+    };
+  }
+
+  open();
+  return {
+    post: (message) => {
+      if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    },
+    onMessage: (cb) => { callback = cb; },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+      onStatus('off');
+    }
+  };
+}
 
 // ─── Operator Side ──────────────────────────────────────────────
 
 let _operatorChannel = null;
-let _lastMessage = null;
-// Track status overlays the main screen, so it has its own replay slot —
-// otherwise a late-joining audience would see SHOW_STAGING but no
-// gate/lane state until the next sensor event.
-let _lastTrackStatus = null;
+let _relay = null;
+let _relayStatus = 'off';
+const _replay = createReplayCache();
 let _lastZoom = (() => {
   try {
     const v = parseFloat(localStorage.getItem(ZOOM_STORAGE_KEY));
     return Number.isFinite(v) && v > 0 ? v : 1;
   } catch { return 1; }
 })();
+_replay.record({ type: 'SET_ZOOM', level: _lastZoom });
 
 function getOperatorChannel() {
   if (!_operatorChannel) {
-    _operatorChannel = new BroadcastChannel(CHANNEL_NAME);
-    _operatorChannel.onmessage = (e) => {
-      if (e.data?.type === 'REQUEST_STATE') {
-        _operatorChannel.postMessage({ type: 'SET_ZOOM', level: _lastZoom });
-        if (_lastMessage) _operatorChannel.postMessage(_lastMessage);
-        if (_lastTrackStatus) _operatorChannel.postMessage(_lastTrackStatus);
+    _operatorChannel = createChannelTransport(CHANNEL_NAME);
+    _operatorChannel.onMessage((data) => {
+      if (data?.type === 'REQUEST_STATE') {
+        for (const msg of _replay.replay()) _operatorChannel.post(msg);
       }
-    };
+    });
   }
   return _operatorChannel;
 }
 
-function send(message) {
-  _lastMessage = message;
-  getOperatorChannel().postMessage(message);
+/** Deliver a message to every transport, remembering it for replay. */
+function post(message) {
+  _replay.record(message);
+  getOperatorChannel().post(message);
+  if (_relay) _relay.post(message);
+}
+
+function withTrack(message, trackId) {
+  return trackId ? { ...message, track_id: trackId } : message;
 }
 
 /** Eagerly create the operator channel so REQUEST_STATE is handled immediately. */
 export function initOperatorChannel() {
   getOperatorChannel();
+  const saved = getAudienceRelay();
+  if (saved) setAudienceRelay(saved);
+}
+
+// ─── Network Relay (operator) ────────────────────────────────────
+
+const _relayListeners = new Set();
+
+/** The relay address the operator saved, or '' when not using one. */
+export function getAudienceRelay() {
+  try { return localStorage.getItem(RELAY_STORAGE_KEY) || ''; } catch { return ''; }
+}
+
+/** The relay's operator code the operator saved, or ''. */
+export function getAudienceRelayToken() {
+  try { return localStorage.getItem(RELAY_TOKEN_STORAGE_KEY) || ''; } catch { return ''; }
+}
+
+/**
+ * Send audience messages through a relay as well as the BroadcastChannel.
+ * An empty address stops using the relay. On every (re)connect the relay
+ * is primed with the current display state so late joiners see it.
+ * @param {string} address - e.g. "192.168.1.20:8787"
+ * @param {string} [token] - the operator code the relay printed at startup;
+ *   defaults to the saved one
+ */
+export function setAudienceRelay(address, token = getAudienceRelayToken()) {
+  const a = String(address || '').trim();
+  const code = String(token || '').trim();
+  try {
+    if (a) localStorage.setItem(RELAY_STORAGE_KEY, a);
+    else localStorage.removeItem(RELAY_STORAGE_KEY);
+    if (a && code) localStorage.setItem(RELAY_TOKEN_STORAGE_KEY, code);
+    else localStorage.removeItem(RELAY_TOKEN_STORAGE_KEY);
+  } catch {}
+  if (_relay) { _relay.close(); _relay = null; }
+  if (!a) return;
+  const relay = createRelayTransport(relayUrl(a), 'operator', {
+    token: code,
+    onOpen: () => {
+      for (const msg of _replay.replay()) relay.post(msg);
+      relay.post({ type: 'EVENTS_RESET', events: _eventLog });
+    },
+    onStatus: (status) => {
+      _relayStatus = status;
+      for (const fn of _relayListeners) fn(status);
+    }
+  });
+  _relay = relay;
+}
+
+/** 'off' | 'connecting' | 'open' | 'closed' (retrying) | 'denied' (wrong operator code) */
+export function getAudienceRelayStatus() {
+  return _relayStatus;
+}
+
+/**
+ * Listen for relay connection changes.
+ * @returns {Function} unsubscribe
+ */
+export function onAudienceRelayStatus(callback) {
+  _relayListeners.add(callback);
+  return () => _relayListeners.delete(callback);
+}
+
+// ─── Results Feed (operator) ─────────────────────────────────────
+
+let _eventLog = [];   // public events last sent to the relay, in replay order
+
+/**
+ * Keep results pages on the relay up to date with the rally's event log.
+ * Only new events are sent while the log just grows; anything else (a
+ * cleared store, a late inbound event sorted into the middle) resends it.
+ * @param {Array<Object>} events - the stored log in replay order
+ */
+export function publishEventLog(events) {
+  const log = events.map(toPublicEvent).filter(Boolean);
+  const message = feedMessage(_eventLog, log);
+  _eventLog = log;
+  if (message && _relay) _relay.post(message);
 }
 
 export function sendWelcome(rallyName) {
-  send({ type: 'SHOW_WELCOME', rally_name: rallyName });
+  post({ type: 'SHOW_WELCOME', rally_name: rallyName });
 }
 
-export function sendStaging(sectionName, heatNumber, lanes, nextHeat) {
-  send({
+/**
+ * Show the staging heat. `onDeck` lists the heats after it, each
+ * `{ heat_number, eta, lanes }` with `eta` an estimated run time (epoch ms).
+ */
+export function sendStaging(sectionName, heatNumber, lanes, nextHeat, onDeck, trackId) {
+  post(withTrack({
     type: 'SHOW_STAGING',
     section_name: sectionName,
     heat_number: heatNumber,
     lanes,
-    next_heat: nextHeat || null
-  });
+    next_heat: nextHeat || null,
+    on_deck: onDeck || []
+  }, trackId));
 }
 
-export function sendResults(sectionName, heatNumber, results) {
-  send({
+export function sendResults(sectionName, heatNumber, results, trackId) {
+  post(withTrack({
     type: 'SHOW_RESULTS',
     section_name: sectionName,
     heat_number: heatNumber,
     results
-  });
+  }, trackId));
 }
 
-export function sendLeaderboard(sectionName, standings) {
-  send({
+export function sendLeaderboard(sectionName, standings, trackId) {
+  post(withTrack({
     type: 'SHOW_LEADERBOARD',
     section_name: sectionName,
     standings
-  });
+  }, trackId));
 }
 
-export function sendSectionComplete(sectionName, standings) {
-  send({
+/**
+ * Show an elimination bracket. `bracket` is the display model from
+ * bracket.js buildBracketView().
+ */
+export function sendBracket(sectionName, bracket, trackId) {
+  post(withTrack({
+    type: 'SHOW_BRACKET',
+    section_name: sectionName,
+    bracket
+  }, trackId));
+}
+
+export function sendSectionComplete(sectionName, standings, trackId) {
+  post(withTrack({
     type: 'SHOW_SECTION_COMPLETE',
     section_name: sectionName,
     standings
-  });
+  }, trackId));
 }
 
 /**
@@ -88,30 +282,61 @@ export function sendSectionComplete(sectionName, standings) {
  * + the operator's current race phase) to the audience monitor. Drives the
  * "open the gate" / "reset lanes" overlay, which the gate operator reads.
  */
-export function sendTrackStatus(status) {
-  const msg = { type: 'TRACK_STATUS', ...status };
-  _lastTrackStatus = msg;
-  getOperatorChannel().postMessage(msg);
+export function sendTrackStatus(status, trackId) {
+  post(withTrack({ type: 'TRACK_STATUS', ...status }, trackId));
+}
+
+/**
+ * Hide the audience track-status overlay (e.g. when leaving live console).
+ * Without a trackId, hides every track's overlay.
+ */
+export function clearTrackStatus(trackId) {
+  post(withTrack({ type: 'TRACK_STATUS_CLEAR' }, trackId));
 }
 
-/** Hide the audience track-status overlay (e.g. when leaving live console). */
-export function clearTrackStatus() {
-  _lastTrackStatus = null;
-  getOperatorChannel().postMessage({ type: 'TRACK_STATUS_CLEAR' });
+export function sendRevealNext(trackId) {
+  post(withTrack({ type: 'REVEAL_NEXT' }, trackId));
 }
 
-export function sendRevealNext() {
-  getOperatorChannel().postMessage({ type: 'REVEAL_NEXT' });
+export function sendRevealAll(trackId) {
+  post(withTrack({ type: 'REVEAL_ALL' }, trackId));
 }
 
-export function sendRevealAll() {
-  getOperatorChannel().postMessage({ type: 'REVEAL_ALL' });
+function toDataUrl(blob) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => resolve(null);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Pop a heat's photo-finish replay up over the audience display. The still
+ * travels as a data URL so network displays get it too; the clip is a Blob,
+ * which only the BroadcastChannel can carry, so relay displays show the
+ * still alone. A one-shot overlay: not replayed to late joiners.
+ * @param {{ clip: Blob|null, still: Blob|null }} replay - stored replay (event-store.js)
+ */
+export async function sendReplay(sectionName, heatNumber, replay, trackId) {
+  const still_url = replay.still ? await toDataUrl(replay.still) : null;
+  post(withTrack({
+    type: 'SHOW_REPLAY',
+    section_name: sectionName,
+    heat_number: heatNumber,
+    still_url,
+    clip: replay.clip || null
+  }, trackId));
+}
+
+export function sendHideReplay(trackId) {
+  post(withTrack({ type: 'HIDE_REPLAY' }, trackId));
 }
 
 export function sendZoom(level) {
   _lastZoom = level;
   try { localStorage.setItem(ZOOM_STORAGE_KEY, String(level)); } catch {}
-  getOperatorChannel().postMessage({ type: 'SET_ZOOM', level });
+  post({ type: 'SET_ZOOM', level });
 }
 
 export function getZoom() {
@@ -122,18 +347,57 @@ export function getZoom() {
 
 let _audienceChannel = null;
 
-export function onMessage(callback) {
+/**
+ * Listen for display updates. With `relay` (the page's `?relay=` value,
+ * possibly empty) the display listens on the network relay instead of the
+ * BroadcastChannel, and asks for the current state whenever it connects.
+ * @param {Function} callback
+ * @param {{ relay?: string|null }} [options]
+ */
+export function onMessage(callback, { relay = null } = {}) {
   if (_audienceChannel) _audienceChannel.close();
-  _audienceChannel = new BroadcastChannel(CHANNEL_NAME);
-  _audienceChannel.onmessage = (e) => callback(e.data);
+  if (relay != null) {
+    _audienceChannel = createRelayTransport(relayUrl(relay), 'audience', {
+      onOpen: () => requestState()
+    });
+  } else {
+    _audienceChannel = createChannelTransport(CHANNEL_NAME);
+  }
+  _audienceChannel.onMessage(callback);
 }
 
 export function requestState() {
   if (_audienceChannel) {
-    _audienceChannel.postMessage({ type: 'REQUEST_STATE' });
+    _audienceChannel.post({ type: 'REQUEST_STATE' });
   }
 }
 
+// ─── Results Side ───────────────────────────────────────────────
+
+let _resultsFeed = null;
+
+/**
+ * Listen for the public event log on the network relay (the results page's
+ * `?relay=` value, possibly empty). The whole log is requested on every
+ * connect; the callback receives EVENTS_RESET / EVENTS_APPENDED messages.
+ * @param {Function} callback
+ * @param {{ relay?: string, onStatus?: Function }} [options]
+ */
+export function onEventFeed(callback, { relay = '', onStatus } = {}) {
+  if (_resultsFeed) _resultsFeed.close();
+  const feed = createRelayTransport(relayUrl(relay), 'results', {
+    onOpen: () => feed.post({ type: 'REQUEST_EVENTS' }),
+    onStatus
+  });
+  feed.onMessage(callback);
+  _resultsFeed = feed;
+}
+
+/** Ask the relay for the whole log again, e.g. after a missed message. */
+export function requestEventLog() {
+  if (_resultsFeed) _resultsFeed.post({ type: 'REQUEST_EVENTS' });
+}
+
 // ─── Inter-Tab Sync (operator ↔ registrar) ──────────────────────
 
 const SYNC_CHANNEL_NAME = 'rallylab-sync';
@@ -157,7 +421,14 @@ export function onSyncMessage(callback) {
 // ─── Cleanup ────────────────────────────────────────────────────
 
 export function close() {
-  if (_operatorChannel) { _operatorChannel.close(); _operatorChannel = null; _lastMessage = null; }
+  if (_operatorChannel) {
+    _operatorChannel.close();
+    _operatorChannel = null;
+    _replay.clear();
+    _replay.record({ type: 'SET_ZOOM', level: _lastZoom });
+  }
+  if (_relay) { _relay.close(); _relay = null; }
   if (_audienceChannel) { _audienceChannel.close(); _audienceChannel = null; }
+  if (_resultsFeed) { _resultsFeed.close(); _resultsFeed = null; }
   if (_syncChannel) { _syncChannel.close(); _syncChannel = null; }
 }
@@ -0,0 +1,167 @@
+/**
+ * car-lookup.js — One car's race day, for the parent results page.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * Given rebuilt state and the event log, gathers everything a family asks
+ * about their car in each section it is entered in: where it stands, the
+ * heats it has run with their times, and the heats still to come with a
+ * rough clock time from the section's recent pace.
+ */
+
+import { getActiveStart, getLatestStart, flattenStart } from './state-manager.js';
+import { computeLeaderboard, computeCarStats } from './scoring.js';
+import { estimateHeatTimes } from './heat-timing.js';
+import { replaySchedule } from './schedule-replay.js';
+
+/** Car numbers are trimmed strings in state (see state-manager.js). */
+function normalizeCarNumber(v) {
+  const s = String(v ?? '').trim();
+  return s || null;
+}
+
+/**
+ * Lanes to schedule on when a SectionStarted names none: every lane seen in
+ * the start's results, or 1–4 before any heat has run.
+ */
+function fallbackLanes(start) {
+  const seen = new Set();
+  for (const r of Object.values(start.results || {})) {
+    for (const l of r.lanes || []) seen.add(l.lane);
+  }
+  const max = seen.size > 0 ? Math.max(...seen) : 4;
+  return Array.from({ length: max }, (_, i) => i + 1);
+}
+
+/** The car's finishing place within one heat, or null if it has none. */
+function heatPlace(result, lanes, carNumber) {
+  if (result.type === 'ResultManuallyEntered') {
+    return (result.rankings || []).find(r => r.car_number === carNumber)?.place ?? null;
+  }
+  const lane = lanes.find(l => l.car_number === carNumber)?.lane;
+  const times = result.times_ms || {};
+  const mine = times[lane];
+  if (mine == null) return null;
+  const faster = lanes.filter(l => times[l.lane] != null && times[l.lane] < mine).length;
+  return faster + 1;
+}
+
+// ─── Lookup ──────────────────────────────────────────────────────
+
+/**
+ * Everything a results page shows for one car, per section it is in.
+ *
+ * Status per section: `waiting` before the section starts, `racing` while
+ * its latest start runs, `complete` afterwards. `rank` is the car's place in
+ * the current standings (null until it has run); `heats` lists the heats it
+ * ran, oldest first; `upcoming` lists its scheduled heats, with `heats_away`
+ * counting the heats still to run before each one.
+ *
+ * @param {Object} state - rebuilt state
+ * @param {Array<Object>} events - the event log state was built from
+ * @param {string|number} carNumber
+ * @param {number} now - current time, epoch ms
+ * @returns {Array<{
+ *   section_id: string, section_name: string, car_number: string, name: string,
+ *   status: 'waiting'|'racing'|'complete', arrived: boolean, removed: boolean,
+ *   rank: number|null, field_size: number, incomplete: boolean,
+ *   avg_time_ms: number|null, best_time_ms: number|null, points: number|null,
+ *   heats: Array<{ heat_number: number, lane: number|null, time_ms: number|null, place: number|null, manual: boolean }>,
+ *   upcoming: Array<{ heat_number: number, lane: number, heats_away: number, eta: number }>
+ * }>}
+ */
+export function lookupCar(state, events, carNumber, now) {
+  const cn = normalizeCarNumber(carNumber);
+  if (cn == null) return [];
+
+  const views = [];
+  for (const sec of Object.values(state.race_day.sections)) {
+    const participant = sec.participants.find(p => p.car_number === cn);
+    if (!participant) continue;
+
+    const view = {
+      section_id: sec.section_id,
+      section_name: sec.section_name,
+      car_number: cn,
+      name: participant.name,
+      status: 'waiting',
+      arrived: sec.arrived.includes(cn),
+      removed: false,
+      rank: null,
+      field_size: 0,
+      incomplete: false,
+      avg_time_ms: null,
+      best_time_ms: null,
+      points: null,
+      heats: [],
+      upcoming: []
+    };
+    views.push(view);
+
+    const start = getActiveStart(sec) || getLatestStart(sec);
+    if (!start) continue;
+    view.status = start.completed ? 'complete' : 'racing';
+    view.removed = (start.removed || []).includes(cn);
+
+    const flat = flattenStart(sec, start);
+    const standings = computeLeaderboard(flat);
+    const standing = standings.find(s => s.car_number === cn);
+    view.field_size = standings.length;
+    if (standing) {
+      view.rank = standing.rank;
+      view.incomplete = standing.incomplete;
+      view.avg_time_ms = standing.avg_time_ms;
+      view.points = standing.points;
+    }
+    const stats = computeCarStats(flat).find(s => s.car_number === cn);
+    view.best_time_ms = stats?.best_time_ms ?? standing?.best_time_ms ?? null;
+
+    const results = Object.values(start.results || {}).sort((a, b) => a.heat_number - b.heat_number);
+    for (const result of results) {
+      const lanes = start.lane_corrections?.[result.heat_number] || result.lanes || [];
+      const inHeat = lanes.find(l => l.car_number === cn)
+        || (result.rankings || []).find(r => r.car_number === cn);
+      if (!inHeat) continue;
+      view.heats.push({
+        heat_number: result.heat_number,
+        lane: inHeat.lane ?? null,
+        time_ms: result.times_ms?.[inHeat.lane] ?? null,
+        place: heatPlace(result, lanes, cn),
+        manual: result.type === 'ResultManuallyEntered'
+      });
+    }
+
+    if (start.completed || view.removed) continue;
+    const schedule = replaySchedule(events, sec, start.start_number, start.available_lanes || fallbackLanes(start));
+    if (!schedule) continue;
+    const { upcoming } = estimateHeatTimes(schedule, start.results, now);
+    upcoming.forEach(({ heat_number, eta }, heatsAway) => {
+      const heat = schedule.heats.find(h => h.heat_number === heat_number);
+      const lane = heat?.lanes.find(l => l.car_number === cn);
+      if (lane) view.upcoming.push({ heat_number, lane: lane.lane, heats_away: heatsAway, eta });
+    });
+  }
+  return views;
+}
+
+/**
+ * Cars whose number or name matches what a parent typed, for the search
+ * box. Exact car numbers come first.
+ * @param {Object} state
+ * @param {string} query
+ * @returns {Array<{ car_number: string, name: string, section_name: string }>}
+ */
+export function searchCars(state, query) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return [];
+  const matches = [];
+  for (const sec of Object.values(state.race_day.sections)) {
+    for (const p of sec.participants) {
+      const isExact = String(p.car_number).toLowerCase() === q;
+      if (isExact || String(p.name || '').toLowerCase().includes(q)) {
+        matches.push({ car_number: p.car_number, name: p.name, section_name: sec.section_name, exact: isExact });
+      }
+    }
+  }
+  matches.sort((a, b) => (b.exact - a.exact) || String(a.name).localeCompare(String(b.name)));
+  return matches.map(({ exact: _, ...m }) => m);
+}
@@ -0,0 +1,169 @@
+/**
+ * car-photos.js — Car photos for check-in, the audience display and reports.
+ *
+ * A registrar photographs a car at check-in. The photo is shrunk and kept in
+ * IndexedDB with a small thumbnail; a CarPhotoTaken event then points the car
+ * at its photo_id. Thumbnails are data URLs so they can ride along in
+ * audience messages (even across the network relay) and go straight into
+ * PDFs. With cloud sync on, sync-worker.js uploads each photo to the
+ * `car-photos` Storage bucket and other devices download the ones they are
+ * missing (see supabase/migrations/005_car_photos.sql).
+ */
+
+import { getPhoto, putPhoto, getUnsyncedPhotos, markPhotoSynced } from './event-store.js';
+
+export const PHOTO_BUCKET = 'car-photos';
+const PHOTO_MAX_PX = 640;
+const PHOTO_QUALITY = 0.85;
+const THUMB_PX = 160;
+const THUMB_QUALITY = 0.7;
+const JPEG = 'image/jpeg';
+
+const _thumbs = new Map();   // photo_id → thumbnail data URL
+
+function photoPath(rallyId, photoId) {
+  return `${rallyId}/${photoId}.jpg`;
+}
+
+// ─── Capture ─────────────────────────────────────────────────────
+
+/** Draw `source` onto a canvas, scaled so its longer side is at most maxPx. */
+function drawScaled(source, width, height, maxPx) {
+  const scale = Math.min(1, maxPx / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Shrink a live camera frame or a picked image file into the stored image
+ * and its thumbnail.
+ * @param {HTMLVideoElement|Blob} source
+ * @returns {Promise<{ image: Blob, thumb: string }>}
+ */
+async function preparePhoto(source) {
+  let img = source;
+  let width, height;
+  if (source instanceof Blob) {
+    img = await createImageBitmap(source);
+    width = img.width;
+    height = img.height;
+  } else {
+    width = source.videoWidth;
+    height = source.videoHeight;
+  }
+  if (!width || !height) throw new Error('No picture from the camera yet');
+
+  const image = await new Promise(resolve =>
+    drawScaled(img, width, height, PHOTO_MAX_PX).toBlob(resolve, JPEG, PHOTO_QUALITY));
+  const thumb = drawScaled(img, width, height, THUMB_PX).toDataURL(JPEG, THUMB_QUALITY);
+  return { image, thumb };
+}
+
+/**
+ * Store a new car photo on this device, to be uploaded by the next sync.
+ * The caller records it with a CarPhotoTaken event.
+ * @param {string} rallyId
+ * @param {HTMLVideoElement|Blob} source - camera preview or picked image
+ * @returns {Promise<string>} The new photo_id
+ */
+export async function savePhoto(rallyId, source) {
+  const { image, thumb } = await preparePhoto(source);
+  const photoId = crypto.randomUUID();
+  await putPhoto({ photo_id: photoId, rally_id: rallyId, image, thumb, synced: false });
+  _thumbs.set(photoId, thumb);
+  return photoId;
+}
+
+// ─── Lookup ──────────────────────────────────────────────────────
+
+/**
+ * A photo's thumbnail as a data URL, once loadCarPhotos() has found it.
+ * @param {string|null} photoId
+ * @returns {string|null}
+ */
+export function getThumb(photoId) {
+  return (photoId && _thumbs.get(photoId)) || null;
+}
+
+/**
+ * The full-size image of a photo stored on this device.
+ * @param {string} photoId
+ * @returns {Promise<Blob|null>}
+ */
+export async function getPhotoImage(photoId) {
+  return (await getPhoto(photoId))?.image || null;
+}
+
+function referencedPhotoIds(state) {
+  const ids = new Set();
+  for (const sec of Object.values(state?.race_day.sections || {})) {
+    for (const id of Object.values(sec.car_photos || {})) ids.add(id);
+  }
+  return ids;
+}
+
+/**
+ * Load the thumbnails of every photo the state refers to. Photos taken on
+ * another device are downloaded from Storage when a client is given;
+ * without one (demo mode, offline) they stay missing until a later call.
+ * @param {Object} state
+ * @param {Object|null} [client] - supabase-js client
+ * @returns {Promise<boolean>} True if any new thumbnail was loaded
+ */
+export async function loadCarPhotos(state, client = null) {
+  let loaded = false;
+  for (const photoId of referencedPhotoIds(state)) {
+    if (_thumbs.has(photoId)) continue;
+    let photo = await getPhoto(photoId);
+    if (!photo && client && state.rally_id) {
+      photo = await downloadPhoto(client, state.rally_id, photoId);
+    }
+    if (photo) {
+      _thumbs.set(photoId, photo.thumb);
+      loaded = true;
+    }
+  }
+  return loaded;
+}
+
+// ─── Cloud ───────────────────────────────────────────────────────
+
+async function downloadPhoto(client, rallyId, photoId) {
+  try {
+    const { data, error } = await client.storage.from(PHOTO_BUCKET).download(photoPath(rallyId, photoId));
+    if (error || !data) return null;
+    const { thumb } = await preparePhoto(data);
+    const photo = { photo_id: photoId, rally_id: rallyId, image: data, thumb, synced: true };
+    await putPhoto(photo);
+    return photo;
+  } catch (e) {
+    console.warn('Photo download failed:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Upload photos taken on this device to Storage. Called by the sync loop;
+ * a failed upload stays pending for the next cycle.
+ * @param {Object} client - supabase-js client
+ * @returns {Promise<number>} Photos still waiting to upload
+ */
+export async function uploadPendingPhotos(client) {
+  const pending = await getUnsyncedPhotos();
+  let failed = 0;
+  for (const photo of pending) {
+    const { error } = await client.storage
+      .from(PHOTO_BUCKET)
+      .upload(photoPath(photo.rally_id, photo.photo_id), photo.image, { contentType: JPEG, upsert: true });
+    if (error) {
+      console.warn('Photo upload failed:', error.message);
+      failed++;
+      continue;
+    }
+    await markPhotoSynced(photo.photo_id);
+  }
+  return failed;
+}
@@ -0,0 +1,77 @@
+/**
+ * car-tags.js — Scannable car tag codes for registrar check-in.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * Car numbers are only unique within a section, so a tag carries both:
+ * "RL/<section_id>/<car_number>". The registrar also accepts a bare car
+ * number (typed, or scanned from a plain number label), which is looked up
+ * in the section being checked in.
+ */
+
+export const CAR_TAG_PREFIX = 'RL';
+
+/** Outcomes of resolveCarScan(). */
+export const SCAN_STATUS = {
+  ok: 'ok',
+  already_arrived: 'already_arrived',
+  wrong_section: 'wrong_section',
+  unknown: 'unknown'
+};
+
+/**
+ * @param {string} sectionId
+ * @param {string} carNumber
+ * @returns {string} The text encoded in the car's tag
+ */
+export function carTagCode(sectionId, carNumber) {
+  return `${CAR_TAG_PREFIX}/${sectionId}/${carNumber}`;
+}
+
+/**
+ * Parse scanned or typed text.
+ * @param {string} text
+ * @returns {{ section_id: string|null, car_number: string }|null}
+ *   `section_id` is null for a bare car number; null when unparseable.
+ */
+export function parseCarTag(text) {
+  const s = String(text ?? '').trim();
+  if (!s) return null;
+
+  const parts = s.split('/');
+  if (parts.length === 1) return { section_id: null, car_number: s };
+  if (parts.length !== 3 || parts[0].toUpperCase() !== CAR_TAG_PREFIX) return null;
+
+  const sectionId = parts[1].trim();
+  const carNumber = parts[2].trim();
+  if (!sectionId || !carNumber) return null;
+  return { section_id: sectionId, car_number: carNumber };
+}
+
+/**
+ * Decide what a scan at a section's check-in station means.
+ *
+ * A tag for a car in another section is reported as `wrong_section` (so the
+ * family can be redirected) even if that car has already arrived there.
+ *
+ * @param {Object} state - full app state
+ * @param {string} sectionId - the section being checked in
+ * @param {string} text - scanned or typed text
+ * @returns {{ status: string, section_id?: string, participant?: Object }}
+ */
+export function resolveCarScan(state, sectionId, text) {
+  const tag = parseCarTag(text);
+  if (!tag) return { status: SCAN_STATUS.unknown };
+
+  const targetId = tag.section_id || sectionId;
+  const sec = state.race_day.sections[targetId];
+  const participant = sec?.participants.find(p => p.car_number === tag.car_number);
+  if (!participant) return { status: SCAN_STATUS.unknown };
+
+  if (targetId !== sectionId) {
+    return { status: SCAN_STATUS.wrong_section, section_id: targetId, participant };
+  }
+  if (sec.arrived.includes(participant.car_number)) {
+    return { status: SCAN_STATUS.already_arrived, section_id: targetId, participant };
+  }
+  return { status: SCAN_STATUS.ok, section_id: targetId, participant };
+}
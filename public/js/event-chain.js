@@ -0,0 +1,252 @@
+/**
+ * event-chain.js — Hash chain over the race-day event log.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * Every event a device appends for a rally carries the hash of the previous
+ * event that device appended for the same rally, plus its own hash over the
+ * event's content. Editing, deleting or inserting a stored event breaks the
+ * chain, so results can be shown to be unaltered after the fact.
+ *
+ * A chain belongs to one device (`chain_id`) because devices append offline
+ * and independently; a rally's log is the union of its devices' chains.
+ *
+ * SHA-256 is implemented here rather than via crypto.subtle so verification
+ * stays synchronous and can run inside rebuildState().
+ *
+ * See specs/04-domain-events.md §6.3 for the chain fields and checks.
+ */
+
+/** Storage bookkeeping that changes after append and is not hashed. */
+const UNHASHED_FIELDS = new Set(['id', 'stored_at', 'synced', 'server_id', 'hash']);
+
+// ─── SHA-256 ─────────────────────────────────────────────────────
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function rotr(x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * SHA-256 of a string's UTF-8 bytes.
+ * @param {string} text
+ * @returns {string} 64 lowercase hex characters
+ */
+export function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const bitLength = bytes.length * 8;
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const data = new Uint8Array(paddedLength);
+  data.set(bytes);
+  data[bytes.length] = 0x80;
+  const view = new DataView(data.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const h = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const w = new Uint32Array(64);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (hh + S1 + ch + K[i] + w[i]) >>> 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) >>> 0;
+      hh = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+    h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+  }
+
+  return Array.from(h, x => x.toString(16).padStart(8, '0')).join('');
+}
+
+// ─── Hashing ─────────────────────────────────────────────────────
+
+/**
+ * JSON with object keys sorted at every level, so the same event hashes the
+ * same after a round trip through IndexedDB, a backup file or Postgres JSONB.
+ * Null and missing properties are treated alike: the sync pull fills absent
+ * columns such as section_id with null.
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? 'null';
+  if (Array.isArray(value)) {
+    return '[' + value.map(v => v === undefined ? 'null' : canonicalJson(v)).join(',') + ']';
+  }
+  const keys = Object.keys(value).filter(k => value[k] != null).sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + canonicalJson(value[k])).join(',') + '}';
+}
+
+/**
+ * Hash an event's content, including its chain fields but not storage
+ * bookkeeping (local id, sync flags) or the hash itself.
+ * @param {Object} event
+ * @returns {string}
+ */
+export function hashEvent(event) {
+  const content = {};
+  for (const [k, v] of Object.entries(event)) {
+    if (!UNHASHED_FIELDS.has(k)) content[k] = v;
+  }
+  return sha256Hex(canonicalJson(content));
+}
+
+// ─── Linking ─────────────────────────────────────────────────────
+
+/**
+ * The latest event a device has appended to a rally's chain.
+ * @param {Array<Object>} events - stored events (any order, any rally)
+ * @param {string} rallyId
+ * @param {string} chainId
+ * @returns {Object|null}
+ */
+export function chainHead(events, rallyId, chainId) {
+  let head = null;
+  for (const e of events) {
+    if (e.rally_id !== rallyId || e.chain_id !== chainId || e.hash == null) continue;
+    if (!head || e.chain_seq > head.chain_seq) head = e;
+  }
+  return head;
+}
+
+/**
+ * Link a new event onto a device's chain.
+ * @param {Object} event - event about to be stored
+ * @param {Object|null} head - result of chainHead(), or null for a new chain
+ * @param {string} chainId - this device's chain id
+ * @returns {Object} The event with chain_id, chain_seq, prev_hash and hash
+ */
+export function linkEvent(event, head, chainId) {
+  const linked = {
+    ...event,
+    chain_id: chainId,
+    chain_seq: head ? head.chain_seq + 1 : 1,
+    prev_hash: head ? head.hash : null
+  };
+  return { ...linked, hash: hashEvent(linked) };
+}
+
+// ─── Verification ────────────────────────────────────────────────
+
+/**
+ * Check every chain in an event log.
+ *
+ * Problems are reported against the event where the chain first breaks:
+ * - `edited` — the event's content no longer matches its hash
+ * - `relinked` — prev_hash does not match the previous event's hash
+ * - `missing` — chain_seq skips, so events were deleted before this one
+ * - `duplicate` — two events claim the same place in the chain
+ * - `unhashed` — the event has no hash but was never synced, or its device
+ *   chains its other events in the rally, so the hash was stripped
+ *
+ * Hashless events pulled from the server (pre-race rows written straight to
+ * the server, logs synced before chaining existed) are counted as unchained,
+ * not flagged. Every event this device stores itself is chained, so a
+ * hashless one without a `server_id` can only have been tampered with.
+ *
+ * @param {Array<Object>} events
+ * @returns {{
+ *   status: 'intact'|'broken'|'unchained',
+ *   verified: number,
+ *   unchained: number,
+ *   chains: number,
+ *   problems: Array<{ id: *, rally_id: string, chain_id: string, chain_seq: number, reason: string }>,
+ *   heads: Object<string, { chain_seq: number, hash: string }>
+ * }} `heads` is the last event seen per chain, for extendChainCheck().
+ */
+export function verifyChains(events) {
+  return extendChainCheck(null, events);
+}
+
+/**
+ * Continue a previous verifyChains() result with events appended since.
+ *
+ * Returns null when the new events do not simply extend each chain — an
+ * event pulled late that belongs before a chain's current head — so the
+ * caller must re-verify the whole log.
+ *
+ * @param {Object|null} prior - an earlier verifyChains()/extendChainCheck() result
+ * @param {Array<Object>} events - only the events not covered by `prior`
+ * @returns {Object|null} Same shape as verifyChains()
+ */
+export function extendChainCheck(prior, events) {
+  const heads = { ...(prior?.heads || {}) };
+  const problems = [...(prior?.problems || [])];
+  let verified = prior?.verified || 0;
+  let unchained = prior?.unchained || 0;
+
+  const chains = new Map();
+  const hashless = [];
+  for (const raw of events) {
+    const e = raw.payload || raw;
+    if (e.hash == null) {
+      hashless.push(raw);
+      continue;
+    }
+    const key = `${e.rally_id}|${e.chain_id}`;
+    if (!chains.has(key)) chains.set(key, []);
+    chains.get(key).push(raw);
+  }
+
+  const report = (raw, reason) => {
+    const e = raw.payload || raw;
+    problems.push({ id: raw.id ?? null, rally_id: e.rally_id, chain_id: e.chain_id, chain_seq: e.chain_seq, reason });
+  };
+
+  for (const [key, list] of chains) {
+    list.sort((a, b) => (a.payload || a).chain_seq - (b.payload || b).chain_seq);
+    let prev = heads[key] || null;
+    if (prev && (list[0].payload || list[0]).chain_seq <= prev.chain_seq) return null;
+
+    for (const raw of list) {
+      const e = raw.payload || raw;
+      const expectedSeq = prev ? prev.chain_seq + 1 : 1;
+      if (hashEvent(e) !== e.hash) report(raw, 'edited');
+      else if (prev && e.chain_seq === prev.chain_seq) report(raw, 'duplicate');
+      else if (e.chain_seq !== expectedSeq) report(raw, 'missing');
+      else if (e.prev_hash !== (prev ? prev.hash : null)) report(raw, 'relinked');
+      else verified++;
+      prev = { chain_seq: e.chain_seq, hash: e.hash };
+    }
+    heads[key] = prev;
+  }
+
+  for (const raw of hashless) {
+    const e = raw.payload || raw;
+    const serverId = raw.server_id ?? e.server_id;
+    if (serverId == null || heads[`${e.rally_id}|${e.chain_id}`]) report(raw, 'unhashed');
+    else unchained++;
+  }
+
+  let status = 'unchained';
+  if (problems.length > 0) status = 'broken';
+  else if (verified > 0) status = 'intact';
+
+  return { status, verified, unchained, chains: Object.keys(heads).length, problems, heads };
+}
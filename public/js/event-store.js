@@ -2,18 +2,29 @@
  * event-store.js — IndexedDB append-only event log.
  * Offline-first: events written to IndexedDB, synced to Supabase later.
  * Shared by both pre-race and race day.
+ *
+ * Locally authored events are linked into a per-device hash chain for their
+ * rally (see event-chain.js) so later edits to stored rows can be detected.
  */
 
+import { chainHead, linkEvent } from './event-chain.js';
+
 const DB_NAME = 'rallylab';
-const DB_VERSION = 2;
+const DB_VERSION = 5;
 const EVENTS_STORE = 'events';
 const SETTINGS_STORE = 'settings';
+const SNAPSHOTS_STORE = 'snapshots';
+const REPLAYS_STORE = 'replays';
+const PHOTOS_STORE = 'photos';
+const DEVICE_ID_SETTING_KEY = 'device_id';
+const APPEND_LOCK_NAME = 'rallylab-event-append';
 
 // IndexedDB does not allow boolean keys, so `synced` is persisted as 0/1.
 const SYNCED_TRUE = 1;
 const SYNCED_FALSE = 0;
 
 let _db = null;
+let _appendQueue = Promise.resolve();
 
 /**
  * Open (or create) the IndexedDB database.
@@ -58,6 +69,15 @@ export async function openStore() {
       if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
         db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
       }
+      if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+        db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(REPLAYS_STORE)) {
+        db.createObjectStore(REPLAYS_STORE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(PHOTOS_STORE)) {
+        db.createObjectStore(PHOTOS_STORE, { keyPath: 'photo_id' });
+      }
     };
 
     request.onsuccess = (e) => {
@@ -83,36 +103,77 @@ export async function openStore() {
 
 /**
  * Append a domain event to the store.
+ *
+ * Events authored here (no hash yet, not pulled from the server) are linked
+ * onto this device's chain for the rally. Events that already carry a hash —
+ * pulled from the server or restored from a backup — are stored as-is so
+ * their author's chain still verifies.
+ *
  * @param {Object} event - Domain event with at minimum { type, rally_id, ... }
  * @returns {Promise<Object>} The stored event with its auto-incremented id
  */
 export async function appendEvent(event) {
-  const db = await openStore();
+  return withAppendLock(async () => {
+    const db = await openStore();
+
+    let record = {
+      ...event,
+      rally_id: event.rally_id || crypto.randomUUID(),
+      stored_at: Date.now(),
+      synced: event.synced ? SYNCED_TRUE : SYNCED_FALSE,
+      server_id: event.server_id ?? null
+    };
 
-  const record = {
-    ...event,
-    rally_id: event.rally_id || crypto.randomUUID(),
-    stored_at: Date.now(),
-    synced: event.synced ? SYNCED_TRUE : SYNCED_FALSE,
-    server_id: event.server_id ?? null
-  };
+    if (record.hash == null && record.server_id == null) {
+      const chainId = await getDeviceId();
+      const head = chainHead(await getEventsByRally(record.rally_id), record.rally_id, chainId);
+      record = linkEvent(record, head, chainId);
+    }
 
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(EVENTS_STORE, 'readwrite');
-    const store = tx.objectStore(EVENTS_STORE);
-    const request = store.add(record);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(EVENTS_STORE, 'readwrite');
+      const store = tx.objectStore(EVENTS_STORE);
+      const request = store.add(record);
 
-    request.onsuccess = () => {
-      record.id = request.result;
-      resolve(record);
-    };
+      request.onsuccess = () => {
+        record.id = request.result;
+        resolve(record);
+      };
 
-    request.onerror = (e) => {
-      reject(new Error('Failed to append event: ' + e.target.error?.message));
-    };
+      request.onerror = (e) => {
+        reject(new Error('Failed to append event: ' + e.target.error?.message));
+      };
+    });
   });
 }
 
+/**
+ * Serialize appends so two events never link to the same chain head.
+ * Uses a Web Lock where available, which also covers the operator and
+ * registrar running in separate tabs of the same browser.
+ */
+function withAppendLock(fn) {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return navigator.locks.request(APPEND_LOCK_NAME, fn);
+  }
+  const next = _appendQueue.then(fn);
+  _appendQueue = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Stable id for this browser's event chains, created on first use.
+ * @returns {Promise<string>}
+ */
+export async function getDeviceId() {
+  let id = await getSetting(DEVICE_ID_SETTING_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    await setSetting(DEVICE_ID_SETTING_KEY, id);
+  }
+  return id;
+}
+
 /**
  * Get all events in insertion order.
  * @returns {Promise<Array>}
@@ -269,16 +330,19 @@ export async function hasServerEvent(serverId) {
 }
 
 /**
- * Clear all events and settings (for demo reset).
+ * Clear all events, settings, snapshots, replays and photos (for demo reset).
  * @returns {Promise<void>}
  */
 export async function clear() {
   const db = await openStore();
 
   return new Promise((resolve, reject) => {
-    const tx = db.transaction([EVENTS_STORE, SETTINGS_STORE], 'readwrite');
+    const tx = db.transaction([EVENTS_STORE, SETTINGS_STORE, SNAPSHOTS_STORE, REPLAYS_STORE, PHOTOS_STORE], 'readwrite');
     tx.objectStore(EVENTS_STORE).clear();
     tx.objectStore(SETTINGS_STORE).clear();
+    tx.objectStore(SNAPSHOTS_STORE).clear();
+    tx.objectStore(REPLAYS_STORE).clear();
+    tx.objectStore(PHOTOS_STORE).clear();
 
     tx.oncomplete = () => resolve();
     tx.onerror = (e) => {
@@ -321,3 +385,165 @@ export async function setSetting(key, value) {
     tx.onerror = (e) => reject(new Error('Failed to set setting: ' + e.target.error?.message));
   });
 }
+
+/**
+ * Get a stored state snapshot (see replayEvents in state-manager.js).
+ * Snapshots are a cache: the caller checks it still matches the event log.
+ * @param {string} key
+ * @returns {Promise<Object|null>}
+ */
+export async function getSnapshot(key) {
+  const db = await openStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SNAPSHOTS_STORE, 'readonly');
+    const request = tx.objectStore(SNAPSHOTS_STORE).get(key);
+
+    request.onsuccess = () => resolve(request.result?.snapshot ?? null);
+    request.onerror = (e) => reject(new Error('Failed to get snapshot: ' + e.target.error?.message));
+  });
+}
+
+/**
+ * Store a state snapshot, replacing any earlier one under the same key.
+ * @param {string} key
+ * @param {Object} snapshot
+ * @returns {Promise<void>}
+ */
+export async function putSnapshot(key, snapshot) {
+  const db = await openStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SNAPSHOTS_STORE, 'readwrite');
+    tx.objectStore(SNAPSHOTS_STORE).put({ key, snapshot, stored_at: Date.now() });
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(new Error('Failed to put snapshot: ' + e.target.error?.message));
+  });
+}
+
+/**
+ * Store a heat's photo-finish replay, replacing any earlier one for the heat.
+ * Replays are media, not events: they stay on this device and are not synced.
+ * @param {{ key: string, clip: Blob|null, still: Blob|null }} replay - see replayKey() in replay-buffer.js
+ * @returns {Promise<void>}
+ */
+export async function putReplay(replay) {
+  const db = await openStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REPLAYS_STORE, 'readwrite');
+    tx.objectStore(REPLAYS_STORE).put({ ...replay, stored_at: Date.now() });
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(new Error('Failed to store replay: ' + e.target.error?.message));
+  });
+}
+
+/**
+ * Get a heat's replay.
+ * @param {string} key
+ * @returns {Promise<Object|null>}
+ */
+export async function getReplay(key) {
+  const db = await openStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REPLAYS_STORE, 'readonly');
+    const request = tx.objectStore(REPLAYS_STORE).get(key);
+
+    request.onsuccess = () => resolve(request.result ?? null);
+    request.onerror = (e) => reject(new Error('Failed to get replay: ' + e.target.error?.message));
+  });
+}
+
+/**
+ * Keys of every stored replay, so screens can offer a Replay button without
+ * loading the media.
+ * @returns {Promise<Array<string>>}
+ */
+export async function getReplayKeys() {
+  const db = await openStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REPLAYS_STORE, 'readonly');
+    const request = tx.objectStore(REPLAYS_STORE).getAllKeys();
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (e) => reject(new Error('Failed to list replays: ' + e.target.error?.message));
+  });
+}
+
+/**
+ * Store a car photo. Photos are referenced from CarPhotoTaken events by
+ * photo_id; the image itself travels through Supabase Storage, not the event
+ * log (see car-photos.js).
+ * @param {{ photo_id: string, rally_id: string, image: Blob, thumb: string, synced?: boolean }} photo
+ * @returns {Promise<void>}
+ */
+export async function putPhoto(photo) {
+  const db = await openStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PHOTOS_STORE, 'readwrite');
+    tx.objectStore(PHOTOS_STORE).put({ ...photo, synced: !!photo.synced, stored_at: Date.now() });
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(new Error('Failed to store photo: ' + e.target.error?.message));
+  });
+}
+
+/**
+ * Get a car photo.
+ * @param {string} photoId
+ * @returns {Promise<Object|null>}
+ */
+export async function getPhoto(photoId) {
+  const db = await openStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PHOTOS_STORE, 'readonly');
+    const request = tx.objectStore(PHOTOS_STORE).get(photoId);
+
+    request.onsuccess = () => resolve(request.result ?? null);
+    request.onerror = (e) => reject(new Error('Failed to get photo: ' + e.target.error?.message));
+  });
+}
+
+/**
+ * Photos taken on this device that are not in Supabase Storage yet.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getUnsyncedPhotos() {
+  const db = await openStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PHOTOS_STORE, 'readonly');
+    const request = tx.objectStore(PHOTOS_STORE).getAll();
+
+    request.onsuccess = () => resolve(request.result.filter(p => !p.synced));
+    request.onerror = (e) => reject(new Error('Failed to list photos: ' + e.target.error?.message));
+  });
+}
+
+/**
+ * Mark a photo as uploaded.
+ * @param {string} photoId
+ * @returns {Promise<void>}
+ */
+export async function markPhotoSynced(photoId) {
+  const db = await openStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PHOTOS_STORE, 'readwrite');
+    const store = tx.objectStore(PHOTOS_STORE);
+    const getReq = store.get(photoId);
+
+    getReq.onsuccess = () => {
+      if (getReq.result) store.put({ ...getReq.result, synced: true });
+    };
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = (e) => reject(new Error('Failed to mark photo synced: ' + e.target.error?.message));
+  });
+}
@@ -10,7 +10,9 @@ import {
   showResetButton, resetTrack, showIdle
 } from './track-renderer.js';
 
-const TRACK_CHANNEL = 'rallylab-track';
+// fake-track.html?track=B simulates the operator's second track
+const TRACK_NAME = new URLSearchParams(location.search).get('track');
+const TRACK_CHANNEL = TRACK_NAME ? `rallylab-track-${TRACK_NAME}` : 'rallylab-track';
 const LANE_COUNT = 6;
 
 // ─── State ──────────────────────────────────────────────────────
@@ -175,6 +177,10 @@ function handleCancel(msg) {
 // ─── Init ───────────────────────────────────────────────────────
 
 function init() {
+  if (TRACK_NAME) {
+    document.title = `RallyLab — Fake Track ${TRACK_NAME}`;
+    document.querySelector('.ft-brand').textContent = `RallyLab — Fake Track ${TRACK_NAME}`;
+  }
   createTrack(container(), LANE_COUNT);
   showIdle(container());
   initChannel();
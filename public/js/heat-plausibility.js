@@ -0,0 +1,144 @@
+/**
+ * heat-plausibility.js — Flag suspect heats before they are recorded.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * A bumped finish sensor reports a 0.4 s run; a car sitting on a beam
+ * trips it before the gate opens. checkHeat() looks at each lane's time
+ * and flags the first problem it finds:
+ *   - early:       the lane tripped before the start (needs the heat's
+ *                  sensor timeline, see heat-timeline.js), or a time ≤ 0
+ *   - too_fast:    under the fastest plausible time
+ *   - too_slow:    over the slowest plausible time
+ *   - off_history: far off the car's own median in earlier heats
+ *
+ * The race loop holds a flagged heat until the operator accepts it, re-runs
+ * it or marks the flagged lanes DNF; the outcome is recorded on
+ * RaceCompleted as `suspect` for the reports.
+ */
+
+/** Checks used until the operator changes them (Rally Home → Heat Checks). */
+export const DEFAULT_HEAT_CHECKS = {
+  enabled: true,
+  min_ms: 1500,
+  max_ms: 10000,
+  history_pct: 25,   // flag a time this far off the car's median…
+  history_runs: 2    // …once the car has this many timed heats
+};
+
+export const FLAG_LABELS = {
+  early: 'Tripped before the start',
+  too_fast: 'Faster than possible',
+  too_slow: 'Slower than plausible',
+  off_history: "Far off the car's other runs"
+};
+
+/**
+ * Fill in and sanity-check saved settings.
+ * @param {Object} [saved]
+ * @returns {typeof DEFAULT_HEAT_CHECKS}
+ */
+export function normalizeHeatChecks(saved) {
+  const rules = { ...DEFAULT_HEAT_CHECKS };
+  if (!saved || typeof saved !== 'object') return rules;
+  if (typeof saved.enabled === 'boolean') rules.enabled = saved.enabled;
+  for (const key of ['min_ms', 'max_ms', 'history_pct', 'history_runs']) {
+    const n = Number(saved[key]);
+    if (Number.isFinite(n) && n > 0) rules[key] = n;
+  }
+  if (rules.max_ms <= rules.min_ms) {
+    rules.min_ms = DEFAULT_HEAT_CHECKS.min_ms;
+    rules.max_ms = DEFAULT_HEAT_CHECKS.max_ms;
+  }
+  return rules;
+}
+
+/**
+ * Each car's timed runs in a start so far.
+ * @param {Object} start - a start from race_day state
+ * @returns {Map<string, number[]>} car_number → times in ms
+ */
+export function carTimeHistory(start) {
+  const history = new Map();
+  if (!start) return history;
+  for (const result of Object.values(start.results || {})) {
+    if (result.type !== 'RaceCompleted' || !result.times_ms) continue;
+    const lanes = (start.lane_corrections || {})[result.heat_number] || result.lanes || [];
+    for (const lane of lanes) {
+      const t = result.times_ms[String(lane.lane)];
+      if (t == null) continue;
+      if (!history.has(lane.car_number)) history.set(lane.car_number, []);
+      history.get(lane.car_number).push(t);
+    }
+  }
+  return history;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** Lanes with a trigger before the gate opened, per the sensor timeline. */
+function earlyLanes(timeline) {
+  const early = new Set();
+  if (!Array.isArray(timeline)) return early;
+  const opened = timeline.find(e => e.pin === 'gate' && e.edge === 'opened');
+  if (!opened) return early;
+  for (const e of timeline) {
+    if (e.pin === 'lane' && e.edge === 'triggered' && e.ms < opened.ms) early.add(e.lane);
+  }
+  return early;
+}
+
+/**
+ * Check a finished heat.
+ * @param {Object} heat
+ * @param {Array<{ lane: number, car_number: string }>} heat.lanes
+ * @param {Object<string, number|null>} heat.times_ms
+ * @param {Map<string, number[]>} [heat.history] - from carTimeHistory()
+ * @param {Array<Object>} [heat.timeline] - from heat-timeline.js
+ * @param {Object} [rules] - normalizeHeatChecks() output
+ * @returns {Array<{ lane: number, car_number: string, reason: string, ms: number|null, expected_ms?: number }>}
+ */
+export function checkHeat({ lanes, times_ms, history, timeline }, rules = DEFAULT_HEAT_CHECKS) {
+  if (!rules.enabled) return [];
+  const early = earlyLanes(timeline);
+  const flags = [];
+  for (const { lane, car_number } of lanes) {
+    const ms = times_ms?.[String(lane)] ?? null;
+    const flag = (reason, extra) => flags.push({ lane, car_number, reason, ms, ...extra });
+    if (early.has(lane) || (ms != null && ms <= 0)) { flag('early'); continue; }
+    if (ms == null) continue;
+    if (ms < rules.min_ms) { flag('too_fast'); continue; }
+    if (ms > rules.max_ms) { flag('too_slow'); continue; }
+    const runs = history?.get(car_number) || [];
+    if (runs.length >= rules.history_runs) {
+      const expected = median(runs);
+      if (Math.abs(ms - expected) / expected * 100 > rules.history_pct) {
+        flag('off_history', { expected_ms: Math.round(expected) });
+      }
+    }
+  }
+  return flags;
+}
+
+function secs(ms) {
+  return (ms / 1000).toFixed(3) + 's';
+}
+
+/**
+ * One line for reports: what was flagged and what the operator did.
+ * @param {{ flags: Array<Object>, resolution: 'accepted'|'dnf' }} suspect
+ * @returns {string}
+ */
+export function describeSuspect(suspect) {
+  if (!suspect?.flags?.length) return '';
+  const parts = suspect.flags.map(f => {
+    let text = `Lane ${f.lane}: ${FLAG_LABELS[f.reason] || f.reason}`;
+    if (f.ms != null) text += ` (${secs(f.ms)}${f.expected_ms != null ? `, usually ${secs(f.expected_ms)}` : ''})`;
+    return text;
+  });
+  const outcome = suspect.resolution === 'dnf' ? 'marked DNF' : 'accepted';
+  return `${parts.join('; ')} — ${outcome}`;
+}
@@ -0,0 +1,130 @@
+/**
+ * heat-timeline.js — Raw sensor timeline of one heat, for disputes.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * While a heat runs on a Protocol v2 track the operator subscribes to the
+ * `edges` and `engine` topics and records every frame: the gate opening,
+ * each lane trigger (bounces included) and the engine's phase changes.
+ * The recording is stored on the heat's RaceCompleted event as `timeline`,
+ * so a disputed finish can be examined after the fact.
+ *
+ * Entries keep the controller's own millisecond clock:
+ *   { ms, pin: 'gate', edge: 'opened' | 'closed' }
+ *   { ms, pin: 'lane', lane, edge: 'triggered' | 'cleared' }
+ *   { ms, phase }
+ *   { dropped }          frames the controller couldn't deliver (overflow)
+ *
+ * See specs/03-track-controller-protocol-v2.md §6.3, §6.5 and §9.
+ */
+
+/** Subscription topics a timeline is recorded from. */
+export const TIMELINE_TOPICS = ['edges', 'engine'];
+
+/** Entries kept per heat; a chattering sensor can't bloat the event log. */
+export const MAX_TIMELINE_ENTRIES = 200;
+
+/**
+ * Turn a subscription frame into a timeline entry.
+ * @param {Object} frame - { sub, event, ...fields }
+ * @returns {Object|null} null for frames a timeline doesn't keep
+ */
+export function timelineEntry(frame) {
+  if (!frame) return null;
+  switch (frame.event) {
+    case 'edge':
+      return frame.pin === 'lane'
+        ? { ms: frame.ms, pin: 'lane', lane: Number(frame.lane), edge: frame.edge }
+        : { ms: frame.ms, pin: frame.pin, edge: frame.edge };
+    case 'phase':
+      return { ms: frame.ms, phase: frame.phase };
+    case 'overflow':
+      return { dropped: frame.dropped || 0 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Collect the frames of one heat.
+ * @param {number} [max] - entries kept; later ones are counted as dropped
+ * @returns {{ add: (frame: Object) => void, take: () => Array<Object>|null }}
+ */
+export function createTimelineRecorder(max = MAX_TIMELINE_ENTRIES) {
+  let entries = [];
+  let overCap = 0;
+
+  function add(frame) {
+    const entry = timelineEntry(frame);
+    if (!entry) return;
+    if (entries.length >= max) {
+      overCap += entry.dropped ?? 1;
+      return;
+    }
+    entries.push(entry);
+  }
+
+  /** The recording so far (null if nothing arrived); starts a new one. */
+  function take() {
+    const timeline = overCap ? [...entries, { dropped: overCap }] : entries;
+    entries = [];
+    overCap = 0;
+    return timeline.length ? timeline : null;
+  }
+
+  return { add, take };
+}
+
+/**
+ * Lay a timeline out for display. Times (`at`) are ms after the gate
+ * opened — the same origin as the heat's times_ms — or after the first
+ * entry if the gate never opened.
+ *
+ * @param {Array<Object>} timeline
+ * @returns {{
+ *   gate_opened: boolean,
+ *   first_at: number,
+ *   last_at: number,
+ *   phases: Array<{ at: number, phase: string }>,
+ *   gate: Array<{ at: number, edge: string }>,
+ *   lanes: Array<{ lane: number, marks: Array<{ at: number, edge: string }>, triggers: number, bounces: number }>,
+ *   dropped: number
+ * }}
+ */
+export function summarizeTimeline(timeline) {
+  const timed = (timeline || []).filter(e => typeof e.ms === 'number');
+  const opened = timed.find(e => e.pin === 'gate' && e.edge === 'opened');
+  const origin = opened ? opened.ms : (timed.length ? timed[0].ms : 0);
+
+  const phases = [];
+  const gate = [];
+  const laneMap = new Map();
+  let dropped = 0;
+
+  for (const e of timeline || []) {
+    if (e.dropped) { dropped += e.dropped; continue; }
+    if (typeof e.ms !== 'number') continue;
+    const at = e.ms - origin;
+    if (e.phase) {
+      phases.push({ at, phase: e.phase });
+    } else if (e.pin === 'gate') {
+      gate.push({ at, edge: e.edge });
+    } else if (e.pin === 'lane') {
+      if (!laneMap.has(e.lane)) laneMap.set(e.lane, []);
+      laneMap.get(e.lane).push({ at, edge: e.edge });
+    }
+  }
+
+  const lanes = [...laneMap.keys()].sort((a, b) => a - b).map(lane => {
+    const marks = laneMap.get(lane);
+    const triggers = marks.filter(m => m.edge === 'triggered').length;
+    return { lane, marks, triggers, bounces: Math.max(0, triggers - 1) };
+  });
+
+  const ats = timed.map(e => e.ms - origin);
+  return {
+    gate_opened: !!opened,
+    first_at: ats.length ? Math.min(...ats) : 0,
+    last_at: ats.length ? Math.max(...ats) : 0,
+    phases, gate, lanes, dropped
+  };
+}
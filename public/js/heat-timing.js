@@ -0,0 +1,109 @@
+/**
+ * heat-timing.js — Rolling heat-time estimator for RallyLab.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * Learns the heat-to-heat interval from the timestamps of completed
+ * RaceCompleted results and projects clock times for the heats still to
+ * run, so families can see roughly when their car is up and the operator
+ * can see when the section will finish.
+ *
+ * See specs/07-heat-scheduling.md §14 for the estimation rules.
+ */
+
+/** Interval assumed before a section has run enough heats to learn its pace. */
+export const DEFAULT_HEAT_INTERVAL_MS = 45000;
+
+/** How many recent heat-to-heat gaps feed the rolling estimate. */
+export const HEAT_INTERVAL_WINDOW = 8;
+
+/** Number of heats after the staging heat shown in the audience On Deck panel. */
+export const ON_DECK_COUNT = 5;
+
+// ─── Interval ────────────────────────────────────────────────────
+
+/**
+ * Estimate the typical time between heats from recorded results.
+ *
+ * Uses the median of the most recent gaps between consecutive
+ * RaceCompleted timestamps, so a single long pause (a track jam, a
+ * lunch break) does not blow up the estimate the way a mean would.
+ * Manual results are skipped — they are often keyed in after the fact.
+ *
+ * @param {Object} results - start.results keyed by heat number
+ * @param {Object} [options]
+ * @param {number} [options.window] - number of recent gaps to consider
+ * @param {number} [options.fallbackMs] - interval when there are no gaps yet
+ * @returns {{ interval_ms: number, sample_size: number, last_completed_at: number|null }}
+ */
+export function estimateHeatInterval(results, options = {}) {
+  const window = options.window || HEAT_INTERVAL_WINDOW;
+  const fallbackMs = options.fallbackMs || DEFAULT_HEAT_INTERVAL_MS;
+
+  const stamps = Object.values(results || {})
+    .filter(r => r.type === 'RaceCompleted' && Number.isFinite(r.timestamp))
+    .map(r => r.timestamp)
+    .sort((a, b) => a - b);
+
+  const lastCompletedAt = stamps.length > 0 ? stamps[stamps.length - 1] : null;
+
+  const gaps = [];
+  for (let i = 1; i < stamps.length; i++) {
+    const gap = stamps[i] - stamps[i - 1];
+    if (gap > 0) gaps.push(gap);
+  }
+  const recent = gaps.slice(-window);
+
+  if (recent.length === 0) {
+    return { interval_ms: fallbackMs, sample_size: 0, last_completed_at: lastCompletedAt };
+  }
+
+  const sorted = [...recent].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 1
+    ? sorted[mid]
+    : (sorted[mid - 1] + sorted[mid]) / 2;
+
+  return { interval_ms: Math.round(median), sample_size: recent.length, last_completed_at: lastCompletedAt };
+}
+
+// ─── Projection ──────────────────────────────────────────────────
+
+/**
+ * Project an estimated run time for each heat still to race.
+ *
+ * The first remaining heat is due one interval after the last completed
+ * heat — or now, if that moment has already passed — and every later heat
+ * follows at one interval apart.
+ *
+ * @param {Object} schedule - { heats: [{ heat_number, lanes }] }
+ * @param {Object} results - start.results keyed by heat number
+ * @param {number} now - current time, epoch ms
+ * @param {Object} [options] - passed through to estimateHeatInterval
+ * @returns {{
+ *   interval_ms: number,
+ *   sample_size: number,
+ *   upcoming: Array<{ heat_number: number, eta: number }>,
+ *   finish_at: number|null
+ * }} `finish_at` is null when every scheduled heat has a result.
+ */
+export function estimateHeatTimes(schedule, results, now, options = {}) {
+  const { interval_ms, sample_size, last_completed_at } = estimateHeatInterval(results, options);
+  const remaining = (schedule?.heats || []).filter(h => !(results || {})[h.heat_number]);
+
+  let eta = last_completed_at != null
+    ? Math.max(now, last_completed_at + interval_ms)
+    : now + interval_ms;
+
+  const upcoming = [];
+  for (const heat of remaining) {
+    upcoming.push({ heat_number: heat.heat_number, eta });
+    eta += interval_ms;
+  }
+
+  return {
+    interval_ms,
+    sample_size,
+    upcoming,
+    finish_at: upcoming.length > 0 ? upcoming[upcoming.length - 1].eta : null
+  };
+}
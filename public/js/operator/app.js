@@ -5,25 +5,36 @@
  */
 
 import { isDemoMode } from '../config.js';
-import { openStore, appendEvent as storeAppend, getAllEvents, clear as clearStore } from '../event-store.js';
-import { rebuildState, deriveRaceDayPhase, getActiveStart, getLatestStart, getStart } from '../state-manager.js';
+import {
+  openStore, appendEvent as storeAppend, getAllEvents, clear as clearStore, getSnapshot, putSnapshot,
+  putReplay, getReplay as getStoredReplay, getReplayKeys
+} from '../event-store.js';
+import { rebuildState, replayEvents, sealSnapshot, isSnapshotIntact, deriveRaceDayPhase, getActiveStart, getLatestStart, getStart, findUndoableAction, getCarPhotoId, DEFAULT_TRACK_ID } from '../state-manager.js';
+import { verifyChains } from '../event-chain.js';
 import { generateSchedule, regenerateAfterRemoval, regenerateAfterLateArrival, regenerateAfterLaneChange, generateCatchUpHeats } from '../scheduler.js';
+import { seedFinals } from '../scoring.js';
+import {
+  isBracketFormat, bracketSchedule, resolveRound, removeCarFromBracket, relaneBracket, buildBracketView
+} from '../bracket.js';
+import { replaySchedule, appendBracketRound } from '../schedule-replay.js';
+import { estimateHeatTimes, ON_DECK_COUNT } from '../heat-timing.js';
+import { defaultTrack, createTrackConnection, isSerialSupported } from '../track-connection.js';
 import {
-  connect as trackConnect, waitForRace, waitForGate,
-  getInfo as trackInfo, isConnected, isUsingFakeTrack,
-  triggerManualRace, triggerManualGate,
-  connectWifi, disconnectWifi, isUsingWifi, getSavedTrackIp,
-  getTrackMode, getWifiError,
-  connectSerial, disconnectSerial, isUsingSerial, isSerialSupported,
-  sendSerialCommand, startLearnMode, subscribeTrackEvents
-} from '../track-connection.js';
-import { sendWelcome, sendStaging, sendResults, sendZoom, getZoom, notifyEventsChanged, onSyncMessage, initOperatorChannel, clearTrackStatus } from '../broadcast.js';
+  sendWelcome, sendStaging, sendResults, sendBracket, sendZoom, getZoom, notifyEventsChanged, onSyncMessage, initOperatorChannel, clearTrackStatus,
+  getAudienceRelay, getAudienceRelayToken, setAudienceRelay, getAudienceRelayStatus, onAudienceRelayStatus, publishEventLog,
+  sendReplay, sendHideReplay
+} from '../broadcast.js';
+import { replayKey } from '../replay-buffer.js';
+import { TIMELINE_TOPICS, createTimelineRecorder } from '../heat-timeline.js';
+import { checkHeat, carTimeHistory, normalizeHeatChecks } from '../heat-plausibility.js';
+import { loadCarPhotos, getThumb } from '../car-photos.js';
+import { isCameraSupported, listCameras, createReplayCamera } from './replay-camera.js';
 import { getUser, getClient, signOut, initAuth } from '../supabase.js';
 import { startSync, stopSync, subscribeToRally, onInboundEvents } from '../sync-worker.js';
 import { initSyncIndicator } from '../shared/sync-indicator.js';
 import {
   renderRallyList, renderRallyHome, renderCheckIn,
-  renderLiveConsole, renderSectionComplete
+  renderLiveConsole, renderSectionComplete, renderSchedulePreview
 } from './screens.js';
 import {
   isSupported as isUSBBackupSupported,
@@ -54,32 +65,42 @@ function getAvailableLanes(sectionId, startNumber) {
       : (getActiveStart(sec) || getLatestStart(sec));
     if (start?.available_lanes) return start.available_lanes;
   }
-  const count = trackInfo().lane_count;
+  const count = sectionTrack(sectionId).conn.getInfo().lane_count;
   return Array.from({ length: count }, (_, i) => i + 1);
 }
 
-/**
- * Get the hardware track lane count (for UI lane pickers).
- * @returns {number}
- */
-function getTrackLaneCount() {
-  return trackInfo().lane_count;
-}
-
 // ─── Audience Broadcast Helpers ──────────────────────────────────
 
-/** Attach group_name to each row (lane/result/standing) for audience display. */
-export function withGroupNames(section, rows) {
+/**
+ * Attach group_name and the car's photo thumbnail (if any) to each row
+ * (lane/result/standing) for audience display.
+ */
+export function withDisplayInfo(section, rows) {
   if (!rows) return rows;
   return rows.map(row => {
-    if (row.group_name !== undefined) return row;
+    const photo = getThumb(getCarPhotoId(_state, section.section_id, row.car_number));
+    if (row.group_name !== undefined) return { ...row, photo };
     const p = section.participants.find(pp => pp.car_number === row.car_number);
     const gid = row.group_id || p?.group_id;
     const name = gid ? (_state?.groups?.[gid]?.group_name || '') : '';
-    return { ...row, group_name: name };
+    return { ...row, group_name: name, photo };
   });
 }
 
+/**
+ * The heats after the staging heat, each with an estimated run time from
+ * the section's recent pace, for the audience On Deck panel.
+ */
+function onDeckHeats(section, schedule, heatIdx, results) {
+  const timing = estimateHeatTimes(schedule, results, Date.now());
+  const etaByHeat = new Map(timing.upcoming.map(u => [u.heat_number, u.eta]));
+  return schedule.heats.slice(heatIdx + 1, heatIdx + 1 + ON_DECK_COUNT).map(h => ({
+    heat_number: h.heat_number,
+    eta: etaByHeat.get(h.heat_number) ?? null,
+    lanes: withDisplayInfo(section, h.lanes)
+  }));
+}
+
 /**
  * Get the current heat number for a section by finding the first
  * schedule heat without a result. Returns 0 if no schedule or no heats.
@@ -100,30 +121,133 @@ function getLastCompletedHeatNumber(sectionId, startNumber) {
 // ─── Module State ────────────────────────────────────────────────
 
 let _state = null;
-let _liveSection = null;  // { sectionId, schedule, stagingHeat }
-let _raceAbort = null;     // AbortController for current race loop
-let _rotationResolver = null; // Resolver for rotation decision prompt
+let _events = [];          // event log as of the last rebuild
+let _replay = null;        // last replayEvents() result, reused by the next rebuild
+let _snapshotAt = 0;       // events covered by the last stored snapshot
+
+// ─── Tracks ──────────────────────────────────────────────────────
+// Each physical track has its own controller connection and runs at most
+// one live section, so two sections can race at once on two tracks:
+//   { track_id, conn, live, abort, rotationResolver, suspectResolver, phase, phaseLog }
+// `live` is { sectionId, startNumber, schedule, stagingHeat } while a
+// section's race loop belongs to the track; `abort` cancels that loop.
+// Track A always exists; a second track is added from Rally Home.
+
+const TRACKS_KEY = 'rallylab_tracks';
+const SECOND_TRACK_ID = 'B';
+const _tracks = new Map();
+
+function loadTracks() {
+  let ids = [DEFAULT_TRACK_ID];
+  try {
+    const saved = JSON.parse(localStorage.getItem(TRACKS_KEY));
+    if (Array.isArray(saved)) ids = [...new Set([DEFAULT_TRACK_ID, ...saved])];
+  } catch {}
+  for (const id of ids) addTrackEntry(id);
+}
+
+function saveTracks() {
+  localStorage.setItem(TRACKS_KEY, JSON.stringify([..._tracks.keys()]));
+}
+
+function addTrackEntry(trackId) {
+  const conn = trackId === DEFAULT_TRACK_ID ? defaultTrack : createTrackConnection({ name: trackId });
+  const t = { track_id: trackId, conn, live: null, abort: null, rotationResolver: null, suspectResolver: null, phase: 'idle', phaseLog: [] };
+  _tracks.set(trackId, t);
+  return t;
+}
+
+/** A track by id, falling back to the default track. */
+function getTrack(trackId) {
+  return _tracks.get(trackId) || _tracks.get(DEFAULT_TRACK_ID);
+}
+
+/** The track whose race loop owns a section, or null if it isn't live. */
+function trackOfSection(sectionId) {
+  for (const t of _tracks.values()) {
+    if (t.live?.sectionId === sectionId) return t;
+  }
+  return null;
+}
+
+/** The track a section is live on, else the one its latest start ran on. */
+function sectionTrack(sectionId) {
+  const live = trackOfSection(sectionId);
+  if (live) return live;
+  const sec = _state?.race_day.sections[sectionId];
+  const start = sec ? (getActiveStart(sec) || getLatestStart(sec)) : null;
+  return getTrack(start?.track_id);
+}
+
+function liveTracks() {
+  return [..._tracks.values()].filter(t => t.live);
+}
+
+/** True while a track's live section has a start in progress. */
+function isRacing(t) {
+  const sec = t.live && _state?.race_day.sections[t.live.sectionId];
+  return !!(sec && getActiveStart(sec));
+}
+
+/** Cancel the race loop of the track running a section, if any. */
+function stopRaceLoop(sectionId) {
+  const t = trackOfSection(sectionId);
+  if (t?.abort) t.abort.abort();
+}
+
+/**
+ * Add the second track and connect to it (fake track, saved WiFi address,
+ * or manual fallback — the same order as Track A at startup).
+ */
+async function addTrack() {
+  if (_tracks.has(SECOND_TRACK_ID)) return getTrack(SECOND_TRACK_ID);
+  const t = addTrackEntry(SECOND_TRACK_ID);
+  saveTracks();
+  await t.conn.connect();
+  updateUserInfo();
+  return t;
+}
+
+/** Remove a non-default track that has no live section. */
+function removeTrack(trackId) {
+  const t = _tracks.get(trackId);
+  if (!t || trackId === DEFAULT_TRACK_ID) return false;
+  if (isRacing(t)) {
+    showToast(`Track ${trackId} is still racing — finish or pause its section first`, 'error');
+    return false;
+  }
+  if (t.conn.isUsingSerial()) t.conn.disconnectSerial();
+  if (t.conn.isUsingWifi()) t.conn.disconnectWifi();
+  if (t.conn.isUsingTimer()) t.conn.disconnectTimer();
+  _tracks.delete(trackId);
+  saveTracks();
+  clearTrackStatus(trackId);
+  updateUserInfo();
+  return true;
+}
 
 // ─── Track Phase ─────────────────────────────────────────────────
-// Tracks what the race loop is currently waiting on, so the operator
+// Tracks what each race loop is currently waiting on, so the operator
 // can see at a glance what the system expects to happen next.
 
 const TRACK_PHASE_LOG_MAX = 20;
-let _trackPhase = 'idle';      // current phase label
-let _trackPhaseLog = [];       // [{ phase, detail, time }] most recent last
-
-function setTrackPhase(phase, detail) {
-  _trackPhase = phase;
-  _trackPhaseLog.push({ phase, detail: detail || null, time: Date.now() });
-  if (_trackPhaseLog.length > TRACK_PHASE_LOG_MAX) {
-    _trackPhaseLog = _trackPhaseLog.slice(-TRACK_PHASE_LOG_MAX);
+
+function setTrackPhase(t, phase, detail) {
+  t.phase = phase;
+  t.phaseLog.push({ phase, detail: detail || null, time: Date.now() });
+  if (t.phaseLog.length > TRACK_PHASE_LOG_MAX) {
+    t.phaseLog = t.phaseLog.slice(-TRACK_PHASE_LOG_MAX);
   }
 }
 
 // Test bridge — exposes internal state for E2E assertions
 if (typeof window !== 'undefined') {
   Object.defineProperty(window, '__rallylab', {
-    get: () => ({ state: _state, liveSection: _liveSection })
+    get: () => ({
+      state: _state,
+      liveSection: liveTracks()[0]?.live || null,
+      liveSections: Object.fromEntries(liveTracks().map(t => [t.track_id, t.live]))
+    })
   });
 }
 
@@ -156,6 +280,7 @@ const screens = {
   'rally-list': renderRallyList,
   'rally-home': renderRallyHome,
   'check-in': renderCheckIn,
+  'schedule-preview': renderSchedulePreview,
   'live-console': renderLiveConsole,
   'section-complete': renderSectionComplete
 };
@@ -179,11 +304,12 @@ function renderScreen(screenName, params) {
     return;
   }
 
-  // The live-console is the only screen that publishes track status; if
-  // we're leaving it, drop the audience overlay so it doesn't linger over
+  // The live-console is the only screen that publishes track status, and
+  // only for its own track; drop every other overlay so none lingers over
   // the leaderboard or section-complete view.
-  if (screenName !== 'live-console') {
-    clearTrackStatus();
+  const screenTrack = params?.sectionId ? sectionTrack(params.sectionId) : getTrack(DEFAULT_TRACK_ID);
+  for (const trackId of _tracks.keys()) {
+    if (screenName !== 'live-console' || trackId !== screenTrack.track_id) clearTrackStatus(trackId);
   }
 
   updateBreadcrumbs(screenName, params);
@@ -194,52 +320,41 @@ function renderScreen(screenName, params) {
     sendWelcome(_state.rally_name);
     // Restore any race-day events from cloud (runs in background)
     tryRestore(_state.rally_id);
-  } else if (screenName === 'live-console' && _liveSection?.stagingHeat) {
-    const sec = _state.race_day.sections[_liveSection.sectionId];
-    const heat = _liveSection.stagingHeat;
-    const schedule = _liveSection.schedule;
+  } else if (screenName === 'live-console' && screenTrack.live?.stagingHeat) {
+    const live = screenTrack.live;
+    const sec = _state.race_day.sections[live.sectionId];
+    const heat = live.stagingHeat;
+    const schedule = live.schedule;
     const heatIdx = schedule.heats.findIndex(h => h.heat_number === heat.heat_number);
     const nextHeat = heatIdx >= 0 && heatIdx + 1 < schedule.heats.length ? schedule.heats[heatIdx + 1] : null;
-    sendStaging(sec.section_name, heat.heat_number, withGroupNames(sec, heat.lanes),
-      nextHeat ? { heat_number: nextHeat.heat_number, lanes: withGroupNames(sec, nextHeat.lanes) } : null);
+    const results = getStart(sec, live.startNumber)?.results || {};
+    sendStaging(sec.section_name, heat.heat_number, withDisplayInfo(sec, heat.lanes),
+      nextHeat ? { heat_number: nextHeat.heat_number, lanes: withDisplayInfo(sec, nextHeat.lanes) } : null,
+      onDeckHeats(sec, schedule, heatIdx, results), screenTrack.track_id);
   }
 
   const ctx = {
     state: _state,
-    liveSection: _liveSection,
-    getStartNumber: () => _liveSection?.startNumber || null,
+    ...trackContext(screenTrack),
+    getTrackIds: () => [..._tracks.keys()],
+    forTrack: (trackId) => trackContext(getTrack(trackId)),
+    addTrack,
+    removeTrack,
     navigate,
     appendEvent: appendAndRebuild,
-    startSection,
-    resumeSection,
     declareRerun,
     declareDnfRerun,
     endSectionEarly,
     removeCar,
+    revokeArrival,
+    reinstateCar,
+    getUndoableAction,
+    undoLastAction,
     changeLanes,
     correctLanes,
     showToast,
-    getSchedule: () => _liveSection?.schedule,
-    getStagingHeat: () => _liveSection?.stagingHeat || null,
-    isAwaitingRotationDecision: () => _liveSection?.awaitingRotationDecision || false,
     getAvailableLanes,
-    getTrackLaneCount,
-    isUsingFakeTrack,
-    triggerManualRace,
-    triggerManualGate,
-    connectWifi,
-    disconnectWifi,
-    isUsingWifi,
-    getSavedTrackIp,
-    getTrackMode,
-    getWifiError,
-    connectSerial,
-    disconnectSerial,
-    isUsingSerial,
     isSerialSupported,
-    sendSerialCommand,
-    startLearnMode,
-    subscribeTrackEvents,
     configureUSBBackup,
     reauthorizeUSBBackup,
     disableUSBBackup,
@@ -247,12 +362,31 @@ function renderScreen(screenName, params) {
     isUSBBackupSupported,
     addRotation,
     completeSection,
+    showBracketOnAudience,
+    createFinals,
+    reseedFinals,
     renderCurrentScreen,
-    getTrackPhase: () => _trackPhase,
-    getTrackPhaseLog: () => _trackPhaseLog,
-    pauseRaceLoop: () => { if (_raceAbort) _raceAbort.abort(); },
+    getAudienceRelay,
+    getAudienceRelayToken,
+    setAudienceRelay,
+    getAudienceRelayStatus,
+    onAudienceRelayStatus,
     openCloudRally,
-    isCloudAvailable: () => !isDemoMode() && !!getUser()
+    isCloudAvailable: () => !isDemoMode() && !!getUser(),
+    isCameraSupported,
+    listCameras,
+    startReplayCamera,
+    stopReplayCamera,
+    isReplayCameraRunning: _camera.isRunning,
+    getReplayCameraStream: _camera.getStream,
+    getReplayCameraDeviceId: () => _camera.getDeviceId() || loadReplayCameraSettings().device_id || null,
+    getReplayCameraTrackId: () => _cameraTrackId,
+    hasReplay,
+    getReplay,
+    getHeatChecks: loadHeatChecks,
+    setHeatChecks: saveHeatChecks,
+    showReplayOnAudience,
+    hideReplayOnAudience
   };
 
   const result = renderFn(container, params, ctx);
@@ -264,6 +398,52 @@ function renderScreen(screenName, params) {
   }
 }
 
+/**
+ * The parts of the screen context that belong to one track: its live
+ * section, race-loop controls and controller connection.
+ */
+function trackContext(t) {
+  const c = t.conn;
+  return {
+    trackId: t.track_id,
+    liveSection: t.live,
+    getStartNumber: () => t.live?.startNumber || null,
+    getSchedule: () => t.live?.schedule,
+    getStagingHeat: () => t.live?.stagingHeat || null,
+    isAwaitingRotationDecision: () => t.live?.awaitingRotationDecision || false,
+    getSuspectHeat: () => t.live?.suspectHeat || null,
+    resolveSuspectHeat: (decision) => { if (t.suspectResolver) t.suspectResolver(decision); },
+    startSection: (sectionId, carNumbers, options) => startSection(sectionId, carNumbers, { trackId: t.track_id, ...options }),
+    resumeSection: (sectionId, trackId = t.track_id) => resumeSection(sectionId, trackId),
+    getTrackLaneCount: () => c.getInfo().lane_count,
+    getTrackPhase: () => t.phase,
+    getTrackPhaseLog: () => t.phaseLog,
+    pauseRaceLoop: () => { if (t.abort) t.abort.abort(); },
+    isUsingFakeTrack: c.isUsingFakeTrack,
+    triggerManualRace: c.triggerManualRace,
+    triggerManualGate: c.triggerManualGate,
+    connectWifi: c.connectWifi,
+    disconnectWifi: c.disconnectWifi,
+    isUsingWifi: c.isUsingWifi,
+    getSavedTrackIp: c.getSavedTrackIp,
+    getTrackMode: c.getTrackMode,
+    getWifiError: c.getWifiError,
+    connectSerial: c.connectSerial,
+    disconnectSerial: c.disconnectSerial,
+    isUsingSerial: c.isUsingSerial,
+    sendSerialCommand: c.sendSerialCommand,
+    startLearnMode: c.startLearnMode,
+    connectTimer: c.connectTimer,
+    disconnectTimer: c.disconnectTimer,
+    isUsingTimer: c.isUsingTimer,
+    getTimerLabel: c.getTimerLabel,
+    getSavedTimer: c.getSavedTimer,
+    hasGateSensor: c.hasGateSensor,
+    subscribeTrackEvents: c.subscribeTrackEvents,
+    flashFirmwareInBand: c.flashFirmwareInBand
+  };
+}
+
 // ─── Back / Forward ──────────────────────────────────────────────
 
 window.addEventListener('popstate', () => {
@@ -286,11 +466,12 @@ function updateBreadcrumbs(screenName, params) {
     items.push({ label: 'Rallies', screen: 'rally-list' });
   }
 
-  if (['check-in', 'live-console', 'section-complete'].includes(screenName)) {
+  if (['check-in', 'schedule-preview', 'live-console', 'section-complete'].includes(screenName)) {
     items.push({ label: 'Rally', screen: 'rally-home' });
   }
 
   if (screenName === 'check-in') items.push({ label: 'Check-In', screen: null });
+  if (screenName === 'schedule-preview') items.push({ label: 'Schedule Preview', screen: null });
   if (screenName === 'live-console') items.push({ label: 'Live Console', screen: null });
   if (screenName === 'section-complete') items.push({ label: 'Complete', screen: null });
 
@@ -323,28 +504,50 @@ function updateLiveBar(screenName, params) {
   const btn = document.getElementById('live-bar-btn');
   const text = document.getElementById('live-bar-text');
 
-  if (!_liveSection || screenName === 'live-console') {
-    bar.classList.add('hidden');
-    return;
-  }
+  // On a live console, only other tracks' sections need the bar
+  const showing = screenName === 'live-console' ? params?.sectionId : null;
+  const entries = liveTracks()
+    .filter(t => t.live.sectionId !== showing)
+    .map(t => ({ t, label: liveBarLabel(t) }))
+    .filter(e => e.label);
 
-  const sec = _state?.race_day.sections[_liveSection.sectionId];
-  if (!sec) {
+  if (entries.length === 0) {
     bar.classList.add('hidden');
     return;
   }
+
+  const multiTrack = _tracks.size > 1;
+  text.textContent = entries
+    .map(e => multiTrack ? `Track ${e.t.track_id}: ${e.label}` : e.label)
+    .join('  |  ');
+  bar.classList.remove('hidden');
+  btn.onclick = () => navigate('live-console', { sectionId: entries[0].t.live.sectionId });
+}
+
+/** "Section — progress" for a track's live section, or null once it has finished. */
+function liveBarLabel(t) {
+  const sec = _state?.race_day.sections[t.live.sectionId];
+  if (!sec) return null;
   const activeStart = getActiveStart(sec);
-  if (!activeStart) {
-    bar.classList.add('hidden');
-    return;
-  }
+  if (!activeStart) return null;
 
   const startLabel = sec.next_start_number > 2
     ? `${sec.section_name} (Rally ${activeStart.start_number})`
     : sec.section_name;
-  text.textContent = `${startLabel} — Race in progress`;
-  bar.classList.remove('hidden');
-  btn.onclick = () => navigate('live-console', { sectionId: _liveSection.sectionId });
+  let progress = 'Race in progress';
+  const schedule = t.live.schedule;
+  if (schedule && t.live.startNumber === activeStart.start_number) {
+    const results = activeStart.results || {};
+    const done = schedule.heats.filter(h => results[h.heat_number]).length;
+    const { finish_at } = estimateHeatTimes(schedule, results, Date.now());
+    progress += ` · ${done} of ${schedule.heats.length} heats`;
+    if (finish_at != null) progress += ` · Est. finish ${formatClock(finish_at)}`;
+  }
+  return `${startLabel} — ${progress}`;
+}
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
 }
 
 // ─── Toast System ────────────────────────────────────────────────
@@ -379,13 +582,57 @@ export async function appendAndRebuild(payload) {
 
 export async function rebuildFromStore() {
   const events = await getAllEvents();
-  _state = rebuildState(events);
+  const prior = _replay || await loadSnapshot(events);
+  _replay = replayEvents(prior, events);
+  // A fallback to full replay means the stored snapshot no longer matches the log
+  if (prior && _replay.reused === 0) _snapshotAt = 0;
+  _events = events;
+  _state = _replay.state;
+  saveSnapshotPeriodically();
+  warnOnBrokenChain();
+  // Parent results pages on the relay replay the log in the same order
+  const byId = new Map(events.map(e => [e.id, e]));
+  publishEventLog(_replay.keys.map(id => byId.get(id)));
+  refreshCarPhotos();
+}
+
+/**
+ * Load thumbnails for car photos taken since the last rebuild (by a
+ * registrar tab, or on another device and downloaded from the cloud).
+ */
+async function refreshCarPhotos() {
+  try {
+    const user = !isDemoMode() && getUser();
+    const client = user && _state?.rally_id ? await getClient() : null;
+    if (await loadCarPhotos(_state, client)) renderCurrentScreen();
+  } catch (e) {
+    console.warn('Car photo load failed:', e.message);
+  }
+}
+
+// Toast once per newly found problem; Rally Home keeps a badge up meanwhile
+let _integrityProblemsSeen = 0;
+
+function warnOnBrokenChain() {
+  const problems = _state.integrity?.problems.length || 0;
+  if (problems > _integrityProblemsSeen) {
+    showToast(`Event log integrity check failed (${problems} problem${problems !== 1 ? 's' : ''}) — see Event Inspector`, 'error');
+  }
+  _integrityProblemsSeen = problems;
 }
 
 export async function clearAndRebuild() {
   await clearStore();
+  _events = [];
+  _replay = null;
+  _snapshotAt = 0;
+  _replayKeys.clear();
   _state = rebuildState([]);
-  _liveSection = null;
+  publishEventLog([]);
+  for (const t of _tracks.values()) {
+    if (t.abort) t.abort.abort();
+    t.live = null;
+  }
 }
 
 /**
@@ -403,153 +650,57 @@ export async function openCloudRally(rallyId) {
   navigate('rally-home', {});
 }
 
+// ─── State Snapshots ─────────────────────────────────────────────
+// Each rebuild only reduces events appended since the last one (see
+// replayEvents). A snapshot is also stored every SNAPSHOT_INTERVAL events so
+// a page load on a large rally starts from there instead of from scratch.
+
+const SNAPSHOT_KEY = 'race-day';
+const SNAPSHOT_INTERVAL = 200;
+
+async function loadSnapshot(events) {
+  try {
+    const snapshot = await getSnapshot(SNAPSHOT_KEY);
+    if (!snapshot) return null;
+    // The snapshot skips re-hashing old events, so check the whole stored log
+    // once per load — an edited row must never hide behind a cached state
+    if (verifyChains(events).status === 'broken') return null;
+    // ...nor may an edited snapshot: its state must still be the one sealed
+    // against these events' chain heads
+    if (!isSnapshotIntact(snapshot, events)) {
+      console.warn('Stored snapshot does not match the event log; replaying from scratch');
+      return null;
+    }
+    _snapshotAt = snapshot.keys.length;
+    return snapshot;
+  } catch (e) {
+    console.warn('Snapshot load failed:', e);
+    return null;
+  }
+}
+
+function saveSnapshotPeriodically() {
+  if (_replay.keys.length - _snapshotAt < SNAPSHOT_INTERVAL) return;
+  _snapshotAt = _replay.keys.length;
+  putSnapshot(SNAPSHOT_KEY, sealSnapshot(_replay)).catch(e => console.warn('Snapshot write failed:', e));
+}
+
 // ─── Schedule Reconstruction ────────────────────────────────────
 
 /**
- * Reconstruct the schedule for a started section by replaying events.
- * The scheduler is fully deterministic, so replaying the same sequence
- * of generate/regenerate calls produces the identical schedule.
- * Derives availableLanes from SectionStarted + LanesChanged events.
+ * Reconstruct the schedule for a started section by replaying the log as
+ * of the last rebuild (every append and inbound event rebuilds first).
  */
 async function reconstructSchedule(sectionId, startNumber) {
-  const events = await getAllEvents();
-  // Filter to section events that belong to this start (or have no start_number for compat)
-  const sectionEvents = events.filter(e => {
-    if (e.section_id !== sectionId) return false;
-    // CarArrived is section-level, always include
-    if (e.type === 'CarArrived') return true;
-    // Events with a start_number must match; events without one are legacy (start 1)
-    if (e.start_number != null) return e.start_number === startNumber;
-    // Legacy events without start_number — include only for start 1
-    return startNumber === 1 || startNumber == null;
-  });
-
-  const arrived = new Set();
-  const removed = new Set();
-  let schedule = null;
-  let started = false;
-  let currentHeat = 0;
-  let availableLanes = null;
-  const completedCarNumbers = new Set();
-  let completedResultCount = 0;
-  const accumulatedResults = {}; // heat_number → result, for deterministic reconstruction
-
-  // We also need participant data — pull from state
   const sec = _state.race_day.sections[sectionId];
   if (!sec) throw new Error('Section not found');
-
-  for (const evt of sectionEvents) {
-    if (evt.type === 'CarArrived') {
-      arrived.add(evt.car_number);
-      if (started && schedule) {
-        const allParticipants = sec.participants
-          .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
-        schedule = regenerateAfterLateArrival(schedule, allParticipants, currentHeat, availableLanes);
-
-        // Generate catch-up heats, inserted immediately after currentHeat
-        const allCatchUpHeats = [];
-        for (const p of allParticipants) {
-          if (!completedCarNumbers.has(p.car_number) && completedResultCount > 0) {
-            const catchUpHeats = generateCatchUpHeats(
-              p, completedResultCount, availableLanes, 0
-            );
-            allCatchUpHeats.push(...catchUpHeats);
-          }
-        }
-
-        if (allCatchUpHeats.length > 0) {
-          const completed = schedule.heats.filter(h => h.heat_number <= currentHeat);
-          const remaining = schedule.heats.filter(h => h.heat_number > currentHeat);
-          let nextNum = currentHeat + 1;
-          for (const h of allCatchUpHeats) { h.heat_number = nextNum++; }
-          for (const h of remaining) { h.heat_number = nextNum++; }
-          schedule.heats = [...completed, ...allCatchUpHeats, ...remaining];
-          schedule.metadata.total_heats = schedule.heats.length;
-        }
-      }
-    } else if (evt.type === 'CarRemoved') {
-      removed.add(evt.car_number);
-      if (started && schedule) {
-        const remaining = sec.participants
-          .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
-        if (remaining.length >= 2) {
-          schedule = regenerateAfterRemoval(schedule, remaining, currentHeat, availableLanes);
-        }
-      }
-    } else if (evt.type === 'SectionStarted') {
-      started = true;
-      availableLanes = evt.available_lanes || getAvailableLanes(sectionId, startNumber);
-      const participants = sec.participants
-        .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
-      schedule = generateSchedule({ participants, available_lanes: availableLanes });
-    } else if (evt.type === 'LanesChanged') {
-      availableLanes = evt.available_lanes;
-      if (started && schedule) {
-        const participants = sec.participants
-          .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
-        if (participants.length >= 2) {
-          schedule = generateSchedule({ participants, available_lanes: availableLanes });
-          // Renumber after completed heats
-          const renumbered = schedule.heats.map((heat, i) => ({
-            ...heat, heat_number: currentHeat + i + 1
-          }));
-          const completedHeats = schedule.heats.length > 0 ? [] : [];
-          schedule = { ...schedule, heats: renumbered, metadata: { ...schedule.metadata, total_heats: renumbered.length } };
-        }
-      }
-    } else if (evt.type === 'RaceCompleted' || evt.type === 'ResultManuallyEntered') {
-      currentHeat = evt.heat_number;
-      completedResultCount++;
-      // Track result for deterministic reconstruction of rotation schedules
-      accumulatedResults[evt.heat_number] = {
-        type: evt.type,
-        heat_number: evt.heat_number,
-        heat: evt.heat_number,
-        lanes: evt.lanes || [],
-        times_ms: evt.times_ms,
-        rankings: evt.rankings,
-        timestamp: evt.timestamp
-      };
-      // Update completedCarNumbers from the result's lanes
-      const lanes = evt.lanes || [];
-      for (const lane of lanes) {
-        completedCarNumbers.add(lane.car_number);
-      }
-    } else if (evt.type === 'RotationAdded') {
-      // Regenerate a speed-matched rotation using only results known at this point
-      if (started && schedule) {
-        const participants = sec.participants
-          .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
-        const results = Object.values(accumulatedResults);
-        const newSchedule = generateSchedule({
-          participants,
-          available_lanes: availableLanes,
-          results
-        });
-        const lastHeatNum = schedule.heats.length > 0
-          ? Math.max(...schedule.heats.map(h => h.heat_number))
-          : 0;
-        const renumberedHeats = newSchedule.heats.map((heat, i) => ({
-          ...heat,
-          heat_number: lastHeatNum + i + 1
-        }));
-        schedule.heats.push(...renumberedHeats);
-        schedule.metadata.total_heats = schedule.heats.length;
-      }
-    }
-  }
-
-  return schedule;
+  return replaySchedule(_events, sec, startNumber, getAvailableLanes(sectionId, startNumber));
 }
 
 // ─── Section Start + Race Loop ───────────────────────────────────
 
-async function startSection(sectionId, availableLanes) {
-  if (_raceAbort) _raceAbort.abort();
-
-  if (!isConnected()) {
-    await trackConnect();
-  }
+async function startSection(sectionId, availableLanes, { trackId = DEFAULT_TRACK_ID, scoringMethod, format, laneBiasCorrection, scoringRules, scheduleOptions } = {}) {
+  const t = await claimTrack(getTrack(trackId), sectionId);
 
   const sec = _state.race_day.sections[sectionId];
   const startNumber = sec.next_start_number;
@@ -574,15 +725,28 @@ async function startSection(sectionId, availableLanes) {
     type: 'SectionStarted',
     section_id: sectionId,
     start_number: startNumber,
+    track_id: t.track_id,
     available_lanes: availableLanes,
+    ...(scoringMethod ? { scoring_method: scoringMethod } : {}),
+    ...(isBracketFormat(format) ? { format } : {}),
+    ...(laneBiasCorrection ? { lane_bias_correction: true } : {}),
+    ...(scoringRules ? { scoring_rules: scoringRules } : {}),
+    ...(scheduleOptions ? { schedule_options: scheduleOptions } : {}),
     timestamp: Date.now()
   });
 
-  // Generate schedule
-  const schedule = generateSchedule({ participants, available_lanes: availableLanes });
+  // Generate schedule — brackets start with round 1 only
+  let schedule;
+  const bracket = getStart(_state.race_day.sections[sectionId], startNumber)?.bracket;
+  if (bracket) {
+    schedule = bracketSchedule([], format, availableLanes);
+    appendBracketRound(schedule, bracket, sec.participants, availableLanes);
+  } else {
+    schedule = generateSchedule({ participants, available_lanes: availableLanes, options: scheduleOptions || {} });
+  }
 
-  _liveSection = { sectionId, startNumber, schedule };
-  setTrackPhase('idle', 'Section started');
+  t.live = { sectionId, startNumber, schedule };
+  setTrackPhase(t, 'idle', 'Section started');
 
   // Ensure background sync is running (may already be started at init)
   beginSync();
@@ -591,17 +755,32 @@ async function startSection(sectionId, availableLanes) {
   navigate('live-console', { sectionId });
 
   // Start race loop
-  runRaceLoop(sectionId);
+  runRaceLoop(t);
 }
 
-// ─── Resume Section ─────────────────────────────────────────────
+/**
+ * Make a track ready to run a section: stop whatever its race loop was
+ * doing, release the section from any other track, and connect.
+ */
+async function claimTrack(t, sectionId) {
+  if (t.abort) t.abort.abort();
+  const previous = trackOfSection(sectionId);
+  if (previous && previous !== t) {
+    if (previous.abort) previous.abort.abort();
+    previous.live = null;
+    setTrackPhase(previous, 'idle', 'Section moved to another track');
+    clearTrackStatus(previous.track_id);
+  }
+  if (!t.conn.isConnected()) {
+    await t.conn.connect();
+  }
+  return t;
+}
 
-async function resumeSection(sectionId) {
-  if (_raceAbort) _raceAbort.abort();
+// ─── Resume Section ─────────────────────────────────────────────
 
-  if (!isConnected()) {
-    await trackConnect();
-  }
+async function resumeSection(sectionId, trackId = DEFAULT_TRACK_ID) {
+  const t = await claimTrack(getTrack(trackId), sectionId);
 
   const sec = _state.race_day.sections[sectionId];
   const active = getActiveStart(sec);
@@ -614,27 +793,30 @@ async function resumeSection(sectionId) {
     return;
   }
 
-  _liveSection = { sectionId, startNumber, schedule, stagingHeat: null };
-  setTrackPhase('idle', 'Resuming');
+  t.live = { sectionId, startNumber, schedule, stagingHeat: null };
+  setTrackPhase(t, 'idle', 'Resuming');
 
   // Re-render so the resume button is replaced with heat controls
   renderCurrentScreen();
 
-  runRaceLoop(sectionId);
+  runRaceLoop(t);
 }
 
 /**
- * Race loop: stage → wait for race → record results → wait for gate → repeat.
+ * Race loop for one track's live section:
+ * stage → wait for race → record results → wait for gate → repeat.
  * With fake track: gate release and reset clicks drive the pacing.
  * Without fake track: operator clicks "Run Heat" / "Next Heat" buttons.
  */
-async function runRaceLoop(sectionId) {
-  _raceAbort = new AbortController();
-  const signal = _raceAbort.signal;
+async function runRaceLoop(t) {
+  t.abort = new AbortController();
+  const signal = t.abort.signal;
+  const sectionId = t.live.sectionId;
+  const trackId = t.track_id;
 
   try {
-    const schedule = _liveSection.schedule;
-    const startNumber = _liveSection.startNumber;
+    const schedule = t.live.schedule;
+    const startNumber = t.live.startNumber;
     const sec = () => _state.race_day.sections[sectionId];
     const startResults = () => {
       const start = getStart(sec(), startNumber);
@@ -658,92 +840,147 @@ async function runRaceLoop(sectionId) {
       const heat = schedule.heats[heatIdx];
 
       // Set transient staging state (not persisted)
-      _liveSection.stagingHeat = heat;
-      setTrackPhase('staging', `Heat ${heat.heat_number}`);
+      t.live.stagingHeat = heat;
+      setTrackPhase(t, 'staging', `Heat ${heat.heat_number}`);
 
       // Render staging + broadcast
       renderCurrentScreen();
       const nextHeat = heatIdx + 1 < schedule.heats.length ? schedule.heats[heatIdx + 1] : null;
-      sendStaging(sec().section_name, heat.heat_number, withGroupNames(sec(), heat.lanes),
-        nextHeat ? { heat_number: nextHeat.heat_number, lanes: withGroupNames(sec(), nextHeat.lanes) } : null);
+      sendStaging(sec().section_name, heat.heat_number, withDisplayInfo(sec(), heat.lanes),
+        nextHeat ? { heat_number: nextHeat.heat_number, lanes: withDisplayInfo(sec(), nextHeat.lanes) } : null,
+        onDeckHeats(sec(), schedule, heatIdx, startResults()), trackId);
 
       // Wait for race (fake track: blocks on gate click; manual: blocks on button)
-      setTrackPhase('waiting-for-race', `Heat ${heat.heat_number}`);
+      setTrackPhase(t, 'waiting-for-race', `Heat ${heat.heat_number}`);
       renderCurrentScreen();
-      const times_ms = await waitForRace(heat.lanes, signal);
+      const stopTimeline = recordTimeline(t);
+      let times_ms, timeline;
+      try {
+        times_ms = await t.conn.waitForRace(heat.lanes, signal);
+      } finally {
+        timeline = stopTimeline();
+      }
 
       // All-DNF guard: if the gate opens without any cars (or before they're
       // loaded), every lane times out. Don't record the heat — wait for the
       // gate to be reset and re-stage the same heat.
-      const hasAnyTime = times_ms && Object.values(times_ms).some(t => t != null);
+      const hasAnyTime = times_ms && Object.values(times_ms).some(ms => ms != null);
       if (!hasAnyTime) {
         showToast('All lanes DNF — heat ignored. Reset the gate to re-run.', 'warning');
-        setTrackPhase('waiting-for-gate', `Heat ${heat.heat_number} (no times)`);
+        setTrackPhase(t, 'waiting-for-gate', `Heat ${heat.heat_number} (no times)`);
         renderCurrentScreen();
-        await waitForGate(signal);
+        await t.conn.waitForGate(signal);
         continue;
       }
 
+      // Grab the finish on camera now, before any plausibility hold, so a
+      // flagged heat's replay shows its finish (not awaited)
+      const captured = captureReplay(t, sectionId, startNumber, heat.heat_number);
+
+      // Plausibility: a suspect heat waits for the operator's call. The
+      // manual fallback's times are made up, so there's nothing to check.
+      const flags = t.conn.getTrackMode() === 'manual' ? [] : checkHeat({
+        lanes: heat.lanes,
+        times_ms,
+        history: carTimeHistory(getStart(sec(), startNumber)),
+        timeline
+      }, loadHeatChecks());
+      let suspect = null;
+      let recordedTimes = times_ms;
+      if (flags.length > 0) {
+        const decision = await waitForSuspectDecision(t, heat, times_ms, flags, signal);
+        if (decision === 'rerun') {
+          // The re-run will replace the heat's replay; keep the flagged run's
+          // clip under its own tag
+          captured.then(media => media && storeReplay(media, sectionId, startNumber, heat.heat_number, 'flagged'));
+          showToast(`Heat ${heat.heat_number} will be re-run. Reset the gate.`, 'info');
+          setTrackPhase(t, 'waiting-for-gate', `Heat ${heat.heat_number} (re-run)`);
+          renderCurrentScreen();
+          await t.conn.waitForGate(signal);
+          continue;
+        }
+        if (decision === 'dnf') {
+          recordedTimes = { ...times_ms };
+          for (const f of flags) recordedTimes[String(f.lane)] = null;
+        }
+        suspect = { flags, resolution: decision === 'dnf' ? 'dnf' : 'accepted' };
+      }
+
       // Emit RaceCompleted with lane assignments
       await appendAndRebuild({
         type: 'RaceCompleted',
         section_id: sectionId,
-        start_number: _liveSection.startNumber,
+        start_number: t.live.startNumber,
+        track_id: trackId,
         heat_number: heat.heat_number,
         lanes: heat.lanes,
-        times_ms,
+        times_ms: recordedTimes,
+        ...(timeline ? { timeline } : {}),
+        ...(suspect ? { suspect } : {}),
         timestamp: Date.now()
       });
 
       // Clear staging state after result is recorded
-      _liveSection.stagingHeat = null;
-      setTrackPhase('result', `Heat ${heat.heat_number}`);
+      t.live.stagingHeat = null;
+      setTrackPhase(t, 'result', `Heat ${heat.heat_number}`);
 
       // Render results + broadcast
       renderCurrentScreen();
 
-      const resultData = buildResultsForBroadcast(sec(), heat, _liveSection.startNumber);
-      sendResults(sec().section_name, heat.heat_number, withGroupNames(sec(), resultData));
+      const resultData = buildResultsForBroadcast(sec(), heat, t.live.startNumber);
+      sendResults(sec().section_name, heat.heat_number, withDisplayInfo(sec(), resultData), trackId);
 
       heatIdx++;
 
       // If more heats, wait for gate (fake track: blocks on reset; manual: blocks on button)
       if (heatIdx < schedule.heats.length) {
-        setTrackPhase('waiting-for-gate', `Heat ${heat.heat_number}`);
+        setTrackPhase(t, 'waiting-for-gate', `Heat ${heat.heat_number}`);
         renderCurrentScreen();
-        await waitForGate(signal);
+        await t.conn.waitForGate(signal);
       }
     }
 
-    // All heats done — ask operator: complete or add rotation?
-    setTrackPhase('rotation-decision', 'All heats complete');
-    _liveSection.awaitingRotationDecision = true;
-    renderCurrentScreen();
+    if (getStart(sec(), startNumber)?.bracket) {
+      // Bracket round done — advance automatically until a champion is decided
+      const round = getStart(sec(), startNumber).bracket.round;
+      if (await advanceBracket(sectionId)) {
+        setTrackPhase(t, 'waiting-for-gate', `Round ${round} complete`);
+        renderCurrentScreen();
+        await t.conn.waitForGate(signal);
+        return runRaceLoop(t);
+      }
+    } else {
+      // All heats done — ask operator: complete or add rotation?
+      setTrackPhase(t, 'rotation-decision', 'All heats complete');
+      t.live.awaitingRotationDecision = true;
+      renderCurrentScreen();
 
-    const decision = await waitForRotationDecision(signal);
-    _liveSection.awaitingRotationDecision = false;
+      const decision = await waitForRotationDecision(t, signal);
+      t.live.awaitingRotationDecision = false;
 
-    if (decision === 'add-rotation') {
-      // Add rotation was handled by addRotation() which updated the schedule
-      // Continue the race loop with the new heats
-      return runRaceLoop(sectionId);
+      if (decision === 'add-rotation') {
+        // Add rotation was handled by addRotation() which updated the schedule
+        // Continue the race loop with the new heats
+        return runRaceLoop(t);
+      }
     }
 
     // Complete the section
-    setTrackPhase('idle', 'Section completed');
+    setTrackPhase(t, 'idle', 'Section completed');
+    const finishedStart = t.live.startNumber;
     await appendAndRebuild({
       type: 'SectionCompleted',
       section_id: sectionId,
-      start_number: _liveSection.startNumber,
+      start_number: finishedStart,
       timestamp: Date.now()
     });
 
     // Operator controls the audience reveal from the section-complete screen
-    navigate('section-complete', { sectionId, startNumber: _liveSection.startNumber });
+    navigate('section-complete', { sectionId, startNumber: finishedStart });
   } catch (err) {
     if (err.name === 'AbortError') {
       // Race loop cancelled (rerun, manual intervention)
-      setTrackPhase('idle', 'Race loop cancelled');
+      setTrackPhase(t, 'idle', 'Race loop cancelled');
       return;
     }
     console.error('Race loop error:', err);
@@ -751,20 +988,65 @@ async function runRaceLoop(sectionId) {
   }
 }
 
+// ─── Suspect Heat Decision ──────────────────────────────────────
+
+/**
+ * Hold a flagged heat until the operator picks 'accept', 'rerun' or 'dnf'
+ * on the live console (see heat-plausibility.js).
+ */
+async function waitForSuspectDecision(t, heat, times_ms, flags, signal) {
+  t.live.suspectHeat = { heat_number: heat.heat_number, lanes: heat.lanes, times_ms, flags };
+  setTrackPhase(t, 'suspect-heat', `Heat ${heat.heat_number}`);
+  renderCurrentScreen();
+  try {
+    return await new Promise((resolve, reject) => {
+      if (signal.aborted) { reject(new DOMException('Aborted', 'AbortError')); return; }
+      const onAbort = () => { t.suspectResolver = null; reject(new DOMException('Aborted', 'AbortError')); };
+      signal.addEventListener('abort', onAbort, { once: true });
+      t.suspectResolver = (decision) => {
+        signal.removeEventListener('abort', onAbort);
+        t.suspectResolver = null;
+        resolve(decision);
+      };
+    });
+  } finally {
+    if (t.live) t.live.suspectHeat = null;
+  }
+}
+
+// ─── Heat Checks ────────────────────────────────────────────────
+// Plausibility settings for suspect-heat detection, kept per device.
+
+const HEAT_CHECKS_KEY = 'rallylab_heat_checks';
+
+function loadHeatChecks() {
+  try {
+    return normalizeHeatChecks(JSON.parse(localStorage.getItem(HEAT_CHECKS_KEY)));
+  } catch {
+    return normalizeHeatChecks(null);
+  }
+}
+
+function saveHeatChecks(rules) {
+  const normalized = normalizeHeatChecks(rules);
+  localStorage.setItem(HEAT_CHECKS_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
 // ─── Rotation Decision ────────────────────────────────────────
 
 /**
  * Wait for the operator to decide: complete section or add another rotation.
  * Returns 'complete' or 'add-rotation'.
  */
-function waitForRotationDecision(signal) {
+function waitForRotationDecision(t, signal) {
   return new Promise((resolve, reject) => {
     if (signal.aborted) { reject(new DOMException('Aborted', 'AbortError')); return; }
-    const onAbort = () => { _rotationResolver = null; reject(new DOMException('Aborted', 'AbortError')); };
+    const onAbort = () => { t.rotationResolver = null; reject(new DOMException('Aborted', 'AbortError')); };
     signal.addEventListener('abort', onAbort, { once: true });
-    _rotationResolver = (decision) => {
+    t.rotationResolver = (decision) => {
       signal.removeEventListener('abort', onAbort);
-      _rotationResolver = null;
+      t.rotationResolver = null;
       resolve(decision);
     };
   });
@@ -775,8 +1057,10 @@ function waitForRotationDecision(signal) {
  * Called from the UI when operator clicks "Add Rotation".
  */
 async function addRotation(sectionId) {
+  const t = trackOfSection(sectionId);
+  if (!t) return;
   const sec = _state.race_day.sections[sectionId];
-  const startNumber = _liveSection?.startNumber;
+  const startNumber = t.live.startNumber;
   const start = getStart(sec, startNumber) || getActiveStart(sec);
   const availableLanes = getAvailableLanes(sectionId, startNumber);
   const arrivedSet = new Set(sec.arrived);
@@ -791,6 +1075,7 @@ async function addRotation(sectionId) {
   }));
 
   // Generate new speed-matched schedule
+  // A rotation is always one pass, whatever the start's pass count
   const newSchedule = generateSchedule({
     participants,
     available_lanes: availableLanes,
@@ -798,8 +1083,8 @@ async function addRotation(sectionId) {
   });
 
   // Renumber new heats to continue after existing schedule
-  const lastHeatNum = _liveSection.schedule.heats.length > 0
-    ? Math.max(..._liveSection.schedule.heats.map(h => h.heat_number))
+  const lastHeatNum = t.live.schedule.heats.length > 0
+    ? Math.max(...t.live.schedule.heats.map(h => h.heat_number))
     : 0;
 
   const renumberedHeats = newSchedule.heats.map((heat, i) => ({
@@ -808,8 +1093,8 @@ async function addRotation(sectionId) {
   }));
 
   // Append to current schedule
-  _liveSection.schedule.heats.push(...renumberedHeats);
-  _liveSection.schedule.metadata.total_heats = _liveSection.schedule.heats.length;
+  t.live.schedule.heats.push(...renumberedHeats);
+  t.live.schedule.metadata.total_heats = t.live.schedule.heats.length;
 
   // Emit RotationAdded event for reconstruction
   await appendAndRebuild({
@@ -820,20 +1105,132 @@ async function addRotation(sectionId) {
   });
 
   // Resolve the rotation decision
-  if (_rotationResolver) {
-    _rotationResolver('add-rotation');
+  if (t.rotationResolver) {
+    t.rotationResolver('add-rotation');
   }
 }
 
 /**
  * Complete the section after all heats. Resolves the rotation decision prompt.
  */
-function completeSection() {
-  if (_rotationResolver) {
-    _rotationResolver('complete');
+function completeSection(sectionId) {
+  const t = trackOfSection(sectionId);
+  if (t?.rotationResolver) {
+    t.rotationResolver('complete');
   }
 }
 
+// ─── Elimination Brackets ───────────────────────────────────────
+
+/**
+ * Close out the current bracket round: record who advanced, then schedule
+ * the next round. Pushes the updated bracket to the audience display.
+ * @returns {Promise<boolean>} True when another round was scheduled
+ */
+async function advanceBracket(sectionId) {
+  const live = trackOfSection(sectionId).live;
+  const startNumber = live.startNumber;
+  const start = getStart(_state.race_day.sections[sectionId], startNumber);
+  const outcome = resolveRound({
+    bracket: start.bracket,
+    heats: live.schedule.heats.filter(h => h.round === start.bracket.round),
+    results: start.results,
+    lane_corrections: start.lane_corrections,
+    removed: start.removed
+  });
+
+  await appendAndRebuild({
+    type: 'BracketRoundCompleted',
+    section_id: sectionId,
+    start_number: startNumber,
+    ...outcome,
+    timestamp: Date.now()
+  });
+
+  const sec = _state.race_day.sections[sectionId];
+  const bracket = getStart(sec, startNumber).bracket;
+  const added = appendBracketRound(live.schedule, bracket, sec.participants,
+    getAvailableLanes(sectionId, startNumber));
+  showBracketOnAudience(sectionId);
+  return added > 0;
+}
+
+/**
+ * Send the live bracket to the audience display.
+ */
+function showBracketOnAudience(sectionId) {
+  const sec = _state.race_day.sections[sectionId];
+  const t = sectionTrack(sectionId);
+  const live = t.live?.sectionId === sectionId ? t.live : null;
+  const start = getStart(sec, live?.startNumber) || getActiveStart(sec) || getLatestStart(sec);
+  if (!start?.bracket || !live?.schedule) return;
+  sendBracket(sec.section_name, buildBracketView(start.bracket, live.schedule.heats, start.results), t.track_id);
+}
+
+// ─── Grand Champion Finals ──────────────────────────────────────
+
+/**
+ * Create a finals section and seed it from the source sections' standings.
+ * Refuses (with a toast) when finalists share a car number.
+ * @returns {Promise<string|null>} The new section_id, or null if not created
+ */
+async function createFinals({ sectionName, sourceSectionIds, topN }) {
+  const { participants, conflicts } = seedFinals(_state.race_day.sections, sourceSectionIds, topN);
+  if (!checkFinalists(participants, conflicts)) return null;
+
+  const sectionId = crypto.randomUUID();
+  await appendAndRebuild({
+    type: 'SectionCreated',
+    section_id: sectionId,
+    section_name: sectionName,
+    section_type: 'finals',
+    source_section_ids: sourceSectionIds,
+    top_n: topN,
+    timestamp: Date.now()
+  });
+  await appendAndRebuild({
+    type: 'FinalsSeeded',
+    section_id: sectionId,
+    participants,
+    timestamp: Date.now()
+  });
+  return sectionId;
+}
+
+/**
+ * Re-seed a finals section from current standings (e.g. after a result
+ * correction in a source section). Only meaningful before the finals start.
+ * @returns {Promise<boolean>} True when the finals were re-seeded
+ */
+async function reseedFinals(sectionId) {
+  const sec = _state.race_day.sections[sectionId];
+  if (!sec?.finals) return false;
+  const { participants, conflicts } = seedFinals(
+    _state.race_day.sections, sec.finals.source_section_ids, sec.finals.top_n
+  );
+  if (!checkFinalists(participants, conflicts)) return false;
+
+  await appendAndRebuild({
+    type: 'FinalsSeeded',
+    section_id: sectionId,
+    participants,
+    timestamp: Date.now()
+  });
+  return true;
+}
+
+function checkFinalists(participants, conflicts) {
+  if (conflicts.length > 0) {
+    showToast(`Finalists share car number${conflicts.length > 1 ? 's' : ''} ${conflicts.map(c => '#' + c).join(', ')} — finals need unique car numbers`, 'error');
+    return false;
+  }
+  if (participants.length < 2) {
+    showToast('At least 2 finalists required', 'error');
+    return false;
+  }
+  return true;
+}
+
 function buildResultsForBroadcast(section, heat, startNumber) {
   const start = getStart(section, startNumber) || getActiveStart(section) || getLatestStart(section);
   if (!start) return [];
@@ -864,12 +1261,13 @@ function buildResultsForBroadcast(section, heat, startNumber) {
 // ─── Re-Run ──────────────────────────────────────────────────────
 
 async function declareRerun(sectionId, heatNumber) {
-  if (_raceAbort) _raceAbort.abort();
+  const t = trackOfSection(sectionId);
+  if (t?.abort) t.abort.abort();
 
   await appendAndRebuild({
     type: 'RerunDeclared',
     section_id: sectionId,
-    start_number: _liveSection?.startNumber,
+    start_number: t?.live.startNumber,
     heat_number: heatNumber,
     timestamp: Date.now()
   });
@@ -877,16 +1275,18 @@ async function declareRerun(sectionId, heatNumber) {
   renderCurrentScreen();
 
   // Restart race loop from the rerun heat
-  runRaceLoop(sectionId);
+  if (t) runRaceLoop(t);
 }
 
 // ─── DNF Re-Run ─────────────────────────────────────────────────
 
 async function declareDnfRerun(sectionId, heatNumber) {
-  if (_raceAbort) _raceAbort.abort();
+  const t = trackOfSection(sectionId);
+  if (!t) return;
+  if (t.abort) t.abort.abort();
 
   const sec = _state.race_day.sections[sectionId];
-  const start = getStart(sec, _liveSection.startNumber) || getActiveStart(sec);
+  const start = getStart(sec, t.live.startNumber) || getActiveStart(sec);
   if (!start) return;
 
   const result = start.results[heatNumber];
@@ -896,41 +1296,52 @@ async function declareDnfRerun(sectionId, heatNumber) {
   if (dnfLanes.length === 0) return;
 
   // Stage re-run with only DNF lanes
-  _liveSection.stagingHeat = { heat_number: heatNumber, lanes: dnfLanes };
+  t.live.stagingHeat = { heat_number: heatNumber, lanes: dnfLanes };
   renderCurrentScreen();
-  sendStaging(sec.section_name, heatNumber, withGroupNames(sec, dnfLanes), null);
+  sendStaging(sec.section_name, heatNumber, withDisplayInfo(sec, dnfLanes), null, [], t.track_id);
 
-  _raceAbort = new AbortController();
-  const signal = _raceAbort.signal;
+  t.abort = new AbortController();
+  const signal = t.abort.signal;
 
   try {
-    const times_ms = await waitForRace(dnfLanes, signal);
+    const stopTimeline = recordTimeline(t);
+    let times_ms, timeline;
+    try {
+      times_ms = await t.conn.waitForRace(dnfLanes, signal);
+    } finally {
+      timeline = stopTimeline();
+    }
+
+    // The re-run's finish replaces the heat's replay (and sensor timeline)
+    captureReplay(t, sectionId, t.live.startNumber, heatNumber);
 
     // Emit RaceCompleted — state manager merges with existing result
     await appendAndRebuild({
       type: 'RaceCompleted',
       section_id: sectionId,
-      start_number: _liveSection.startNumber,
+      start_number: t.live.startNumber,
+      track_id: t.track_id,
       heat_number: heatNumber,
       lanes: dnfLanes,
       times_ms,
+      ...(timeline ? { timeline } : {}),
       timestamp: Date.now()
     });
 
-    _liveSection.stagingHeat = null;
+    t.live.stagingHeat = null;
     renderCurrentScreen();
 
     // Broadcast merged results
-    const heat = _liveSection.schedule.heats.find(h => h.heat_number === heatNumber);
+    const heat = t.live.schedule.heats.find(h => h.heat_number === heatNumber);
     const resultData = buildResultsForBroadcast(
       _state.race_day.sections[sectionId],
       heat || { heat_number: heatNumber },
-      _liveSection.startNumber
+      t.live.startNumber
     );
-    sendResults(sec.section_name, heatNumber, withGroupNames(sec, resultData));
+    sendResults(sec.section_name, heatNumber, withDisplayInfo(sec, resultData), t.track_id);
 
     // Resume race loop from next heat
-    runRaceLoop(sectionId);
+    runRaceLoop(t);
   } catch (err) {
     if (err.name === 'AbortError') return;
     console.error('DNF re-run error:', err);
@@ -940,10 +1351,10 @@ async function declareDnfRerun(sectionId, heatNumber) {
 
 // ─── Remove Car ──────────────────────────────────────────────────
 
-async function removeCar(sectionId, carNumber, reason) {
-  if (_raceAbort) _raceAbort.abort();
+async function removeCar(sectionId, carNumber, reason, { undo = false } = {}) {
+  stopRaceLoop(sectionId);
 
-  const startNumber = _liveSection?.startNumber;
+  const startNumber = trackOfSection(sectionId)?.live.startNumber;
 
   await appendAndRebuild({
     type: 'CarRemoved',
@@ -951,10 +1362,22 @@ async function removeCar(sectionId, carNumber, reason) {
     start_number: startNumber,
     car_number: carNumber,
     reason,
+    ...(undo ? { undo: true } : {}),
     timestamp: Date.now()
   });
 
-  // Regenerate schedule
+  rescheduleWithoutCar(sectionId, carNumber);
+}
+
+/**
+ * Drop a car from the live schedule after it has been removed or its
+ * arrival revoked, then restart the race loop. Mirrors the CarRemoved /
+ * CarArrivalRevoked branch of reconstructSchedule.
+ */
+function rescheduleWithoutCar(sectionId, carNumber) {
+  const t = trackOfSection(sectionId);
+  if (!t) return;
+  const startNumber = t.live.startNumber;
   const sec = _state.race_day.sections[sectionId];
   const start = getStart(sec, startNumber) || getActiveStart(sec);
   const availableLanes = getAvailableLanes(sectionId, startNumber);
@@ -963,29 +1386,170 @@ async function removeCar(sectionId, carNumber, reason) {
   const remaining = sec.participants
     .filter(p => arrivedSet.has(p.car_number) && !removedSet.has(p.car_number));
 
-  if (remaining.length >= 2) {
+  if (start?.bracket) {
+    // Brackets keep their round structure; the car just drops out of it
+    const currentHeatNum = getLastCompletedHeatNumber(sectionId, startNumber);
+    t.live.schedule = removeCarFromBracket(t.live.schedule, carNumber, currentHeatNum);
+  } else if (remaining.length >= 2) {
     const currentHeatNum = getLastCompletedHeatNumber(sectionId);
-    _liveSection.schedule = regenerateAfterRemoval(
-      _liveSection.schedule, remaining, currentHeatNum, availableLanes
+    t.live.schedule = regenerateAfterRemoval(
+      t.live.schedule, remaining, currentHeatNum, availableLanes, [], start?.schedule_options || {}
     );
   }
 
   renderCurrentScreen();
 
   // Restart race loop
-  if (remaining.length >= 2) {
-    runRaceLoop(sectionId);
+  if (remaining.length >= 2 || start?.bracket) {
+    runRaceLoop(t);
   } else {
     showToast('Not enough cars to continue', 'warning');
   }
 }
 
+// ─── Revoke Arrival / Reinstate ──────────────────────────────────
+
+function hasRaced(start, carNumber) {
+  return Object.values(start?.results || {})
+    .some(r => (r.lanes || []).some(l => l.car_number === carNumber));
+}
+
+/**
+ * Take back a check-in made by mistake. A car that has already raced in the
+ * active start keeps its arrival — Remove Car is the way to pull it.
+ * @returns {Promise<boolean>} true if the arrival was revoked
+ */
+async function revokeArrival(sectionId, carNumber, { undo = false } = {}) {
+  const sec = _state.race_day.sections[sectionId];
+  if (!sec || !sec.arrived.includes(carNumber)) return false;
+  if (hasRaced(getActiveStart(sec), carNumber)) {
+    showToast(`Car #${carNumber} has already raced — use Remove Car instead`, 'error');
+    return false;
+  }
+
+  const isLive = !!trackOfSection(sectionId);
+  stopRaceLoop(sectionId);
+
+  await appendAndRebuild({
+    type: 'CarArrivalRevoked',
+    section_id: sectionId,
+    car_number: carNumber,
+    ...(undo ? { undo: true } : {}),
+    timestamp: Date.now()
+  });
+
+  if (isLive) rescheduleWithoutCar(sectionId, carNumber);
+  return true;
+}
+
+/**
+ * Put a removed car back into the active start. It rejoins the remaining
+ * heats the same way a late arrival does.
+ * @returns {Promise<boolean>} true if the car was reinstated
+ */
+async function reinstateCar(sectionId, carNumber, { undo = false } = {}) {
+  const sec = _state.race_day.sections[sectionId];
+  const start = sec ? getActiveStart(sec) : null;
+  if (!start || !start.removed.includes(carNumber)) return false;
+  if (start.bracket) {
+    showToast('A car cannot rejoin a bracket that is already running', 'error');
+    return false;
+  }
+
+  const t = trackOfSection(sectionId);
+  if (t?.abort) t.abort.abort();
+
+  await appendAndRebuild({
+    type: 'CarReinstated',
+    section_id: sectionId,
+    start_number: start.start_number,
+    car_number: carNumber,
+    ...(undo ? { undo: true } : {}),
+    timestamp: Date.now()
+  });
+
+  if (t) {
+    handleLateArrival(sectionId);
+    renderCurrentScreen();
+    runRaceLoop(t);
+  }
+  return true;
+}
+
+// ─── Undo Last Action ────────────────────────────────────────────
+
+/**
+ * The most recent check-in or removal that Undo would reverse, for the
+ * confirmation prompt. Null when there is nothing to undo.
+ */
+async function getUndoableAction() {
+  const rallyEvents = _events.filter(e => !e.rally_id || e.rally_id === _state?.rally_id);
+  const raced = new Set();
+  const openStarts = new Map();
+  for (const [sectionId, sec] of Object.entries(_state?.race_day.sections || {})) {
+    const start = getActiveStart(sec);
+    if (!start) continue;
+    openStarts.set(sectionId, start.start_number);
+    for (const carNumber of sec.arrived) {
+      if (hasRaced(start, carNumber)) raced.add(`${sectionId}|${carNumber}`);
+    }
+  }
+  return findUndoableAction(rallyEvents, { raced, openStarts });
+}
+
+/**
+ * Reverse the most recent undoable action by appending its compensating
+ * event (flagged `undo: true`). Goes through the same actions the operator
+ * uses by hand, so a live schedule is regenerated the same way.
+ * @returns {Promise<boolean>} true if something was undone
+ */
+async function undoLastAction() {
+  const action = await getUndoableAction();
+  if (!action) return false;
+  const { section_id: sectionId, car_number: carNumber, start_number: startNumber, type } = action.compensation;
+  const sec = _state.race_day.sections[sectionId];
+  if (!sec) return false;
+  const activeStart = getActiveStart(sec);
+  const t = trackOfSection(sectionId);
+
+  // Removals belong to a start; once that start is over they stay put
+  if ((type === 'CarReinstated' || type === 'CarRemoved')
+      && (!activeStart || (startNumber != null && activeStart.start_number !== startNumber))) {
+    showToast('That start has finished — this can no longer be undone', 'error');
+    return false;
+  }
+
+  switch (type) {
+    case 'CarArrivalRevoked':
+      return revokeArrival(sectionId, carNumber, { undo: true });
+    case 'CarReinstated':
+      return reinstateCar(sectionId, carNumber, { undo: true });
+    case 'CarRemoved':
+      if (t) {
+        await removeCar(sectionId, carNumber, 'Reinstatement undone', { undo: true });
+      } else {
+        await appendAndRebuild({ ...action.compensation, timestamp: Date.now() });
+      }
+      return true;
+    case 'CarArrived':
+      if (t?.abort) t.abort.abort();
+      await appendAndRebuild({ ...action.compensation, timestamp: Date.now() });
+      if (t) {
+        handleLateArrival(sectionId);
+        renderCurrentScreen();
+        runRaceLoop(t);
+      }
+      return true;
+  }
+  return false;
+}
+
 // ─── End Section Early ───────────────────────────────────────────
 
 async function endSectionEarly(sectionId) {
-  if (_raceAbort) _raceAbort.abort();
+  stopRaceLoop(sectionId);
 
-  const startNumber = _liveSection?.startNumber;
+  const startNumber = trackOfSection(sectionId)?.live.startNumber;
   const sec = _state.race_day.sections[sectionId];
   const start = getStart(sec, startNumber) || getActiveStart(sec);
   const heatsCompleted = start ? Object.keys(start.results || {}).length : 0;
@@ -1005,9 +1569,10 @@ async function endSectionEarly(sectionId) {
 // ─── Change Lanes ────────────────────────────────────────────────
 
 async function changeLanes(sectionId, newLanes, reason) {
-  if (_raceAbort) _raceAbort.abort();
+  const t = trackOfSection(sectionId) || sectionTrack(sectionId);
+  if (t.abort) t.abort.abort();
 
-  const startNumber = _liveSection?.startNumber;
+  const startNumber = t.live?.startNumber;
 
   await appendAndRebuild({
     type: 'LanesChanged',
@@ -1028,10 +1593,12 @@ async function changeLanes(sectionId, newLanes, reason) {
 
   if (participants.length >= 2) {
     const currentHeatNum = getLastCompletedHeatNumber(sectionId, startNumber);
-    const merged = regenerateAfterLaneChange(_liveSection?.schedule, participants, currentHeatNum, newLanes);
+    const merged = start?.bracket
+      ? relaneBracket(t.live.schedule, currentHeatNum, newLanes)
+      : regenerateAfterLaneChange(t.live?.schedule, participants, currentHeatNum, newLanes, [], start?.schedule_options || {});
 
-    _liveSection = {
-      ..._liveSection,
+    t.live = {
+      ...t.live,
       sectionId,
       startNumber,
       schedule: merged,
@@ -1042,19 +1609,22 @@ async function changeLanes(sectionId, newLanes, reason) {
   renderCurrentScreen();
 
   // Restart race loop
-  if (_liveSection) {
-    runRaceLoop(sectionId);
+  if (t.live) {
+    runRaceLoop(t);
   }
 }
 
 // ─── Late Arrival ────────────────────────────────────────────────
 
 export function handleLateArrival(sectionId) {
-  if (!_liveSection || _liveSection.sectionId !== sectionId) return;
+  const live = trackOfSection(sectionId)?.live;
+  if (!live) return;
 
   const sec = _state.race_day.sections[sectionId];
-  const startNumber = _liveSection.startNumber;
+  const startNumber = live.startNumber;
   const start = getStart(sec, startNumber) || getActiveStart(sec);
+  // A running bracket is already seeded; late cars sit this start out
+  if (start?.bracket) return;
   const availableLanes = getAvailableLanes(sectionId, startNumber);
   const arrivedSet = new Set(sec.arrived);
   const removedSet = new Set(start ? start.removed : []);
@@ -1064,8 +1634,8 @@ export function handleLateArrival(sectionId) {
   const currentHeatNum = getLastCompletedHeatNumber(sectionId, startNumber);
 
   // Regenerate schedule with all current participants
-  _liveSection.schedule = regenerateAfterLateArrival(
-    _liveSection.schedule, allParticipants, currentHeatNum, availableLanes
+  live.schedule = regenerateAfterLateArrival(
+    live.schedule, allParticipants, currentHeatNum, availableLanes, [], start?.schedule_options || {}
   );
 
   // Detect new participants who missed completed heats and need catch-up runs
@@ -1092,7 +1662,7 @@ export function handleLateArrival(sectionId) {
   }
 
   if (allCatchUpHeats.length > 0) {
-    const schedule = _liveSection.schedule;
+    const schedule = live.schedule;
     // Split: completed heats (≤ currentHeatNum) and remaining group heats (> currentHeatNum)
     const completed = schedule.heats.filter(h => h.heat_number <= currentHeatNum);
     const remaining = schedule.heats.filter(h => h.heat_number > currentHeatNum);
@@ -1113,7 +1683,7 @@ async function correctLanes(sectionId, heatNumber, correctedLanes, reason) {
   await appendAndRebuild({
     type: 'ResultCorrected',
     section_id: sectionId,
-    start_number: _liveSection?.startNumber,
+    start_number: trackOfSection(sectionId)?.live.startNumber,
     heat_number: heatNumber,
     corrected_lanes: correctedLanes,
     reason,
@@ -1133,6 +1703,126 @@ async function reauthorizeUSBBackup() {
   return reauthorizeUSBBackupImpl(getAllEvents, _state?.rally_id);
 }
 
+// ─── Replay Camera ───────────────────────────────────────────────
+// One webcam at the finish line of one track. While it runs, every heat
+// that finishes on that track stores a photo-finish replay (clip + still)
+// keyed by heat; see replay-camera.js and replay-buffer.js.
+
+const REPLAY_CAMERA_KEY = 'rallylab_replay_camera';
+const _camera = createReplayCamera();
+let _cameraTrackId = DEFAULT_TRACK_ID;
+let _replayKeys = new Set();   // replayKey()s stored on this device
+
+function loadReplayCameraSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REPLAY_CAMERA_KEY));
+    if (saved?.track_id) _cameraTrackId = saved.track_id;
+    return saved || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveReplayCameraSettings() {
+  localStorage.setItem(REPLAY_CAMERA_KEY, JSON.stringify({
+    device_id: _camera.getDeviceId(),
+    track_id: _cameraTrackId
+  }));
+}
+
+async function startReplayCamera(deviceId, trackId) {
+  _cameraTrackId = trackId || _cameraTrackId;
+  await _camera.start(deviceId);
+  saveReplayCameraSettings();
+  updateUserInfo();
+}
+
+function stopReplayCamera() {
+  _camera.stop();
+  updateUserInfo();
+}
+
+async function loadReplayKeys() {
+  try {
+    _replayKeys = new Set(await getReplayKeys());
+  } catch (e) {
+    console.warn('Could not list replays:', e);
+  }
+}
+
+/**
+ * Capture the finish just reported on `t` and store it as the heat's
+ * replay. Resolves to the captured media (null without a camera on this
+ * track, or if the capture failed) so it can also be kept under a variant.
+ */
+async function captureReplay(t, sectionId, startNumber, heatNumber) {
+  if (!_camera.isRunning() || t.track_id !== _cameraTrackId || !_state) return null;
+  try {
+    const media = await _camera.capture();
+    if (!media.clip && !media.still) return null;
+    await storeReplay(media, sectionId, startNumber, heatNumber);
+    return media;
+  } catch (e) {
+    console.warn('Replay capture failed:', e);
+    return null;
+  }
+}
+
+async function storeReplay({ clip, still, mime_type }, sectionId, startNumber, heatNumber, variant) {
+  const key = replayKey(_state.rally_id, sectionId, startNumber, heatNumber, variant);
+  try {
+    await putReplay({
+      key, clip, still, mime_type,
+      section_id: sectionId, start_number: startNumber, heat_number: heatNumber,
+      ...(variant ? { variant } : {})
+    });
+    _replayKeys.add(key);
+    renderCurrentScreen();
+  } catch (e) {
+    console.warn('Replay store failed:', e);
+  }
+}
+
+function hasReplay(sectionId, startNumber, heatNumber, variant) {
+  return !!_state && _replayKeys.has(replayKey(_state.rally_id, sectionId, startNumber, heatNumber, variant));
+}
+
+function getReplay(sectionId, startNumber, heatNumber, variant) {
+  return getStoredReplay(replayKey(_state.rally_id, sectionId, startNumber, heatNumber, variant));
+}
+
+/** Pop a stored replay up on the audience display of the section's track. */
+async function showReplayOnAudience(sectionId, startNumber, heatNumber) {
+  const replay = await getReplay(sectionId, startNumber, heatNumber);
+  if (!replay) return;
+  const sec = _state.race_day.sections[sectionId];
+  const trackId = getStart(sec, startNumber)?.track_id || sectionTrack(sectionId).track_id;
+  await sendReplay(sec.section_name, heatNumber, replay, trackId);
+}
+
+function hideReplayOnAudience(sectionId) {
+  sendHideReplay(sectionTrack(sectionId).track_id);
+}
+
+// ─── Sensor Timeline ─────────────────────────────────────────────
+// While a heat runs on a Protocol v2 track, its raw gate/lane edges and
+// engine phases are recorded and stored on RaceCompleted; see heat-timeline.js.
+
+/**
+ * Start recording a track's sensor timeline. Returns a stop function that
+ * ends the subscription and hands back the timeline (null when the track
+ * doesn't push events — fake, manual and commercial timers).
+ */
+function recordTimeline(t) {
+  const recorder = createTimelineRecorder();
+  const handle = t.conn.subscribeTrackEvents(TIMELINE_TOPICS, recorder.add);
+  return () => {
+    if (!handle) return null;
+    handle.unsubscribe();
+    return recorder.take();
+  };
+}
+
 // ─── Render Helper ───────────────────────────────────────────────
 
 function renderCurrentScreen() {
@@ -1245,14 +1935,22 @@ function updateUserInfo() {
   menu.className = 'view-menu-dropdown';
   menu.hidden = true;
 
-  const realTrack = getTrackMode() === 'wifi' || getTrackMode() === 'serial';
-  const isSerial = getTrackMode() === 'serial';
+  const mode = defaultTrack.getTrackMode();
+  const realTrack = mode === 'wifi' || mode === 'serial' || mode === 'timer';
+  const pico = mode === 'wifi' || mode === 'serial';
+  const otherTracks = [..._tracks.values()].filter(t => t.track_id !== DEFAULT_TRACK_ID);
   const items = [
     { label: 'Debug View', href: 'debug.html' },
     { label: 'Registrar', href: 'registrar.html' },
     { label: 'Audience', href: 'audience.html' },
+    ...otherTracks.map(t => ({ label: `Audience (Track ${t.track_id})`, href: `audience.html?track=${t.track_id}` })),
+    // A synced rally's results link works on any phone; otherwise this browser's log
+    { label: 'Parent Results', href: () => !isDemoMode() && _state?.rally_id ? `results.html?rally=${_state.rally_id}` : 'results.html' },
     ...(!realTrack ? [{ label: 'Fake Track', href: 'fake-track.html' }] : []),
-    ...(realTrack ? [{ label: 'Pico Debug', href: 'pico-debug.html' }] : []),
+    ...otherTracks
+      .filter(t => !['wifi', 'serial', 'timer'].includes(t.conn.getTrackMode()))
+      .map(t => ({ label: `Fake Track ${t.track_id}`, href: `fake-track.html?track=${t.track_id}` })),
+    ...(pico ? [{ label: 'Pico Debug', href: 'pico-debug.html' }] : []),
     { label: 'Event Inspector', href: 'event-inspector.html' },
   ];
 
@@ -1260,9 +1958,12 @@ function updateUserInfo() {
     const a = document.createElement('a');
     a.className = 'view-menu-item';
     a.textContent = label;
-    a.href = href;
+    a.href = typeof href === 'function' ? href() : href;
     a.target = '_blank';
-    a.onclick = () => { menu.hidden = true; };
+    a.onclick = () => {
+      if (typeof href === 'function') a.href = href();
+      menu.hidden = true;
+    };
     menu.appendChild(a);
   }
 
@@ -1295,6 +1996,8 @@ function updateUserInfo() {
 // ─── Init ────────────────────────────────────────────────────────
 
 async function init() {
+  loadTracks();
+  loadReplayCameraSettings();
   initOperatorChannel();
   sendZoom(getZoom());
   await initAuth();
@@ -1302,6 +2005,7 @@ async function init() {
   initSyncIndicator({ getRallyId: () => _state?.rally_id });
   await openStore();
   await rebuildFromStore();
+  await loadReplayKeys();
 
   // Resume USB backup if a handle was persisted in a prior session.
   if (isUSBBackupSupported()) {
@@ -1320,16 +2024,19 @@ async function init() {
   // Start background sync early so check-in events are uploaded immediately
   beginSync();
 
-  // Connect track
-  await trackConnect();
+  // Connect every track
+  for (const t of _tracks.values()) {
+    await t.conn.connect();
+  }
+  updateUserInfo();
 
   // Listen for sync messages from other tabs (e.g. registrar)
   onSyncMessage(async (msg) => {
     if (msg.type === 'EVENTS_CHANGED') {
       await rebuildFromStore();
       // If a section is live, handle potential late arrivals
-      if (_liveSection) {
-        handleLateArrival(_liveSection.sectionId);
+      for (const t of liveTracks()) {
+        handleLateArrival(t.live.sectionId);
       }
       renderCurrentScreen();
     }
@@ -1341,8 +2048,8 @@ async function init() {
     if (kind === 'pull' && count > 0) {
       showToast(`Pulled ${count} event${count !== 1 ? 's' : ''} from cloud`, 'success');
     }
-    if (_liveSection) {
-      handleLateArrival(_liveSection.sectionId);
+    for (const t of liveTracks()) {
+      handleLateArrival(t.live.sectionId);
     }
     renderCurrentScreen();
   });
@@ -3,9 +3,14 @@
  * Manual Rank, Remove Car, Load Roster, Car Statistics, Reports.
  */
 
-import { computeCarStats } from '../scoring.js';
-import { getCompletedStarts, getStart, compareCarNumbers } from '../state-manager.js';
+import { computeCarStats, SCORING_METHODS, getScoringMethod, DROP_RULES, EXCLUSION_REASONS } from '../scoring.js';
+import { BRACKET_FORMATS } from '../bracket.js';
+import { getCompletedStarts, getStart, getActiveStart, compareCarNumbers, getInspectionGaps, DEFAULT_TRACK_ID } from '../state-manager.js';
 import { generateRallyReport, generateSectionReport, generateHeatReport, generateGroupReport } from './report.js';
+import { TIMER_DRIVERS } from '../timer-drivers/index.js';
+import { summarizeTimeline } from '../heat-timeline.js';
+import { SELF_TEST_TOPICS, PASSES_PER_LANE, createSelfTest } from '../sensor-self-test.js';
+import { DEFAULT_HEAT_CHECKS } from '../heat-plausibility.js';
 
 const backdrop = () => document.getElementById('dialog-backdrop');
 const dialogEl = () => document.getElementById('dialog');
@@ -311,17 +316,77 @@ export function showCorrectLanesDialog(sectionId, heatNumber, heatLanes, ctx) {
 
 // ─── Start Section Dialog ────────────────────────────────────────
 
-export function showStartSectionDialog(sectionId, ctx) {
-  const trackLaneCount = ctx.getTrackLaneCount();
-  const allLanes = Array.from({ length: trackLaneCount }, (_, i) => i + 1);
+/**
+ * @param {string} sectionId
+ * @param {Object} ctx
+ * @param {Object} [defaults] - Pre-filled setup, e.g. from the schedule preview
+ * @param {Array<number>} [defaults.lanes]
+ * @param {Object} [defaults.scheduleOptions]
+ */
+export function showStartSectionDialog(sectionId, ctx, defaults = {}) {
+  // With two tracks, offer the first one that isn't already racing
+  const trackIds = ctx.getTrackIds();
+  const isBusy = (trackId) => {
+    const live = ctx.forTrack(trackId).liveSection;
+    const liveSec = live && ctx.state.race_day.sections[live.sectionId];
+    return live?.sectionId !== sectionId && !!(liveSec && getActiveStart(liveSec));
+  };
+  const defaultTrackId = [ctx.trackId, ...trackIds].find(id => !isBusy(id)) || ctx.trackId;
 
-  let checkboxes = '';
-  for (const lane of allLanes) {
-    checkboxes += `
+  const laneCheckboxes = (trackId) => {
+    const trackLaneCount = ctx.forTrack(trackId).getTrackLaneCount();
+    const allLanes = Array.from({ length: trackLaneCount }, (_, i) => i + 1);
+    const checkedLanes = defaults.lanes || allLanes;
+    return allLanes.map(lane => `
       <label class="lane-checkbox">
-        <input type="checkbox" value="${lane}" checked>
+        <input type="checkbox" value="${lane}"${checkedLanes.includes(lane) ? ' checked' : ''}>
         Lane ${lane}
-      </label>`;
+      </label>`).join('');
+  };
+  const checkboxes = laneCheckboxes(defaultTrackId);
+  const defaultSchedule = defaults.scheduleOptions || {};
+
+  let trackPicker = '';
+  if (trackIds.length > 1) {
+    const trackOptions = trackIds.map(id =>
+      `<option value="${id}"${id === defaultTrackId ? ' selected' : ''}>Track ${id}${isBusy(id) ? ' (racing)' : ''}</option>`
+    ).join('');
+    trackPicker = `
+      <div class="form-group">
+        <label for="dlg-track">Track</label>
+        <select id="dlg-track" class="form-input">${trackOptions}</select>
+        <p class="form-hint">Starting on a track that is racing pauses its section.</p>
+      </div>`;
+  }
+
+  // Default to the method chosen when the section was created
+  const defaultMethod = getScoringMethod(ctx.state.race_day.sections[sectionId]);
+  const methodOptions = Object.entries(SCORING_METHODS).map(([value, label]) =>
+    `<option value="${value}"${value === defaultMethod ? ' selected' : ''}>${label}</option>`
+  ).join('');
+  // Scoring rules default to the section's, then the rally's
+  const defaultRules = ctx.state.race_day.sections[sectionId].scoring_rules || ctx.state.scoring_rules || {};
+  const dropOptions = Object.entries(DROP_RULES).map(([value, label]) =>
+    `<option value="${value}"${value === (defaultRules.drop || 'none') ? ' selected' : ''}>${label}</option>`
+  ).join('');
+  const formatOptions = Object.entries({ round_robin: 'Round Robin', ...BRACKET_FORMATS })
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+
+  // Arrived cars that haven't passed inspection still race — warn, don't block
+  let inspectionWarning = '';
+  if (ctx.state.inspection_checklist) {
+    const { uninspected, failed } = getInspectionGaps(ctx.state.race_day.sections[sectionId]);
+    const parts = [];
+    if (uninspected.length > 0) parts.push(`Not inspected: ${uninspected.map(cn => '#' + cn).join(', ')}`);
+    if (failed.length > 0) parts.push(`Failed inspection: ${failed.map(cn => '#' + cn).join(', ')}`);
+    if (parts.length > 0) {
+      inspectionWarning = `
+      <p class="form-hint" style="color:var(--color-warning);margin-bottom:0.75rem">
+        <strong>${parts.map(esc).join('<br>')}</strong><br>
+        These cars have checked in and will race if you start now.
+      </p>`;
+    }
   }
 
   openDialog(`
@@ -329,9 +394,47 @@ export function showStartSectionDialog(sectionId, ctx) {
       <h2>Start Section</h2>
       <button class="dialog-close" aria-label="Close">&times;</button>
     </div>
-    <div class="dialog-body">
+    <div class="dialog-body">${inspectionWarning}${trackPicker}
       <p class="form-hint" style="margin-bottom:0.75rem">Select which lanes to use for this section. Uncheck any lanes that are unavailable.</p>
       <div class="lane-grid" id="dlg-lane-grid">${checkboxes}</div>
+      <div class="form-group" style="margin-top:0.75rem">
+        <label for="dlg-format">Format</label>
+        <select id="dlg-format" class="form-input">${formatOptions}</select>
+        <p class="form-hint">Elimination brackets knock out the slower half of every heat until one car is left.</p>
+      </div>
+      <label class="lane-checkbox">
+        <input type="checkbox" id="dlg-perfect-n"${defaultSchedule.perfect_n ? ' checked' : ''}>
+        Balance opponents (Perfect-N chart)
+      </label>
+      <p class="form-hint">Round robin only. Every car still runs every lane once, and each car races every other car as evenly as the roster allows.</p>
+      <div class="form-group" style="margin-top:0.75rem">
+        <label for="dlg-runs-per-lane">Runs per lane</label>
+        <input id="dlg-runs-per-lane" class="form-input" type="number" min="1" max="5" step="1" value="${defaultSchedule.runs_per_lane || 1}">
+      </div>
+      <div class="form-group">
+        <label for="dlg-heats-per-car">Or heats per car</label>
+        <input id="dlg-heats-per-car" class="form-input" type="number" min="1" step="1" placeholder="Off">
+        <p class="form-hint">A fixed number of heats per car overrides runs per lane. Lanes stay balanced within one run.</p>
+      </div>
+      <div class="form-group">
+        <label for="dlg-scoring-method">Scoring</label>
+        <select id="dlg-scoring-method" class="form-input">${methodOptions}</select>
+        <p class="form-hint">Points per Place awards N points for 1st in a heat down to 1 for last — use it when the timer is unreliable.</p>
+      </div>
+      <div class="form-group">
+        <label for="dlg-drop-rule">Heats Counted</label>
+        <select id="dlg-drop-rule" class="form-input">${dropOptions}</select>
+      </div>
+      <div class="form-group">
+        <label for="dlg-outlier-sd">Reject outliers beyond (standard deviations)</label>
+        <input id="dlg-outlier-sd" class="form-input" type="number" min="0.5" step="0.5" placeholder="Off" value="${defaultRules.outlier_sd || ''}">
+        <p class="form-hint">A time this far from the car's usual time (e.g. a wheel-off run) is left out of its average. Leave blank to keep every time.</p>
+      </div>
+      <label class="lane-checkbox">
+        <input type="checkbox" id="dlg-lane-bias">
+        Correct for lane bias
+      </label>
+      <p class="form-hint">Ranks by average time adjusted for each lane's estimated offset (e.g. a consistently slow lane 1).</p>
       <div id="dlg-start-error" class="form-error" style="margin-top:0.5rem"></div>
     </div>
     <div class="dialog-footer">
@@ -341,6 +444,12 @@ export function showStartSectionDialog(sectionId, ctx) {
   `);
 
   const d = dialogEl();
+  const trackSelect = d.querySelector('#dlg-track');
+  if (trackSelect) {
+    trackSelect.onchange = () => {
+      d.querySelector('#dlg-lane-grid').innerHTML = laneCheckboxes(trackSelect.value);
+    };
+  }
   d.querySelector('.dialog-close').onclick = closeDialog;
   d.querySelector('[data-action="cancel"]').onclick = closeDialog;
   d.querySelector('[data-action="start"]').onclick = async () => {
@@ -362,10 +471,133 @@ export function showStartSectionDialog(sectionId, ctx) {
     btn.textContent = 'Starting...';
 
     try {
+      const scoringMethod = d.querySelector('#dlg-scoring-method').value;
+      const format = d.querySelector('#dlg-format').value;
+      const laneBiasCorrection = d.querySelector('#dlg-lane-bias').checked;
+      const scoringRules = readScoringRules(d);
+      const scheduleOptions = readScheduleOptions(d);
+      closeDialog();
+      const trackId = trackSelect ? trackSelect.value : defaultTrackId;
+      await ctx.startSection(sectionId, selected, { trackId, scoringMethod, format, laneBiasCorrection, scoringRules, scheduleOptions });
+    } catch (e) {
+      ctx.showToast(e.message, 'error');
+    }
+  };
+}
+
+/**
+ * Read the chart and pass-count inputs of the Start Section dialog.
+ * @returns {Object|null} schedule_options, or null for a single plain pass
+ */
+function readScheduleOptions(d) {
+  const runsPerLane = parseInt(d.querySelector('#dlg-runs-per-lane').value, 10);
+  const heatsPerCar = parseInt(d.querySelector('#dlg-heats-per-car').value, 10);
+  const options = {};
+  if (d.querySelector('#dlg-perfect-n').checked) options.perfect_n = true;
+  if (heatsPerCar > 0) options.heats_per_car = heatsPerCar;
+  else if (runsPerLane > 1) options.runs_per_lane = runsPerLane;
+  return Object.keys(options).length > 0 ? options : null;
+}
+
+/**
+ * Read the drop / outlier inputs of the Start Section dialog.
+ * Always returns an object — an empty one overrides section or rally
+ * defaults with "count every heat".
+ * @returns {Object} scoring_rules
+ */
+function readScoringRules(d) {
+  const drop = d.querySelector('#dlg-drop-rule').value;
+  const outlierSd = parseFloat(d.querySelector('#dlg-outlier-sd').value);
+  const rules = {};
+  if (drop !== 'none') rules.drop = drop;
+  if (outlierSd > 0) rules.outlier_sd = outlierSd;
+  return rules;
+}
+
+// ─── Create Finals Dialog ────────────────────────────────────────
+
+export function showCreateFinalsDialog(ctx) {
+  const sources = Object.values(ctx.state.race_day.sections)
+    .filter(s => s.section_type !== 'finals' && getCompletedStarts(s).length > 0);
+
+  let checkboxes = '';
+  for (const sec of sources) {
+    checkboxes += `
+      <label class="lane-checkbox">
+        <input type="checkbox" value="${esc(sec.section_id)}" checked>
+        ${esc(sec.section_name)}
+      </label>`;
+  }
+
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Create Finals</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <div class="form-group">
+        <label for="dlg-finals-name">Name</label>
+        <input id="dlg-finals-name" class="form-input" type="text" value="Grand Champion Finals">
+      </div>
+      <div class="form-group">
+        <label for="dlg-finals-top-n">Finalists per section</label>
+        <input id="dlg-finals-top-n" class="form-input" type="number" min="1" value="3">
+      </div>
+      <p class="form-hint" style="margin-bottom:0.75rem">Seed from the latest completed standings of:</p>
+      <div class="lane-grid" id="dlg-finals-sections">${checkboxes}</div>
+      <div id="dlg-finals-error" class="form-error" style="margin-top:0.5rem"></div>
+    </div>
+    <div class="dialog-footer">
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="create">Create Finals</button>
+    </div>
+  `);
+
+  const d = dialogEl();
+  d.querySelector('.dialog-close').onclick = closeDialog;
+  d.querySelector('[data-action="cancel"]').onclick = closeDialog;
+  d.querySelector('[data-action="create"]').onclick = async () => {
+    const errorEl = d.querySelector('#dlg-finals-error');
+    errorEl.textContent = '';
+
+    const sectionName = d.querySelector('#dlg-finals-name').value.trim();
+    const topN = parseInt(d.querySelector('#dlg-finals-top-n').value, 10);
+    const sourceSectionIds = [];
+    for (const cb of d.querySelectorAll('#dlg-finals-sections input[type="checkbox"]')) {
+      if (cb.checked) sourceSectionIds.push(cb.value);
+    }
+
+    if (!sectionName) {
+      errorEl.textContent = 'Name is required';
+      return;
+    }
+    if (!Number.isInteger(topN) || topN < 1) {
+      errorEl.textContent = 'Finalists per section must be at least 1';
+      return;
+    }
+    if (sourceSectionIds.length === 0) {
+      errorEl.textContent = 'Select at least one section';
+      return;
+    }
+
+    const btn = d.querySelector('[data-action="create"]');
+    btn.disabled = true;
+    btn.textContent = 'Creating...';
+
+    try {
+      const sectionId = await ctx.createFinals({ sectionName, sourceSectionIds, topN });
+      if (!sectionId) {
+        btn.disabled = false;
+        btn.textContent = 'Create Finals';
+        return;
+      }
       closeDialog();
-      await ctx.startSection(sectionId, selected);
+      ctx.showToast(`${sectionName} created`, 'success');
+      ctx.navigate('rally-home', {}, { replace: true });
     } catch (e) {
       ctx.showToast(e.message, 'error');
+      btn.disabled = false;
+      btn.textContent = 'Create Finals';
     }
   };
 }
@@ -464,6 +696,7 @@ export function showRestoreFromUSBDialog(ctx) {
       <div id="dlg-preview" style="display:none">
         <p class="info-line" id="dlg-preview-text"></p>
         <p class="form-hint" id="dlg-preview-detail"></p>
+        <p class="form-hint" id="dlg-preview-integrity" style="color:var(--color-danger);margin-top:0.5rem;display:none"></p>
         <p class="form-hint" style="color:var(--color-warning);margin-top:0.5rem">
           This will replace all current race data.
         </p>
@@ -484,6 +717,7 @@ export function showRestoreFromUSBDialog(ctx) {
   const previewEl = d.querySelector('#dlg-preview');
   const previewText = d.querySelector('#dlg-preview-text');
   const previewDetail = d.querySelector('#dlg-preview-detail');
+  const previewIntegrity = d.querySelector('#dlg-preview-integrity');
   const restoreBtn = d.querySelector('[data-action="restore"]');
 
   d.querySelector('.dialog-close').onclick = closeDialog;
@@ -521,6 +755,11 @@ export function showRestoreFromUSBDialog(ctx) {
 
       previewText.textContent = `${rallyName} — ${data.events.length} events`;
       previewDetail.textContent = `Backup taken: ${backupTime}`;
+      const { integrity } = data;
+      previewIntegrity.textContent = integrity.status === 'broken'
+        ? `Event log fails its integrity check (${integrity.problems.length} problem${integrity.problems.length !== 1 ? 's' : ''}) — events may have been edited since they were recorded.`
+        : '';
+      previewIntegrity.style.display = integrity.status === 'broken' ? '' : 'none';
       previewEl.style.display = 'block';
       restoreBtn.disabled = false;
     } catch (e) {
@@ -566,6 +805,7 @@ export function showTrackManagerDialog(ctx) {
   const isSerial = mode === 'serial';
   const isWifi = mode === 'wifi';
   const isFake = mode === 'fake';
+  const isTimer = mode === 'timer';
   const isDisconnected = mode === 'manual';
   const showUsb = ctx.isSerialSupported();
 
@@ -576,6 +816,8 @@ export function showTrackManagerDialog(ctx) {
   } else if (isWifi) {
     const ip = ctx.getSavedTrackIp() || '';
     statusHtml = `<span class="status-badge status-active">WiFi &mdash; ${esc(ip)}</span>`;
+  } else if (isTimer) {
+    statusHtml = `<span class="status-badge status-active">${esc(ctx.getTimerLabel())} &mdash; ${ctx.getTrackLaneCount()} lanes</span>`;
   } else if (isFake) {
     statusHtml = '<span class="status-badge status-active">Fake Track</span>';
   } else {
@@ -584,6 +826,12 @@ export function showTrackManagerDialog(ctx) {
 
   let bodyHtml = `<div id="dlg-track-status" style="margin-bottom:1rem">${statusHtml}</div>`;
 
+  if (isTimer) {
+    bodyHtml += ctx.hasGateSensor()
+      ? '<p class="form-hint">The timer reports its start gate, so racing moves on by itself.</p>'
+      : '<p class="form-hint">This timer can\'t report its start gate. Reset it as usual and press <strong>Next Heat</strong> between heats.</p>';
+  }
+
   // Live sensor status (USB or WiFi)
   if (isSerial || isWifi) {
     bodyHtml += `
@@ -591,6 +839,11 @@ export function showTrackManagerDialog(ctx) {
         <label style="display:block;font-size:0.8rem;font-weight:600;margin-bottom:0.5rem;color:var(--color-text-secondary)">Sensor Status</label>
         <div id="dlg-sensor-status">Loading&hellip;</div>
       </div>
+      <div style="border-top:1px solid var(--color-border);padding-top:1rem;margin-bottom:1rem">
+        <label style="display:block;font-size:0.8rem;font-weight:600;margin-bottom:0.25rem;color:var(--color-text-secondary)">Self-Test</label>
+        <div class="form-hint" style="margin-bottom:0.5rem">${esc(selfTestSummary(ctx.state?.race_day.self_tests?.[ctx.trackId]))}</div>
+        <button class="btn btn-secondary btn-sm" data-action="self-test">Run Self-Test</button>
+      </div>
       <div style="border-top:1px solid var(--color-border);padding-top:1rem;margin-bottom:1rem">
         <label style="display:block;font-size:0.8rem;font-weight:600;margin-bottom:0.5rem;color:var(--color-text-secondary)">Firmware</label>
         <div id="dlg-firmware-status" class="form-hint">Checking&hellip;</div>
@@ -650,22 +903,49 @@ export function showTrackManagerDialog(ctx) {
         ${showUsb ? '<button class="btn btn-secondary" data-action="connect-usb">Connect USB</button>' : ''}
       </div>
       <div id="dlg-connect-error" class="form-error" style="margin-top:0.5rem"></div>`;
+
+    if (showUsb) {
+      const saved = ctx.getSavedTimer() || {};
+      bodyHtml += `
+      <div style="border-top:1px solid var(--color-border);padding-top:1rem;margin-top:1rem">
+        <label style="display:block;font-size:0.8rem;font-weight:600;margin-bottom:0.5rem;color:var(--color-text-secondary)">Commercial Timer</label>
+        <div style="display:flex;gap:0.5rem;align-items:flex-end">
+          <div class="form-group" style="flex:1;margin:0">
+            <label for="dlg-timer-driver">Timer</label>
+            <select id="dlg-timer-driver" class="form-input">
+              ${TIMER_DRIVERS.map(d => `<option value="${d.id}"${d.id === saved.driver ? ' selected' : ''}>${esc(d.label)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group" style="width:5rem;margin:0">
+            <label for="dlg-timer-lanes">Lanes</label>
+            <input id="dlg-timer-lanes" class="form-input" type="number" min="1" max="8" value="${saved.lane_count || 6}">
+          </div>
+          <button class="btn btn-secondary" data-action="connect-timer">Connect Timer</button>
+        </div>
+        <p class="form-hint" style="margin-top:0.25rem">Plug the timer's USB serial cable into this laptop.</p>
+        <div id="dlg-timer-error" class="form-error" style="margin-top:0.5rem"></div>
+      </div>`;
+    }
   }
 
   // Footer
   let footerHtml = '';
-  if (isSerial || isWifi) {
+  if (isSerial || isWifi || isTimer) {
     footerHtml += '<button class="btn btn-secondary" data-action="disconnect">Disconnect</button>';
   }
   if (isSerial) {
     footerHtml += '<button class="btn btn-secondary" data-action="learn-pins">Learn Pins</button>';
   }
+  if (ctx.trackId !== DEFAULT_TRACK_ID) {
+    footerHtml += '<button class="btn btn-secondary" data-action="remove-track">Remove Track</button>';
+  }
   footerHtml += `<div style="flex:1"></div>`;
   footerHtml += '<button class="btn btn-primary" data-action="done">Done</button>';
 
+  const title = ctx.getTrackIds().length > 1 ? `Track ${ctx.trackId} Connection` : 'Track Connection';
   openDialog(`
     <div class="dialog-header">
-      <h2>Track Connection</h2>
+      <h2>${title}</h2>
       <button class="dialog-close" aria-label="Close">&times;</button>
     </div>
     <div class="dialog-body">${bodyHtml}</div>
@@ -698,12 +978,33 @@ export function showTrackManagerDialog(ctx) {
     disconnBtn.onclick = () => {
       if (isSerial) ctx.disconnectSerial();
       else if (isWifi) ctx.disconnectWifi();
+      else if (isTimer) ctx.disconnectTimer();
       closeDialog();
       ctx.showToast('Track disconnected', 'info');
       ctx.renderCurrentScreen();
     };
   }
 
+  // Remove a second track
+  const removeBtn = d.querySelector('[data-action="remove-track"]');
+  if (removeBtn) {
+    removeBtn.onclick = () => {
+      if (!ctx.removeTrack(ctx.trackId)) return;
+      closeDialog();
+      ctx.showToast(`Track ${ctx.trackId} removed`, 'info');
+      ctx.renderCurrentScreen();
+    };
+  }
+
+  // Self-test wizard (it resumes the race loop if this dialog paused it)
+  const selfTestBtn = d.querySelector('[data-action="self-test"]');
+  if (selfTestBtn) {
+    selfTestBtn.onclick = () => {
+      closeDialog();
+      showSelfTestDialog(ctx, { paused: needsPause });
+    };
+  }
+
   // Learn Pins button
   const learnBtn = d.querySelector('[data-action="learn-pins"]');
   if (learnBtn) {
@@ -737,7 +1038,7 @@ async function _setupFirmwareSection(d, ctx, isSerial) {
   const errorEl = d.querySelector('#dlg-firmware-error');
   if (!statusEl || !flashBtn) return;
 
-  const { fetchLatestFirmware, parseFirmwareVersion, flashFirmwareInBand } =
+  const { fetchLatestFirmware, parseFirmwareVersion } =
     await import('../track-connection.js');
 
   let device = null;
@@ -814,7 +1115,7 @@ async function _setupFirmwareSection(d, ctx, isSerial) {
         await ctx.connectSerial((stage) => { progressEl.textContent = stage; });
         progressEl.textContent = 'Flash complete. Reconnecting…';
       } else {
-        await flashFirmwareInBand(latestFiles, latestVersion || 'unknown', (stage, info) => {
+        await ctx.flashFirmwareInBand(latestFiles, latestVersion || 'unknown', (stage, info) => {
           if (stage === 'begin') progressEl.textContent = 'Opening update session…';
           else if (stage === 'commit') progressEl.textContent = 'Committing & rebooting…';
           else if (stage === 'rebooting') progressEl.textContent = 'Waiting for device to come back…';
@@ -1183,6 +1484,510 @@ function _setupConnectOptions(d, ctx) {
       }
     };
   }
+
+  const connectTimerBtn = d.querySelector('[data-action="connect-timer"]');
+  if (connectTimerBtn) {
+    connectTimerBtn.onclick = async () => {
+      const timerError = d.querySelector('#dlg-timer-error');
+      const driverId = d.querySelector('#dlg-timer-driver').value;
+      const laneCount = parseInt(d.querySelector('#dlg-timer-lanes').value, 10);
+      timerError.textContent = '';
+      if (!(laneCount >= 1 && laneCount <= 8)) {
+        timerError.textContent = 'Lanes must be between 1 and 8';
+        return;
+      }
+      connectTimerBtn.disabled = true;
+      connectTimerBtn.textContent = 'Connecting\u2026';
+      try {
+        const info = await ctx.connectTimer(driverId, { laneCount });
+        ctx.showToast(`${ctx.getTimerLabel()} connected (${info.lane_count} lanes)`, 'success');
+        afterTrackConnect(ctx);
+        closeDialog();
+        showTrackManagerDialog(ctx);
+      } catch (e) {
+        timerError.textContent = e.message;
+        connectTimerBtn.disabled = false;
+        connectTimerBtn.textContent = 'Connect Timer';
+      }
+    };
+  }
+}
+
+// ─── Network Display Dialog ──────────────────────────────────────
+
+const RELAY_STATUS_LABELS = {
+  off: ['Off', 'status-idle'],
+  connecting: ['Connecting\u2026', 'status-idle'],
+  open: ['Connected', 'status-active'],
+  closed: ['Relay offline \u2014 retrying', 'status-removed'],
+  denied: ['Wrong operator code', 'status-removed']
+};
+
+/**
+ * Point the audience messages at a network relay so a TV on another
+ * device can show them. See scripts/audience-relay.mjs.
+ */
+export function showAudienceRelayDialog(ctx) {
+  const current = ctx.getAudienceRelay();
+  const currentToken = ctx.getAudienceRelayToken();
+
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Network Display</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <div id="dlg-relay-status" style="margin-bottom:1rem"></div>
+      <p class="form-hint" style="margin-bottom:0.75rem">
+        Run <code>node scripts/audience-relay.mjs</code> on this laptop, enter the address and
+        operator code it prints, then open <code>http://&lt;address&gt;/audience.html?relay</code> on the TV's browser.
+        Audience tabs in this browser keep working either way.
+      </p>
+      <p class="form-hint" style="margin-bottom:0.75rem">
+        Parents on the same Wi-Fi can follow their car at <code>http://&lt;address&gt;/results.html?relay</code>.
+      </p>
+      <div class="form-group">
+        <label for="dlg-relay-address">Relay Address</label>
+        <input id="dlg-relay-address" class="form-input" type="text"
+          placeholder="e.g. 192.168.1.20:8787" value="${esc(current)}">
+      </div>
+      <div class="form-group">
+        <label for="dlg-relay-token">Operator Code</label>
+        <input id="dlg-relay-token" class="form-input" type="text" autocomplete="off"
+          placeholder="e.g. 3f9a0c12" value="${esc(currentToken)}">
+      </div>
+    </div>
+    <div class="dialog-footer">
+      ${current ? '<button class="btn btn-secondary" data-action="stop">Stop</button>' : ''}
+      <div style="flex:1"></div>
+      <button class="btn btn-secondary" data-action="cancel">Close</button>
+      <button class="btn btn-primary" data-action="connect">Connect</button>
+    </div>
+  `);
+
+  const d = dialogEl();
+  const statusEl = d.querySelector('#dlg-relay-status');
+  const paint = (status) => {
+    const [label, cls] = RELAY_STATUS_LABELS[status] || RELAY_STATUS_LABELS.off;
+    statusEl.innerHTML = `<span class="status-badge ${cls}">${label}</span>`;
+  };
+  paint(ctx.getAudienceRelayStatus());
+  const unsubscribe = ctx.onAudienceRelayStatus(paint);
+  const close = () => {
+    unsubscribe();
+    closeDialog();
+    ctx.renderCurrentScreen();
+  };
+
+  const input = d.querySelector('#dlg-relay-address');
+  const tokenInput = d.querySelector('#dlg-relay-token');
+  const connect = () => {
+    const address = input.value.trim();
+    const token = tokenInput.value.trim();
+    if (!address) {
+      input.focus();
+      return;
+    }
+    if (!token) {
+      tokenInput.focus();
+      return;
+    }
+    ctx.setAudienceRelay(address, token);
+  };
+
+  d.querySelector('.dialog-close').onclick = close;
+  d.querySelector('[data-action="cancel"]').onclick = close;
+  d.querySelector('[data-action="connect"]').onclick = connect;
+  for (const el of [input, tokenInput]) {
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') { e.preventDefault(); connect(); }
+    });
+  }
+  const stopBtn = d.querySelector('[data-action="stop"]');
+  if (stopBtn) {
+    stopBtn.onclick = () => {
+      ctx.setAudienceRelay('');
+      ctx.showToast('Network display stopped', 'info');
+      close();
+    };
+  }
+}
+
+// ─── Replay Camera Dialog ────────────────────────────────────────
+
+/**
+ * Pick the finish-line webcam (and, with two tracks, which track it
+ * watches) and start or stop it. While it runs, every finished heat on that
+ * track stores a replay.
+ */
+export async function showReplayCameraDialog(ctx) {
+  const trackIds = ctx.getTrackIds();
+  const running = ctx.isReplayCameraRunning();
+  const currentTrack = ctx.getReplayCameraTrackId();
+
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Replay Camera</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <p class="form-hint" style="margin-bottom:0.75rem">
+        Point a webcam at the finish line. Each heat keeps the last few seconds before
+        the finish and a still frame, to review or show on the audience display.
+        Replays stay on this laptop.
+      </p>
+      <div class="form-group">
+        <label for="dlg-camera-device">Camera</label>
+        <select id="dlg-camera-device" class="form-input"><option value="">Default camera</option></select>
+      </div>
+      ${trackIds.length > 1 ? `
+      <div class="form-group">
+        <label for="dlg-camera-track">Watches</label>
+        <select id="dlg-camera-track" class="form-input">
+          ${trackIds.map(id => `<option value="${esc(id)}"${id === currentTrack ? ' selected' : ''}>Track ${esc(id)}</option>`).join('')}
+        </select>
+      </div>
+      ` : ''}
+      <video id="dlg-camera-preview" class="replay-media" muted playsinline autoplay ${running ? '' : 'hidden'}></video>
+      <div id="dlg-camera-error" class="form-error" style="margin-top:0.5rem"></div>
+    </div>
+    <div class="dialog-footer">
+      ${running ? '<button class="btn btn-secondary" data-action="stop">Stop Camera</button>' : ''}
+      <div style="flex:1"></div>
+      <button class="btn btn-secondary" data-action="cancel">Close</button>
+      <button class="btn btn-primary" data-action="start">${running ? 'Restart' : 'Start Camera'}</button>
+    </div>
+  `);
+
+  const d = dialogEl();
+  const deviceSelect = d.querySelector('#dlg-camera-device');
+  const trackSelect = d.querySelector('#dlg-camera-track');
+  const preview = d.querySelector('#dlg-camera-preview');
+  const errorEl = d.querySelector('#dlg-camera-error');
+  const close = () => {
+    preview.srcObject = null;
+    closeDialog();
+    ctx.renderCurrentScreen();
+  };
+  if (running) preview.srcObject = ctx.getReplayCameraStream();
+
+  try {
+    const savedId = ctx.getReplayCameraDeviceId();
+    for (const cam of await ctx.listCameras()) {
+      const opt = document.createElement('option');
+      opt.value = cam.deviceId;
+      opt.textContent = cam.label;
+      opt.selected = cam.deviceId === savedId;
+      deviceSelect.appendChild(opt);
+    }
+  } catch (e) {
+    console.warn('Could not list cameras:', e);
+  }
+
+  d.querySelector('.dialog-close').onclick = close;
+  d.querySelector('[data-action="cancel"]').onclick = close;
+  d.querySelector('[data-action="start"]').onclick = async (e) => {
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    errorEl.textContent = '';
+    try {
+      await ctx.startReplayCamera(deviceSelect.value || null, trackSelect?.value);
+      ctx.showToast('Replay camera recording', 'success');
+      close();
+    } catch (err) {
+      errorEl.textContent = `Could not start the camera: ${err.message}`;
+      btn.disabled = false;
+    }
+  };
+  const stopBtn = d.querySelector('[data-action="stop"]');
+  if (stopBtn) {
+    stopBtn.onclick = () => {
+      ctx.stopReplayCamera();
+      ctx.showToast('Replay camera stopped', 'info');
+      close();
+    };
+  }
+}
+
+// ─── Heat Checks Dialog ──────────────────────────────────────────
+
+export function showHeatChecksDialog(ctx) {
+  const rules = ctx.getHeatChecks();
+
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Heat Checks</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <p class="form-hint" style="margin-bottom:0.75rem">
+        Before a heat is recorded, times outside these limits, far off a car's
+        other runs, or from a lane that tripped before the start are held for you
+        to accept, re-run or mark DNF.
+      </p>
+      <div class="form-group">
+        <label class="lane-checkbox">
+          <input type="checkbox" id="dlg-checks-enabled"${rules.enabled ? ' checked' : ''}>
+          Check heats before recording them
+        </label>
+      </div>
+      <div class="form-group">
+        <label for="dlg-checks-min">Fastest plausible time (seconds)</label>
+        <input id="dlg-checks-min" class="form-input" type="number" min="0.1" step="0.1" value="${rules.min_ms / 1000}">
+      </div>
+      <div class="form-group">
+        <label for="dlg-checks-max">Slowest plausible time (seconds)</label>
+        <input id="dlg-checks-max" class="form-input" type="number" min="0.1" step="0.1" value="${rules.max_ms / 1000}">
+      </div>
+      <div class="form-group">
+        <label for="dlg-checks-pct">Flag a time this far off the car's other runs (%)</label>
+        <input id="dlg-checks-pct" class="form-input" type="number" min="1" step="1" value="${rules.history_pct}">
+        <p class="form-hint">Once a car has ${rules.history_runs} timed heats.</p>
+      </div>
+      <div id="dlg-checks-error" class="form-error"></div>
+    </div>
+    <div class="dialog-footer">
+      <button class="btn btn-secondary" data-action="defaults">Defaults</button>
+      <div style="flex:1"></div>
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="save">Save</button>
+    </div>
+  `);
+
+  const d = dialogEl();
+  const minInput = d.querySelector('#dlg-checks-min');
+  const maxInput = d.querySelector('#dlg-checks-max');
+  const pctInput = d.querySelector('#dlg-checks-pct');
+  const enabledInput = d.querySelector('#dlg-checks-enabled');
+  const errorEl = d.querySelector('#dlg-checks-error');
+
+  d.querySelector('.dialog-close').onclick = closeDialog;
+  d.querySelector('[data-action="cancel"]').onclick = closeDialog;
+  d.querySelector('[data-action="defaults"]').onclick = () => {
+    enabledInput.checked = DEFAULT_HEAT_CHECKS.enabled;
+    minInput.value = DEFAULT_HEAT_CHECKS.min_ms / 1000;
+    maxInput.value = DEFAULT_HEAT_CHECKS.max_ms / 1000;
+    pctInput.value = DEFAULT_HEAT_CHECKS.history_pct;
+  };
+  d.querySelector('[data-action="save"]').onclick = () => {
+    const min_ms = Math.round(parseFloat(minInput.value) * 1000);
+    const max_ms = Math.round(parseFloat(maxInput.value) * 1000);
+    const history_pct = parseFloat(pctInput.value);
+    if (!(min_ms > 0) || !(max_ms > min_ms)) {
+      errorEl.textContent = 'The slowest time must be greater than the fastest.';
+      return;
+    }
+    if (!(history_pct > 0)) {
+      errorEl.textContent = 'Enter a percentage above zero.';
+      return;
+    }
+    ctx.setHeatChecks({ ...rules, enabled: enabledInput.checked, min_ms, max_ms, history_pct });
+    closeDialog();
+    ctx.showToast('Heat checks saved', 'success');
+    ctx.renderCurrentScreen();
+  };
+}
+
+// ─── Replay Dialog ───────────────────────────────────────────────
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Review one heat's photo-finish replay: the clip (slowed down) or the
+ * still frame, with buttons to put it on the audience display or save it.
+ */
+export async function showReplayDialog(ctx, sectionId, startNumber, heatNumber, variant) {
+  const replay = await ctx.getReplay(sectionId, startNumber, heatNumber, variant);
+  if (!replay) {
+    ctx.showToast('No replay stored for this heat', 'error');
+    return;
+  }
+  const sec = ctx.state.race_day.sections[sectionId];
+  const fileBase = `${sec.section_name}-heat-${heatNumber}${variant ? `-${variant}` : ''}`.replace(/[^a-z0-9-]+/gi, '-').toLowerCase();
+  const urls = [];
+  const objectUrl = (blob) => {
+    const url = URL.createObjectURL(blob);
+    urls.push(url);
+    return url;
+  };
+
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Heat ${heatNumber} ${variant === 'flagged' ? 'Flagged Run' : 'Replay'}</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <div id="dlg-replay-media"></div>
+      ${replay.clip ? `
+      <div class="replay-speeds">
+        <button class="btn btn-sm btn-secondary" data-speed="0.1">0.1×</button>
+        <button class="btn btn-sm btn-secondary" data-speed="0.25">0.25×</button>
+        <button class="btn btn-sm btn-secondary" data-speed="1">1×</button>
+        ${replay.still ? '<button class="btn btn-sm btn-ghost" data-action="still">Finish Frame</button>' : ''}
+      </div>
+      ` : ''}
+    </div>
+    <div class="dialog-footer">
+      ${replay.clip ? '<button class="btn btn-secondary" data-action="save-clip">Download Clip</button>' : ''}
+      ${replay.still ? '<button class="btn btn-secondary" data-action="save-still">Download Still</button>' : ''}
+      <div style="flex:1"></div>
+      <button class="btn btn-secondary" data-action="cancel">Close</button>
+      <button class="btn btn-primary" data-action="audience">Show on Audience</button>
+    </div>
+  `);
+  dialogEl().classList.add('dialog-wide');
+
+  const d = dialogEl();
+  const mediaEl = d.querySelector('#dlg-replay-media');
+  const showStill = () => {
+    mediaEl.innerHTML = '';
+    const img = document.createElement('img');
+    img.className = 'replay-media';
+    img.alt = `Heat ${heatNumber} finish`;
+    img.src = objectUrl(replay.still);
+    mediaEl.appendChild(img);
+  };
+  const showClip = (rate) => {
+    let video = mediaEl.querySelector('video');
+    if (!video) {
+      mediaEl.innerHTML = '';
+      video = document.createElement('video');
+      video.className = 'replay-media';
+      video.muted = true;
+      video.loop = true;
+      video.autoplay = true;
+      video.controls = true;
+      video.playsInline = true;
+      video.src = objectUrl(replay.clip);
+      mediaEl.appendChild(video);
+    }
+    video.playbackRate = rate;
+    video.onloadedmetadata = () => { video.playbackRate = rate; };
+    video.play().catch(() => {});
+  };
+  if (replay.clip) showClip(0.25);
+  else showStill();
+
+  let onAudience = false;
+  const close = () => {
+    closeDialog();
+    for (const url of urls) URL.revokeObjectURL(url);
+    if (onAudience) ctx.hideReplayOnAudience(sectionId);
+  };
+  d.querySelector('.dialog-close').onclick = close;
+  d.querySelector('[data-action="cancel"]').onclick = close;
+  for (const btn of d.querySelectorAll('[data-speed]')) {
+    btn.onclick = () => showClip(Number(btn.dataset.speed));
+  }
+  const stillBtn = d.querySelector('[data-action="still"]');
+  if (stillBtn) stillBtn.onclick = showStill;
+  const saveClip = d.querySelector('[data-action="save-clip"]');
+  if (saveClip) {
+    const ext = (replay.mime_type || replay.clip.type).includes('mp4') ? 'mp4' : 'webm';
+    saveClip.onclick = () => downloadBlob(`${fileBase}-replay.${ext}`, replay.clip);
+  }
+  const saveStill = d.querySelector('[data-action="save-still"]');
+  if (saveStill) saveStill.onclick = () => downloadBlob(`${fileBase}-finish.jpg`, replay.still);
+  d.querySelector('[data-action="audience"]').onclick = async () => {
+    await ctx.showReplayOnAudience(sectionId, startNumber, heatNumber);
+    onAudience = true;
+    ctx.showToast('Replay on the audience display', 'success');
+  };
+}
+
+// ─── Sensor Timeline Dialog ──────────────────────────────────────
+
+/**
+ * Show the raw sensor timeline recorded for a heat: one row for the gate
+ * and one per lane, marks placed on a shared time axis, then every entry
+ * with its exact time. Bounces and lost events are called out.
+ */
+export function showTimelineDialog(heatNumber, result, heatLanes) {
+  const tl = summarizeTimeline(result.timeline);
+  const span = (tl.last_at - tl.first_at) || 1;
+  const pct = (at) => ((at - tl.first_at) / span * 100).toFixed(2);
+  const secs = (at) => (at >= 0 ? '+' : '−') + (Math.abs(at) / 1000).toFixed(3) + 's';
+  const carOf = (lane) => heatLanes.find(l => l.lane === lane);
+
+  const marks = (list, cls) => list.map(m =>
+    `<span class="timeline-mark ${cls(m)}" style="left:${pct(m.at)}%" title="${secs(m.at)} ${esc(m.edge || m.phase)}"></span>`
+  ).join('');
+
+  let rows = `
+    <div class="timeline-row">
+      <div class="timeline-label">Phase</div>
+      <div class="timeline-track">${tl.phases.map(p =>
+        `<span class="timeline-phase" style="left:${pct(p.at)}%" title="${secs(p.at)}">${esc(p.phase)}</span>`
+      ).join('')}</div>
+    </div>
+    <div class="timeline-row">
+      <div class="timeline-label">Gate</div>
+      <div class="timeline-track">${marks(tl.gate, m => m.edge === 'opened' ? 'timeline-mark-gate' : 'timeline-mark-off')}</div>
+    </div>`;
+  for (const lane of tl.lanes) {
+    const car = carOf(lane.lane);
+    const t = result.times_ms?.[String(lane.lane)];
+    let first = true;
+    rows += `
+    <div class="timeline-row">
+      <div class="timeline-label">Lane ${lane.lane}${car ? ` · #${esc(String(car.car_number))}` : ''}
+        <span class="timeline-sub">${t != null ? (t / 1000).toFixed(3) + 's' : 'DNF'}${lane.bounces ? ` · ${lane.bounces} bounce${lane.bounces > 1 ? 's' : ''}` : ''}</span>
+      </div>
+      <div class="timeline-track">${marks(lane.marks, m => {
+        if (m.edge !== 'triggered') return 'timeline-mark-off';
+        const cls = first ? 'timeline-mark-lane' : 'timeline-mark-bounce';
+        first = false;
+        return cls;
+      })}</div>
+    </div>`;
+  }
+
+  const entries = [
+    ...tl.phases.map(p => ({ at: p.at, source: 'Engine', what: p.phase })),
+    ...tl.gate.map(g => ({ at: g.at, source: 'Gate', what: g.edge })),
+    ...tl.lanes.flatMap(l => l.marks.map(m => ({ at: m.at, source: `Lane ${l.lane}`, what: m.edge })))
+  ].sort((a, b) => a.at - b.at);
+
+  const notes = [];
+  if (!tl.gate_opened) notes.push('The gate never opened during this recording; times are from the first event.');
+  if (tl.dropped) notes.push(`${tl.dropped} event${tl.dropped > 1 ? 's were' : ' was'} lost — the controller's queue overflowed.`);
+
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Heat ${heatNumber} Sensor Timeline</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <p class="form-hint">Times are from the gate opening, on the track controller's clock.</p>
+      ${notes.map(n => `<p class="form-error">${esc(n)}</p>`).join('')}
+      <div class="timeline-chart">${rows}</div>
+      <div class="table-wrap timeline-table">
+        <table>
+          <thead><tr><th>Time</th><th>Source</th><th>Event</th></tr></thead>
+          <tbody>${entries.map(e =>
+            `<tr><td>${secs(e.at)}</td><td>${esc(e.source)}</td><td>${esc(e.what)}</td></tr>`
+          ).join('')}</tbody>
+        </table>
+      </div>
+    </div>
+    <div class="dialog-footer">
+      <button class="btn btn-secondary" data-action="cancel">Close</button>
+    </div>
+  `);
+  dialogEl().classList.add('dialog-wide');
+
+  const d = dialogEl();
+  d.querySelector('.dialog-close').onclick = closeDialog;
+  d.querySelector('[data-action="cancel"]').onclick = closeDialog;
 }
 
 // ─── Connect Track Dialog (legacy) ────────────────────────────────
@@ -1395,11 +2200,21 @@ export function showLoadRosterDialog(ctx) {
           rally_id: rallyId,
           rally_name: rosterData.rally_name,
           rally_date: rosterData.rally_date || '',
+          ...(rosterData.scoring_rules ? { scoring_rules: rosterData.scoring_rules } : {}),
           created_by: 'operator',
           timestamp: Date.now()
         });
       }
 
+      if (rosterData.inspection_checklist) {
+        await appendAndRebuild({
+          type: 'InspectionChecklistSet',
+          rally_id: rallyId,
+          checklist: rosterData.inspection_checklist,
+          timestamp: Date.now()
+        });
+      }
+
       // Create groups if present
       if (rosterData.groups) {
         for (const group of rosterData.groups) {
@@ -1482,11 +2297,14 @@ export function showCarStatsDialog(section) {
     return (ms / 1000).toFixed(3) + 's';
   };
 
+  // Times left out by the scoring rules get struck through and explained
+  const anyExcluded = stats.some(car => car.excluded.length > 0);
+
   // Build table
   let html = '<div class="table-wrap"><table>';
   html += '<thead><tr><th>Car #</th><th>Name</th>';
   for (const l of lanes) html += `<th>Lane ${l}</th>`;
-  html += '<th>Avg</th><th>Best</th><th>Heats</th></tr></thead><tbody>';
+  html += `<th>Avg</th><th>Best</th><th>Heats</th>${anyExcluded ? '<th>Not Counted</th>' : ''}</tr></thead><tbody>`;
 
   for (const car of stats) {
     html += `<tr${car.removed ? ' class="incomplete-row"' : ''}>`;
@@ -1494,14 +2312,26 @@ export function showCarStatsDialog(section) {
     html += `<td>${esc(car.name)}</td>`;
     for (const l of lanes) {
       const time = car.lane_times[l];
-      html += `<td>${time !== undefined ? fmt(time) : '—'}</td>`;
+      const out = car.excluded.find(x => x.lane === l && x.time_ms === time);
+      html += out
+        ? `<td class="time-excluded" title="${esc(EXCLUSION_REASONS[out.reason])}">${fmt(time)}</td>`
+        : `<td>${time !== undefined ? fmt(time) : '—'}</td>`;
     }
     html += `<td><strong>${fmt(car.avg_time_ms)}</strong></td>`;
     html += `<td>${fmt(car.best_time_ms)}</td>`;
     html += `<td>${car.heats_run}</td>`;
+    if (anyExcluded) {
+      const notes = car.excluded
+        .map(x => `Heat ${x.heat_number}: ${fmt(x.time_ms)} — ${EXCLUSION_REASONS[x.reason]}`)
+        .join('<br>');
+      html += `<td class="form-hint">${notes}</td>`;
+    }
     html += '</tr>';
   }
   html += '</tbody></table></div>';
+  if (anyExcluded) {
+    html += '<p class="form-hint" style="margin-top:0.75rem">Struck-through times were left out of the standings by this section\'s scoring rules. Avg and Best here include every timed heat.</p>';
+  }
 
   openDialog(`
     <div class="dialog-header">
@@ -1681,6 +2511,195 @@ export async function showLearnModeDialog(ctx) {
   }
 }
 
+// ─── Sensor Self-Test Dialog ─────────────────────────────────────
+
+const VERDICT_LABELS = { ok: 'OK', bouncy: 'Bounces', dead: 'Never fired', spurious: 'Fires on its own' };
+
+/** How long a finished step waits for the sensor to go quiet before moving on. */
+const SELF_TEST_SETTLE_MS = 1000;
+
+/** One line about a track's last self-test, for the Track Manager. */
+function selfTestSummary(test) {
+  if (!test) return 'Not run yet for this rally.';
+  const when = new Date(test.timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  const problems = [];
+  if (!test.gate?.toggled) problems.push('gate never toggled');
+  for (const lane of test.failed_lanes) {
+    problems.push(`lane ${lane}: ${VERDICT_LABELS[test.lanes[lane]?.verdict] || 'failed'}`.toLowerCase());
+  }
+  return `Last run ${when} \u2014 ${problems.length ? problems.join(', ') : 'all sensors OK'}`;
+}
+
+/**
+ * Guided sensor check: the gate, then each lane in turn. Edges come from
+ * the controller's `edges` topic (see sensor-self-test.js); each step
+ * moves on by itself once done, or on Skip. The report is saved to the
+ * rally as TrackSelfTested, and failed lanes can be dropped from the live
+ * section with LanesChanged.
+ *
+ * @param {Object} ctx - screen context for one track
+ * @param {{ paused?: boolean }} [opts] - the Track Manager already paused the race loop
+ */
+export function showSelfTestDialog(ctx, { paused = false } = {}) {
+  const test = createSelfTest({ laneCount: ctx.getTrackLaneCount() });
+  const phase = ctx.getTrackPhase();
+  let needsResume = paused || phase === 'waiting-for-race' || phase === 'waiting-for-gate';
+  // An armed race would take the lane triggers as a finish
+  if (needsResume) ctx.pauseRaceLoop();
+
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Sensor Self-Test</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body" id="selftest-body"></div>
+    <div class="dialog-footer">
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <div style="flex:1"></div>
+      <button class="btn btn-secondary" data-action="next">Skip</button>
+    </div>
+  `);
+
+  const d = dialogEl();
+  const body = d.querySelector('#selftest-body');
+  const nextBtn = d.querySelector('[data-action="next"]');
+  const cancelBtn = d.querySelector('[data-action="cancel"]');
+  let advanceTimer = null;
+
+  function renderStep() {
+    const step = test.step();
+    const p = test.progress();
+    const done = test.isStepDone();
+    let prompt, hint, status;
+    if (step.kind === 'gate') {
+      prompt = 'Open the start gate, then close it';
+      hint = 'Release the gate lever and push it back down';
+      status = `Opened ${p.opened ? '\u2713' : '\u2026'} \u00b7 Closed ${p.closed ? '\u2713' : '\u2026'}`;
+    } else {
+      prompt = `Pass a car through lane ${step.lane}, ${PASSES_PER_LANE} times`;
+      hint = 'Or sweep a hand through the beam. Only this lane should register.';
+      status = `Breaks: ${Math.min(p.passes, PASSES_PER_LANE)} of ${PASSES_PER_LANE}`;
+    }
+    if (p.bounces) status += ` \u00b7 ${p.bounces} bounce${p.bounces > 1 ? 's' : ''}`;
+    body.innerHTML = `
+      <div class="learn-prompt">${esc(prompt)}</div>
+      <p class="form-hint">${esc(hint)}</p>
+      <div class="selftest-status">${esc(status)}</div>
+      ${done ? '' : '<div class="learn-waiting">Waiting for signal\u2026</div>'}
+    `;
+    nextBtn.textContent = done ? 'Next' : 'Skip';
+  }
+
+  function advance() {
+    clearTimeout(advanceTimer);
+    test.next();
+    if (test.step()) renderStep();
+    else finish();
+  }
+
+  const handle = ctx.subscribeTrackEvents(SELF_TEST_TOPICS, (frame) => {
+    if (!test.step()) return;
+    test.add(frame);
+    renderStep();
+    // Move on once the step is done and the sensor has settled
+    clearTimeout(advanceTimer);
+    if (test.isStepDone()) advanceTimer = setTimeout(advance, SELF_TEST_SETTLE_MS);
+  });
+
+  async function finish() {
+    handle?.unsubscribe();
+    nextBtn.style.display = 'none';
+    cancelBtn.textContent = 'Close';
+    const report = test.result();
+    if (ctx.state?.rally_id) {
+      try {
+        await ctx.appendEvent({ type: 'TrackSelfTested', track_id: ctx.trackId, ...report, timestamp: Date.now() });
+      } catch (e) {
+        ctx.showToast('Could not save the self-test: ' + e.message, 'error');
+      }
+    }
+    renderReport(report);
+  }
+
+  function renderReport(report) {
+    const cell = (n) => n ? `<strong>${n}</strong>` : '0';
+    let rows = `<tr>
+      <td>Gate</td><td>${report.gate.toggled ? 'Toggled' : '\u2014'}</td><td>${cell(report.gate.bounces)}</td><td>\u2014</td>
+      <td>${report.gate.toggled && !report.gate.spurious ? 'OK' : (report.gate.toggled ? 'Fires on its own' : 'Never toggled')}</td>
+    </tr>`;
+    for (const [lane, r] of Object.entries(report.lanes)) {
+      const cls = r.verdict === 'ok' ? '' : r.verdict === 'bouncy' ? ' class="selftest-warn"' : ' class="selftest-fail"';
+      rows += `<tr${cls}>
+        <td>Lane ${lane}</td><td>${r.passes}</td><td>${cell(r.bounces)}</td><td>${r.jitter_ms} ms</td>
+        <td>${esc(VERDICT_LABELS[r.verdict])}${r.spurious ? ` (${r.spurious}\u00d7)` : ''}</td>
+      </tr>`;
+    }
+
+    // Failed lanes still in use by this track's live section can be dropped now
+    const live = ctx.liveSection;
+    const available = live ? ctx.getAvailableLanes(live.sectionId) : [];
+    const bad = report.failed_lanes.filter(l => available.includes(l));
+    const keep = available.filter(l => !bad.includes(l));
+    let action = '';
+    if (bad.length && keep.length >= 2) {
+      action = `<button class="btn btn-primary btn-sm" data-action="drop-lanes">Stop using lane${bad.length > 1 ? 's' : ''} ${bad.join(', ')}</button>`;
+    } else if (report.failed_lanes.length) {
+      action = '<p class="form-hint">Leave the failed lanes unchecked when starting a section, or use <strong>Change Lanes</strong> once it is running.</p>';
+    }
+
+    body.innerHTML = `
+      <p class="learn-prompt">${report.failed_lanes.length ? 'Some sensors need attention' : 'All sensors passed'}</p>
+      <p class="form-hint">Jitter is the spread of one beam break's triggers \u2014 how far a finish time could move.${ctx.state?.rally_id ? ' Saved to this rally.' : ''}</p>
+      <div class="table-wrap">
+        <table>
+          <thead><tr><th>Sensor</th><th>Breaks</th><th>Bounces</th><th>Jitter</th><th>Result</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <div style="margin-top:0.75rem">${action}</div>
+    `;
+
+    const dropBtn = body.querySelector('[data-action="drop-lanes"]');
+    if (dropBtn) {
+      dropBtn.onclick = async () => {
+        dropBtn.disabled = true;
+        try {
+          // changeLanes restarts the race loop itself
+          needsResume = false;
+          await ctx.changeLanes(live.sectionId, keep, `Self-test: lane ${bad.join(', ')} failed`);
+          dropBtn.textContent = 'Lanes updated';
+          ctx.showToast('Lanes updated \u2014 schedule regenerated', 'success');
+        } catch (e) {
+          dropBtn.disabled = false;
+          ctx.showToast(e.message, 'error');
+        }
+      };
+    }
+  }
+
+  d.querySelector('.dialog-close').onclick = closeDialog;
+  cancelBtn.onclick = closeDialog;
+  nextBtn.onclick = advance;
+
+  if (!handle) {
+    body.innerHTML = '<div class="form-error">The self-test needs a Pico track controller connected over USB or WiFi.</div>';
+    nextBtn.style.display = 'none';
+  } else {
+    renderStep();
+  }
+
+  // However the dialog closes (buttons, Escape, backdrop), stop listening
+  // and give the race loop back
+  const observer = new MutationObserver(() => {
+    if (d.querySelector('#selftest-body')) return;
+    observer.disconnect();
+    clearTimeout(advanceTimer);
+    handle?.unsubscribe();
+    if (needsResume && ctx.liveSection) ctx.resumeSection(ctx.liveSection.sectionId);
+  });
+  observer.observe(d, { childList: true });
+}
+
 // ─── Rally Report Dialog ────────────────────────────────────────
 
 /**
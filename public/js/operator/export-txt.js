@@ -3,8 +3,9 @@
  * Generates fixed-width text reports suitable for printing or plain-text viewing.
  */
 
-import { computeLeaderboard, computeLaneStats, computeCarStats } from '../scoring.js';
+import { computeLeaderboard, computeLaneStats, computeCarStats, getScoringMethod } from '../scoring.js';
 import { flattenStart, getCompletedStarts } from '../state-manager.js';
+import { describeSuspect } from '../heat-plausibility.js';
 
 // ─── Helpers ────────────────────────────────────────────────────
 
@@ -19,6 +20,12 @@ function groupName(state, groupId) {
   return g ? g.group_name : '';
 }
 
+function sectionName(state, sectionId) {
+  if (!sectionId) return '';
+  const sec = state.race_day.sections[sectionId];
+  return sec ? sec.section_name : '';
+}
+
 function safeFilename(str) {
   return (str || 'report').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
 }
@@ -123,6 +130,7 @@ export function exportHeatTxt(state, section, start, heatNumber) {
     meta += `   Recorded: ${d.toLocaleString()}`;
   }
   lines.push(meta);
+  if (result.suspect) lines.push(`Flagged: ${describeSuspect(result.suspect)}`);
   lines.push('');
 
   // Heat result table
@@ -150,22 +158,33 @@ export function exportHeatTxt(state, section, start, heatNumber) {
   // Standings
   const flatSec = flattenStart(section, start);
   const standings = computeLeaderboard(flatSec);
+  const usePoints = getScoringMethod(flatSec) === 'points';
   if (standings.length > 0) {
     lines.push('');
     lines.push('Current Standings');
     lines.push('-----------------');
 
+    const hasHomes = standings.some(s => s.home_section_id);
     const sHeader = ['Rank', 'Car #', 'Name'];
     const sAligns = ['right', 'right', 'left'];
+    if (hasHomes) { sHeader.push('Section'); sAligns.push('left'); }
     if (hasGroups) { sHeader.push('Group'); sAligns.push('left'); }
-    sHeader.push('Avg', 'Best', 'Heats');
-    sAligns.push('right', 'right', 'right');
+    if (usePoints) { sHeader.push('Points'); sAligns.push('right'); }
+    sHeader.push('Avg');
+    sAligns.push('right');
+    if (flatSec.lane_bias_correction) { sHeader.push('Adj Avg'); sAligns.push('right'); }
+    sHeader.push('Best', 'Heats');
+    sAligns.push('right', 'right');
 
     const sRows = [sHeader];
     for (const s of standings) {
       const row = [s.rank, '#' + s.car_number, s.name + (s.incomplete ? ' *' : '')];
+      if (hasHomes) row.push(sectionName(state, s.home_section_id));
       if (hasGroups) row.push(groupName(state, s.group_id));
-      row.push(formatTime(s.avg_time_ms), formatTime(s.best_time_ms), s.heats_run);
+      if (usePoints) row.push(s.points);
+      row.push(formatTime(s.avg_time_ms));
+      if (flatSec.lane_bias_correction) row.push(formatTime(s.adjusted_avg_time_ms));
+      row.push(formatTime(s.best_time_ms), s.heats_run);
       sRows.push(row);
     }
     lines.push(asciiTable(sRows, sAligns));
@@ -200,6 +219,7 @@ function appendHeatBlock(lines, state, section, start, hn, hasGroups, carGroupMa
   let heatLabel = `Heat ${hn} — ${sourceLabel}`;
   if (rerunCount > 0) heatLabel += ` (rerun x${rerunCount})`;
   lines.push(heatLabel);
+  if (result.suspect) lines.push(`Flagged: ${describeSuspect(result.suspect)}`);
 
   const header = ['Lane', 'Car #', 'Name'];
   const aligns = ['right', 'right', 'left'];
@@ -245,6 +265,7 @@ export function exportSectionTxt(state, section, start) {
 
   const flatSec = flattenStart(section, start);
   const standings = computeLeaderboard(flatSec);
+  const usePoints = getScoringMethod(flatSec) === 'points';
   const laneStats = computeLaneStats(flatSec);
   const carStats = computeCarStats(flatSec);
   const results = start.results || {};
@@ -265,17 +286,27 @@ export function exportSectionTxt(state, section, start) {
   if (standings.length > 0) {
     lines.push('Standings');
     lines.push('---------');
+    const hasHomes = standings.some(s => s.home_section_id);
     const sHeader = ['Rank', 'Car #', 'Name'];
     const sAligns = ['right', 'right', 'left'];
+    if (hasHomes) { sHeader.push('Section'); sAligns.push('left'); }
     if (hasGroups) { sHeader.push('Group'); sAligns.push('left'); }
-    sHeader.push('Avg', 'Best', 'Heats');
-    sAligns.push('right', 'right', 'right');
+    if (usePoints) { sHeader.push('Points'); sAligns.push('right'); }
+    sHeader.push('Avg');
+    sAligns.push('right');
+    if (flatSec.lane_bias_correction) { sHeader.push('Adj Avg'); sAligns.push('right'); }
+    sHeader.push('Best', 'Heats');
+    sAligns.push('right', 'right');
 
     const sRows = [sHeader];
     for (const s of standings) {
       const row = [s.rank, '#' + s.car_number, s.name + (s.incomplete ? ' *' : '')];
+      if (hasHomes) row.push(sectionName(state, s.home_section_id));
       if (hasGroups) row.push(groupName(state, s.group_id));
-      row.push(formatTime(s.avg_time_ms), formatTime(s.best_time_ms), s.heats_run);
+      if (usePoints) row.push(s.points);
+      row.push(formatTime(s.avg_time_ms));
+      if (flatSec.lane_bias_correction) row.push(formatTime(s.adjusted_avg_time_ms));
+      row.push(formatTime(s.best_time_ms), s.heats_run);
       sRows.push(row);
     }
     lines.push(asciiTable(sRows, sAligns));
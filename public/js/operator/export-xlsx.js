@@ -9,8 +9,9 @@
  *   Sheet 4: Lane Stats   — per-lane averages
  */
 
-import { computeLeaderboard, computeLaneStats, computeCarStats } from '../scoring.js';
+import { computeLeaderboard, computeLaneStats, computeCarStats, getScoringMethod } from '../scoring.js';
 import { flattenStart, compareCarNumbers, getCompletedStarts } from '../state-manager.js';
+import { describeSuspect } from '../heat-plausibility.js';
 
 // ─── Helpers ────────────────────────────────────────────────────
 
@@ -25,6 +26,12 @@ function groupName(state, groupId) {
   return g ? g.group_name : '';
 }
 
+function sectionName(state, sectionId) {
+  if (!sectionId) return '';
+  const sec = state.race_day.sections[sectionId];
+  return sec ? sec.section_name : '';
+}
+
 function safeFilename(str) {
   return (str || 'export').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
 }
@@ -62,6 +69,7 @@ function autoWidth(ws, aoa) {
 export function exportSectionXlsx(state, section, start) {
   const flatSec = flattenStart(section, start);
   const standings = computeLeaderboard(flatSec);
+  const usePoints = getScoringMethod(flatSec) === 'points';
   const laneStats = computeLaneStats(flatSec);
   const carStats = computeCarStats(flatSec);
   const results = start.results || {};
@@ -78,14 +86,23 @@ export function exportSectionXlsx(state, section, start) {
   // ── Sheet 1: Standings ────────────────────────────────────────
 
   {
+    const hasHomes = standings.some(s => s.home_section_id);
     const header = ['Rank', 'Car #', 'Name'];
+    if (hasHomes) header.push('Section');
     if (hasGroups) header.push('Group');
-    header.push('Avg Time (s)', 'Best Time (s)', 'Heats Run', 'Complete');
+    if (usePoints) header.push('Points');
+    header.push('Avg Time (s)');
+    if (flatSec.lane_bias_correction) header.push('Adj. Avg Time (s)');
+    header.push('Best Time (s)', 'Heats Run', 'Complete');
 
     const rows = standings.map(s => {
       const row = [s.rank, s.car_number, s.name];
+      if (hasHomes) row.push(sectionName(state, s.home_section_id));
       if (hasGroups) row.push(groupName(state, s.group_id));
-      row.push(fmtTime(s.avg_time_ms), fmtTime(s.best_time_ms), s.heats_run, !s.incomplete);
+      if (usePoints) row.push(s.points);
+      row.push(fmtTime(s.avg_time_ms));
+      if (flatSec.lane_bias_correction) row.push(fmtTime(s.adjusted_avg_time_ms));
+      row.push(fmtTime(s.best_time_ms), s.heats_run, !s.incomplete);
       return row;
     });
 
@@ -245,6 +262,7 @@ export function exportHeatXlsx(state, section, start, heatNumber) {
       const d = new Date(result.timestamp);
       metaRows.push(['Recorded', d.toLocaleString()]);
     }
+    if (result.suspect) metaRows.push(['Flagged', describeSuspect(result.suspect)]);
 
     const header = ['Lane', 'Car #', 'Name'];
     if (hasGroups) header.push('Group');
@@ -274,15 +292,25 @@ export function exportHeatXlsx(state, section, start, heatNumber) {
 
   const flatSec = flattenStart(section, start);
   const standings = computeLeaderboard(flatSec);
+  const usePoints = getScoringMethod(flatSec) === 'points';
   if (standings.length > 0) {
+    const hasHomes = standings.some(s => s.home_section_id);
     const header = ['Rank', 'Car #', 'Name'];
+    if (hasHomes) header.push('Section');
     if (hasGroups) header.push('Group');
-    header.push('Avg Time (s)', 'Best Time (s)', 'Heats Run', 'Complete');
+    if (usePoints) header.push('Points');
+    header.push('Avg Time (s)');
+    if (flatSec.lane_bias_correction) header.push('Adj. Avg Time (s)');
+    header.push('Best Time (s)', 'Heats Run', 'Complete');
 
     const rows = standings.map(s => {
       const row = [s.rank, s.car_number, s.name];
+      if (hasHomes) row.push(sectionName(state, s.home_section_id));
       if (hasGroups) row.push(groupName(state, s.group_id));
-      row.push(fmtTime(s.avg_time_ms), fmtTime(s.best_time_ms), s.heats_run, !s.incomplete);
+      if (usePoints) row.push(s.points);
+      row.push(fmtTime(s.avg_time_ms));
+      if (flatSec.lane_bias_correction) row.push(fmtTime(s.adjusted_avg_time_ms));
+      row.push(fmtTime(s.best_time_ms), s.heats_run, !s.incomplete);
       return row;
     });
 
@@ -298,16 +326,18 @@ export function exportHeatXlsx(state, section, start, heatNumber) {
 
 /**
  * Export an entrants list across all sections as an .xlsx workbook.
- * One sheet per section with an Arrived column for paper check-in.
+ * One sheet per section with an Arrived column for paper check-in, plus
+ * recorded weights when the rally inspects cars.
  * @param {Object} state - full app state
  * @param {string[]} [sectionIds] - optional filter; defaults to all sections
  */
 export function exportEntrantsXlsx(state, sectionIds) {
   const rd = state.race_day;
   const allSections = Object.values(rd.sections);
+  // Finals have no registrations of their own — finalists check in at home
   const sections = sectionIds
     ? allSections.filter(s => sectionIds.includes(s.section_id))
-    : allSections;
+    : allSections.filter(s => s.section_type !== 'finals');
 
   const wb = XLSX.utils.book_new();
   let anyWritten = false;
@@ -319,12 +349,24 @@ export function exportEntrantsXlsx(state, sectionIds) {
     const hasGroups = section.participants.some(p => p.group_id);
     const sorted = [...section.participants].sort((a, b) => compareCarNumbers(a.car_number, b.car_number));
 
+    // Recorded weigh-ins; left blank for cars not yet inspected
+    const inspections = section.inspections || {};
+    const showInspection = !!state.inspection_checklist || Object.keys(inspections).length > 0;
+
     const header = ['Arrived', 'Car #', 'Name'];
     if (hasGroups) header.push('Group');
+    if (showInspection) header.push('Weight', 'Inspection');
 
     const rows = sorted.map(p => {
       const row = ['', p.car_number, p.name];
       if (hasGroups) row.push(groupName(state, p.group_id));
+      if (showInspection) {
+        const insp = inspections[p.car_number];
+        row.push(
+          insp?.weight != null ? `${insp.weight} ${insp.weight_unit || ''}`.trim() : '',
+          insp ? (insp.passed ? 'Passed' : 'Failed') : ''
+        );
+      }
       return row;
     });
 
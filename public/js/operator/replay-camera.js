@@ -0,0 +1,168 @@
+/**
+ * operator/replay-camera.js — Webcam at the finish line for photo-finish
+ * replays.
+ *
+ * While running, the camera keeps two overlapping recordings going (see
+ * replay-buffer.js). capture() — called when a heat finishes — keeps
+ * recording for a moment past the line, then returns a clip reaching back
+ * at least REPLAY_WINDOW_MS before the finish, plus a full-resolution still
+ * frame. The clip is a whole recording, so it plays from its first frame.
+ */
+
+import {
+  createRecordingRotation, REPLAY_WINDOW_MS, REPLAY_POST_ROLL_MS, REPLAY_CHUNK_MS
+} from '../replay-buffer.js';
+
+const STILL_TYPE = 'image/jpeg';
+const STILL_QUALITY = 0.9;
+const CLIP_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+const ROTATE_CHECK_MS = 100;
+
+/** True when this browser can use a camera at all. */
+export function isCameraSupported() {
+  return !!navigator.mediaDevices?.getUserMedia;
+}
+
+/**
+ * Cameras the browser can see. Labels are blank until camera permission
+ * has been granted once.
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+export async function listCameras() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(d => d.kind === 'videoinput')
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {{ windowMs?: number, postRollMs?: number, chunkMs?: number }} [opts]
+ * @returns {{
+ *   start: (deviceId?: string) => Promise<void>,
+ *   stop: () => void,
+ *   isRunning: () => boolean,
+ *   getStream: () => MediaStream|null,
+ *   getDeviceId: () => string|null,
+ *   capture: () => Promise<{ clip: Blob|null, still: Blob|null, mime_type: string|null }>
+ * }}
+ */
+export function createReplayCamera({
+  windowMs = REPLAY_WINDOW_MS, postRollMs = REPLAY_POST_ROLL_MS, chunkMs = REPLAY_CHUNK_MS
+} = {}) {
+  let stream = null;
+  let video = null;          // off-screen element the still frames are grabbed from
+  let deviceId = null;
+  let mimeType = null;
+  let recordings = [null, null];   // per rotation slot: { recorder, chunks }
+  let rotateTimer = null;
+  const rotation = createRecordingRotation({ windowMs, postRollMs });
+  const held = new Set();          // slots a capture is reading; restarts wait
+  const deferred = new Set();
+
+  /** Start a fresh recording in a slot, dropping the one it replaces. */
+  function record(slot) {
+    const old = recordings[slot];
+    if (old && old.recorder.state !== 'inactive') old.recorder.stop();
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    mimeType = recorder.mimeType || mimeType;
+    const recording = { recorder, chunks: [] };
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) recording.chunks.push(e.data);
+    };
+    recorder.start(chunkMs);
+    recordings[slot] = recording;
+    rotation.started(slot, Date.now());
+  }
+
+  function rotate() {
+    for (const slot of rotation.due(Date.now())) {
+      if (held.has(slot)) deferred.add(slot);
+      else record(slot);
+    }
+  }
+
+  async function start(id) {
+    stop();
+    stream = await navigator.mediaDevices.getUserMedia({
+      video: id ? { deviceId: { exact: id }, frameRate: { ideal: 60 } } : { frameRate: { ideal: 60 } },
+      audio: false
+    });
+    deviceId = stream.getVideoTracks()[0]?.getSettings().deviceId || id || null;
+
+    video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    await video.play().catch(() => {});
+
+    // Some browsers (older Safari) have no MediaRecorder: stills still work
+    if (typeof MediaRecorder !== 'undefined') {
+      mimeType = CLIP_TYPES.find(t => MediaRecorder.isTypeSupported(t)) || null;
+      rotation.reset();
+      rotate();
+      rotateTimer = setInterval(rotate, ROTATE_CHECK_MS);
+    }
+  }
+
+  function stop() {
+    clearInterval(rotateTimer);
+    rotateTimer = null;
+    for (const recording of recordings) {
+      if (recording && recording.recorder.state !== 'inactive') recording.recorder.stop();
+    }
+    recordings = [null, null];
+    held.clear();
+    deferred.clear();
+    if (stream) for (const track of stream.getTracks()) track.stop();
+    stream = null;
+    if (video) video.srcObject = null;
+    video = null;
+  }
+
+  function grabStill() {
+    if (!video || !video.videoWidth) return Promise.resolve(null);
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    return new Promise(resolve => canvas.toBlob(resolve, STILL_TYPE, STILL_QUALITY));
+  }
+
+  async function capture() {
+    if (!stream) return { clip: null, still: null, mime_type: null };
+    // The frame at the moment the finish was reported is the photo finish
+    const still = await grabStill();
+    await sleep(postRollMs);
+    let clip = null;
+    const slot = rotation.pick(Date.now());
+    const recording = slot !== null ? recordings[slot] : null;
+    if (recording && recording.recorder.state === 'recording') {
+      held.add(slot);
+      try {
+        // Flush the chunk in progress so the clip runs right up to now
+        const { recorder } = recording;
+        const flushed = new Promise(resolve => recorder.addEventListener('dataavailable', resolve, { once: true }));
+        recorder.requestData();
+        await Promise.race([flushed, sleep(chunkMs * 2)]);
+        if (recording.chunks.length > 0) clip = new Blob(recording.chunks, { type: mimeType || 'video/webm' });
+      } finally {
+        held.delete(slot);
+        if (deferred.delete(slot) && stream) record(slot);
+      }
+    }
+    return { clip, still, mime_type: clip ? clip.type : null };
+  }
+
+  return {
+    start,
+    stop,
+    isRunning: () => !!stream,
+    getStream: () => stream,
+    getDeviceId: () => deviceId,
+    capture
+  };
+}
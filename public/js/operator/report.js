@@ -2,14 +2,24 @@
  * operator/report.js — PDF report generation for RallyLab.
  * Uses jsPDF + jspdf-autotable (loaded from CDN in operator.html).
  *
- * Three report types:
+ * Report types:
  *   - Rally report:   all sections in the rally
  *   - Section report: one section, one or all starts
  *   - Heat report:    a single heat's details
+ *   - Heat sheet:     every scheduled heat, with blank columns for manual times
+ *   - On-deck slips:  one cut-apart slip per car listing its heats and lanes
+ *   - Car tags:       cut-apart QR tags for scan check-in at the registrar
+ *
+ * Car tags also need qrcode-generator (loaded from CDN in operator.html).
+ * Standings, heat and entrants tables get a Photo column when cars have
+ * check-in photos on this device.
  */
 
-import { computeLeaderboard, computeLaneStats, computeCarStats } from '../scoring.js';
-import { getCompletedStarts, getStart, flattenStart, compareCarNumbers } from '../state-manager.js';
+import { computeLeaderboard, computeLaneStats, computeCarStats, estimateLaneOffsets } from '../scoring.js';
+import { getCompletedStarts, getStart, flattenStart, compareCarNumbers, getCarPhotoId } from '../state-manager.js';
+import { carTagCode } from '../car-tags.js';
+import { describeSuspect } from '../heat-plausibility.js';
+import { getThumb } from '../car-photos.js';
 
 // ─── Helpers ────────────────────────────────────────────────────
 
@@ -24,6 +34,12 @@ function groupName(state, groupId) {
   return g ? g.group_name : '';
 }
 
+function sectionName(state, sectionId) {
+  if (!sectionId) return '';
+  const sec = state.race_day.sections[sectionId];
+  return sec ? sec.section_name : '';
+}
+
 function safeFilename(str) {
   return (str || 'report').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
 }
@@ -49,12 +65,52 @@ function downloadPdf(doc, filename) {
   doc.save(filename);
 }
 
+// ─── Car Photos ─────────────────────────────────────────────────
+
+/** Thumbnails (data URLs) for the cars in a table, keyed by car number. */
+function carThumbs(state, sectionId, carNumbers) {
+  const thumbs = new Map();
+  for (const cn of carNumbers) {
+    const thumb = getThumb(getCarPhotoId(state, sectionId, cn));
+    if (thumb) thumbs.set(String(cn), thumb);
+  }
+  return thumbs;
+}
+
+/**
+ * Insert a Photo column after Car # when any car has a thumbnail, and return
+ * the autoTable options that draw them. Rows need a `car_number` key.
+ */
+function photoColumn(doc, columns, thumbs, size) {
+  if (thumbs.size === 0) return {};
+  const at = columns.findIndex(c => c.dataKey === 'car') + 1;
+  columns.splice(at, 0, { header: 'Photo', dataKey: 'photo' });
+  return {
+    columnStyles: { photo: { cellWidth: size * 1.5 + 4, minCellHeight: size + 4 } },
+    didDrawCell: (data) => {
+      if (data.section !== 'body' || data.column.dataKey !== 'photo') return;
+      const thumb = thumbs.get(String(data.row.raw.car_number));
+      if (!thumb) return;
+      const { width, height } = doc.getImageProperties(thumb);
+      const { x, y, width: cw, height: ch } = data.cell;
+      const scale = Math.min((cw - 4) / width, (ch - 4) / height);
+      const w = width * scale;
+      const h = height * scale;
+      doc.addImage(thumb, 'JPEG', x + (cw - w) / 2, y + (ch - h) / 2, w, h);
+    },
+  };
+}
+
 /**
- * Render a leaderboard standings table using autoTable.
+ * Render a leaderboard standings table using autoTable. Pass
+ * `options.sectionId` to include car photos.
  * @returns {number} The final Y position after the table.
  */
 function renderStandingsTable(doc, standings, state, startY, options = {}) {
   const hasGroups = standings.some(s => s.group_id);
+  const hasHomes = standings.some(s => s.home_section_id);
+  const hasPoints = standings.some(s => s.points != null);
+  const hasAdjusted = standings.some(s => s.adjusted_avg_time_ms != null);
   const compact = options.compact || false;
 
   const columns = [
@@ -62,19 +118,32 @@ function renderStandingsTable(doc, standings, state, startY, options = {}) {
     { header: 'Car #', dataKey: 'car' },
     { header: 'Name', dataKey: 'name' },
   ];
+  if (hasHomes) columns.push({ header: 'Section', dataKey: 'home' });
   if (hasGroups) columns.push({ header: 'Group', dataKey: 'group' });
+  if (hasPoints) columns.push({ header: 'Points', dataKey: 'points' });
+  columns.push({ header: 'Avg Time', dataKey: 'avg' });
+  if (hasAdjusted) columns.push({ header: 'Adj. Avg', dataKey: 'adj' });
   columns.push(
-    { header: 'Avg Time', dataKey: 'avg' },
     { header: 'Best Time', dataKey: 'best' },
     { header: 'Heats', dataKey: 'heats' },
   );
 
+  const thumbs = options.sectionId
+    ? carThumbs(state, options.sectionId, standings.map(s => s.car_number))
+    : new Map();
+  const photos = photoColumn(doc, columns, thumbs, compact ? 16 : 22);
+
   const rows = standings.map(s => ({
     rank: s.rank,
+    car_number: s.car_number,
     car: '#' + s.car_number,
+    photo: '',
     name: s.name + (s.incomplete ? ' *' : ''),
+    home: sectionName(state, s.home_section_id),
     group: groupName(state, s.group_id),
+    points: s.points,
     avg: s.avg_time_ms != null ? formatTime(s.avg_time_ms) : '—',
+    adj: s.adjusted_avg_time_ms != null ? formatTime(s.adjusted_avg_time_ms) : '—',
     best: s.best_time_ms != null ? formatTime(s.best_time_ms) : '—',
     heats: s.heats_run,
   }));
@@ -88,19 +157,22 @@ function renderStandingsTable(doc, standings, state, startY, options = {}) {
     headStyles: { fillColor: [40, 40, 60], textColor: 255, fontStyle: 'bold' },
     alternateRowStyles: { fillColor: [245, 245, 250] },
     margin: { left: 40, right: 40 },
+    ...photos,
   });
 
   return doc.lastAutoTable.finalY;
 }
 
 /**
- * Render a lane statistics table.
+ * Render a lane statistics table. When lane offsets are given (from
+ * estimateLaneOffsets), an estimated-offset column is added.
  * @returns {number} The final Y position after the table.
  */
-function renderLaneStatsTable(doc, laneStats, startY) {
+function renderLaneStatsTable(doc, laneStats, startY, laneOffsets = null) {
   if (laneStats.length === 0) return startY;
 
   const overallAvg = laneStats.reduce((s, l) => s + l.avg_time_ms, 0) / laneStats.length;
+  const hasOffsets = laneOffsets && Object.keys(laneOffsets).length > 0;
 
   const columns = [
     { header: 'Lane', dataKey: 'lane' },
@@ -108,14 +180,18 @@ function renderLaneStatsTable(doc, laneStats, startY) {
     { header: 'Races', dataKey: 'count' },
     { header: 'vs Overall', dataKey: 'diff' },
   ];
+  if (hasOffsets) columns.push({ header: 'Est. Offset', dataKey: 'offset' });
 
+  const signed = ms => (ms >= 0 ? '+' : '-') + formatTime(Math.abs(ms)).replace('s', '') + 's';
   const rows = laneStats.map(ls => {
     const diff = ls.avg_time_ms - overallAvg;
+    const offset = hasOffsets ? laneOffsets[ls.lane] : null;
     return {
       lane: 'Lane ' + ls.lane,
       avg: formatTime(ls.avg_time_ms),
       count: ls.race_count,
-      diff: (diff >= 0 ? '+' : '-') + formatTime(Math.abs(diff)).replace('s', '') + 's',
+      diff: signed(diff),
+      offset: offset != null ? signed(offset) : '—',
     };
   });
 
@@ -162,11 +238,15 @@ function renderHeatTable(doc, result, state, section, startY) {
   }
 
   const sortedLanes = [...heatLanes].sort((a, b) => a.lane - b.lane);
+  const thumbs = carThumbs(state, section.section_id, sortedLanes.map(l => l.car_number));
+  const photos = photoColumn(doc, columns, thumbs, 18);
 
   const rows = sortedLanes.map(lane => {
     const row = {
       lane: 'Lane ' + lane.lane,
+      car_number: lane.car_number,
       car: '#' + lane.car_number,
+      photo: '',
       name: lane.name,
       group: gMap[lane.car_number] || '',
     };
@@ -190,6 +270,7 @@ function renderHeatTable(doc, result, state, section, startY) {
     alternateRowStyles: { fillColor: [245, 245, 250] },
     margin: { left: 40, right: 40 },
     tableWidth: 'wrap',
+    ...photos,
   });
 
   return doc.lastAutoTable.finalY;
@@ -244,7 +325,8 @@ export function generateRallyReport(state, options = {}) {
   let totalParticipants = 0;
   let totalHeats = 0;
   for (const sec of sections) {
-    totalParticipants += sec.participants.length;
+    // Finalists are already counted in their home sections
+    if (sec.section_type !== 'finals') totalParticipants += sec.participants.length;
     const completed = getCompletedStarts(sec);
     for (const s of completed) {
       totalHeats += Object.keys(s.results || {}).length;
@@ -281,7 +363,7 @@ export function generateRallyReport(state, options = {}) {
         doc.setFontSize(10);
         doc.setTextColor(50);
         doc.text('Standings', 40, y);
-        y = renderStandingsTable(doc, standings, state, y + 6);
+        y = renderStandingsTable(doc, standings, state, y + 6, { sectionId: sec.section_id });
 
         if (standings.some(s => s.incomplete)) {
           doc.setFontSize(7);
@@ -361,7 +443,7 @@ export function generateSectionReport(state, section, startNumbers) {
     // Standings
     if (standings.length > 0) {
       y = renderSectionHeading(doc, 'Standings' + titleSuffix, null, y);
-      y = renderStandingsTable(doc, standings, state, y);
+      y = renderStandingsTable(doc, standings, state, y, { sectionId: section.section_id });
 
       if (standings.some(s => s.incomplete)) {
         doc.setFontSize(7);
@@ -376,7 +458,13 @@ export function generateSectionReport(state, section, startNumbers) {
       y += 14;
       if (y > 680) { doc.addPage(); y = 50; }
       y = renderSectionHeading(doc, 'Lane Statistics', null, y);
-      y = renderLaneStatsTable(doc, laneStats, y);
+      y = renderLaneStatsTable(doc, laneStats, y, estimateLaneOffsets(flatSec));
+      if (flatSec.lane_bias_correction) {
+        doc.setFontSize(7);
+        doc.setTextColor(120);
+        doc.text('Standings ranked by average time adjusted by each lane\'s estimated offset.', 40, y + 10);
+        y += 16;
+      }
     }
 
     // Heat-by-heat results
@@ -404,6 +492,13 @@ export function generateSectionReport(state, section, startNumbers) {
         doc.setTextColor(50);
         doc.text(heatLabel, 40, hy);
         hy += 4;
+        if (result.suspect) {
+          const flagLines = doc.splitTextToSize(`Flagged: ${describeSuspect(result.suspect)}`, pw - 80);
+          doc.setFontSize(8);
+          doc.setTextColor(120);
+          doc.text(flagLines, 40, hy + 8);
+          hy += 4 + flagLines.length * 10;
+        }
 
         hy = renderHeatTable(doc, result, state, section, hy);
         hy += 10;
@@ -484,7 +579,8 @@ export function generateSectionReport(state, section, startNumbers) {
 
 /**
  * Generate a printable entrants list across all sections.
- * Each section on its own page with a check-in checkbox column.
+ * Each section on its own page with a check-in checkbox column, plus
+ * recorded weights when the rally inspects cars.
  * @param {Object} state - full app state
  * @param {string[]} [sectionIds] - optional filter; defaults to all sections
  */
@@ -493,9 +589,10 @@ export function generateEntrantsReport(state, sectionIds) {
   const pw = doc.internal.pageSize.getWidth();
   const rd = state.race_day;
   const allSections = Object.values(rd.sections);
+  // Finals have no registrations of their own — finalists check in at home
   const sections = sectionIds
     ? allSections.filter(s => sectionIds.includes(s.section_id))
-    : allSections;
+    : allSections.filter(s => s.section_type !== 'finals');
 
   if (sections.length === 0) return;
 
@@ -526,19 +623,37 @@ export function generateEntrantsReport(state, sectionIds) {
     const hasGroups = sec.participants.some(p => p.group_id);
     const sorted = [...sec.participants].sort((a, b) => compareCarNumbers(a.car_number, b.car_number));
 
+    // Recorded weigh-ins; left blank for cars not yet inspected
+    const inspections = sec.inspections || {};
+    const showInspection = !!state.inspection_checklist || Object.keys(inspections).length > 0;
+
     const columns = [
       { header: 'Arrived', dataKey: 'arrived' },
       { header: 'Car #', dataKey: 'car' },
       { header: 'Name', dataKey: 'name' },
     ];
     if (hasGroups) columns.push({ header: 'Group', dataKey: 'group' });
+    if (showInspection) {
+      columns.push({ header: 'Weight', dataKey: 'weight' });
+      columns.push({ header: 'Inspection', dataKey: 'inspection' });
+    }
 
-    const rows = sorted.map(p => ({
-      arrived: '',
-      car: '#' + p.car_number,
-      name: p.name,
-      group: groupName(state, p.group_id),
-    }));
+    const thumbs = carThumbs(state, sec.section_id, sorted.map(p => p.car_number));
+    const photos = photoColumn(doc, columns, thumbs, 28);
+
+    const rows = sorted.map(p => {
+      const insp = inspections[p.car_number];
+      return {
+        arrived: '',
+        car_number: p.car_number,
+        car: '#' + p.car_number,
+        photo: '',
+        name: p.name,
+        group: groupName(state, p.group_id),
+        weight: insp?.weight != null ? `${insp.weight} ${insp.weight_unit || ''}`.trim() : '',
+        inspection: insp ? (insp.passed ? 'Passed' : 'Failed') : '',
+      };
+    });
 
     doc.autoTable({
       startY: 105,
@@ -548,8 +663,9 @@ export function generateEntrantsReport(state, sectionIds) {
       styles: { fontSize: 11, cellPadding: 6 },
       headStyles: { fillColor: [40, 40, 60], textColor: 255, fontStyle: 'bold' },
       alternateRowStyles: { fillColor: [245, 245, 250] },
-      columnStyles: { arrived: { cellWidth: 60, halign: 'center' } },
       margin: { left: 40, right: 40 },
+      ...photos,
+      columnStyles: { arrived: { cellWidth: 60, halign: 'center' }, ...photos.columnStyles },
     });
   }
 
@@ -559,6 +675,91 @@ export function generateEntrantsReport(state, sectionIds) {
   downloadPdf(doc, `${safeFilename(state.rally_name || 'rally')}-entrants.pdf`);
 }
 
+// ─── Car Tags ───────────────────────────────────────────────────
+
+/**
+ * Draw a QR code as filled squares. `size` is the full symbol width in
+ * points, including the 4-module quiet zone scanners need.
+ */
+function drawQrCode(doc, text, x, y, size) {
+  const qr = window.qrcode(0, 'M');
+  qr.addData(text);
+  qr.make();
+  const count = qr.getModuleCount();
+  const cell = size / (count + 8);
+  doc.setFillColor(0, 0, 0);
+  for (let r = 0; r < count; r++) {
+    for (let c = 0; c < count; c++) {
+      if (qr.isDark(r, c)) {
+        doc.rect(x + (c + 4) * cell, y + (r + 4) * cell, cell, cell, 'F');
+      }
+    }
+  }
+}
+
+/**
+ * Generate printable car tags: ten cut-apart tags per page, each with a QR
+ * code the registrar station scans to check the car in, plus the car
+ * number, name, section and group for people to read.
+ * @param {Object} state - full app state
+ * @param {string[]} [sectionIds] - optional filter; defaults to all non-finals sections
+ */
+export function generateCarTags(state, sectionIds) {
+  const rd = state.race_day;
+  const allSections = Object.values(rd.sections);
+  const sections = sectionIds
+    ? allSections.filter(s => sectionIds.includes(s.section_id))
+    : allSections.filter(s => s.section_type !== 'finals');
+
+  const tags = [];
+  for (const sec of sections) {
+    const sorted = [...sec.participants].sort((a, b) => compareCarNumbers(a.car_number, b.car_number));
+    for (const p of sorted) tags.push({ sec, p });
+  }
+  if (tags.length === 0) return;
+
+  const doc = makePdf('portrait');
+  const COLS = 2;
+  const ROWS = 5;
+  const TAG_W = 270;
+  const TAG_H = 140;
+  const left = (doc.internal.pageSize.getWidth() - COLS * TAG_W) / 2;
+  const top = 36;
+  const QR_SIZE = 120;
+
+  tags.forEach(({ sec, p }, i) => {
+    const slot = i % (COLS * ROWS);
+    if (i > 0 && slot === 0) doc.addPage();
+    const x = left + (slot % COLS) * TAG_W;
+    const y = top + Math.floor(slot / COLS) * TAG_H;
+
+    // Cut lines
+    doc.setDrawColor(170);
+    doc.setLineDashPattern([4, 3], 0);
+    doc.rect(x, y, TAG_W, TAG_H);
+    doc.setLineDashPattern([], 0);
+
+    drawQrCode(doc, carTagCode(sec.section_id, p.car_number), x + 8, y + (TAG_H - QR_SIZE) / 2, QR_SIZE);
+
+    const tx = x + QR_SIZE + 16;
+    const maxW = TAG_W - QR_SIZE - 24;
+    doc.setFontSize(30);
+    doc.setTextColor(30);
+    doc.text(`#${p.car_number}`, tx, y + 48);
+
+    doc.setFontSize(12);
+    doc.text(doc.splitTextToSize(p.name || '', maxW).slice(0, 2), tx, y + 72);
+
+    doc.setFontSize(9);
+    doc.setTextColor(100);
+    const group = groupName(state, p.group_id);
+    doc.text(doc.splitTextToSize([sec.section_name, group].filter(Boolean).join(' · '), maxW).slice(0, 2), tx, y + 104);
+  });
+
+  addPageFooter(doc, state.rally_name || 'Rally');
+  downloadPdf(doc, `${safeFilename(state.rally_name || 'rally')}-car-tags.pdf`);
+}
+
 // ─── Heat Report ────────────────────────────────────────────────
 
 /**
@@ -567,8 +768,9 @@ export function generateEntrantsReport(state, sectionIds) {
  * @param {Object} section - race_day section object
  * @param {Object} start - the start object containing this heat
  * @param {number} heatNumber
+ * @param {Object} [replay] - the heat's stored photo-finish replay; its still is printed under the results
  */
-export function generateHeatReport(state, section, start, heatNumber) {
+export async function generateHeatReport(state, section, start, heatNumber, replay = null) {
   const doc = makePdf('portrait');
   const pw = doc.internal.pageSize.getWidth();
 
@@ -610,10 +812,20 @@ export function generateHeatReport(state, section, start, heatNumber) {
   doc.setTextColor(80);
   doc.text(meta, 40, y);
   y += 16;
+  if (result.suspect) {
+    const flagLines = doc.splitTextToSize(`Flagged: ${describeSuspect(result.suspect)}`, pw - 80);
+    doc.text(flagLines, 40, y);
+    y += flagLines.length * 12 + 4;
+  }
 
   // Heat result table
   y = renderHeatTable(doc, result, state, section, y);
 
+  // Photo finish
+  if (replay?.still) {
+    y = await renderFinishPhoto(doc, replay.still, y + 20);
+  }
+
   // Current leaderboard snapshot (after this heat)
   const flatSec = flattenStart(section, start);
   const standings = computeLeaderboard(flatSec);
@@ -621,13 +833,231 @@ export function generateHeatReport(state, section, start, heatNumber) {
     y += 20;
     if (y > 660) { doc.addPage(); y = 50; }
     y = renderSectionHeading(doc, 'Current Standings', null, y);
-    y = renderStandingsTable(doc, standings, state, y, { compact: true });
+    y = renderStandingsTable(doc, standings, state, y, { compact: true, sectionId: section.section_id });
   }
 
   addPageFooter(doc, state.rally_name || 'Rally');
   downloadPdf(doc, `${safeFilename(section.section_name)}-heat-${heatNumber}.pdf`);
 }
 
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/** Print the replay still frame full width, scaled to keep its aspect ratio. */
+async function renderFinishPhoto(doc, still, y) {
+  const pw = doc.internal.pageSize.getWidth();
+  const dataUrl = await blobToDataUrl(still);
+  const { width, height } = doc.getImageProperties(dataUrl);
+  const w = pw - 80;
+  const h = Math.min(w * height / width, 300);
+  const drawW = h * width / height;
+  if (y + h + 16 > 760) { doc.addPage(); y = 50; }
+  y = renderSectionHeading(doc, 'Photo Finish', null, y);
+  doc.addImage(dataUrl, 'JPEG', (pw - drawW) / 2, y, drawW, h);
+  return y + h;
+}
+
+// ─── Heat Sheet ─────────────────────────────────────────────────
+
+/**
+ * Generate a heat sheet for a started section: every scheduled heat with its
+ * lane assignments, plus blank Time and Place columns so the timing table can
+ * keep going on paper if the track fails and racing drops to manual mode.
+ * @param {Object} state - full app state
+ * @param {Object} section - race_day section object
+ * @param {Object} start - the start the schedule belongs to
+ * @param {Object} schedule - the start's schedule (live or from reconstructSchedule)
+ */
+export function generateHeatSheet(state, section, start, schedule) {
+  const heats = schedule?.heats || [];
+  if (heats.length === 0) return;
+
+  const doc = makePdf('portrait');
+  const pw = doc.internal.pageSize.getWidth();
+  const results = start.results || {};
+
+  const startSuffix = section.starts && Object.keys(section.starts).length > 1
+    ? ` — Rally ${start.start_number}` : '';
+
+  doc.setFontSize(18);
+  doc.setTextColor(30);
+  doc.text(`${section.section_name}${startSuffix}`, pw / 2, 50, { align: 'center' });
+
+  doc.setFontSize(11);
+  doc.setTextColor(80);
+  const rallyLine = [state.rally_name, state.rally_date].filter(Boolean).join(' — ');
+  if (rallyLine) doc.text(rallyLine, pw / 2, 70, { align: 'center' });
+
+  const lanesUsed = [...new Set(heats.flatMap(h => h.lanes.map(l => l.lane)))].sort((a, b) => a - b);
+  doc.setFontSize(9);
+  doc.setTextColor(100);
+  doc.text(`Heat Sheet — ${heats.length} heats · Lanes ${lanesUsed.join(', ')}`, pw / 2, 88, { align: 'center' });
+
+  const hasGroups = section.participants.some(p => p.group_id);
+  const gMap = {};
+  for (const p of section.participants) {
+    gMap[p.car_number] = groupName(state, p.group_id);
+  }
+
+  const columns = [
+    { header: 'Heat', dataKey: 'heat' },
+    { header: 'Lane', dataKey: 'lane' },
+    { header: 'Car #', dataKey: 'car' },
+    { header: 'Name', dataKey: 'name' },
+  ];
+  if (hasGroups) columns.push({ header: 'Group', dataKey: 'group' });
+  columns.push({ header: 'Time', dataKey: 'time' });
+  columns.push({ header: 'Place', dataKey: 'place' });
+
+  // One row per lane; the heat cell spans the heat's rows so each heat
+  // reads as a block. Heats already run are marked so nobody re-stages them.
+  const rows = [];
+  for (const heat of heats) {
+    const lanes = [...heat.lanes].sort((a, b) => a.lane - b.lane);
+    const done = results[heat.heat_number] != null;
+    lanes.forEach((lane, i) => {
+      const row = {
+        lane: String(lane.lane),
+        car: '#' + lane.car_number,
+        name: lane.name,
+        group: gMap[lane.car_number] || '',
+        time: '',
+        place: '',
+      };
+      if (i === 0) {
+        row.heat = {
+          content: done ? `${heat.heat_number}\n(run)` : String(heat.heat_number),
+          rowSpan: lanes.length,
+          styles: { valign: 'middle', halign: 'center', fontStyle: 'bold' },
+        };
+      }
+      rows.push(row);
+    });
+  }
+
+  doc.autoTable({
+    startY: 105,
+    columns,
+    body: rows,
+    theme: 'grid',
+    styles: { fontSize: 10, cellPadding: 5 },
+    headStyles: { fillColor: [40, 40, 60], textColor: 255, fontStyle: 'bold' },
+    columnStyles: {
+      heat: { cellWidth: 40 },
+      lane: { cellWidth: 36, halign: 'center' },
+      time: { cellWidth: 70 },
+      place: { cellWidth: 44 },
+    },
+    rowPageBreak: 'avoid',
+    margin: { left: 40, right: 40 },
+  });
+
+  addPageFooter(doc, state.rally_name || 'Rally');
+  downloadPdf(doc, `${safeFilename(section.section_name)}-heat-sheet.pdf`);
+}
+
+// ─── On-Deck Slips ──────────────────────────────────────────────
+
+/**
+ * Generate on-deck slips: one small block per car listing every heat and
+ * lane it runs in, separated by cut lines so the pit crew can hand each
+ * family (or tape to each car box) its own running order.
+ * @param {Object} state - full app state
+ * @param {Object} section - race_day section object
+ * @param {Object} start - the start the schedule belongs to
+ * @param {Object} schedule - the start's schedule (live or from reconstructSchedule)
+ */
+export function generateOnDeckSheets(state, section, start, schedule) {
+  const heats = schedule?.heats || [];
+  if (heats.length === 0) return;
+
+  const runsByCar = {};
+  for (const heat of heats) {
+    for (const lane of heat.lanes) {
+      if (!runsByCar[lane.car_number]) runsByCar[lane.car_number] = [];
+      runsByCar[lane.car_number].push({ heat: heat.heat_number, lane: lane.lane });
+    }
+  }
+
+  const cars = section.participants
+    .filter(p => runsByCar[p.car_number])
+    .sort((a, b) => compareCarNumbers(a.car_number, b.car_number));
+  if (cars.length === 0) return;
+
+  const doc = makePdf('portrait');
+  const pw = doc.internal.pageSize.getWidth();
+  const ph = doc.internal.pageSize.getHeight();
+
+  const startSuffix = section.starts && Object.keys(section.starts).length > 1
+    ? ` — Rally ${start.start_number}` : '';
+
+  doc.setFontSize(18);
+  doc.setTextColor(30);
+  doc.text(`${section.section_name}${startSuffix}`, pw / 2, 50, { align: 'center' });
+
+  doc.setFontSize(9);
+  doc.setTextColor(100);
+  doc.text('On-Deck Slips — cut along the dashed lines', pw / 2, 68, { align: 'center' });
+
+  const HEATS_PER_ROW = 12;
+  let y = 95;
+
+  for (const p of cars) {
+    const runs = runsByCar[p.car_number];
+    const chunks = [];
+    for (let i = 0; i < runs.length; i += HEATS_PER_ROW) {
+      chunks.push(runs.slice(i, i + HEATS_PER_ROW));
+    }
+
+    // Keep each slip on one page
+    const slipHeight = 20 + chunks.length * 38 + 20;
+    if (y + slipHeight > ph - 40) {
+      doc.addPage();
+      y = 50;
+    }
+
+    doc.setFontSize(12);
+    doc.setTextColor(30);
+    const group = groupName(state, p.group_id);
+    doc.text(`#${p.car_number}  ${p.name}${group ? ` (${group})` : ''}`, 40, y);
+    doc.setFontSize(9);
+    doc.setTextColor(100);
+    doc.text(`${runs.length} heat${runs.length === 1 ? '' : 's'}`, pw - 40, y, { align: 'right' });
+    y += 6;
+
+    for (const chunk of chunks) {
+      doc.autoTable({
+        startY: y,
+        head: [['Heat', ...chunk.map(r => String(r.heat))]],
+        body: [['Lane', ...chunk.map(r => String(r.lane))]],
+        theme: 'grid',
+        styles: { fontSize: 10, cellPadding: 4, halign: 'center' },
+        headStyles: { fillColor: [40, 40, 60], textColor: 255, fontStyle: 'bold' },
+        columnStyles: { 0: { fontStyle: 'bold', halign: 'left' } },
+        margin: { left: 40, right: 40 },
+        tableWidth: 'wrap',
+      });
+      y = doc.lastAutoTable.finalY + 4;
+    }
+
+    y += 8;
+    doc.setDrawColor(170);
+    doc.setLineDashPattern([4, 3], 0);
+    doc.line(30, y, pw - 30, y);
+    doc.setLineDashPattern([], 0);
+    y += 22;
+  }
+
+  addPageFooter(doc, state.rally_name || 'Rally');
+  downloadPdf(doc, `${safeFilename(section.section_name)}-on-deck.pdf`);
+}
+
 // ─── Group Report ───────────────────────────────────────────────
 
 /**
@@ -713,16 +1143,20 @@ export function generateGroupReport(state, groupId, startNumbers) {
         { header: 'Car #', dataKey: 'car' },
         { header: 'Name', dataKey: 'name' },
         { header: 'Group', dataKey: 'group' },
+      ];
+      if (allStandings.some(s => s.points != null)) columns.push({ header: 'Points', dataKey: 'points' });
+      columns.push(
         { header: 'Avg Time', dataKey: 'avg' },
         { header: 'Best Time', dataKey: 'best' },
         { header: 'Heats', dataKey: 'heats' },
-      ];
+      );
 
       const rows = groupStandings.map(s => ({
         rank: `${s.rank} of ${allStandings.length}`,
         car: '#' + s.car_number,
         name: s.name + (s.incomplete ? ' *' : ''),
         group: groupName(state, s.group_id),
+        points: s.points,
         avg: s.avg_time_ms != null ? formatTime(s.avg_time_ms) : '—',
         best: s.best_time_ms != null ? formatTime(s.best_time_ms) : '—',
         heats: s.heats_run,
@@ -4,10 +4,14 @@
  * Screen D: Live Console, Screen E: Section Complete.
  */
 
-import { computeLeaderboard, computeLaneStats } from '../scoring.js';
+import { computeLeaderboard, computeLaneStats, getScoringMethod } from '../scoring.js';
+import { generateSchedule, validateLaneBalance } from '../scheduler.js';
+import { buildBracketView, BRACKET_FORMATS } from '../bracket.js';
+import { estimateHeatTimes } from '../heat-timing.js';
+import { FLAG_LABELS, describeSuspect } from '../heat-plausibility.js';
 import { deriveRaceDayPhase, getAcceptedResult, getActiveStart, getLatestStart, getStart, getCompletedStarts, flattenStart, compareCarNumbers } from '../state-manager.js';
-import { showManualRankDialog, showRemoveCarDialog, showLoadRosterDialog, showCorrectLanesDialog, showStartSectionDialog, showChangeLanesDialog, showRestoreFromUSBDialog, showTrackManagerDialog, showCarStatsDialog, showRallyReportDialog, showSectionReportDialog, showGroupReportsDialog } from './dialogs.js';
-import { generateHeatReport, generateEntrantsReport } from './report.js';
+import { showManualRankDialog, showRemoveCarDialog, showLoadRosterDialog, showCorrectLanesDialog, showStartSectionDialog, showCreateFinalsDialog, showChangeLanesDialog, showRestoreFromUSBDialog, showTrackManagerDialog, showAudienceRelayDialog, showReplayCameraDialog, showHeatChecksDialog, showReplayDialog, showTimelineDialog, showCarStatsDialog, showRallyReportDialog, showSectionReportDialog, showGroupReportsDialog } from './dialogs.js';
+import { generateHeatReport, generateEntrantsReport, generateHeatSheet, generateOnDeckSheets, generateCarTags } from './report.js';
 import { exportSectionXlsx, exportEntrantsXlsx, exportHeatXlsx } from './export-xlsx.js';
 import { exportHeatTxt, exportSectionTxt } from './export-txt.js';
 import { showDemoDataDialog } from './demo-data.js';
@@ -140,43 +144,77 @@ export function renderRallyHome(container, params, ctx) {
     }
   }
 
-  // Track Connection controls — single clickable badge opens Track Manager
+  header.querySelector('#rally-home-actions')
+    .appendChild(undoButton(ctx, () => navigate('rally-home', {}, { replace: true })));
+
+  if (state.integrity?.status === 'broken') {
+    const n = state.integrity.problems.length;
+    const badge = document.createElement('a');
+    badge.className = 'status-badge status-removed';
+    badge.href = 'event-inspector.html';
+    badge.target = '_blank';
+    badge.title = 'Stored events no longer match their hash chain';
+    badge.textContent = `Log check failed (${n})`;
+    header.querySelector('#rally-home-actions').appendChild(badge);
+  }
+
+  // Track Connection controls — one clickable badge per track opens its Track Manager
   {
     const actionsDiv = header.querySelector('#rally-home-actions');
-    const trackMode = ctx.getTrackMode();
-
-    let badgeLabel, badgeClass;
-    if (trackMode === 'wifi') {
-      const ip = ctx.getSavedTrackIp() || '';
-      badgeLabel = `Track: ${ip}`;
-      badgeClass = 'status-badge status-active';
-    } else if (trackMode === 'serial') {
-      badgeLabel = 'Track: USB';
-      badgeClass = 'status-badge status-active';
-    } else if (trackMode === 'fake') {
-      badgeLabel = 'Fake Track';
-      badgeClass = 'status-badge status-active';
-    } else {
-      badgeLabel = 'Connect Track';
-      badgeClass = 'status-badge status-idle';
+    const trackIds = ctx.getTrackIds();
+    for (const trackId of trackIds) {
+      const trackCtx = { ...ctx, ...ctx.forTrack(trackId) };
+      appendTrackBadge(actionsDiv, trackCtx, trackIds.length > 1 ? `Track ${trackId}` : null);
     }
 
-    const badge = document.createElement('button');
-    badge.className = badgeClass + ' track-badge-btn';
-    badge.textContent = badgeLabel;
-    badge.onclick = () => showTrackManagerDialog(ctx);
-    actionsDiv.appendChild(badge);
-
-    if (trackMode === 'manual') {
-      const savedIp = ctx.getSavedTrackIp();
-      if (savedIp) {
-        const hint = document.createElement('span');
-        hint.className = 'form-hint';
-        hint.style.marginLeft = '0.5rem';
-        hint.textContent = `${savedIp} (offline)`;
-        actionsDiv.appendChild(hint);
+    if (trackIds.length === 1) {
+      const addBtn = document.createElement('button');
+      addBtn.className = 'btn btn-sm btn-ghost';
+      addBtn.textContent = '+ Second Track';
+      addBtn.title = 'Race two sections at once on two tracks';
+      addBtn.onclick = async () => {
+        addBtn.disabled = true;
+        await ctx.addTrack();
+        navigate('rally-home', {}, { replace: true });
+      };
+      actionsDiv.appendChild(addBtn);
+    }
+
+    // Audience display on another device, through the network relay
+    const relayBtn = document.createElement('button');
+    if (ctx.getAudienceRelay()) {
+      const status = ctx.getAudienceRelayStatus();
+      const cls = status === 'open' ? 'status-active' : status === 'closed' || status === 'denied' ? 'status-removed' : 'status-idle';
+      relayBtn.className = `status-badge ${cls} track-badge-btn`;
+      relayBtn.textContent = status === 'closed' ? 'Network Display offline'
+        : status === 'denied' ? 'Network Display: wrong code' : 'Network Display';
+    } else {
+      relayBtn.className = 'btn btn-sm btn-ghost';
+      relayBtn.textContent = 'Network Display';
+    }
+    relayBtn.onclick = () => showAudienceRelayDialog(ctx);
+    actionsDiv.appendChild(relayBtn);
+
+    // Photo-finish webcam
+    if (ctx.isCameraSupported()) {
+      const cameraBtn = document.createElement('button');
+      if (ctx.isReplayCameraRunning()) {
+        cameraBtn.className = 'status-badge status-active track-badge-btn';
+        cameraBtn.textContent = trackIds.length > 1 ? `Replay Camera · Track ${ctx.getReplayCameraTrackId()}` : 'Replay Camera';
+      } else {
+        cameraBtn.className = 'btn btn-sm btn-ghost';
+        cameraBtn.textContent = 'Replay Camera';
       }
+      cameraBtn.onclick = () => showReplayCameraDialog(ctx);
+      actionsDiv.appendChild(cameraBtn);
     }
+
+    // Suspect-heat plausibility limits
+    const checksBtn = document.createElement('button');
+    checksBtn.className = 'btn btn-sm btn-ghost';
+    checksBtn.textContent = ctx.getHeatChecks().enabled ? 'Heat Checks' : 'Heat Checks (off)';
+    checksBtn.onclick = () => showHeatChecksDialog(ctx);
+    actionsDiv.appendChild(checksBtn);
   }
 
   if (sections.length === 0) {
@@ -230,8 +268,12 @@ export function renderRallyHome(container, params, ctx) {
       statusClass = 'status-badge status-idle';
     }
 
+    const finalsHint = sec.finals
+      ? `<div class="form-hint">Finals · top ${sec.finals.top_n} from ${sec.finals.source_section_ids.length} section${sec.finals.source_section_ids.length !== 1 ? 's' : ''}</div>`
+      : '';
+
     tr.innerHTML = `
-      <td><strong>${esc(sec.section_name)}</strong></td>
+      <td><strong>${esc(sec.section_name)}</strong>${finalsHint}</td>
       <td>${totalCount}</td>
       <td>${arrivedCount} / ${totalCount}</td>
       <td><span class="${statusClass}">${statusLabel}</span></td>
@@ -240,12 +282,28 @@ export function renderRallyHome(container, params, ctx) {
 
     const actionsCell = tr.querySelector('.table-actions');
 
-    // Check In button (always available)
-    const checkInBtn = document.createElement('button');
-    checkInBtn.className = 'btn btn-sm btn-secondary';
-    checkInBtn.textContent = 'Check In';
-    checkInBtn.onclick = () => navigate('check-in', { sectionId: sec.section_id });
-    actionsCell.appendChild(checkInBtn);
+    if (sec.section_type === 'finals') {
+      // Finalists are checked in by seeding; re-seed until the finals start
+      if (Object.keys(sec.starts).length === 0) {
+        const reseedBtn = document.createElement('button');
+        reseedBtn.className = 'btn btn-sm btn-secondary';
+        reseedBtn.textContent = 'Re-seed';
+        reseedBtn.onclick = async () => {
+          if (await ctx.reseedFinals(sec.section_id)) {
+            showToast('Finals re-seeded', 'success');
+            navigate('rally-home', {}, { replace: true });
+          }
+        };
+        actionsCell.appendChild(reseedBtn);
+      }
+    } else {
+      // Check In button (always available)
+      const checkInBtn = document.createElement('button');
+      checkInBtn.className = 'btn btn-sm btn-secondary';
+      checkInBtn.textContent = 'Check In';
+      checkInBtn.onclick = () => navigate('check-in', { sectionId: sec.section_id });
+      actionsCell.appendChild(checkInBtn);
+    }
 
     // Start Section (available when no active start and >= 2 arrived)
     if (!hasActiveStart && arrivedCount >= 2) {
@@ -285,6 +343,18 @@ export function renderRallyHome(container, params, ctx) {
   const anyParticipants = sections.some(s => s.participants.length > 0);
   const anyComplete = sections.some(s => getCompletedStarts(s).length > 0);
 
+  // Grand Champion finals can be seeded once any regular section has results
+  if (sections.some(s => s.section_type !== 'finals' && getCompletedStarts(s).length > 0)) {
+    const finalsWrap = document.createElement('div');
+    finalsWrap.style.marginTop = '1rem';
+    const finalsBtn = document.createElement('button');
+    finalsBtn.className = 'btn btn-secondary';
+    finalsBtn.textContent = 'Create Finals';
+    finalsBtn.onclick = () => showCreateFinalsDialog(ctx);
+    finalsWrap.appendChild(finalsBtn);
+    container.appendChild(finalsWrap);
+  }
+
   if (anyParticipants) {
     const reportWrap = document.createElement('div');
     reportWrap.style.marginTop = '1.5rem';
@@ -304,6 +374,13 @@ export function renderRallyHome(container, params, ctx) {
     entrantsXlsxBtn.onclick = () => exportEntrantsXlsx(state);
     reportWrap.appendChild(entrantsXlsxBtn);
 
+    const tagsBtn = document.createElement('button');
+    tagsBtn.className = 'btn btn-secondary';
+    tagsBtn.textContent = 'Car Tags (PDF)';
+    tagsBtn.title = 'QR tags for scan check-in at the registrar';
+    tagsBtn.onclick = () => generateCarTags(state);
+    reportWrap.appendChild(tagsBtn);
+
     if (anyComplete) {
       const reportBtn = document.createElement('button');
       reportBtn.className = 'btn btn-secondary';
@@ -353,6 +430,9 @@ export function renderCheckIn(container, params, ctx) {
     <h2 class="screen-title">${esc(sec.section_name)} — Check-In</h2>
   `;
   header.querySelector('.back-btn').onclick = () => navigate('rally-home', {});
+  const undoBtn = undoButton(ctx, () => navigate('check-in', params, { replace: true }));
+  undoBtn.style.marginLeft = 'auto';
+  header.appendChild(undoBtn);
   container.appendChild(header);
 
   // Counter
@@ -363,18 +443,31 @@ export function renderCheckIn(container, params, ctx) {
 
   // Start button (available when no active start and >= 2 arrived)
   if (!activeStart && arrivedCount >= 2) {
+    const actions = document.createElement('div');
+    actions.className = 'toolbar-actions';
+    actions.style.marginBottom = '1rem';
     const startBtn = document.createElement('button');
     startBtn.className = 'btn btn-primary';
-    startBtn.style.marginBottom = '1rem';
     startBtn.textContent = 'Start This Section';
     startBtn.onclick = () => showStartSectionDialog(sectionId, ctx);
-    container.appendChild(startBtn);
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'btn btn-secondary';
+    previewBtn.textContent = 'Preview Schedule';
+    previewBtn.onclick = () => navigate('schedule-preview', { sectionId });
+    actions.append(startBtn, previewBtn);
+    container.appendChild(actions);
   } else if (!activeStart && arrivedCount < 2) {
     const hint = document.createElement('p');
     hint.className = 'form-hint';
     hint.style.marginBottom = '1rem';
     hint.textContent = 'Check in at least 2 cars to start.';
     container.appendChild(hint);
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'btn btn-secondary';
+    previewBtn.style.marginBottom = '1rem';
+    previewBtn.textContent = 'Preview Schedule';
+    previewBtn.onclick = () => navigate('schedule-preview', { sectionId });
+    container.appendChild(previewBtn);
   }
 
   if (activeStart) {
@@ -428,7 +521,15 @@ export function renderCheckIn(container, params, ctx) {
     checkbox.checked = isArrived;
     checkbox.disabled = isRemoved;
     checkbox.onchange = async () => {
-      if (checkbox.checked && !isArrived) {
+      if (!checkbox.checked && isArrived) {
+        // Unchecking takes back a mistaken check-in
+        if (!confirm(`Undo check-in for #${p.car_number} ${p.name}?`) ||
+            !(await ctx.revokeArrival(sectionId, p.car_number))) {
+          checkbox.checked = true;
+          return;
+        }
+        navigate('check-in', params, { replace: true });
+      } else if (checkbox.checked && !isArrived) {
         await appendEvent({
           type: 'CarArrived',
           section_id: sectionId,
@@ -447,10 +548,239 @@ export function renderCheckIn(container, params, ctx) {
     checkTd.appendChild(checkbox);
     tr.prepend(checkTd);
 
+    if (isRemoved && !activeStart.bracket) {
+      const reinstateBtn = document.createElement('button');
+      reinstateBtn.className = 'btn btn-sm btn-ghost';
+      reinstateBtn.style.marginLeft = '0.5rem';
+      reinstateBtn.textContent = 'Reinstate';
+      reinstateBtn.onclick = async () => {
+        if (!confirm(`Reinstate #${p.car_number} ${p.name}? The car rejoins the remaining heats.`)) return;
+        if (await ctx.reinstateCar(sectionId, p.car_number)) {
+          showToast(`#${p.car_number} reinstated`, 'success');
+          navigate('check-in', params, { replace: true });
+        }
+      };
+      tr.lastElementChild.appendChild(reinstateBtn);
+    }
+
     tbody.appendChild(tr);
   }
 }
 
+// ─── Schedule Preview (Admin Plane) ─────────────────────────────
+
+const SECONDS_PER_HEAT_KEY = 'rallylab_seconds_per_heat';
+const DEFAULT_SECONDS_PER_HEAT = 45;
+
+const ALGORITHM_LABELS = {
+  circle_method: 'Circle method',
+  perfect_n_chart: 'Perfect-N chart',
+  greedy_heuristic: 'Greedy heuristic',
+  speed_matched_greedy: 'Speed matched'
+};
+
+/**
+ * What-if preview of the schedule a start would produce. Nothing here emits
+ * events; the operator compares lane setups side by side, then starts the
+ * section with the one they like.
+ */
+export function renderSchedulePreview(container, params, ctx) {
+  const { state, navigate } = ctx;
+  const { sectionId } = params;
+  const sec = state.race_day.sections[sectionId];
+
+  if (!sec) {
+    container.innerHTML = '<div class="empty-state">Section not found.</div>';
+    return;
+  }
+
+  const trackLanes = Array.from({ length: ctx.getTrackLaneCount() }, (_, i) => i + 1);
+  const canStart = !getActiveStart(sec) && sec.arrived.length >= 2;
+  const view = {
+    includeAll: sec.arrived.length < 2,
+    secondsPerHeat: parseFloat(localStorage.getItem(SECONDS_PER_HEAT_KEY)) || DEFAULT_SECONDS_PER_HEAT,
+    configs: [
+      { lanes: trackLanes, perfect_n: false, runs_per_lane: 1 },
+      { lanes: trackLanes.filter(l => l % 2 === 1), perfect_n: false, runs_per_lane: 1 }
+    ]
+  };
+
+  container.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'section-header';
+  header.innerHTML = `
+    <button class="back-btn" aria-label="Back">&larr;</button>
+    <h2 class="screen-title">${esc(sec.section_name)} — Schedule Preview</h2>
+  `;
+  header.querySelector('.back-btn').onclick = () => navigate('check-in', { sectionId });
+  container.appendChild(header);
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'toolbar';
+  toolbar.innerHTML = `
+    <label class="lane-checkbox">
+      <input type="checkbox" id="preview-include-all"${view.includeAll ? ' checked' : ''}>
+      Include cars not yet checked in
+    </label>
+    <div class="toolbar-actions">
+      <label for="preview-seconds" class="info-line" style="margin:0;align-self:center">Seconds per heat</label>
+      <input id="preview-seconds" class="form-input" type="number" min="5" step="5" style="width:6rem" value="${view.secondsPerHeat}">
+      <button class="btn btn-secondary btn-sm" id="preview-add">Add Setup</button>
+    </div>
+  `;
+  container.appendChild(toolbar);
+
+  const body = document.createElement('div');
+  container.appendChild(body);
+
+  toolbar.querySelector('#preview-include-all').onchange = (e) => {
+    view.includeAll = e.target.checked;
+    draw();
+  };
+  toolbar.querySelector('#preview-seconds').onchange = (e) => {
+    const v = parseFloat(e.target.value);
+    if (!(v > 0)) return;
+    view.secondsPerHeat = v;
+    try { localStorage.setItem(SECONDS_PER_HEAT_KEY, String(v)); } catch {}
+    draw();
+  };
+  toolbar.querySelector('#preview-add').onclick = () => {
+    view.configs.push({ lanes: trackLanes, perfect_n: false, runs_per_lane: 1 });
+    draw();
+  };
+
+  function draw() {
+    const arrivedSet = new Set(sec.arrived);
+    const participants = sec.participants
+      .filter(p => view.includeAll || arrivedSet.has(p.car_number));
+
+    body.innerHTML = '';
+    const counter = document.createElement('p');
+    counter.className = 'info-line';
+    counter.textContent = view.includeAll
+      ? `Previewing all ${participants.length} cars on the roster (${sec.arrived.length} checked in)`
+      : `Previewing ${participants.length} checked-in cars`;
+    body.appendChild(counter);
+
+    if (participants.length < 2) {
+      body.insertAdjacentHTML('beforeend', '<div class="empty-state">At least 2 cars are needed to build a schedule.</div>');
+      return;
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'preview-compare';
+    view.configs.forEach((config, i) => grid.appendChild(previewCard(config, i, participants)));
+    body.appendChild(grid);
+  }
+
+  function previewCard(config, index, participants) {
+    const card = document.createElement('div');
+    card.className = 'card preview-card';
+
+    const lanes = config.lanes.filter(l => trackLanes.includes(l));
+    let summary = '';
+    let heatGrid = '';
+    let schedule = null;
+
+    if (lanes.length < 2) {
+      summary = '<p class="form-error">Pick at least 2 lanes.</p>';
+    } else {
+      const options = { perfect_n: config.perfect_n, runs_per_lane: config.runs_per_lane };
+      schedule = generateSchedule({ participants, available_lanes: lanes, options });
+      const balance = validateLaneBalance(schedule);
+      const runs = {};
+      for (const heat of schedule.heats) {
+        for (const { car_number } of heat.lanes) runs[car_number] = (runs[car_number] || 0) + 1;
+      }
+      const runCounts = Object.values(runs);
+      const minRuns = Math.min(...runCounts);
+      const maxRuns = Math.max(...runCounts);
+      const cov = schedule.metadata.opponent_coverage;
+      const balanceLabel = !balance.valid
+        ? `<span class="lane-outlier">${balance.errors.length} car(s) unbalanced</span>`
+        : schedule.metadata.lane_balance_perfect ? 'Perfect' : 'Within 1 run';
+
+      summary = `
+        <table class="preview-summary"><tbody>
+          <tr><th>Algorithm</th><td>${ALGORITHM_LABELS[schedule.metadata.algorithm_used] || esc(schedule.metadata.algorithm_used)}</td></tr>
+          <tr><th>Heats</th><td>${schedule.heats.length}</td></tr>
+          <tr><th>Heats per car</th><td>${minRuns === maxRuns ? minRuns : `${minRuns}–${maxRuns}`}</td></tr>
+          <tr><th>Lane balance</th><td title="${esc(balance.errors.join('\n'))}">${balanceLabel}</td></tr>
+          <tr><th>Opponents</th><td>${cov.pairs_met} of ${cov.pairs_total} pairs meet, ${cov.min_meetings === cov.max_meetings ? cov.min_meetings : `${cov.min_meetings}–${cov.max_meetings}`} times each</td></tr>
+          <tr><th>Estimated time</th><td><strong>${formatDuration(schedule.heats.length * view.secondsPerHeat)}</strong></td></tr>
+        </tbody></table>`;
+
+      heatGrid = `
+        <details class="preview-heats">
+          <summary>Heat grid</summary>
+          <div class="table-wrap"><table>
+            <thead><tr><th>Heat</th>${lanes.map(l => `<th>Lane ${l}</th>`).join('')}</tr></thead>
+            <tbody>${schedule.heats.map(h => `<tr><td>${h.heat_number}</td>${lanes.map(l => {
+              const entry = h.lanes.find(e => e.lane === l);
+              return `<td>${entry ? `#${esc(String(entry.car_number))}` : '—'}</td>`;
+            }).join('')}</tr>`).join('')}</tbody>
+          </table></div>
+        </details>`;
+    }
+
+    card.innerHTML = `
+      <div class="form-group">
+        <label>Lanes</label>
+        <div class="lane-grid">${trackLanes.map(l => `
+          <label class="lane-checkbox">
+            <input type="checkbox" value="${l}"${config.lanes.includes(l) ? ' checked' : ''}>
+            ${l}
+          </label>`).join('')}
+        </div>
+      </div>
+      <label class="lane-checkbox" style="margin-bottom:0.5rem">
+        <input type="checkbox" data-field="perfect_n"${config.perfect_n ? ' checked' : ''}>
+        Balance opponents (Perfect-N chart)
+      </label>
+      <div class="form-group">
+        <label>Runs per lane</label>
+        <input class="form-input" type="number" min="1" max="5" step="1" data-field="runs_per_lane" value="${config.runs_per_lane}">
+      </div>
+      ${summary}
+      <div class="toolbar-actions" style="margin-top:0.75rem">
+        ${canStart && schedule ? '<button class="btn btn-primary btn-sm" data-action="start">Start with This Setup</button>' : ''}
+        ${view.configs.length > 1 ? '<button class="btn btn-ghost btn-sm" data-action="remove">Remove</button>' : ''}
+      </div>
+      ${heatGrid}
+    `;
+
+    for (const cb of card.querySelectorAll('.lane-grid input')) {
+      cb.onchange = () => {
+        config.lanes = [...card.querySelectorAll('.lane-grid input:checked')].map(el => parseInt(el.value, 10));
+        draw();
+      };
+    }
+    card.querySelector('[data-field="perfect_n"]').onchange = (e) => {
+      config.perfect_n = e.target.checked;
+      draw();
+    };
+    card.querySelector('[data-field="runs_per_lane"]').onchange = (e) => {
+      config.runs_per_lane = Math.max(1, parseInt(e.target.value, 10) || 1);
+      draw();
+    };
+    const removeBtn = card.querySelector('[data-action="remove"]');
+    if (removeBtn) removeBtn.onclick = () => {
+      view.configs.splice(index, 1);
+      draw();
+    };
+    const startBtn = card.querySelector('[data-action="start"]');
+    if (startBtn) startBtn.onclick = () => showStartSectionDialog(sectionId, ctx, {
+      lanes,
+      scheduleOptions: { perfect_n: config.perfect_n, runs_per_lane: config.runs_per_lane }
+    });
+
+    return card;
+  }
+
+  draw();
+}
+
 // ─── Screen D: Live Console ─────────────────────────────────────
 
 export function renderLiveConsole(container, params, ctx) {
@@ -490,8 +820,10 @@ export function renderLiveConsole(container, params, ctx) {
   header.className = 'console-header';
 
   const awaitingRotationEarly = ctx.isAwaitingRotationDecision();
+  const suspectHeat = ctx.getSuspectHeat();
   let stateLabel;
   if (awaitingRotationEarly) stateLabel = 'Rotation Complete';
+  else if (suspectHeat) stateLabel = 'Check Heat';
   else if (needsResume) stateLabel = 'Paused';
   else if (isStaging) stateLabel = 'Staging';
   else if (lastResultHeat > 0) stateLabel = 'Results';
@@ -502,7 +834,10 @@ export function renderLiveConsole(container, params, ctx) {
   const lanesStr = activeLanes.join(', ');
 
   const trackMode = ctx.getTrackMode();
-  const trackBadgeLabel = trackMode === 'serial' ? 'USB Track' : trackMode === 'wifi' ? 'WiFi Track' : trackMode === 'fake' ? 'Fake Track' : 'Manual';
+  const multiTrack = ctx.getTrackIds().length > 1;
+  const trackBadgeLabel = (multiTrack ? `Track ${ctx.trackId} · ` : '')
+    + (trackMode === 'serial' ? 'USB Track' : trackMode === 'wifi' ? 'WiFi Track' : trackMode === 'timer' ? ctx.getTimerLabel()
+      : trackMode === 'fake' ? 'Fake Track' : 'Manual');
   const trackBadgeClass = trackMode === 'manual' ? 'status-idle' : 'status-active';
 
   // Track phase — what the race loop is blocking on right now
@@ -514,6 +849,7 @@ export function renderLiveConsole(container, params, ctx) {
     'result':            'Result recorded',
     'waiting-for-gate':  'Waiting for gate',
     'rotation-decision': 'Rotation complete',
+    'suspect-heat':      'Suspect heat',
   };
   const phaseLabel = phaseLabels[trackPhase] || trackPhase;
   const phaseClass = trackPhase === 'waiting-for-race' ? 'phase-waiting'
@@ -522,6 +858,18 @@ export function renderLiveConsole(container, params, ctx) {
     : trackPhase === 'staging' ? 'phase-staging'
     : 'phase-idle';
 
+  // Estimated finish from the section's recent heat-to-heat pace
+  let finishStr = '';
+  if (schedule && isLiveForThisSection && currentStart && !currentStart.completed) {
+    const timing = estimateHeatTimes(schedule, startResults, Date.now());
+    if (timing.finish_at != null) {
+      const basis = timing.sample_size > 0
+        ? `~${Math.round(timing.interval_ms / 1000)}s per heat`
+        : 'no pace yet';
+      finishStr = ` &middot; Est. finish ${formatClock(timing.finish_at)} (${basis})`;
+    }
+  }
+
   const sectionTitle = currentStart && sec.next_start_number > 2
     ? `${sec.section_name} — Rally ${currentStart.start_number}`
     : sec.section_name;
@@ -534,17 +882,20 @@ export function renderLiveConsole(container, params, ctx) {
       <span class="track-phase-badge ${phaseClass}" id="track-phase-toggle">${phaseLabel}</span>
       <span class="track-live-strip" id="track-live-strip" hidden></span>
     </div>
-    <p class="info-line">Heat ${currentHeat} of ${totalHeats || '?'} &middot; Lanes: ${lanesStr}</p>
+    <p class="info-line">Heat ${currentHeat} of ${totalHeats || '?'} &middot; Lanes: ${lanesStr}${finishStr}${currentStart?.bracket
+      ? ` &middot; ${BRACKET_FORMATS[currentStart.bracket.format]}, Round ${currentStart.bracket.round}`
+      : ''}</p>
   `;
   header.querySelector('#console-track-badge').onclick = () => showTrackManagerDialog(ctx);
 
   // Live gate / lane sensor indicator strip — only when a real track is
-  // connected (serial or wifi). See specs/03-track-controller-protocol-v2.md.
+  // connected (serial, wifi, or a timer that senses its gate). See
+  // specs/03-track-controller-protocol-v2.md.
   // Also drives the dynamic phase badge text ("Racing!", "3 of 6 lanes
   // finished", etc.) and the audience overlay that tells the gate operator
   // when it's safe to drop the gate.
   if (typeof ctx.subscribeTrackEvents === 'function' &&
-      (trackMode === 'serial' || trackMode === 'wifi')) {
+      (trackMode === 'serial' || trackMode === 'wifi' || (trackMode === 'timer' && ctx.hasGateSensor()))) {
     _bindLiveStatusStrip(header.querySelector('#track-live-strip'),
                          activeLanes, ctx, {
       phaseBadgeEl: header.querySelector('#track-phase-toggle'),
@@ -592,7 +943,7 @@ export function renderLiveConsole(container, params, ctx) {
     resumeWrap.style.textAlign = 'center';
     resumeWrap.style.padding = '2rem 0';
 
-    const trackReady = trackMode === 'serial' || trackMode === 'wifi' || trackMode === 'fake';
+    const trackReady = trackMode === 'serial' || trackMode === 'wifi' || trackMode === 'timer' || trackMode === 'fake';
 
     const hint = document.createElement('p');
     hint.className = 'info-line';
@@ -608,6 +959,26 @@ export function renderLiveConsole(container, params, ctx) {
     }
     resumeWrap.appendChild(hint);
 
+    // With two tracks the section can resume on either one
+    let trackSelect = null;
+    if (multiTrack) {
+      const trackLabel = document.createElement('label');
+      trackLabel.className = 'form-hint';
+      trackLabel.style.display = 'block';
+      trackLabel.style.marginBottom = '0.75rem';
+      trackLabel.textContent = 'Run on ';
+      trackSelect = document.createElement('select');
+      for (const trackId of ctx.getTrackIds()) {
+        const opt = document.createElement('option');
+        opt.value = trackId;
+        opt.textContent = `Track ${trackId}`;
+        opt.selected = trackId === ctx.trackId;
+        trackSelect.appendChild(opt);
+      }
+      trackLabel.appendChild(trackSelect);
+      resumeWrap.appendChild(trackLabel);
+    }
+
     const resumeBtn = document.createElement('button');
     resumeBtn.className = 'btn btn-primary';
     resumeBtn.textContent = trackReady ? 'Resume Racing' : 'Resume in Manual Mode';
@@ -615,7 +986,7 @@ export function renderLiveConsole(container, params, ctx) {
       resumeBtn.disabled = true;
       resumeBtn.textContent = 'Resuming...';
       try {
-        await ctx.resumeSection(sectionId);
+        await ctx.resumeSection(sectionId, trackSelect?.value);
       } catch (e) {
         resumeBtn.disabled = false;
         resumeBtn.textContent = 'Resume Racing';
@@ -708,12 +1079,14 @@ export function renderLiveConsole(container, params, ctx) {
   const flatSec = currentStart ? flattenStart(sec, currentStart) : { participants: sec.participants, arrived: sec.arrived, results: {}, removed: [], lane_corrections: {}, reruns: {} };
   const standings = computeLeaderboard(flatSec);
   const standingsHaveGroups = standings.some(s => s.group_id);
+  const usePoints = getScoringMethod(flatSec) === 'points';
+  const useAdjusted = !!flatSec.lane_bias_correction;
   if (standings.length > 0) {
     const sTable = document.createElement('div');
     sTable.className = 'table-wrap';
     let html = `
       <table>
-        <thead><tr><th>#</th><th>Car</th><th>Name</th>${standingsHaveGroups ? '<th>Group</th>' : ''}<th>Avg Time</th></tr></thead>
+        <thead><tr><th>#</th><th>Car</th><th>Name</th>${standingsHaveGroups ? '<th>Group</th>' : ''}${usePoints ? '<th>Points</th>' : ''}<th>Avg Time</th>${useAdjusted ? '<th>Adj. Avg</th>' : ''}</tr></thead>
         <tbody>`;
     for (const s of standings.slice(0, 10)) {
       html += `
@@ -722,7 +1095,9 @@ export function renderLiveConsole(container, params, ctx) {
           <td><strong>#${s.car_number}</strong></td>
           <td>${esc(s.name)}</td>
           ${standingsHaveGroups ? `<td>${esc(groupName(state, s.group_id))}</td>` : ''}
+          ${usePoints ? `<td><strong>${s.points}</strong></td>` : ''}
           <td>${s.avg_time_ms != null ? formatTime(s.avg_time_ms) : '—'}</td>
+          ${useAdjusted ? `<td>${s.adjusted_avg_time_ms != null ? formatTime(s.adjusted_avg_time_ms) : '—'}</td>` : ''}
         </tr>`;
     }
     html += '</tbody></table>';
@@ -735,6 +1110,25 @@ export function renderLiveConsole(container, params, ctx) {
   panels.appendChild(rightPanel);
   container.appendChild(panels);
 
+  // ─── Bracket ──────────────────────────────────────────────
+  if (currentStart?.bracket && schedule && isLiveForThisSection) {
+    const bracketSection = document.createElement('div');
+    bracketSection.className = 'bracket-panel';
+    const view = buildBracketView(currentStart.bracket, schedule.heats, startResults);
+    bracketSection.innerHTML = `<h3 class="area-heading">Bracket</h3>${bracketHtml(view)}`;
+
+    const showBracketBtn = document.createElement('button');
+    showBracketBtn.className = 'btn btn-secondary btn-sm';
+    showBracketBtn.style.marginTop = '0.5rem';
+    showBracketBtn.textContent = 'Show Bracket on Audience';
+    showBracketBtn.onclick = () => {
+      ctx.showBracketOnAudience(sectionId);
+      showToast('Bracket sent to audience display', 'success');
+    };
+    bracketSection.appendChild(showBracketBtn);
+    container.appendChild(bracketSection);
+  }
+
   // ─── Lane Statistics ──────────────────────────────────────
   const laneStats = computeLaneStats(flatSec);
   if (laneStats.length > 0) {
@@ -811,6 +1205,9 @@ export function renderLiveConsole(container, params, ctx) {
       if (isCatchUp) {
         badges += ' <span class="status-badge status-idle">Catch-up</span>';
       }
+      if (result.suspect) {
+        badges += ` <span class="status-badge status-removed" title="${esc(describeSuspect(result.suspect))}">Flagged</span>`;
+      }
       summary.innerHTML = `
         <span class="heat-history-label">Heat ${hn}</span>
         ${badges}
@@ -848,6 +1245,9 @@ export function renderLiveConsole(container, params, ctx) {
         tHtml += '</tr>';
       }
       tHtml += '</tbody></table></div>';
+      if (result.suspect) {
+        tHtml += `<p class="form-hint">Flagged: ${esc(describeSuspect(result.suspect))}</p>`;
+      }
       body.innerHTML = tHtml;
 
       const btnRow = document.createElement('div');
@@ -872,6 +1272,32 @@ export function renderLiveConsole(container, params, ctx) {
       };
       btnRow.appendChild(rerunHistBtn);
 
+      if (currentStart && ctx.hasReplay(sectionId, currentStart.start_number, hn)) {
+        const replayHistBtn = document.createElement('button');
+        replayHistBtn.className = 'btn btn-sm btn-secondary';
+        replayHistBtn.textContent = 'Replay';
+        replayHistBtn.onclick = () => showReplayDialog(ctx, sectionId, currentStart.start_number, hn);
+        btnRow.appendChild(replayHistBtn);
+      }
+
+      // The run a suspect-heat re-run replaced
+      if (currentStart && ctx.hasReplay(sectionId, currentStart.start_number, hn, 'flagged')) {
+        const flaggedHistBtn = document.createElement('button');
+        flaggedHistBtn.className = 'btn btn-sm btn-secondary';
+        flaggedHistBtn.textContent = 'Flagged Run';
+        flaggedHistBtn.onclick = () => showReplayDialog(ctx, sectionId, currentStart.start_number, hn, 'flagged');
+        btnRow.appendChild(flaggedHistBtn);
+      }
+
+      if (result.type === 'RaceCompleted' && result.timeline) {
+        const timelineHistBtn = document.createElement('button');
+        timelineHistBtn.className = 'btn btn-sm btn-secondary';
+        timelineHistBtn.textContent = 'Timeline';
+        timelineHistBtn.title = 'Raw gate and lane sensor events';
+        timelineHistBtn.onclick = () => showTimelineDialog(hn, result, effectiveLanes);
+        btnRow.appendChild(timelineHistBtn);
+      }
+
       if (result.type === 'RaceCompleted' && result.times_ms) {
         const histDnfLanes = effectiveLanes.filter(l => result.times_ms[String(l.lane)] == null);
         if (histDnfLanes.length > 0) {
@@ -892,7 +1318,12 @@ export function renderLiveConsole(container, params, ctx) {
       const heatPdfBtn = document.createElement('button');
       heatPdfBtn.className = 'btn btn-sm btn-secondary';
       heatPdfBtn.textContent = 'PDF';
-      heatPdfBtn.onclick = () => generateHeatReport(state, sec, currentStart, hn);
+      heatPdfBtn.onclick = async () => {
+        const replay = currentStart && ctx.hasReplay(sectionId, currentStart.start_number, hn)
+          ? await ctx.getReplay(sectionId, currentStart.start_number, hn)
+          : null;
+        generateHeatReport(state, sec, currentStart, hn, replay);
+      };
       btnRow.appendChild(heatPdfBtn);
 
       const heatXlsxBtn = document.createElement('button');
@@ -959,7 +1390,7 @@ export function renderLiveConsole(container, params, ctx) {
     completeBtn.textContent = 'Complete Section';
     completeBtn.onclick = () => {
       completeBtn.disabled = true;
-      ctx.completeSection();
+      ctx.completeSection(sectionId);
     };
     btnRow.appendChild(completeBtn);
 
@@ -969,10 +1400,74 @@ export function renderLiveConsole(container, params, ctx) {
     return; // Don't show regular controls while awaiting decision
   }
 
+  // ─── Suspect Heat Prompt ─────────────────────────────────────
+  // The race loop holds a heat that failed its plausibility checks until
+  // the operator decides (see heat-plausibility.js).
+  if (suspectHeat) {
+    const suspectWrap = document.createElement('div');
+    suspectWrap.className = 'suspect-heat';
+
+    const msg = document.createElement('p');
+    msg.className = 'info-line';
+    msg.textContent = `Heat ${suspectHeat.heat_number} looks wrong and hasn't been recorded yet.`;
+    suspectWrap.appendChild(msg);
+
+    const flagged = new Map(suspectHeat.flags.map(f => [f.lane, f]));
+    let sHtml = '<div class="table-wrap"><table><thead><tr><th>Lane</th><th>Car #</th><th>Time</th><th>Check</th></tr></thead><tbody>';
+    for (const lane of [...suspectHeat.lanes].sort((a, b) => a.lane - b.lane)) {
+      const f = flagged.get(lane.lane);
+      const ms = suspectHeat.times_ms?.[String(lane.lane)];
+      const note = f
+        ? FLAG_LABELS[f.reason] + (f.expected_ms != null ? ` (usually ${formatTime(f.expected_ms)})` : '')
+        : '';
+      sHtml += `<tr${f ? ' class="suspect-lane"' : ''}>
+        <td class="lane-number">Lane ${lane.lane}</td>
+        <td><strong>#${esc(lane.car_number)}</strong></td>
+        <td>${ms != null ? formatTime(ms) : 'DNF'}</td>
+        <td>${esc(note)}</td>
+      </tr>`;
+    }
+    sHtml += '</tbody></table></div>';
+    const tableWrap = document.createElement('div');
+    tableWrap.innerHTML = sHtml;
+    suspectWrap.appendChild(tableWrap);
+
+    const btnRow = document.createElement('div');
+    btnRow.className = 'suspect-heat-actions';
+    const choices = [
+      ['accept', 'btn-primary', 'Accept Times'],
+      ['rerun', 'btn-secondary', 'Re-Run Heat'],
+      ['dnf', 'btn-secondary', suspectHeat.flags.length > 1 ? 'Mark Flagged Lanes DNF' : `Mark Lane ${suspectHeat.flags[0].lane} DNF`]
+    ];
+    // The finish is captured before the hold, so it can settle the call
+    const suspectStart = ctx.liveSection?.startNumber;
+    if (suspectStart && ctx.hasReplay(sectionId, suspectStart, suspectHeat.heat_number)) {
+      const replayBtn = document.createElement('button');
+      replayBtn.className = 'btn btn-secondary';
+      replayBtn.textContent = 'Replay';
+      replayBtn.onclick = () => showReplayDialog(ctx, sectionId, suspectStart, suspectHeat.heat_number);
+      btnRow.appendChild(replayBtn);
+    }
+    for (const [decision, cls, label] of choices) {
+      const btn = document.createElement('button');
+      btn.className = `btn ${cls}`;
+      btn.textContent = label;
+      btn.onclick = () => {
+        btnRow.querySelectorAll('button').forEach(b => { b.disabled = true; });
+        ctx.resolveSuspectHeat(decision);
+      };
+      btnRow.appendChild(btn);
+    }
+    suspectWrap.appendChild(btnRow);
+    container.appendChild(suspectWrap);
+    if (historySection) container.appendChild(historySection);
+    return; // The heat is on hold until the operator decides
+  }
+
   const controls = document.createElement('div');
   controls.className = 'console-controls';
 
-  const usingAutomatedTrack = ctx.isUsingFakeTrack() || ctx.isUsingWifi() || ctx.isUsingSerial();
+  const usingAutomatedTrack = ctx.isUsingFakeTrack() || ctx.isUsingWifi() || ctx.isUsingSerial() || ctx.isUsingTimer();
 
   const isResults = !isStaging && lastResultHeat > 0;
 
@@ -989,8 +1484,9 @@ export function renderLiveConsole(container, params, ctx) {
     controls.appendChild(runBtn);
   }
 
-  // Next Heat button — manual fallback only (automated tracks drive the flow)
-  if (!usingAutomatedTrack && currentHeat > 0 && isResults) {
+  // Next Heat button — when nothing reports the start gate (manual fallback,
+  // or a timer without a gate sensor)
+  if (!ctx.hasGateSensor() && currentHeat > 0 && isResults) {
     const nextBtn = document.createElement('button');
     nextBtn.className = 'btn btn-primary';
     nextBtn.textContent = 'Next Heat';
@@ -1015,6 +1511,15 @@ export function renderLiveConsole(container, params, ctx) {
     controls.appendChild(rerunBtn);
   }
 
+  // Replay button — once the camera has stored this heat's finish
+  if (currentHeat > 0 && isResults && currentStart && ctx.hasReplay(sectionId, currentStart.start_number, currentHeat)) {
+    const replayBtn = document.createElement('button');
+    replayBtn.className = 'btn btn-secondary';
+    replayBtn.textContent = 'Replay';
+    replayBtn.onclick = () => showReplayDialog(ctx, sectionId, currentStart.start_number, currentHeat);
+    controls.appendChild(replayBtn);
+  }
+
   // Re-Run DNF button — only when result has lanes with missing times
   if (currentHeat > 0 && isResults) {
     const lastResult = startResults[currentHeat];
@@ -1075,6 +1580,22 @@ export function renderLiveConsole(container, params, ctx) {
     controls.appendChild(statsBtn);
   }
 
+  // Heat Sheet / On-Deck Slips — printed from the same schedule the console runs,
+  // so paper stays in step after removals, late arrivals and lane changes
+  if (currentStart && schedule && isLiveForThisSection) {
+    const sheetBtn = document.createElement('button');
+    sheetBtn.className = 'btn btn-secondary';
+    sheetBtn.textContent = 'Heat Sheet';
+    sheetBtn.onclick = () => generateHeatSheet(state, sec, currentStart, schedule);
+    controls.appendChild(sheetBtn);
+
+    const onDeckBtn = document.createElement('button');
+    onDeckBtn.className = 'btn btn-secondary';
+    onDeckBtn.textContent = 'On-Deck Slips';
+    onDeckBtn.onclick = () => generateOnDeckSheets(state, sec, currentStart, schedule);
+    controls.appendChild(onDeckBtn);
+  }
+
   // Remove Car button
   if (currentStart && !currentStart.completed) {
     const removeBtn = document.createElement('button');
@@ -1173,6 +1694,9 @@ export function renderSectionComplete(container, params, ctx) {
   const flatSec = currentStart ? flattenStart(sec, currentStart) : { participants: sec.participants, arrived: sec.arrived, results: {}, removed: [], lane_corrections: {}, reruns: {} };
   const standings = computeLeaderboard(flatSec);
   const resultsHaveGroups = standings.some(s => s.group_id);
+  const resultsHaveHomes = standings.some(s => s.home_section_id);
+  const usePoints = getScoringMethod(flatSec) === 'points';
+  const useAdjusted = !!flatSec.lane_bias_correction;
 
   if (standings.length > 0) {
     const wrap = document.createElement('div');
@@ -1180,7 +1704,7 @@ export function renderSectionComplete(container, params, ctx) {
     let html = `
       <table>
         <thead><tr>
-          <th>Rank</th><th>Car #</th><th>Name</th>${resultsHaveGroups ? '<th>Group</th>' : ''}<th>Avg Time</th><th>Best Time</th><th>Heats</th>
+          <th>Rank</th><th>Car #</th><th>Name</th>${resultsHaveHomes ? '<th>Section</th>' : ''}${resultsHaveGroups ? '<th>Group</th>' : ''}${usePoints ? '<th>Points</th>' : ''}<th>Avg Time</th>${useAdjusted ? '<th>Adj. Avg</th>' : ''}<th>Best Time</th><th>Heats</th>
         </tr></thead>
         <tbody>`;
     for (const s of standings) {
@@ -1189,8 +1713,11 @@ export function renderSectionComplete(container, params, ctx) {
           <td><strong>${s.rank}</strong></td>
           <td>#${s.car_number}</td>
           <td>${esc(s.name)}</td>
+          ${resultsHaveHomes ? `<td>${esc(sectionName(state, s.home_section_id))}</td>` : ''}
           ${resultsHaveGroups ? `<td>${esc(groupName(state, s.group_id))}</td>` : ''}
+          ${usePoints ? `<td><strong>${s.points}</strong></td>` : ''}
           <td>${s.avg_time_ms != null ? formatTime(s.avg_time_ms) : '—'}</td>
+          ${useAdjusted ? `<td>${s.adjusted_avg_time_ms != null ? formatTime(s.adjusted_avg_time_ms) : '—'}</td>` : ''}
           <td>${s.best_time_ms != null ? formatTime(s.best_time_ms) : '—'}</td>
           <td>${s.heats_run}${s.incomplete ? ' *' : ''}</td>
         </tr>`;
@@ -1262,11 +1789,11 @@ export function renderSectionComplete(container, params, ctx) {
 
   showBtn.onclick = async () => {
     const m = await import('../broadcast.js');
-    const { withGroupNames } = await import('./app.js');
+    const { withDisplayInfo } = await import('./app.js');
     const displayName = completedStarts.length > 1 && currentStart
       ? `${sec.section_name} — ${state.rally_name || 'Rally'} ${currentStart.start_number}`
       : sec.section_name;
-    m.sendSectionComplete(displayName, withGroupNames(sec, standings));
+    m.sendSectionComplete(displayName, withDisplayInfo(sec, standings), ctx.trackId);
     ctx.showToast('Section results sent to audience display', 'success');
 
     // Swap to reveal controls
@@ -1278,7 +1805,7 @@ export function renderSectionComplete(container, params, ctx) {
 
   revealNextBtn.onclick = async () => {
     const m = await import('../broadcast.js');
-    m.sendRevealNext();
+    m.sendRevealNext(ctx.trackId);
     revealRemaining--;
     updateRevealNextLabel();
     if (revealRemaining === 0) {
@@ -1289,7 +1816,7 @@ export function renderSectionComplete(container, params, ctx) {
 
   revealAllBtn.onclick = async () => {
     const m = await import('../broadcast.js');
-    m.sendRevealAll();
+    m.sendRevealAll(ctx.trackId);
     revealRemaining = 0;
     revealNextBtn.style.display = 'none';
     revealAllBtn.style.display = 'none';
@@ -1304,13 +1831,129 @@ export function renderSectionComplete(container, params, ctx) {
 
 // ─── Helpers ─────────────────────────────────────────────────────
 
+/**
+ * Connection badge for one track; `prefix` names the track when there are several.
+ */
+function appendTrackBadge(actionsDiv, ctx, prefix) {
+  const trackMode = ctx.getTrackMode();
+
+  let badgeLabel, badgeClass;
+  if (trackMode === 'wifi') {
+    const ip = ctx.getSavedTrackIp() || '';
+    badgeLabel = `${prefix || 'Track'}: ${ip}`;
+    badgeClass = 'status-badge status-active';
+  } else if (trackMode === 'serial') {
+    badgeLabel = `${prefix || 'Track'}: USB`;
+    badgeClass = 'status-badge status-active';
+  } else if (trackMode === 'timer') {
+    badgeLabel = `${prefix || 'Track'}: ${ctx.getTimerLabel()}`;
+    badgeClass = 'status-badge status-active';
+  } else if (trackMode === 'fake') {
+    badgeLabel = prefix ? `${prefix}: Fake` : 'Fake Track';
+    badgeClass = 'status-badge status-active';
+  } else {
+    badgeLabel = prefix ? `${prefix}: Connect` : 'Connect Track';
+    badgeClass = 'status-badge status-idle';
+  }
+
+  const badge = document.createElement('button');
+  badge.className = badgeClass + ' track-badge-btn';
+  badge.textContent = badgeLabel;
+  badge.onclick = () => showTrackManagerDialog(ctx);
+  actionsDiv.appendChild(badge);
+
+  if (trackMode === 'manual') {
+    const savedIp = ctx.getSavedTrackIp();
+    if (savedIp) {
+      const hint = document.createElement('span');
+      hint.className = 'form-hint';
+      hint.style.marginLeft = '0.5rem';
+      hint.textContent = `${savedIp} (offline)`;
+      actionsDiv.appendChild(hint);
+    }
+  }
+}
+
+const BRACKET_LABELS = { winners: 'Winners', losers: 'Losers', final: 'Final' };
+
+/**
+ * Render a bracket display model (bracket.js buildBracketView) as
+ * one column per round.
+ */
+function bracketHtml(view) {
+  let html = '<div class="bracket">';
+  for (const round of view.rounds) {
+    html += `<div class="bracket-round"><div class="bracket-round-label">Round ${round.round}</div>`;
+    for (const heat of round.heats) {
+      html += `<div class="bracket-heat bracket-heat-${heat.bracket}">
+        <div class="bracket-heat-label">${BRACKET_LABELS[heat.bracket] || ''} · Heat ${heat.heat_number}</div>`;
+      for (const car of heat.cars) {
+        html += `<div class="bracket-car bracket-car-${car.status}">
+          <span class="bracket-car-number">#${esc(car.car_number)}</span>
+          <span class="bracket-car-name">${esc(car.name)}</span>
+          <span class="bracket-car-time">${car.time_ms != null ? formatTime(car.time_ms) : ''}</span>
+        </div>`;
+      }
+      html += '</div>';
+    }
+    html += '</div>';
+  }
+  html += '</div>';
+  return html;
+}
+
 /** Look up group name for a participant's group_id. Returns '' if no group. */
+/**
+ * "Undo Last Action" button for the admin plane. Looks up the most recent
+ * check-in or removal when clicked, so it always reflects other devices too.
+ */
+function undoButton(ctx, onDone) {
+  const btn = document.createElement('button');
+  btn.className = 'btn btn-sm btn-ghost';
+  btn.textContent = 'Undo Last Action';
+  btn.onclick = async () => {
+    const action = await ctx.getUndoableAction();
+    if (!action) {
+      ctx.showToast('Nothing to undo', 'info');
+      return;
+    }
+    const label = describeUndo(ctx.state, action.event);
+    if (!confirm(`Undo ${label}?`)) return;
+    if (await ctx.undoLastAction()) {
+      ctx.showToast(`Undone: ${label}`, 'success');
+      onDone();
+    }
+  };
+  return btn;
+}
+
+function describeUndo(state, evt) {
+  const sec = state.race_day.sections[evt.section_id];
+  const p = sec?.participants.find(x => x.car_number === evt.car_number);
+  const car = `#${evt.car_number}${p ? ' ' + p.name : ''}`;
+  const where = sec ? ` (${sec.section_name})` : '';
+  switch (evt.type) {
+    case 'CarArrived': return `check-in of ${car}${where}`;
+    case 'CarArrivalRevoked': return `cancelled check-in of ${car}${where}`;
+    case 'CarRemoved': return `removal of ${car}${where}`;
+    case 'CarReinstated': return `reinstatement of ${car}${where}`;
+    default: return evt.type;
+  }
+}
+
 function groupName(state, groupId) {
   if (!groupId) return '';
   const g = state.groups[groupId];
   return g ? g.group_name : '';
 }
 
+/** Look up a finalist's home section name. Returns '' if not a finalist. */
+function sectionName(state, sectionId) {
+  if (!sectionId) return '';
+  const sec = state.race_day.sections[sectionId];
+  return sec ? sec.section_name : '';
+}
+
 /** Build car_number → group_name map for a section's participants. */
 function buildGroupMap(sec, state) {
   const map = {};
@@ -1379,11 +2022,24 @@ function esc(str) {
   return d.innerHTML;
 }
 
+/**
+ * Format a duration in seconds as "45 min" or "1 h 05 min".
+ */
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
 function formatTime(ms) {
   if (ms == null || !isFinite(ms)) return '—';
   return (ms / 1000).toFixed(3) + 's';
 }
 
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
 // ─── Live track status strip (gate + lane sensors) ─────────────────
 // Tracks the current subscription so navigation tears it down. The
 // previous run's render is closed when a new render is bound — this is
@@ -1446,7 +2102,7 @@ function _bindLiveStatusStrip(stripEl, activeLanes, ctx, opts = {}) {
       gate_ready: state.gateReady,
       active_lanes: activeLanes,
       triggered_lanes: triggeredLanes(),
-    });
+    }, ctx.trackId);
   }
 
   function paint() {
@@ -17,8 +17,9 @@ export function isSerialSupported() {
  * @param {(text: string) => void} opts.onData — called with each decoded text chunk
  * @param {() => void} opts.onConnect — called after successful connection
  * @param {() => void} opts.onDisconnect — called on disconnect (intentional or cable pull)
+ * @param {number} [opts.baudRate] — 115200 for the Pico; commercial timers are slower
  */
-export function createSerialPort({ onData, onConnect, onDisconnect }) {
+export function createSerialPort({ onData, onConnect, onDisconnect, baudRate = 115200 }) {
   let _port = null;
   let _reader = null;
   let _writer = null;
@@ -30,7 +31,7 @@ export function createSerialPort({ onData, onConnect, onDisconnect }) {
     if (_port) return;
     const port = await navigator.serial.requestPort();
     try {
-      await port.open({ baudRate: 115200 });
+      await port.open({ baudRate });
     } catch (err) {
       // Release the port so other tools (mpremote, another tab) can use it
       try { await port.close(); } catch {}
@@ -211,7 +211,8 @@ export async function listAccessibleRallies() {
 
 /**
  * Create a new rally by cloning sections, groups, and participants from a source rally.
- * Emits: RallyCreated, GroupCreated (each), SectionCreated (each), RosterUpdated (per section+group).
+ * Emits: RallyCreated, InspectionChecklistSet (if the source has one), GroupCreated (each),
+ * SectionCreated (each), RosterUpdated (per section+group).
  * Returns the new rally_id.
  */
 export async function cloneRallyRoster(sourceState, newName, newDate) {
@@ -224,10 +225,20 @@ export async function cloneRallyRoster(sourceState, newName, newDate) {
     rally_id: newRallyId,
     rally_name: newName,
     rally_date: newDate,
+    ...(sourceState.scoring_rules ? { scoring_rules: sourceState.scoring_rules } : {}),
     created_by: user.email,
     timestamp: Date.now()
   });
 
+  if (sourceState.inspection_checklist) {
+    await appendEvent({
+      type: 'InspectionChecklistSet',
+      rally_id: newRallyId,
+      checklist: sourceState.inspection_checklist,
+      timestamp: Date.now()
+    });
+  }
+
   // 2. Clone groups (map old group_id → new group_id)
   const groupIdMap = {};
   for (const group of Object.values(sourceState.groups)) {
@@ -318,6 +329,8 @@ export function exportRosterPackage(state) {
     rally_id: state.rally_id,
     rally_name: state.rally_name,
     rally_date: state.rally_date,
+    ...(state.scoring_rules ? { scoring_rules: state.scoring_rules } : {}),
+    ...(state.inspection_checklist ? { inspection_checklist: state.inspection_checklist } : {}),
     exported_at: Date.now(),
     groups,
     sections
@@ -6,6 +6,7 @@ import { appendEvent, loadRallyState } from './commands.js';
 import { getUser } from '../supabase.js';
 import { parseRosterFile, parseBulkRosterFile } from './roster-import.js';
 import { nextAvailableCarNumber } from '../state-manager.js';
+import { DROP_RULES } from '../scoring.js';
 import { showToast } from './app.js';
 
 const backdrop = () => document.getElementById('dialog-backdrop');
@@ -68,6 +69,17 @@ export function showCreateRallyDialog(onCreated) {
         <input id="dlg-rally-date" class="form-input" type="date">
         <div id="dlg-rally-date-error" class="form-error"></div>
       </div>
+      <div class="form-group">
+        <label for="dlg-drop-rule">Scoring Rules</label>
+        <select id="dlg-drop-rule" class="form-input">
+          ${Object.entries(DROP_RULES).map(([v, label]) => `<option value="${v}">${label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="dlg-outlier-sd">Reject times beyond (standard deviations)</label>
+        <input id="dlg-outlier-sd" class="form-input" type="number" min="1" step="0.5" placeholder="Off">
+        <div class="form-hint">Default for every section; the operator can change it when starting a section.</div>
+      </div>
     </div>
     <div class="dialog-footer">
       <button class="btn btn-secondary" data-action="cancel">Cancel</button>
@@ -81,6 +93,11 @@ export function showCreateRallyDialog(onCreated) {
   d.querySelector('[data-action="create"]').onclick = async () => {
     const name = d.querySelector('#dlg-rally-name').value.trim();
     const date = d.querySelector('#dlg-rally-date').value;
+    const drop = d.querySelector('#dlg-drop-rule').value;
+    const outlierSd = parseFloat(d.querySelector('#dlg-outlier-sd').value);
+    const scoringRules = {};
+    if (drop !== 'none') scoringRules.drop = drop;
+    if (outlierSd > 0) scoringRules.outlier_sd = outlierSd;
     const nameErr = d.querySelector('#dlg-rally-name-error');
     const dateErr = d.querySelector('#dlg-rally-date-error');
 
@@ -102,6 +119,7 @@ export function showCreateRallyDialog(onCreated) {
         rally_id,
         rally_name: name,
         rally_date: date,
+        ...(Object.keys(scoringRules).length > 0 ? { scoring_rules: scoringRules } : {}),
         created_by: user.email,
         timestamp: Date.now()
       });
@@ -1075,6 +1093,85 @@ export function showBulkImportDialog(rallyId, state, onComplete) {
   renderUploadPhase();
 }
 
+// ─── 10. Inspection Checklist ─────────────────────────────────────
+
+const DEFAULT_INSPECTION_ITEMS = [
+  'Length and width within limits',
+  'Wheels and axles legal',
+  'No loose parts'
+];
+
+export function showInspectionChecklistDialog(rallyId, checklist, onSaved) {
+  const maxWeight = checklist ? (checklist.max_weight ?? '') : 5;
+  const unit = checklist?.weight_unit || 'oz';
+  const items = checklist ? checklist.items : DEFAULT_INSPECTION_ITEMS;
+
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Inspection Checklist</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <p class="form-hint" style="margin-bottom:1rem">Registrars weigh and inspect each car at check-in. The operator is warned before starting a section with arrived cars that have not passed.</p>
+      <div class="form-group">
+        <label for="dlg-max-weight">Maximum weight</label>
+        <div style="display:flex;gap:0.5rem">
+          <input id="dlg-max-weight" class="form-input" type="number" min="0" step="0.01" value="${maxWeight}" placeholder="No limit">
+          <select id="dlg-weight-unit" class="form-input" style="width:auto">
+            <option value="oz"${unit === 'oz' ? ' selected' : ''}>oz</option>
+            <option value="g"${unit === 'g' ? ' selected' : ''}>g</option>
+          </select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="dlg-inspection-items">Pass/fail checks (one per line)</label>
+        <textarea id="dlg-inspection-items" class="form-input" rows="5">${esc(items.join('\n'))}</textarea>
+        <div class="form-hint">Leave the weight and the checks empty to turn inspection off.</div>
+      </div>
+    </div>
+    <div class="dialog-footer">
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="save">Save</button>
+    </div>
+  `);
+
+  const d = dialogEl();
+  d.querySelector('.dialog-close').onclick = closeDialog;
+  d.querySelector('[data-action="cancel"]').onclick = closeDialog;
+  d.querySelector('[data-action="save"]').onclick = async () => {
+    const weight = parseFloat(d.querySelector('#dlg-max-weight').value);
+    const newItems = d.querySelector('#dlg-inspection-items').value
+      .split('\n').map(l => l.trim()).filter(Boolean);
+    const newChecklist = (weight > 0 || newItems.length > 0)
+      ? {
+          max_weight: weight > 0 ? weight : null,
+          weight_unit: d.querySelector('#dlg-weight-unit').value,
+          items: newItems
+        }
+      : null;
+
+    const btn = d.querySelector('[data-action="save"]');
+    btn.disabled = true;
+    btn.textContent = 'Saving...';
+
+    try {
+      await appendEvent({
+        type: 'InspectionChecklistSet',
+        rally_id: rallyId,
+        checklist: newChecklist,
+        timestamp: Date.now()
+      });
+      closeDialog();
+      showToast(newChecklist ? 'Inspection checklist saved' : 'Inspection turned off', 'success');
+      if (onSaved) onSaved();
+    } catch (e) {
+      showToast(e.message, 'error');
+      btn.disabled = false;
+      btn.textContent = 'Save';
+    }
+  };
+}
+
 // ─── Helpers ───────────────────────────────────────────────────────
 function esc(str) {
   const d = document.createElement('div');
@@ -16,7 +16,8 @@ import {
   showInviteOperatorDialog,
   showUploadRosterDialog,
   showAddParticipantDialog,
-  showBulkImportDialog
+  showBulkImportDialog,
+  showInspectionChecklistDialog
 } from './dialogs.js';
 import { showToast, navigate } from './app.js';
 import { loadDemoData } from './demo-data.js';
@@ -236,6 +237,16 @@ export async function renderRallyHome(container, params) {
     actions.appendChild(importBtn);
   }
 
+  if (_isOrganizer) {
+    const inspectionBtn = document.createElement('button');
+    inspectionBtn.className = 'btn btn-secondary';
+    inspectionBtn.textContent = 'Inspection Checklist';
+    inspectionBtn.onclick = () => {
+      showInspectionChecklistDialog(rallyId, state.inspection_checklist, () => renderRallyHome(container, params));
+    };
+    actions.appendChild(inspectionBtn);
+  }
+
   if (_isOrganizer) {
     const raceDayBtn = document.createElement('button');
     raceDayBtn.className = 'btn btn-primary';
@@ -6,11 +6,12 @@
 
 import { isDemoMode } from '../config.js';
 import { openStore, appendEvent as storeAppend, getAllEvents } from '../event-store.js';
-import { rebuildState } from '../state-manager.js';
+import { replayEvents } from '../state-manager.js';
 import { notifyEventsChanged, onSyncMessage } from '../broadcast.js';
 import { getUser, getClient, signOut, initAuth } from '../supabase.js';
 import { startSync, subscribeToRally, onInboundEvents } from '../sync-worker.js';
 import { initSyncIndicator } from '../shared/sync-indicator.js';
+import { loadCarPhotos } from '../car-photos.js';
 import { renderSectionList, renderSectionCheckIn } from './screens.js';
 
 const app = () => document.getElementById('app');
@@ -19,6 +20,7 @@ const breadcrumbs = () => document.getElementById('breadcrumbs');
 // ─── Module State ────────────────────────────────────────────────
 
 let _state = null;
+let _replay = null;  // last replayEvents() result, so rebuilds only reduce new events
 
 // ─── Hash Routing ────────────────────────────────────────────────
 
@@ -150,7 +152,23 @@ async function appendAndRebuild(payload) {
 
 async function rebuildFromStore() {
   const events = await getAllEvents();
-  _state = rebuildState(events);
+  _replay = replayEvents(_replay, events);
+  _state = _replay.state;
+  refreshCarPhotos();
+}
+
+/**
+ * Load thumbnails for photos this device hasn't seen yet (taken in another
+ * tab, or downloaded from the cloud) and re-render once they arrive.
+ */
+async function refreshCarPhotos() {
+  try {
+    const user = !isDemoMode() && getUser();
+    const client = user && _state?.rally_id ? await getClient() : null;
+    if (await loadCarPhotos(_state, client)) renderCurrentScreen();
+  } catch (e) {
+    console.warn('Car photo load failed:', e.message);
+  }
 }
 
 /**
@@ -1,8 +1,9 @@
 /**
- * registrar/dialogs.js — Add Participant dialog for late registration.
+ * registrar/dialogs.js — Check-in confirmation, inspection, camera scanning,
+ * and Add/Edit Participant dialogs for late registration.
  */
 
-import { nextAvailableCarNumber } from '../state-manager.js';
+import { nextAvailableCarNumber, inspectionFailures } from '../state-manager.js';
 
 const backdrop = () => document.getElementById('dialog-backdrop');
 const dialogEl = () => document.getElementById('dialog');
@@ -68,6 +69,303 @@ export function showCheckInConfirmDialog(participant, onConfirm) {
   };
 }
 
+// ─── Inspection Dialog ───────────────────────────────────────────
+
+/**
+ * Weigh-in and checklist for one car. A re-inspection starts from the
+ * car's previous answers. `onSave(inspection, checkIn)` receives
+ * `{ weight, items, passed, notes }`; `checkIn` is true when the volunteer
+ * asked to check the car in too, which only happens if it passed.
+ */
+export function showInspectionDialog(participant, checklist, previous, isArrived, onSave) {
+  const unit = checklist.weight_unit;
+  const prevItems = new Map((previous?.items || []).map(i => [i.label, i.passed]));
+  const itemsHtml = checklist.items.map((label, i) => `
+    <label class="inspection-item">
+      <input type="checkbox" data-item="${i}"${prevItems.get(label) ? ' checked' : ''}>
+      ${esc(label)}
+    </label>`).join('');
+
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Inspect #${esc(participant.car_number)} ${esc(participant.name)}</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <div class="form-group">
+        <label for="dlg-inspect-weight">Weight (${esc(unit)})</label>
+        <input id="dlg-inspect-weight" class="form-input" type="number" min="0" step="0.01" inputmode="decimal"
+          value="${previous?.weight ?? ''}">
+        ${checklist.max_weight != null ? `<div class="form-hint">Maximum ${checklist.max_weight} ${esc(unit)}</div>` : ''}
+      </div>
+      ${itemsHtml ? `<div class="form-group">${itemsHtml}</div>` : ''}
+      <div class="form-group">
+        <label for="dlg-inspect-notes">Notes</label>
+        <input id="dlg-inspect-notes" class="form-input" type="text" maxlength="200" value="${esc(previous?.notes || '')}">
+      </div>
+      <div class="inspection-verdict" id="dlg-inspect-verdict"></div>
+      ${isArrived ? '' : `
+      <label class="inspection-item">
+        <input type="checkbox" id="dlg-inspect-checkin" checked>
+        Check in if it passes
+      </label>`}
+    </div>
+    <div class="dialog-footer">
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="save">Save Inspection</button>
+    </div>
+  `);
+
+  const d = dialogEl();
+  const weightInput = d.querySelector('#dlg-inspect-weight');
+  const verdictEl = d.querySelector('#dlg-inspect-verdict');
+
+  const read = () => {
+    const w = parseFloat(weightInput.value);
+    const items = checklist.items.map((label, i) => ({
+      label,
+      passed: d.querySelector(`[data-item="${i}"]`).checked
+    }));
+    const weight = isFinite(w) ? w : null;
+    const failures = inspectionFailures(checklist, weight, items);
+    return { weight, items, failures };
+  };
+
+  const showVerdict = () => {
+    const { failures } = read();
+    verdictEl.className = `inspection-verdict ${failures.length === 0 ? 'inspection-pass' : 'inspection-fail'}`;
+    verdictEl.textContent = failures.length === 0 ? 'Passes inspection' : `Fails: ${failures.join(', ')}`;
+  };
+  d.querySelector('.dialog-body').addEventListener('input', showVerdict);
+  showVerdict();
+
+  d.querySelector('.dialog-close').onclick = closeDialog;
+  d.querySelector('[data-action="cancel"]').onclick = closeDialog;
+  d.querySelector('[data-action="save"]').onclick = async () => {
+    const { weight, items, failures } = read();
+    const passed = failures.length === 0;
+    const checkIn = passed && !!d.querySelector('#dlg-inspect-checkin')?.checked;
+    const btn = d.querySelector('[data-action="save"]');
+    btn.disabled = true;
+    btn.textContent = 'Saving...';
+    await onSave({
+      weight,
+      items,
+      passed,
+      notes: d.querySelector('#dlg-inspect-notes').value.trim() || null
+    }, checkIn);
+    closeDialog();
+  };
+}
+
+// ─── Camera Scan Dialog ──────────────────────────────────────────
+
+const SCAN_POLL_MS = 300;
+const SCAN_REPEAT_MS = 3000;
+
+/**
+ * Continuous camera scanning via BarcodeDetector. Stays open so a line of
+ * cars can be scanned one after another. `onCode(text)` handles each new
+ * code and resolves to `{ status, message }`, shown under the video. The
+ * same code is ignored for a few seconds so a tag held in view is not
+ * scanned twice.
+ */
+export function showCameraScanDialog(onCode) {
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Scan Car Tags</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <video class="scan-video" playsinline muted></video>
+      <div class="scan-feedback" id="dlg-scan-feedback">Point the camera at a car tag.</div>
+    </div>
+    <div class="dialog-footer">
+      <button class="btn btn-primary" data-action="done">Done</button>
+    </div>
+  `);
+
+  const d = dialogEl();
+  const video = d.querySelector('.scan-video');
+  const feedback = d.querySelector('#dlg-scan-feedback');
+  const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+  let stream = null;
+  let timer = null;
+  let lastCode = null;
+  let lastAt = 0;
+
+  const stop = () => {
+    clearTimeout(timer);
+    if (stream) stream.getTracks().forEach(t => t.stop());
+    stream = null;
+  };
+  const close = () => { stop(); closeDialog(); };
+
+  d.querySelector('.dialog-close').onclick = close;
+  d.querySelector('[data-action="done"]').onclick = close;
+
+  // Escape and backdrop clicks close the dialog without calling stop(), so
+  // the poll loop also releases the camera once the video leaves the page.
+  const poll = async () => {
+    if (!video.isConnected) { stop(); return; }
+    try {
+      const codes = await detector.detect(video);
+      const code = codes[0]?.rawValue;
+      const now = Date.now();
+      if (code && (code !== lastCode || now - lastAt > SCAN_REPEAT_MS)) {
+        lastCode = code;
+        lastAt = now;
+        const result = await onCode(code);
+        if (result && feedback.isConnected) {
+          feedback.className = `scan-feedback scan-${result.status}`;
+          feedback.textContent = result.message;
+        }
+      }
+    } catch {
+      // Frame not ready yet — try again on the next tick
+    }
+    timer = setTimeout(poll, SCAN_POLL_MS);
+  };
+
+  navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+    .then(s => {
+      if (!video.isConnected) { s.getTracks().forEach(t => t.stop()); return; }
+      stream = s;
+      video.srcObject = s;
+      video.play();
+      poll();
+    })
+    .catch(e => {
+      feedback.className = 'scan-feedback scan-unknown';
+      feedback.textContent = `Camera unavailable: ${e.message}`;
+    });
+}
+
+// ─── Car Photo Dialog ────────────────────────────────────────────
+
+/**
+ * Photograph a car with the device camera, or pick an image file where
+ * there is no camera. `onSave(source)` receives the video element (frozen
+ * on the shot) or the picked File and stores it; `onRemove` takes down the
+ * car's current photo and is offered only when `currentThumb` is set.
+ */
+export function showCarPhotoDialog(participant, currentThumb, onSave, onRemove) {
+  openDialog(`
+    <div class="dialog-header">
+      <h2>Photo of #${esc(participant.car_number)} ${esc(participant.name)}</h2>
+      <button class="dialog-close" aria-label="Close">&times;</button>
+    </div>
+    <div class="dialog-body">
+      <video class="scan-video" playsinline muted></video>
+      <img class="car-photo-preview" alt="" hidden>
+      <div class="scan-feedback" id="dlg-photo-feedback">Fit the whole car in the picture.</div>
+      <label class="form-hint car-photo-file">
+        Or choose a picture: <input type="file" accept="image/*" capture="environment" id="dlg-photo-file">
+      </label>
+    </div>
+    <div class="dialog-footer">
+      ${currentThumb && onRemove ? '<button class="btn btn-danger" data-action="remove">Remove Photo</button>' : ''}
+      <div style="flex:1"></div>
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-secondary" data-action="retake" hidden>Retake</button>
+      <button class="btn btn-primary" data-action="shoot" disabled>Take Photo</button>
+      <button class="btn btn-primary" data-action="save" hidden>Save Photo</button>
+    </div>
+  `);
+
+  const d = dialogEl();
+  const video = d.querySelector('.scan-video');
+  const preview = d.querySelector('.car-photo-preview');
+  const feedback = d.querySelector('#dlg-photo-feedback');
+  const shootBtn = d.querySelector('[data-action="shoot"]');
+  const retakeBtn = d.querySelector('[data-action="retake"]');
+  const saveBtn = d.querySelector('[data-action="save"]');
+  let stream = null;
+  let picked = null;   // File chosen instead of the camera
+
+  const stop = () => {
+    if (stream) stream.getTracks().forEach(t => t.stop());
+    stream = null;
+  };
+  const close = () => { stop(); closeDialog(); };
+  const showShot = (shot) => {
+    shootBtn.hidden = true;
+    retakeBtn.hidden = !stream;
+    saveBtn.hidden = false;
+    if (shot) {
+      preview.src = shot;
+      preview.hidden = false;
+      video.hidden = true;
+    }
+  };
+
+  d.querySelector('.dialog-close').onclick = close;
+  d.querySelector('[data-action="cancel"]').onclick = close;
+  shootBtn.onclick = () => {
+    video.pause();
+    showShot(null);
+  };
+  retakeBtn.onclick = () => {
+    picked = null;
+    preview.hidden = true;
+    video.hidden = false;
+    video.play();
+    shootBtn.hidden = false;
+    retakeBtn.hidden = true;
+    saveBtn.hidden = true;
+  };
+  d.querySelector('#dlg-photo-file').onchange = (e) => {
+    picked = e.target.files[0] || null;
+    if (!picked) return;
+    video.pause();
+    showShot(URL.createObjectURL(picked));
+  };
+  saveBtn.onclick = async () => {
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+    try {
+      await onSave(picked || video);
+      close();
+    } catch (e) {
+      feedback.className = 'scan-feedback scan-unknown';
+      feedback.textContent = `Could not save the photo: ${e.message}`;
+      saveBtn.disabled = false;
+      saveBtn.textContent = 'Save Photo';
+    }
+  };
+  const removeBtn = d.querySelector('[data-action="remove"]');
+  if (removeBtn) {
+    removeBtn.onclick = async () => {
+      removeBtn.disabled = true;
+      await onRemove();
+      close();
+    };
+  }
+
+  if (!navigator.mediaDevices?.getUserMedia) {
+    video.hidden = true;
+    feedback.textContent = 'No camera here — choose a picture instead.';
+    return;
+  }
+  navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+    .then(s => {
+      // Escape and backdrop clicks close without stop(); release the camera then
+      if (!video.isConnected) { s.getTracks().forEach(t => t.stop()); return; }
+      stream = s;
+      video.srcObject = s;
+      video.play();
+      shootBtn.disabled = false;
+      const release = setInterval(() => {
+        if (!video.isConnected) { clearInterval(release); stop(); }
+      }, 1000);
+    })
+    .catch(e => {
+      video.hidden = true;
+      feedback.className = 'scan-feedback scan-unknown';
+      feedback.textContent = `Camera unavailable: ${e.message}. Choose a picture instead.`;
+    });
+}
+
 // ─── Group Picker (shared) ───────────────────────────────────────
 // Renders a <select> over existing rally groups plus "Ungrouped" and a
 // "+ New group…" option that toggles a sibling text input. Returns helpers
@@ -131,6 +429,10 @@ function groupPickerHtml(groups, initialGroupId) {
 
 // ─── Add Participant Dialog ──────────────────────────────────────
 
+/**
+ * Add a late participant and check them in. `onComplete(photoFor)` gets the
+ * new participant when "Take a car photo next" was ticked, otherwise null.
+ */
 export function showAddParticipantDialog(sectionId, section, ctx, onComplete) {
   const nextCarNum = nextAvailableCarNumber(section);
   const groups = Object.values(ctx.state.groups || {});
@@ -151,6 +453,10 @@ export function showAddParticipantDialog(sectionId, section, ctx, onComplete) {
         <input type="text" id="dlg-participant-car-number" class="form-input" placeholder="${esc(nextCarNum)} (auto-assigned)" autocomplete="off" maxlength="20">
         <p class="form-hint">Leave blank for auto-assignment, or enter a specific label (e.g. <code>B100</code>).</p>
       </div>
+      <label class="inspection-item">
+        <input type="checkbox" id="dlg-participant-photo">
+        Take a car photo next
+      </label>
       <div id="dlg-add-error" class="form-error"></div>
     </div>
     <div class="dialog-footer">
@@ -251,9 +557,10 @@ export function showAddParticipantDialog(sectionId, section, ctx, onComplete) {
         timestamp: Date.now()
       });
 
+      const takePhoto = d.querySelector('#dlg-participant-photo').checked;
       closeDialog();
       ctx.showToast(`${name} added as Car #${carNumber}`, 'success');
-      if (onComplete) onComplete();
+      if (onComplete) onComplete(takePhoto ? { name, car_number: carNumber } : null);
     } catch (e) {
       ctx.showToast(e.message, 'error');
       btn.disabled = false;
@@ -3,8 +3,10 @@
  * Registrar-only: no Start Section, no operator controls.
  */
 
-import { showAddParticipantDialog, showCheckInConfirmDialog, showEditParticipantDialog } from './dialogs.js';
-import { getActiveStart, getCompletedStarts, compareCarNumbers } from '../state-manager.js';
+import { showAddParticipantDialog, showCheckInConfirmDialog, showEditParticipantDialog, showCameraScanDialog, showInspectionDialog, showCarPhotoDialog } from './dialogs.js';
+import { getActiveStart, getCompletedStarts, compareCarNumbers, getCarPhotoId } from '../state-manager.js';
+import { resolveCarScan, SCAN_STATUS } from '../car-tags.js';
+import { savePhoto, getThumb } from '../car-photos.js';
 
 // ─── Screen: Section List ────────────────────────────────────────
 
@@ -90,6 +92,49 @@ export function renderSectionList(container, params, ctx) {
 
 // ─── Screen: Section Check-In ────────────────────────────────────
 
+// Last scan outcome, kept across the re-render each check-in triggers so
+// the volunteer still sees what happened. Cleared when leaving the section.
+let _lastScan = null;  // { sectionId, status, message }
+
+/**
+ * Handle one scanned or typed code: check the car in directly when it
+ * belongs here, otherwise explain why not. Resolves to { status, message }.
+ */
+async function handleScan(text, sectionId, ctx) {
+  const { state, appendEvent } = ctx;
+  const result = resolveCarScan(state, sectionId, text);
+  const p = result.participant;
+  let message;
+
+  switch (result.status) {
+    case SCAN_STATUS.ok:
+      ctx.state = await appendEvent({
+        type: 'CarArrived',
+        section_id: sectionId,
+        car_number: p.car_number,
+        timestamp: Date.now()
+      });
+      message = `#${p.car_number} ${p.name} checked in`;
+      if (state.inspection_checklist && !state.race_day.sections[sectionId].inspections?.[p.car_number]) {
+        message += ' — needs inspection';
+      }
+      break;
+    case SCAN_STATUS.already_arrived:
+      message = `#${p.car_number} ${p.name} is already checked in`;
+      break;
+    case SCAN_STATUS.wrong_section: {
+      const other = state.race_day.sections[result.section_id];
+      message = `#${p.car_number} ${p.name} is in ${other.section_name} — check in at that section`;
+      break;
+    }
+    default:
+      message = `Unknown tag "${String(text).trim()}"`;
+  }
+
+  _lastScan = { sectionId, status: result.status, message };
+  return { status: result.status, message };
+}
+
 export function renderSectionCheckIn(container, params, ctx) {
   const { state, navigate, appendEvent, showToast } = ctx;
   const { sectionId } = params;
@@ -134,14 +179,54 @@ export function renderSectionCheckIn(container, params, ctx) {
   counter.textContent = `${arrivedCount} of ${totalCount} checked in`;
   container.appendChild(counter);
 
+  // Scan box — keyboard-wedge scanners type the tag and press Enter; the
+  // same box takes a typed car number. Camera scanning where supported.
+  if (_lastScan && _lastScan.sectionId !== sectionId) _lastScan = null;
+  const scanWrap = document.createElement('div');
+  scanWrap.className = 'scan-panel';
+  scanWrap.innerHTML = `
+    <form class="scan-row" id="reg-scan-form">
+      <input type="text" class="form-input" id="reg-scan-input" autocomplete="off" autocapitalize="off" spellcheck="false"
+        placeholder="Scan car tag or type car # and press Enter" aria-label="Scan car tag">
+      ${'BarcodeDetector' in window ? '<button type="button" class="btn btn-secondary" id="reg-scan-camera">Scan with Camera</button>' : ''}
+    </form>
+    ${_lastScan ? `<div class="scan-feedback scan-${_lastScan.status}">${esc(_lastScan.message)}</div>` : ''}
+  `;
+  container.appendChild(scanWrap);
+
+  const scanInput = scanWrap.querySelector('#reg-scan-input');
+  scanWrap.querySelector('#reg-scan-form').onsubmit = async (e) => {
+    e.preventDefault();
+    const text = scanInput.value;
+    if (!text.trim()) return;
+    scanInput.value = '';
+    await handleScan(text, sectionId, ctx);
+    renderSectionCheckIn(container, params, ctx);
+  };
+  // Keep focus in the box between scans so the next tag goes straight in
+  // (but not behind the camera dialog)
+  const dialogOpen = !document.getElementById('dialog-backdrop').classList.contains('hidden');
+  if (_lastScan && !dialogOpen) scanInput.focus();
+
+  const cameraBtn = scanWrap.querySelector('#reg-scan-camera');
+  if (cameraBtn) {
+    cameraBtn.onclick = () => showCameraScanDialog(async (text) => {
+      const result = await handleScan(text, sectionId, ctx);
+      renderSectionCheckIn(container, params, ctx);
+      return result;
+    });
+  }
+
   // Add Participant button (always available — check-in is section-level)
   {
     const addBtn = document.createElement('button');
     addBtn.className = 'btn btn-secondary';
     addBtn.style.marginBottom = '1rem';
     addBtn.textContent = 'Add Participant';
-    addBtn.onclick = () => showAddParticipantDialog(sectionId, sec, ctx, () => {
-      renderSectionCheckIn(container, params, ctx);
+    addBtn.onclick = () => showAddParticipantDialog(sectionId, sec, ctx, (photoFor) => {
+      const rerender = () => renderSectionCheckIn(container, params, ctx);
+      rerender();
+      if (photoFor) showCarPhotoForm(sectionId, photoFor, ctx, rerender);
     });
     container.appendChild(addBtn);
   }
@@ -150,6 +235,8 @@ export function renderSectionCheckIn(container, params, ctx) {
   const sorted = [...sec.participants].sort((a, b) => compareCarNumbers(a.car_number, b.car_number));
   const groups = state.groups || {};
   const showGroupCol = sorted.some(p => p.group_id);
+  const checklist = state.inspection_checklist;
+  const inspections = sec.inspections || {};
 
   const wrap = document.createElement('div');
   wrap.className = 'table-wrap';
@@ -159,6 +246,8 @@ export function renderSectionCheckIn(container, params, ctx) {
         <th>Car #</th>
         <th>Name</th>
         ${showGroupCol ? '<th>Group</th>' : ''}
+        ${checklist ? '<th>Inspection</th>' : ''}
+        <th>Photo</th>
         <th></th>
       </tr></thead>
       <tbody id="reg-checkin-body"></tbody>
@@ -170,16 +259,58 @@ export function renderSectionCheckIn(container, params, ctx) {
   for (const p of sorted) {
     const isArrived = arrivedSet.has(p.car_number);
     const groupName = p.group_id && groups[p.group_id] ? groups[p.group_id].group_name : '';
+    const thumb = getThumb(getCarPhotoId(state, sectionId, p.car_number));
     const tr = document.createElement('tr');
 
     tr.innerHTML = `
       <td><strong>#${p.car_number}</strong></td>
       <td>${esc(p.name)}</td>
       ${showGroupCol ? `<td>${esc(groupName)}</td>` : ''}
+      ${checklist ? `<td>${inspectionBadge(inspections[p.car_number])}</td>` : ''}
+      <td class="car-photo-cell">${thumb ? `<img class="car-photo-thumb" src="${thumb}" alt="">` : ''}</td>
       <td class="table-actions"></td>
     `;
 
     const actionsCell = tr.querySelector('.table-actions');
+    const rerender = () => renderSectionCheckIn(container, params, ctx);
+
+    const photoBtn = document.createElement('button');
+    photoBtn.className = 'btn btn-sm btn-ghost';
+    photoBtn.textContent = thumb ? 'Retake Photo' : 'Photo';
+    photoBtn.onclick = () => showCarPhotoForm(sectionId, p, ctx, rerender);
+
+    let inspectBtn = null;
+    if (checklist) {
+      inspectBtn = document.createElement('button');
+      inspectBtn.className = 'btn btn-sm btn-secondary';
+      inspectBtn.textContent = inspections[p.car_number] ? 'Re-inspect' : 'Inspect';
+      inspectBtn.onclick = () => {
+        showInspectionDialog(p, checklist, inspections[p.car_number], isArrived, async (insp, checkIn) => {
+          ctx.state = await appendEvent({
+            type: 'CarInspected',
+            section_id: sectionId,
+            car_number: p.car_number,
+            weight: insp.weight,
+            weight_unit: checklist.weight_unit,
+            items: insp.items,
+            passed: insp.passed,
+            notes: insp.notes,
+            timestamp: Date.now()
+          });
+          if (checkIn) {
+            ctx.state = await appendEvent({
+              type: 'CarArrived',
+              section_id: sectionId,
+              car_number: p.car_number,
+              timestamp: Date.now()
+            });
+          }
+          const verdict = insp.passed ? 'passed inspection' : 'failed inspection';
+          showToast(`#${p.car_number} ${p.name} ${verdict}${checkIn ? ' and checked in' : ''}`, insp.passed ? 'success' : 'warning');
+          renderSectionCheckIn(container, params, ctx);
+        });
+      };
+    }
 
     const editBtn = document.createElement('button');
     editBtn.className = 'btn btn-sm btn-ghost';
@@ -196,6 +327,8 @@ export function renderSectionCheckIn(container, params, ctx) {
       badge.className = 'status-badge status-arrived';
       badge.textContent = 'Arrived';
       actionsCell.appendChild(badge);
+      if (inspectBtn) actionsCell.appendChild(inspectBtn);
+      actionsCell.appendChild(photoBtn);
       actionsCell.appendChild(editBtn);
     } else {
       const btn = document.createElement('button');
@@ -214,6 +347,8 @@ export function renderSectionCheckIn(container, params, ctx) {
         });
       };
       actionsCell.appendChild(btn);
+      if (inspectBtn) actionsCell.appendChild(inspectBtn);
+      actionsCell.appendChild(photoBtn);
       actionsCell.appendChild(editBtn);
     }
 
@@ -221,6 +356,32 @@ export function renderSectionCheckIn(container, params, ctx) {
   }
 }
 
+/** Photograph a car and record it with a CarPhotoTaken event. */
+function showCarPhotoForm(sectionId, participant, ctx, onDone) {
+  const { appendEvent, showToast } = ctx;
+  const carNumber = participant.car_number;
+  const thumb = getThumb(getCarPhotoId(ctx.state, sectionId, carNumber));
+  const record = async (photoId) => {
+    ctx.state = await appendEvent({
+      type: 'CarPhotoTaken',
+      section_id: sectionId,
+      car_number: carNumber,
+      photo_id: photoId,
+      timestamp: Date.now()
+    });
+  };
+
+  showCarPhotoDialog(participant, thumb, async (source) => {
+    await record(await savePhoto(ctx.state.rally_id, source));
+    showToast(`Photo saved for #${carNumber} ${participant.name}`, 'success');
+    onDone();
+  }, async () => {
+    await record(null);
+    showToast(`Photo removed for #${carNumber} ${participant.name}`, 'info');
+    onDone();
+  });
+}
+
 // ─── Cloud Rally Picker ─────────────────────────────────────────
 
 async function renderCloudRallyPicker(container, ctx) {
@@ -274,6 +435,14 @@ async function renderCloudRallyPicker(container, ctx) {
 
 // ─── Helpers ─────────────────────────────────────────────────────
 
+function inspectionBadge(insp) {
+  if (!insp) return '<span class="info-line">Not inspected</span>';
+  const weight = insp.weight != null ? `${insp.weight} ${esc(insp.weight_unit || '')}` : '';
+  return insp.passed
+    ? `<span class="status-badge status-arrived">Passed</span> ${weight}`
+    : `<span class="status-badge status-removed" title="${esc(insp.notes || '')}">Failed</span> ${weight}`;
+}
+
 function esc(str) {
   const d = document.createElement('div');
   d.textContent = str || '';
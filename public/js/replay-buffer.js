@@ -0,0 +1,105 @@
+/**
+ * replay-buffer.js — Recording rotation for photo-finish replays.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * A MediaRecorder recording only plays back from its own start: the first
+ * chunk carries the container header, and later chunks break mid-cluster on
+ * frames that depend on a keyframe sent earlier. So a replay can't be cut
+ * from the tail of one endless recording. Instead the replay camera runs two
+ * recordings, each restarted every REPLAY_SEGMENT_MS, half a segment apart.
+ * When a heat finishes, one of them started at least REPLAY_WINDOW_MS +
+ * REPLAY_POST_ROLL_MS ago, and everything it has recorded — header, first
+ * keyframe and all — is the clip.
+ *
+ * Replays are stored per heat under replayKey() (see event-store.js).
+ */
+
+/** How much video before the finish a replay keeps, at least. */
+export const REPLAY_WINDOW_MS = 6000;
+
+/** How long to keep recording after a finish before taking the clip. */
+export const REPLAY_POST_ROLL_MS = 1000;
+
+/** MediaRecorder timeslice: how often a recording hands over its data. */
+export const REPLAY_CHUNK_MS = 500;
+
+/** How long each of the two recordings runs before it restarts. */
+export const REPLAY_SEGMENT_MS = 2 * (REPLAY_WINDOW_MS + REPLAY_POST_ROLL_MS);
+
+/**
+ * When to (re)start each of the two recordings, and which one a clip is
+ * taken from. Slots are 0 and 1.
+ *
+ * @param {{ windowMs?: number, postRollMs?: number }} [opts]
+ * @returns {{
+ *   due: (now: number) => Array<number>,
+ *   started: (slot: number, now: number) => void,
+ *   pick: (now: number) => number|null,
+ *   reset: () => void
+ * }}
+ */
+export function createRecordingRotation({ windowMs = REPLAY_WINDOW_MS, postRollMs = REPLAY_POST_ROLL_MS } = {}) {
+  const reach = windowMs + postRollMs;   // how far back a capture must go
+  const segment = 2 * reach;
+  let nextAt = [null, null];
+  let startedAt = [null, null];
+
+  /** Slots to (re)start now: slot 0 at once, slot 1 half a segment later. */
+  function due(now) {
+    if (nextAt[0] === null) nextAt = [now, now + reach];
+    const slots = [];
+    for (let slot = 0; slot < 2; slot++) {
+      if (now < nextAt[slot]) continue;
+      slots.push(slot);
+      // Keep to the schedule, not to when the restart happened, so the two
+      // recordings stay half a segment apart however late the check runs
+      while (nextAt[slot] <= now) nextAt[slot] += segment;
+    }
+    return slots;
+  }
+
+  function started(slot, now) {
+    startedAt[slot] = now;
+  }
+
+  /**
+   * The recording to take a clip from: the newest one that reaches back
+   * far enough, or the oldest while the camera has only just started.
+   */
+  function pick(now) {
+    let best = null;
+    for (let slot = 0; slot < 2; slot++) {
+      const at = startedAt[slot];
+      if (at === null || now - at < reach) continue;
+      if (best === null || at > startedAt[best]) best = slot;
+    }
+    if (best !== null) return best;
+    for (let slot = 0; slot < 2; slot++) {
+      if (startedAt[slot] !== null && (best === null || startedAt[slot] < startedAt[best])) best = slot;
+    }
+    return best;
+  }
+
+  function reset() {
+    nextAt = [null, null];
+    startedAt = [null, null];
+  }
+
+  return { due, started, pick, reset };
+}
+
+/**
+ * Storage key for one heat's replay. A re-run heat replaces the replay of
+ * the same heat number; a flagged run the operator chose to re-run is kept
+ * apart as variant 'flagged' (see heat-plausibility.js).
+ * @param {string} rallyId
+ * @param {string} sectionId
+ * @param {number} startNumber
+ * @param {number} heatNumber
+ * @param {string} [variant]
+ * @returns {string}
+ */
+export function replayKey(rallyId, sectionId, startNumber, heatNumber, variant) {
+  const key = `${rallyId}|${sectionId}|${startNumber}|${heatNumber}`;
+  return variant ? `${key}|${variant}` : key;
+}
@@ -0,0 +1,100 @@
+/**
+ * results-feed.js — The read-only event feed behind the parent results page.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * Parents' phones never sign in, so they only ever see a public cut of the
+ * rally's event log: the events that build sections, rosters, schedules and
+ * results, with the email addresses of organizers and volunteers removed.
+ * Invitations, check-in roles and inspections are left out entirely.
+ *
+ * The same cut is served two ways: by the `public_rally_events` database
+ * function (supabase/migrations/004_public_results.sql — keep the lists
+ * below in step with it) and by the operator over the network relay, where
+ * EVENTS_RESET / EVENTS_APPENDED messages carry it to results pages.
+ */
+
+/** Event types a results page needs to rebuild standings and schedules. */
+export const PUBLIC_EVENT_TYPES = new Set([
+  'RallyCreated', 'SectionCreated', 'GroupCreated',
+  'ParticipantAdded', 'ParticipantUpdated', 'ParticipantRemoved', 'RosterUpdated',
+  'CarArrived', 'CarArrivalRevoked', 'CarRemoved', 'CarReinstated', 'FinalsSeeded',
+  'SectionStarted', 'LanesChanged', 'RaceCompleted', 'ResultManuallyEntered',
+  'ResultCorrected', 'RerunDeclared', 'RotationAdded', 'BracketRoundCompleted',
+  'SectionCompleted'
+]);
+
+/**
+ * Payload fields never shown publicly: who did what (emails), plus the hash
+ * chain, which no longer verifies once fields are removed and is left to
+ * the operator's own integrity check.
+ */
+export const PRIVATE_FIELDS = [
+  'created_by', 'added_by', 'invited_by', 'removed_by',
+  'registrar_email', 'operator_email', 'email',
+  'chain_id', 'chain_seq', 'prev_hash', 'hash',
+  'stored_at', 'synced', 'server_id'
+];
+
+// ─── Filtering ───────────────────────────────────────────────────
+
+/**
+ * The public form of a stored event, or null if it is not public.
+ * @param {Object} event - flat stored event
+ * @returns {Object|null}
+ */
+export function toPublicEvent(event) {
+  if (!event || !PUBLIC_EVENT_TYPES.has(event.type)) return null;
+  const out = { ...event };
+  for (const field of PRIVATE_FIELDS) delete out[field];
+  return out;
+}
+
+/**
+ * A row returned by public_rally_events(), as a flat event. The server id
+ * becomes the local id so rebuildState() replays rows in server order.
+ * @param {{ id: number, rally_id: string, section_id: string|null, event_type: string, payload: Object }} row
+ * @returns {Object}
+ */
+export function fromPublicRow(row) {
+  return {
+    ...(row.payload || {}),
+    id: Number(row.id),
+    type: row.event_type,
+    rally_id: row.rally_id,
+    section_id: row.section_id
+  };
+}
+
+// ─── Relay Messages ──────────────────────────────────────────────
+
+/**
+ * The message that brings a results page's copy of the log from `sent` to
+ * `log` — only the new events when `log` extends `sent`, otherwise the
+ * whole log. Null when nothing changed.
+ * @param {Array<Object>} sent - public events already sent, in replay order
+ * @param {Array<Object>} log - current public events, in replay order
+ * @returns {Object|null}
+ */
+export function feedMessage(sent, log) {
+  const extendsSent = sent.length <= log.length && sent.every((e, i) => e.id === log[i].id);
+  if (!extendsSent) return { type: 'EVENTS_RESET', events: log };
+  if (log.length === sent.length) return null;
+  return { type: 'EVENTS_APPENDED', from: sent.length, events: log.slice(sent.length) };
+}
+
+/**
+ * Apply an EVENTS_RESET or EVENTS_APPENDED message to a copy of the log.
+ * Returns null when an append does not continue this copy (a message was
+ * missed), so the caller should ask for the whole log again.
+ * @param {Array<Object>} log
+ * @param {Object} message
+ * @returns {Array<Object>|null}
+ */
+export function applyFeedMessage(log, message) {
+  if (message?.type === 'EVENTS_RESET') return [...(message.events || [])];
+  if (message?.type === 'EVENTS_APPENDED') {
+    if (message.from !== log.length) return null;
+    return [...log, ...(message.events || [])];
+  }
+  return log;
+}
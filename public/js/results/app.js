@@ -0,0 +1,162 @@
+/**
+ * results/app.js — Parent-facing live results. Read-only, no sign-in.
+ *
+ * Builds state from the rally's public event log (see results-feed.js),
+ * taken from one of three places:
+ *   results.html?rally=<id>   the cloud, polled through public_rally_events()
+ *   results.html?relay        the network relay that served the page
+ *                             (?relay=host:port for another one)
+ *   results.html              this browser's own event store, next to the
+ *                             operator tab (demo, kiosk)
+ *
+ * &car=42 follows one car; the choice is also remembered on the phone.
+ */
+
+import { rebuildState, compareEventsForReplay } from '../state-manager.js';
+import { toPublicEvent, fromPublicRow, applyFeedMessage } from '../results-feed.js';
+import { lookupCar, searchCars } from '../car-lookup.js';
+import { onEventFeed, requestEventLog, onSyncMessage } from '../broadcast.js';
+import { renderResults } from './screens.js';
+
+const PARAMS = new URLSearchParams(location.search);
+const RALLY_ID = PARAMS.get('rally');
+const RELAY = PARAMS.has('relay') ? PARAMS.get('relay') : null;
+const FOLLOW_STORAGE_KEY = 'rallylab-results-car';
+const POLL_MS = 15000;
+const PAGE_SIZE = 1000;     // rows per public_rally_events() call
+const REFRESH_MS = 30000;   // re-render so "in about N min" stays current
+
+const app = () => document.getElementById('app');
+
+let _log = [];              // public events, in replay order
+let _state = rebuildState([]);
+let _loaded = false;
+let _error = null;
+let _query = '';
+let _car = PARAMS.get('car') || (() => {
+  try { return localStorage.getItem(FOLLOW_STORAGE_KEY) || ''; } catch { return ''; }
+})();
+
+// ─── State ───────────────────────────────────────────────────────
+
+/** Replace the log and rebuild. Ids are renumbered so replay keeps this order. */
+function setLog(log) {
+  _log = log;
+  _state = rebuildState(log.map((e, i) => ({ ...e, id: i + 1 })));
+  _loaded = true;
+  _error = null;
+  render();
+}
+
+function fail(message) {
+  _error = message;
+  render();
+}
+
+// ─── Sources ─────────────────────────────────────────────────────
+
+async function followCloud(rallyId) {
+  let client;
+  try {
+    const { getPublicClient } = await import('../supabase.js');
+    client = await getPublicClient();
+  } catch (e) {
+    fail(e.message);
+    return;
+  }
+
+  let afterId = 0;
+  const rows = [];
+  const poll = async () => {
+    try {
+      let more = true;
+      let grew = false;
+      while (more) {
+        const { data, error } = await client.rpc('public_rally_events', { p_rally_id: rallyId, p_after_id: afterId });
+        if (error) throw new Error(error.message);
+        rows.push(...data);
+        if (data.length > 0) {
+          afterId = data[data.length - 1].id;
+          grew = true;
+        }
+        more = data.length === PAGE_SIZE;
+      }
+      if (grew || !_loaded) setLog(rows.map(fromPublicRow));
+    } catch (e) {
+      fail(`Could not reach the results server (${e.message}). Retrying…`);
+    }
+  };
+  await poll();
+  setInterval(poll, POLL_MS);
+}
+
+function followRelay(relay) {
+  onEventFeed((message) => {
+    const next = applyFeedMessage(_log, message);
+    if (next === null) requestEventLog();
+    else if (next !== _log) setLog(next);
+  }, {
+    relay,
+    onStatus: (status) => {
+      if (status === 'closed') fail('Lost the connection to the race. Reconnecting…');
+    }
+  });
+}
+
+async function followLocalStore() {
+  const { getAllEvents } = await import('../event-store.js');
+  const load = async () => {
+    const events = await getAllEvents();
+    setLog([...events].sort(compareEventsForReplay).map(toPublicEvent).filter(Boolean));
+  };
+  onSyncMessage((msg) => {
+    if (msg.type === 'EVENTS_CHANGED') load();
+  });
+  await load();
+}
+
+// ─── Follow Car ──────────────────────────────────────────────────
+
+function follow(carNumber) {
+  _car = String(carNumber || '').trim();
+  _query = '';
+  try {
+    if (_car) localStorage.setItem(FOLLOW_STORAGE_KEY, _car);
+    else localStorage.removeItem(FOLLOW_STORAGE_KEY);
+  } catch {}
+  // Keep the link shareable: results.html?rally=…&car=42
+  const url = new URL(location.href);
+  if (_car) url.searchParams.set('car', _car);
+  else url.searchParams.delete('car');
+  history.replaceState(null, '', url);
+  render();
+}
+
+function search(query) {
+  _query = query;
+  render();
+}
+
+// ─── Render ──────────────────────────────────────────────────────
+
+function render() {
+  renderResults(app(), {
+    state: _state,
+    loaded: _loaded,
+    error: _error,
+    car: _car,
+    query: _query,
+    views: _car ? lookupCar(_state, _log, _car, Date.now()) : [],
+    matches: searchCars(_state, _query),
+    follow,
+    search
+  });
+}
+
+// ─── Init ────────────────────────────────────────────────────────
+
+render();
+if (RALLY_ID) followCloud(RALLY_ID);
+else if (RELAY != null) followRelay(RELAY);
+else followLocalStore();
+setInterval(render, REFRESH_MS);
@@ -0,0 +1,247 @@
+/**
+ * results/screens.js — Parent results page: car search, the followed car's
+ * heats and rank, and each section's standings. Mobile-first.
+ */
+
+import { getActiveStart, getLatestStart, flattenStart } from '../state-manager.js';
+import { computeLeaderboard } from '../scoring.js';
+
+function esc(str) {
+  const d = document.createElement('div');
+  d.textContent = str || '';
+  return d.innerHTML;
+}
+
+function formatTime(ms) {
+  if (ms == null || !isFinite(ms)) return '—';
+  return (ms / 1000).toFixed(3) + 's';
+}
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+function ordinal(n) {
+  const tens = n % 100;
+  const suffix = tens >= 11 && tens <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+// Sections a parent opened or closed keep that state across re-renders
+const _sectionOpen = new Map();   // section_id → boolean
+
+const STATUS_BADGES = {
+  waiting: ['Not Started', 'status-idle'],
+  racing: ['Racing', 'status-active'],
+  complete: ['Complete', 'status-complete']
+};
+
+// ─── Page ────────────────────────────────────────────────────────
+
+/**
+ * Draw the page. The search box is created once and kept, so re-rendering
+ * on every new event doesn't steal the keyboard from a parent mid-typing.
+ * @param {HTMLElement} container
+ * @param {Object} model - see results/app.js render()
+ */
+export function renderResults(container, model) {
+  let search = container.querySelector('.results-search');
+  if (!search) {
+    container.innerHTML = '';
+    search = document.createElement('form');
+    search.className = 'results-search';
+    search.innerHTML = `
+      <input class="form-input" type="search" inputmode="search" autocomplete="off"
+        placeholder="Car number or name" aria-label="Find a car">
+      <button class="btn btn-primary" type="submit">Follow</button>
+    `;
+    const matches = document.createElement('div');
+    matches.className = 'results-matches';
+    const body = document.createElement('div');
+    body.className = 'results-body';
+    container.append(search, matches, body);
+  }
+  // Handlers close over the latest model
+  search.querySelector('input').oninput = (e) => model.search(e.target.value);
+  search.onsubmit = (e) => {
+    e.preventDefault();
+    const input = search.querySelector('input');
+    if (input.value.trim()) model.follow(input.value);
+    input.value = '';
+    input.blur();
+  };
+
+  renderMatches(container.querySelector('.results-matches'), model);
+  renderBody(container.querySelector('.results-body'), model);
+}
+
+function renderMatches(el, { matches, follow }) {
+  el.innerHTML = '';
+  for (const m of matches.slice(0, 8)) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'results-match';
+    btn.innerHTML = `<strong>#${esc(m.car_number)}</strong> ${esc(m.name)} <span class="info-line">${esc(m.section_name)}</span>`;
+    btn.onclick = () => follow(m.car_number);
+    el.appendChild(btn);
+  }
+}
+
+function renderBody(el, model) {
+  const { state, loaded, error, car, views, follow } = model;
+  el.innerHTML = '';
+
+  if (error) {
+    const banner = document.createElement('div');
+    banner.className = 'form-error results-error';
+    banner.textContent = error;
+    el.appendChild(banner);
+  }
+  if (!loaded) {
+    if (!error) el.insertAdjacentHTML('beforeend', '<p class="empty-state">Loading results…</p>');
+    return;
+  }
+
+  if (state.rally_name) {
+    el.insertAdjacentHTML('beforeend', `<h2 class="screen-title">${esc(state.rally_name)}</h2>`);
+  }
+
+  if (car) {
+    const head = document.createElement('div');
+    head.className = 'toolbar';
+    head.innerHTML = `<h3>Following car #${esc(car)}</h3>`;
+    const stop = document.createElement('button');
+    stop.className = 'btn btn-sm btn-ghost';
+    stop.textContent = 'Stop Following';
+    stop.onclick = () => follow('');
+    head.appendChild(stop);
+    el.appendChild(head);
+
+    if (views.length === 0) {
+      el.insertAdjacentHTML('beforeend', `<p class="empty-state">No car #${esc(car)} in this rally yet.</p>`);
+    }
+    for (const view of views) el.appendChild(renderCarCard(view));
+  } else {
+    el.insertAdjacentHTML('beforeend',
+      '<p class="screen-subtitle">Type your car number above to follow its heats, times and place.</p>');
+  }
+
+  renderStandings(el, state, car, follow);
+}
+
+// ─── Followed Car ────────────────────────────────────────────────
+
+function renderCarCard(view) {
+  const card = document.createElement('div');
+  card.className = 'card results-car';
+  const [label, cls] = STATUS_BADGES[view.status];
+
+  let rank = '<span class="info-line">Not raced yet</span>';
+  if (view.rank != null) {
+    const score = view.points != null ? `${view.points} pts` : `avg ${formatTime(view.avg_time_ms)}`;
+    rank = `
+      <div class="results-rank">${ordinal(view.rank)} <span>of ${view.field_size}</span></div>
+      <div class="info-line">${score} · best ${formatTime(view.best_time_ms)}${view.incomplete ? ' · incomplete' : ''}</div>
+    `;
+  }
+
+  let note = '';
+  if (view.removed) note = '<p class="info-line">Withdrawn from this section.</p>';
+  else if (view.status === 'waiting') note = `<p class="info-line">${view.arrived ? 'Checked in — waiting for the section to start.' : 'Not checked in yet.'}</p>`;
+
+  card.innerHTML = `
+    <div class="toolbar">
+      <div>
+        <strong>${esc(view.section_name)}</strong>
+        <div class="info-line">#${esc(view.car_number)} ${esc(view.name)}</div>
+      </div>
+      <span class="status-badge ${cls}">${label}</span>
+    </div>
+    ${rank}
+    ${note}
+    ${renderUpcoming(view.upcoming)}
+    ${renderHeats(view.heats)}
+  `;
+  return card;
+}
+
+function renderUpcoming(upcoming) {
+  if (upcoming.length === 0) return '';
+  const rows = upcoming.map(u => {
+    const when = u.heats_away === 0 ? 'Up next' : `${u.heats_away} heat${u.heats_away !== 1 ? 's' : ''} away`;
+    return `<li><strong>Heat ${u.heat_number}</strong> · Lane ${u.lane} · ${when} · ~${formatClock(u.eta)}</li>`;
+  }).join('');
+  return `<h4 class="results-heading">Coming Up</h4><ul class="results-upcoming">${rows}</ul>`;
+}
+
+function renderHeats(heats) {
+  if (heats.length === 0) return '';
+  const rows = heats.map(h => `
+    <tr>
+      <td>${h.heat_number}</td>
+      <td>${h.lane ?? '—'}</td>
+      <td>${h.manual ? 'Judged' : formatTime(h.time_ms)}</td>
+      <td>${h.place != null ? ordinal(h.place) : '—'}</td>
+    </tr>`).join('');
+  return `
+    <h4 class="results-heading">Heats Run</h4>
+    <div class="table-wrap">
+      <table>
+        <thead><tr><th>Heat</th><th>Lane</th><th>Time</th><th>Place</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+// ─── Standings ───────────────────────────────────────────────────
+
+function renderStandings(el, state, car, follow) {
+  const sections = Object.values(state.race_day.sections)
+    .map(sec => ({ sec, start: getActiveStart(sec) || getLatestStart(sec) }))
+    .filter(({ start }) => start);
+  if (sections.length === 0) return;
+
+  el.insertAdjacentHTML('beforeend', '<h3 class="results-heading">Standings</h3>');
+  for (const { sec, start } of sections) {
+    const standings = computeLeaderboard(flattenStart(sec, start));
+    const details = document.createElement('details');
+    details.className = 'card results-section';
+    // Open the sections the followed car is in, and any still racing
+    details.open = _sectionOpen.get(sec.section_id)
+      ?? (!start.completed || standings.some(s => s.car_number === car));
+    details.ontoggle = () => _sectionOpen.set(sec.section_id, details.open);
+    const [label, cls] = STATUS_BADGES[start.completed ? 'complete' : 'racing'];
+    details.innerHTML = `
+      <summary><strong>${esc(sec.section_name)}</strong> <span class="status-badge ${cls}">${label}</span></summary>
+    `;
+    if (standings.length === 0) {
+      details.insertAdjacentHTML('beforeend', '<p class="info-line">No heats run yet.</p>');
+    } else {
+      const points = standings.some(s => s.points != null);
+      const wrap = document.createElement('div');
+      wrap.className = 'table-wrap';
+      wrap.innerHTML = `
+        <table>
+          <thead><tr><th>#</th><th>Car</th><th>Name</th><th>${points ? 'Points' : 'Avg'}</th></tr></thead>
+          <tbody></tbody>
+        </table>
+      `;
+      const tbody = wrap.querySelector('tbody');
+      for (const s of standings) {
+        const tr = document.createElement('tr');
+        if (s.car_number === car) tr.className = 'results-followed';
+        tr.innerHTML = `
+          <td>${s.rank}</td>
+          <td>${esc(s.car_number)}</td>
+          <td>${esc(s.name)}</td>
+          <td>${points ? s.points : formatTime(s.adjusted_avg_time_ms ?? s.avg_time_ms)}</td>
+        `;
+        tr.onclick = () => follow(s.car_number);
+        tbody.appendChild(tr);
+      }
+      details.appendChild(wrap);
+    }
+    el.appendChild(details);
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * schedule-replay.js — Rebuild a start's heat schedule from the event log.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * The schedule itself is never stored: the operator generates it when a
+ * section starts and regenerates it after late arrivals, removals, lane
+ * changes and added rotations. Replaying those events through the same
+ * scheduler calls gives back the same heats, which lets the operator
+ * resume after a reload and lets read-only pages show upcoming heats.
+ */
+
+import { generateSchedule, regenerateAfterRemoval, regenerateAfterLateArrival, generateCatchUpHeats } from './scheduler.js';
+import {
+  isBracketFormat, createBracket, applyRoundOutcome, generateBracketRound, bracketSchedule,
+  removeCarFromBracket, relaneBracket
+} from './bracket.js';
+import { compareCarNumbers } from './state-manager.js';
+
+/**
+ * Reconstruct the schedule for a started section by replaying events.
+ * The scheduler is fully deterministic, so replaying the same sequence
+ * of generate/regenerate calls produces the identical schedule.
+ * Derives availableLanes from SectionStarted + LanesChanged events.
+ *
+ * @param {Array<Object>} events - stored event log (flat records, any section)
+ * @param {Object} sec - the section from state.race_day.sections
+ * @param {number} startNumber
+ * @param {Array<number>} defaultLanes - lanes for a SectionStarted that names none
+ * @returns {Object|null} The schedule, or null if the start never began
+ */
+export function replaySchedule(events, sec, startNumber, defaultLanes) {
+  const sectionId = sec.section_id;
+  // Filter to section events that belong to this start (or have no start_number for compat)
+  const sectionEvents = events.filter(e => {
+    if (e.section_id !== sectionId) return false;
+    // Arrivals (and their revocation) and FinalsSeeded are section-level, always include
+    if (e.type === 'CarArrived' || e.type === 'CarArrivalRevoked' || e.type === 'FinalsSeeded') return true;
+    // Events with a start_number must match; events without one are legacy (start 1)
+    if (e.start_number != null) return e.start_number === startNumber;
+    // Legacy events without start_number — include only for start 1
+    return startNumber === 1 || startNumber == null;
+  });
+
+  const arrived = new Set();
+  const removed = new Set();
+  let schedule = null;
+  let bracket = null;       // elimination bracket state, replayed round by round
+  let started = false;
+  let currentHeat = 0;
+  let availableLanes = null;
+  let scheduleOptions = {};  // from SectionStarted, reused by every regeneration
+  const completedCarNumbers = new Set();
+  let completedResultCount = 0;
+  const accumulatedResults = {}; // heat_number → result, for deterministic reconstruction
+
+  for (const evt of sectionEvents) {
+    if (evt.type === 'FinalsSeeded') {
+      // Finalists are checked in by seeding; a re-seed replaces the field
+      arrived.clear();
+      for (const p of evt.participants || []) arrived.add(String(p.car_number));
+    } else if (evt.type === 'CarArrived' || evt.type === 'CarReinstated') {
+      // A reinstated car rejoins the remaining heats exactly like a late arrival
+      if (evt.type === 'CarArrived') arrived.add(evt.car_number);
+      else removed.delete(evt.car_number);
+      // Late arrivals can't join a bracket that is already running
+      if (started && schedule && !bracket) {
+        const allParticipants = sec.participants
+          .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
+        schedule = regenerateAfterLateArrival(schedule, allParticipants, currentHeat, availableLanes, [], scheduleOptions);
+
+        // Generate catch-up heats, inserted immediately after currentHeat
+        const allCatchUpHeats = [];
+        for (const p of allParticipants) {
+          if (!completedCarNumbers.has(p.car_number) && completedResultCount > 0) {
+            const catchUpHeats = generateCatchUpHeats(
+              p, completedResultCount, availableLanes, 0
+            );
+            allCatchUpHeats.push(...catchUpHeats);
+          }
+        }
+
+        if (allCatchUpHeats.length > 0) {
+          const completed = schedule.heats.filter(h => h.heat_number <= currentHeat);
+          const remaining = schedule.heats.filter(h => h.heat_number > currentHeat);
+          let nextNum = currentHeat + 1;
+          for (const h of allCatchUpHeats) { h.heat_number = nextNum++; }
+          for (const h of remaining) { h.heat_number = nextNum++; }
+          schedule.heats = [...completed, ...allCatchUpHeats, ...remaining];
+          schedule.metadata.total_heats = schedule.heats.length;
+        }
+      }
+    } else if (evt.type === 'CarRemoved' || evt.type === 'CarArrivalRevoked') {
+      // A revoked arrival leaves the remaining heats exactly like a removal
+      if (evt.type === 'CarRemoved') removed.add(evt.car_number);
+      else arrived.delete(evt.car_number);
+      if (started && schedule && bracket) {
+        schedule = removeCarFromBracket(schedule, evt.car_number, currentHeat);
+      } else if (started && schedule) {
+        const remaining = sec.participants
+          .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
+        if (remaining.length >= 2) {
+          schedule = regenerateAfterRemoval(schedule, remaining, currentHeat, availableLanes, [], scheduleOptions);
+        }
+      }
+    } else if (evt.type === 'SectionStarted') {
+      started = true;
+      availableLanes = evt.available_lanes || defaultLanes;
+      scheduleOptions = evt.schedule_options || {};
+      const participants = sec.participants
+        .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
+      if (isBracketFormat(evt.format)) {
+        const seeds = participants.map(p => p.car_number).sort(compareCarNumbers);
+        bracket = createBracket(evt.format, seeds);
+        schedule = bracketSchedule([], evt.format, availableLanes);
+        appendBracketRound(schedule, bracket, sec.participants, availableLanes);
+      } else {
+        schedule = generateSchedule({ participants, available_lanes: availableLanes, options: scheduleOptions });
+      }
+    } else if (evt.type === 'LanesChanged') {
+      availableLanes = evt.available_lanes;
+      if (started && schedule && bracket) {
+        schedule = relaneBracket(schedule, currentHeat, availableLanes);
+      } else if (started && schedule) {
+        const participants = sec.participants
+          .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
+        if (participants.length >= 2) {
+          schedule = generateSchedule({ participants, available_lanes: availableLanes, options: scheduleOptions });
+          // Renumber after completed heats
+          const renumbered = schedule.heats.map((heat, i) => ({
+            ...heat, heat_number: currentHeat + i + 1
+          }));
+          const completedHeats = schedule.heats.length > 0 ? [] : [];
+          schedule = { ...schedule, heats: renumbered, metadata: { ...schedule.metadata, total_heats: renumbered.length } };
+        }
+      }
+    } else if (evt.type === 'RaceCompleted' || evt.type === 'ResultManuallyEntered') {
+      currentHeat = evt.heat_number;
+      completedResultCount++;
+      // Track result for deterministic reconstruction of rotation schedules
+      accumulatedResults[evt.heat_number] = {
+        type: evt.type,
+        heat_number: evt.heat_number,
+        heat: evt.heat_number,
+        lanes: evt.lanes || [],
+        times_ms: evt.times_ms,
+        rankings: evt.rankings,
+        timestamp: evt.timestamp
+      };
+      // Update completedCarNumbers from the result's lanes
+      const lanes = evt.lanes || [];
+      for (const lane of lanes) {
+        completedCarNumbers.add(lane.car_number);
+      }
+    } else if (evt.type === 'BracketRoundCompleted') {
+      if (started && schedule && bracket) {
+        bracket = applyRoundOutcome(bracket, evt);
+        appendBracketRound(schedule, bracket, sec.participants, availableLanes);
+      }
+    } else if (evt.type === 'RotationAdded') {
+      // Regenerate a speed-matched rotation using only results known at this point
+      if (started && schedule) {
+        const participants = sec.participants
+          .filter(p => arrived.has(p.car_number) && !removed.has(p.car_number));
+        const results = Object.values(accumulatedResults);
+        // A rotation is always one pass, whatever the start's pass count
+        const newSchedule = generateSchedule({
+          participants,
+          available_lanes: availableLanes,
+          results
+        });
+        const lastHeatNum = schedule.heats.length > 0
+          ? Math.max(...schedule.heats.map(h => h.heat_number))
+          : 0;
+        const renumberedHeats = newSchedule.heats.map((heat, i) => ({
+          ...heat,
+          heat_number: lastHeatNum + i + 1
+        }));
+        schedule.heats.push(...renumberedHeats);
+        schedule.metadata.total_heats = schedule.heats.length;
+      }
+    }
+  }
+
+  return schedule;
+}
+
+// ─── Elimination Brackets ───────────────────────────────────────
+
+/**
+ * Append the bracket's current round to a schedule, numbering its heats
+ * after the last scheduled heat. Mutates schedule (same as addRotation).
+ * @returns {number} Number of heats added (0 once a champion is decided)
+ */
+export function appendBracketRound(schedule, bracket, participants, availableLanes) {
+  const lastHeatNum = schedule.heats.length > 0
+    ? Math.max(...schedule.heats.map(h => h.heat_number))
+    : 0;
+  const heats = generateBracketRound({
+    bracket,
+    participants,
+    available_lanes: availableLanes,
+    first_heat_number: lastHeatNum + 1
+  });
+  schedule.heats.push(...heats);
+  schedule.metadata.total_heats = schedule.heats.length;
+  return heats.length;
+}
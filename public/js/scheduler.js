@@ -29,7 +29,9 @@ export function generateSchedule({ participants, available_lanes, results = [],
   let heats;
   let speedMatched = false;
 
-  if (algorithm === 'circle_method') {
+  if (algorithm === 'perfect_n_chart') {
+    heats = perfectNChart(participants, available_lanes);
+  } else if (algorithm === 'circle_method') {
     heats = circleMethod(participants, available_lanes);
   } else if (algorithm === 'speed_matched_greedy') {
     const groups = groupBySpeed(participants, results, laneCount);
@@ -40,7 +42,21 @@ export function generateSchedule({ participants, available_lanes, results = [],
     heats = greedyHeuristic(participants, available_lanes);
   }
 
-  const laneBalancePerfect = algorithm === 'circle_method';
+  // Multiple passes (specs/07 §2.3): heats_per_car wins over runs_per_lane
+  const heatsPerCar = Math.floor(options.heats_per_car) || null;
+  const effectiveLaneCount = Math.min(laneCount, participants.length);
+  const passes = heatsPerCar
+    ? Math.floor(heatsPerCar / effectiveLaneCount)
+    : Math.max(1, Math.floor(options.runs_per_lane) || 1);
+  heats = repeatPasses(heats, passes);
+  let toppedUp = false;
+  if (heatsPerCar) {
+    const extra = topUpHeats(participants, available_lanes, heatsPerCar, heats);
+    toppedUp = extra.length > 0;
+    heats = [...heats, ...extra];
+  }
+
+  const laneBalancePerfect = (algorithm === 'circle_method' || algorithm === 'perfect_n_chart') && !toppedUp;
 
   return {
     heats,
@@ -50,6 +66,9 @@ export function generateSchedule({ participants, available_lanes, results = [],
       cars_per_heat: heats.map(h => h.lanes.length),
       lane_balance_perfect: laneBalancePerfect,
       speed_matched: speedMatched,
+      passes,
+      heats_per_car: heatsPerCar,
+      opponent_coverage: opponentCoverage(heats),
       available_lanes
     }
   };
@@ -63,9 +82,10 @@ export function generateSchedule({ participants, available_lanes, results = [],
  * @param {number} currentHeatNumber - Last completed heat
  * @param {Array<number>} availableLanes - Physical lane numbers
  * @param {Array} [results=[]]
+ * @param {Object} [options={}] - Same options as generateSchedule
  * @returns {Object} Updated schedule
  */
-export function regenerateAfterRemoval(schedule, remainingParticipants, currentHeatNumber, availableLanes, results = []) {
+export function regenerateAfterRemoval(schedule, remainingParticipants, currentHeatNumber, availableLanes, results = [], options = {}) {
   if (remainingParticipants.length < 2) {
     throw new Error('Cannot generate schedule: at least 2 participants required');
   }
@@ -75,7 +95,7 @@ export function regenerateAfterRemoval(schedule, remainingParticipants, currentH
     participants: remainingParticipants,
     available_lanes: availableLanes,
     results,
-    options: {}
+    options
   });
 
   // Renumber new heats to continue after completed heats
@@ -88,7 +108,8 @@ export function regenerateAfterRemoval(schedule, remainingParticipants, currentH
     heats: [...completedHeats, ...renumberedHeats],
     metadata: {
       ...newSchedule.metadata,
-      total_heats: completedHeats.length + renumberedHeats.length
+      total_heats: completedHeats.length + renumberedHeats.length,
+      opponent_coverage: opponentCoverage([...completedHeats, ...renumberedHeats])
     }
   };
 }
@@ -101,15 +122,16 @@ export function regenerateAfterRemoval(schedule, remainingParticipants, currentH
  * @param {number} currentHeatNumber - Last completed heat
  * @param {Array<number>} availableLanes - Physical lane numbers
  * @param {Array} [results=[]]
+ * @param {Object} [options={}] - Same options as generateSchedule
  * @returns {Object} Updated schedule
  */
-export function regenerateAfterLateArrival(schedule, allParticipants, currentHeatNumber, availableLanes, results = []) {
+export function regenerateAfterLateArrival(schedule, allParticipants, currentHeatNumber, availableLanes, results = [], options = {}) {
   const completedHeats = schedule.heats.filter(h => h.heat_number <= currentHeatNumber);
   const newSchedule = generateSchedule({
     participants: allParticipants,
     available_lanes: availableLanes,
     results,
-    options: {}
+    options
   });
 
   const renumberedHeats = newSchedule.heats.map((heat, i) => ({
@@ -121,7 +143,8 @@ export function regenerateAfterLateArrival(schedule, allParticipants, currentHea
     heats: [...completedHeats, ...renumberedHeats],
     metadata: {
       ...newSchedule.metadata,
-      total_heats: completedHeats.length + renumberedHeats.length
+      total_heats: completedHeats.length + renumberedHeats.length,
+      opponent_coverage: opponentCoverage([...completedHeats, ...renumberedHeats])
     }
   };
 }
@@ -136,9 +159,10 @@ export function regenerateAfterLateArrival(schedule, allParticipants, currentHea
  * @param {number} currentHeatNumber - Last completed heat (0 if none)
  * @param {Array<number>} availableLanes - Physical lane numbers (new set)
  * @param {Array} [results=[]]
+ * @param {Object} [options={}] - Same options as generateSchedule
  * @returns {Object} Updated schedule
  */
-export function regenerateAfterLaneChange(schedule, participants, currentHeatNumber, availableLanes, results = []) {
+export function regenerateAfterLaneChange(schedule, participants, currentHeatNumber, availableLanes, results = [], options = {}) {
   if (participants.length < 2) {
     throw new Error('Cannot generate schedule: at least 2 participants required');
   }
@@ -148,7 +172,7 @@ export function regenerateAfterLaneChange(schedule, participants, currentHeatNum
     participants,
     available_lanes: availableLanes,
     results,
-    options: {}
+    options
   });
 
   const renumberedHeats = newSchedule.heats.map((heat, i) => ({
@@ -161,6 +185,7 @@ export function regenerateAfterLaneChange(schedule, participants, currentHeatNum
     metadata: {
       ...newSchedule.metadata,
       total_heats: completedHeats.length + renumberedHeats.length,
+      opponent_coverage: opponentCoverage([...completedHeats, ...renumberedHeats]),
       available_lanes: availableLanes
     }
   };
@@ -200,12 +225,17 @@ export function generateCatchUpHeats(participant, catchUpCount, availableLanes,
  * @param {number} laneCount
  * @param {Array} results
  * @param {Object} [options={}]
- * @returns {'circle_method'|'greedy_heuristic'|'speed_matched_greedy'}
+ * @returns {'perfect_n_chart'|'circle_method'|'greedy_heuristic'|'speed_matched_greedy'}
  */
 export function selectAlgorithm(participantCount, laneCount, results, options = {}) {
   const hasResults = results && results.length > 0;
   const speedMatchingEnabled = options.speed_matching !== false;
 
+  // Charts work for any roster size, so the option wins over the circle method
+  if (!hasResults && options.perfect_n) {
+    return 'perfect_n_chart';
+  }
+
   if (!hasResults && isKnownSolvable(participantCount, laneCount)) {
     return 'circle_method';
   }
@@ -264,6 +294,95 @@ export function circleMethod(participants, availableLanes) {
   return heats;
 }
 
+// ─── Perfect-N Charts ────────────────────────────────────────────────
+
+/**
+ * Chart-based schedule that balances opponents as well as lanes.
+ * Like the circle method it is cyclic — in heat h, lane l gets participant
+ * (h + offset[l]) mod N — so every participant runs each lane exactly once.
+ * Two participants d apart meet once for every pair of offsets that differ
+ * by d (mod N), so offsets whose differences cover 1..N−1 evenly make every
+ * pairing equally likely: a Perfect-N chart when all pairs meet equally
+ * often, a Partial Perfect-N chart when counts differ by one.
+ * @param {Array<{car_number: number, name: string}>} participants
+ * @param {Array<number>} availableLanes - Physical lane numbers
+ * @returns {Array} heats
+ */
+export function perfectNChart(participants, availableLanes) {
+  const N = participants.length;
+  const offsets = findChartOffsets(N, Math.min(availableLanes.length, N));
+  const heats = [];
+
+  for (let h = 0; h < N; h++) {
+    const lanes = offsets.map((offset, l) => {
+      const p = participants[(h + offset) % N];
+      return { lane: availableLanes[l], car_number: p.car_number, name: p.name };
+    });
+    heats.push({ heat_number: h + 1, lanes });
+  }
+
+  return heats;
+}
+
+/**
+ * Pick L distinct offsets in 0..N−1 whose pairwise differences (mod N) are
+ * spread as evenly as possible. Backtracking search capped at the ideal
+ * meeting count, relaxing the cap when no chart fits within the node budget.
+ * Deterministic: offsets are tried in ascending order.
+ * @param {number} N - Number of participants
+ * @param {number} L - Lanes per heat (≤ N)
+ * @returns {Array<number>} offsets, starting at 0
+ */
+export function findChartOffsets(N, L) {
+  if (L >= N) return Array.from({ length: N }, (_, i) => i);
+
+  const ideal = L * (L - 1) / (N - 1);
+  const bestSpread = Number.isInteger(ideal) ? 0 : 1;
+  const NODE_BUDGET = 20000;
+
+  for (let cap = Math.ceil(ideal); ; cap++) {
+    const counts = new Array(N).fill(0);
+    const offsets = [0];
+    let nodes = 0;
+    let best = null;
+    let bestScore = Infinity;
+
+    const search = (next) => {
+      if (++nodes > NODE_BUDGET) return true;
+      if (offsets.length === L) {
+        const used = counts.slice(1);
+        const score = Math.max(...used) - Math.min(...used);
+        if (score < bestScore) {
+          bestScore = score;
+          best = [...offsets];
+        }
+        return score <= bestSpread;
+      }
+      for (let o = next; o <= N - (L - offsets.length); o++) {
+        // Adding o meets every existing offset in both directions
+        let fits = true;
+        for (const p of offsets) {
+          counts[o - p]++;
+          counts[N - (o - p)]++;
+          if (counts[o - p] > cap || counts[N - (o - p)] > cap) fits = false;
+        }
+        offsets.push(o);
+        const done = fits && search(o + 1);
+        offsets.pop();
+        for (const p of offsets) {
+          counts[o - p]--;
+          counts[N - (o - p)]--;
+        }
+        if (done) return true;
+      }
+      return false;
+    };
+
+    search(1);
+    if (best) return best;
+  }
+}
+
 // ─── Greedy Heuristic ────────────────────────────────────────────────
 
 /**
@@ -443,6 +562,78 @@ function assignLanesBalanced(cars, laneUsage, effectiveLanes) {
   }));
 }
 
+// ─── Multiple Passes ─────────────────────────────────────────────────
+
+/**
+ * Repeat a single pass of heats, numbering the copies consecutively.
+ * Each pass keeps its lane balance, so k passes run every lane k times.
+ * @param {Array} heats - One pass
+ * @param {number} passes - Number of passes (0 returns no heats)
+ * @returns {Array} heats
+ */
+function repeatPasses(heats, passes) {
+  const repeated = [];
+  for (let p = 0; p < passes; p++) {
+    for (const heat of heats) {
+      repeated.push({ ...heat, heat_number: repeated.length + 1, lanes: heat.lanes.map(l => ({ ...l })) });
+    }
+  }
+  return repeated;
+}
+
+/**
+ * Add heats until every participant has raced heatsPerCar times.
+ * Uses the greedy selection and lane assignment, continuing from the lane
+ * usage of the heats already scheduled, so lanes stay balanced within 1.
+ * When only one car still needs a heat, the car with the fewest runs rides
+ * along for an extra heat rather than letting anyone race alone.
+ * @param {Array<{car_number: number, name: string}>} participants
+ * @param {Array<number>} availableLanes - Physical lane numbers
+ * @param {number} heatsPerCar
+ * @param {Array} priorHeats - Heats already scheduled
+ * @returns {Array} additional heats, numbered after priorHeats
+ */
+function topUpHeats(participants, availableLanes, heatsPerCar, priorHeats) {
+  const effectiveLanes = availableLanes.slice(0, Math.min(availableLanes.length, participants.length));
+  const laneUsage = {};
+  const heatsRun = {};
+  for (const p of participants) {
+    laneUsage[p.car_number] = {};
+    for (const lane of effectiveLanes) laneUsage[p.car_number][lane] = 0;
+    heatsRun[p.car_number] = 0;
+  }
+  for (const heat of priorHeats) {
+    for (const { car_number, lane } of heat.lanes) {
+      if (!laneUsage[car_number]) continue;
+      laneUsage[car_number][lane] = (laneUsage[car_number][lane] || 0) + 1;
+      heatsRun[car_number]++;
+    }
+  }
+
+  const heats = [];
+  for (;;) {
+    const needing = participants.filter(p => heatsRun[p.car_number] < heatsPerCar);
+    if (needing.length === 0) break;
+
+    let cars = selectCarsForHeat(needing, heatsRun, effectiveLanes.length);
+    if (cars.length < 2) {
+      const others = participants.filter(p => !cars.includes(p));
+      cars = [...cars, ...selectCarsForHeat(others, heatsRun, 2 - cars.length)];
+    }
+
+    const heatLanes = assignLanesBalanced(cars, laneUsage, effectiveLanes);
+    for (const entry of heatLanes) {
+      laneUsage[entry.car_number][entry.lane]++;
+      heatsRun[entry.car_number]++;
+    }
+
+    heatLanes.sort((a, b) => a.lane - b.lane);
+    heats.push({ heat_number: priorHeats.length + heats.length + 1, lanes: heatLanes });
+  }
+
+  return heats;
+}
+
 // ─── Speed Matching ──────────────────────────────────────────────────
 
 /**
@@ -558,7 +749,9 @@ export function validateLaneBalance(schedule) {
   }
 
   const errors = [];
-  const isPerfect = schedule.metadata?.algorithm_used === 'circle_method';
+  const algorithm = schedule.metadata?.algorithm_used;
+  const isPerfect = (algorithm === 'circle_method' || algorithm === 'perfect_n_chart') &&
+    schedule.metadata?.lane_balance_perfect !== false;
   const maxDiff = isPerfect ? 0 : 1;
 
   for (const [carNumber, lanes] of Object.entries(laneUsage)) {
@@ -578,6 +771,36 @@ export function validateLaneBalance(schedule) {
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Summarize how evenly a schedule pairs participants against each other.
+ * Only participants that appear in the schedule are counted.
+ * @param {Array} heats
+ * @returns {{pairs_total: number, pairs_met: number, min_meetings: number, max_meetings: number}}
+ */
+export function opponentCoverage(heats) {
+  const cars = new Set();
+  const meetings = new Map();
+  for (const heat of heats) {
+    const inHeat = heat.lanes.map(l => String(l.car_number));
+    for (let i = 0; i < inHeat.length; i++) {
+      cars.add(inHeat[i]);
+      for (let j = i + 1; j < inHeat.length; j++) {
+        const key = inHeat[i] < inHeat[j] ? `${inHeat[i]}|${inHeat[j]}` : `${inHeat[j]}|${inHeat[i]}`;
+        meetings.set(key, (meetings.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const pairsTotal = cars.size * (cars.size - 1) / 2;
+  const counts = [...meetings.values()];
+  return {
+    pairs_total: pairsTotal,
+    pairs_met: counts.length,
+    min_meetings: counts.length < pairsTotal ? 0 : Math.min(...counts),
+    max_meetings: counts.length > 0 ? Math.max(...counts) : 0
+  };
+}
+
 // ─── Helpers ─────────────────────────────────────────────────────────
 
 /**
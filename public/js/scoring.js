@@ -4,7 +4,8 @@
  * See specs/08-scoring-and-leaderboard.md for algorithm specification.
  */
 
-import { compareCarNumbers } from './state-manager.js';
+import { compareCarNumbers, getCompletedStarts, flattenStart } from './state-manager.js';
+import { bracketPlacings } from './bracket.js';
 
 /**
  * Get the accepted results from a race day section.
@@ -56,14 +57,204 @@ export function syntheticTimesFromRanking(rankings, avgTime) {
   return times;
 }
 
+/**
+ * Scoring methods a section can be ranked by, keyed by the `scoring_method`
+ * value carried on SectionCreated / SectionStarted. See specs/08 §4.4.
+ */
+export const SCORING_METHODS = {
+  average_time: 'Average Time',
+  points: 'Points per Place'
+};
+
+export const DEFAULT_SCORING_METHOD = 'average_time';
+
+/**
+ * Resolve a section's scoring method, falling back to average time for
+ * sections created before scoring methods existed.
+ * @param {Object} section - race_day section (or flattened start)
+ * @returns {'average_time'|'points'}
+ */
+export function getScoringMethod(section) {
+  const method = section && section.scoring_method;
+  return Object.hasOwn(SCORING_METHODS, method) ? method : DEFAULT_SCORING_METHOD;
+}
+
+/**
+ * Heat-dropping rules, keyed by the `drop` value of a `scoring_rules`
+ * object on RallyCreated / SectionCreated / SectionStarted. See specs/08 §4.6.
+ */
+export const DROP_RULES = {
+  none: 'Count every heat',
+  worst: 'Drop slowest heat',
+  best_and_worst: 'Drop best and worst heats'
+};
+
+/** Why a time was left out of a car's average. */
+export const EXCLUSION_REASONS = {
+  outlier: 'Outlier',
+  dropped_worst: 'Dropped (slowest)',
+  dropped_best: 'Dropped (fastest)'
+};
+
+/**
+ * Decide which of each car's times the scoring rules leave out.
+ * Outliers go first: a time is rejected when it sits more than
+ * `outlier_sd` spreads from the car's median, where the spread is the
+ * section-wide RMS of (time − car median). Only cars with 3+ times are
+ * tested. Drop rules then apply to the remaining times, always leaving
+ * at least one.
+ * @param {Object<string, Array<number>>} timesByCar - car_number → times
+ * @param {{drop?: string, outlier_sd?: number}|null} rules
+ * @returns {Object<string, Map<number, string>>} car_number → (time index → reason)
+ */
+export function findExcludedTimes(timesByCar, rules) {
+  const excluded = {};
+  if (!rules) return excluded;
+  const drop = Object.hasOwn(DROP_RULES, rules.drop) ? rules.drop : 'none';
+  const outlierSd = Number(rules.outlier_sd) > 0 ? Number(rules.outlier_sd) : null;
+
+  const numbered = times => times
+    .map((t, i) => ({ t, i }))
+    .filter(x => typeof x.t === 'number' && isFinite(x.t));
+
+  let spread = null;
+  if (outlierSd) {
+    const residuals = [];
+    for (const times of Object.values(timesByCar)) {
+      const xs = numbered(times);
+      if (xs.length < 3) continue;
+      const m = median(xs.map(x => x.t));
+      for (const x of xs) residuals.push(x.t - m);
+    }
+    if (residuals.length > 0) {
+      spread = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+    }
+  }
+
+  for (const [carNumber, times] of Object.entries(timesByCar)) {
+    const out = new Map();
+    let xs = numbered(times);
+
+    if (spread && xs.length >= 3) {
+      const m = median(xs.map(x => x.t));
+      for (const x of xs) {
+        if (Math.abs(x.t - m) > outlierSd * spread) out.set(x.i, 'outlier');
+      }
+      xs = xs.filter(x => !out.has(x.i));
+    }
+
+    const sorted = [...xs].sort((a, b) => (a.t - b.t) || (a.i - b.i));
+    if (drop === 'worst' && sorted.length >= 2) {
+      out.set(sorted[sorted.length - 1].i, 'dropped_worst');
+    } else if (drop === 'best_and_worst' && sorted.length >= 3) {
+      out.set(sorted[sorted.length - 1].i, 'dropped_worst');
+      out.set(sorted[0].i, 'dropped_best');
+    }
+
+    if (out.size > 0) excluded[carNumber] = out;
+  }
+  return excluded;
+}
+
+/**
+ * Award points for a single heat: with N cars in the heat, 1st earns N
+ * points and last earns 1. Cars with equal times share the better place.
+ * A DNF lane earns 0 points but still counts as a heat run.
+ * @param {Object} result - accepted RaceCompleted / ResultManuallyEntered result
+ * @param {Array<{lane: number, car_number: string}>} heatLanes - effective lanes
+ * @returns {Object} car_number → points
+ */
+export function pointsForHeat(result, heatLanes) {
+  const points = {};
+
+  if (result.type === 'RaceCompleted' && result.times_ms) {
+    const cars = (heatLanes || []).filter(a => a.car_number != null);
+    const n = cars.length;
+    const finishers = [];
+    for (const assignment of cars) {
+      const time = result.times_ms[String(assignment.lane)];
+      if (time == null) {
+        points[assignment.car_number] = 0;
+      } else {
+        finishers.push({ car_number: assignment.car_number, time });
+      }
+    }
+    finishers.sort((a, b) => a.time - b.time);
+
+    let place = 1;
+    finishers.forEach((f, i) => {
+      if (i > 0 && f.time !== finishers[i - 1].time) place = i + 1;
+      points[f.car_number] = n - place + 1;
+    });
+  } else if (result.type === 'ResultManuallyEntered' && result.rankings) {
+    const n = result.rankings.length;
+    for (const { car_number, place } of result.rankings) {
+      points[car_number] = Math.max(0, n - place + 1);
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Estimate each lane's bias from every timed heat with a least-squares
+ * car + lane model (time ≈ car mean + lane offset), fitted by alternating
+ * means. Offsets are centred so the average lane is 0; a positive offset
+ * is a slow lane. Manual heats carry no lane times and are ignored.
+ * See specs/08 §4.5.
+ * @param {Object} section - race_day section object
+ * @returns {Object} lane → offset_ms ({} when fewer than 2 lanes have times)
+ */
+export function estimateLaneOffsets(section) {
+  const runs = [];
+  for (const result of getAcceptedResults(section)) {
+    if (result.type !== 'RaceCompleted' || !result.times_ms) continue;
+    const heatLanes = (section.lane_corrections && section.lane_corrections[result.heat_number])
+      || result.lanes || [];
+    for (const assignment of heatLanes) {
+      const time = result.times_ms[String(assignment.lane)];
+      if (time == null || assignment.car_number == null) continue;
+      runs.push({ car: assignment.car_number, lane: Number(assignment.lane), time });
+    }
+  }
+
+  const lanes = [...new Set(runs.map(r => r.lane))].sort((a, b) => a - b);
+  if (lanes.length < 2) return {};
+
+  const offsets = Object.fromEntries(lanes.map(l => [l, 0]));
+  for (let iter = 0; iter < 100; iter++) {
+    const carMeans = meanBy(runs, r => r.car, r => r.time - offsets[r.lane]);
+    const laneMeans = meanBy(runs, r => r.lane, r => r.time - carMeans[r.car]);
+    const centre = lanes.reduce((sum, l) => sum + laneMeans[l], 0) / lanes.length;
+
+    let change = 0;
+    for (const l of lanes) {
+      const next = laneMeans[l] - centre;
+      change = Math.max(change, Math.abs(next - offsets[l]));
+      offsets[l] = next;
+    }
+    if (change < 0.01) break;
+  }
+  return offsets;
+}
+
 /**
  * Compute leaderboard standings for a section.
+ * Ranked by average time, or by total points when the section's
+ * scoring_method is 'points' (average time then breaks ties).
+ * With lane_bias_correction set, times are adjusted by the estimated lane
+ * offsets before averaging; raw averages are still reported.
+ * scoring_rules (drop / outlier) leave some times out of the average; they
+ * are listed on each entry's `excluded`.
+ * Elimination-bracket starts rank by bracket placing instead.
  * @param {Object} section - race_day section object
  * @returns {Array<Object>} Ranked standings
  */
 export function computeLeaderboard(section) {
   const acceptedResults = getAcceptedResults(section);
   const avgTime = sectionAverageTime(acceptedResults);
+  const usePoints = getScoringMethod(section) === 'points';
+  const laneOffsets = section.lane_bias_correction ? estimateLaneOffsets(section) : null;
 
   // Compute scores for each participant
   const scores = {};
@@ -74,7 +265,11 @@ export function computeLeaderboard(section) {
       car_number: p.car_number,
       name: p.name,
       group_id: p.group_id || null,
+      home_section_id: p.home_section_id || null,
       times: [],
+      adjusted_times: [],
+      runs: [],         // { heat_number, lane } for each entry in times
+      points: 0,
       heats_run: 0,
       removed: removedSet.has(p.car_number)
     };
@@ -86,13 +281,25 @@ export function computeLeaderboard(section) {
       || result.lanes;
     if (!heatLanes || heatLanes.length === 0) continue;
 
+    if (usePoints) {
+      for (const [carNumber, pts] of Object.entries(pointsForHeat(result, heatLanes))) {
+        if (!scores[carNumber]) continue;
+        scores[carNumber].points += pts;
+        scores[carNumber].heats_run++;
+      }
+    }
+
     if (result.type === 'RaceCompleted' && result.times_ms) {
       for (const assignment of heatLanes) {
         const laneKey = String(assignment.lane);
         const time = result.times_ms[laneKey];
         if (time !== undefined && scores[assignment.car_number]) {
           scores[assignment.car_number].times.push(time);
-          scores[assignment.car_number].heats_run++;
+          scores[assignment.car_number].adjusted_times.push(
+            laneOffsets && time != null ? time - (laneOffsets[assignment.lane] || 0) : time
+          );
+          scores[assignment.car_number].runs.push({ heat_number: result.heat_number, lane: assignment.lane });
+          if (!usePoints) scores[assignment.car_number].heats_run++;
         }
       }
     } else if (result.type === 'ResultManuallyEntered' && result.rankings) {
@@ -100,12 +307,29 @@ export function computeLeaderboard(section) {
       for (const { car_number } of result.rankings) {
         if (scores[car_number] && synth[car_number] !== undefined) {
           scores[car_number].times.push(synth[car_number]);
-          scores[car_number].heats_run++;
+          scores[car_number].adjusted_times.push(synth[car_number]);
+          scores[car_number].runs.push({ heat_number: result.heat_number, lane: null });
+          if (!usePoints) scores[car_number].heats_run++;
         }
       }
     }
   }
 
+  // Scoring rules (specs/08 §4.6): excluded times stay listed on the entry
+  // but no longer count toward averages or best times.
+  const exclusions = findExcludedTimes(
+    Object.fromEntries(Object.values(scores).map(s => [s.car_number, s.times])),
+    section.scoring_rules || null
+  );
+  for (const s of Object.values(scores)) {
+    const out = exclusions[s.car_number] || new Map();
+    s.excluded = [...out]
+      .map(([i, reason]) => ({ ...s.runs[i], time_ms: s.times[i], reason }))
+      .sort((a, b) => a.heat_number - b.heat_number);
+    s.counted = s.times.filter((_, i) => !out.has(i));
+    s.counted_adjusted = s.adjusted_times.filter((_, i) => !out.has(i));
+  }
+
   // Rank participants (include removed cars — they keep their prior results, marked incomplete)
   const entries = Object.values(scores)
     .filter(s => s.heats_run > 0);
@@ -114,9 +338,10 @@ export function computeLeaderboard(section) {
   // When the section was ended early, fairness rule (specs/08 §4.3): all
   // remaining cars are ranked together by avg time regardless of how many
   // heats they ran — so we collapse expectedHeats to 0 and only "removed"
-  // cars stay in the incomplete bucket.
+  // cars stay in the incomplete bucket. Brackets collapse it too: eliminated
+  // cars stop racing by design, so heat counts never line up.
   const earlyEnd = !!section.early_end;
-  const expectedHeats = earlyEnd
+  const expectedHeats = earlyEnd || section.bracket
     ? 0
     : Math.max(
         0,
@@ -130,18 +355,32 @@ export function computeLeaderboard(section) {
   const incomplete = entries.filter(s => s.heats_run < expectedHeats || s.removed);
 
   // Sort each group by avg time, then best single heat
+  const rankTimes = s => laneOffsets ? s.counted_adjusted : s.counted;
   const sortByTime = (a, b) => {
-    const avgA = averageTime(a.times);
-    const avgB = averageTime(b.times);
+    const avgA = averageTime(rankTimes(a));
+    const avgB = averageTime(rankTimes(b));
     if (avgA !== avgB) return avgA - avgB;
 
-    const bestA = a.times.length > 0 ? Math.min(...a.times) : Infinity;
-    const bestB = b.times.length > 0 ? Math.min(...b.times) : Infinity;
+    const bestA = rankTimes(a).length > 0 ? Math.min(...rankTimes(a)) : Infinity;
+    const bestB = rankTimes(b).length > 0 ? Math.min(...rankTimes(b)) : Infinity;
     return bestA - bestB;
   };
 
-  complete.sort(sortByTime);
-  incomplete.sort(sortByTime);
+  // Points mode: most points first, falling back to the time ordering
+  const sortByPoints = (a, b) => (b.points - a.points) || sortByTime(a, b);
+
+  // Bracket mode: champion, survivors, then cars in reverse elimination order
+  const placings = section.bracket ? bracketPlacings(section.bracket) : [];
+  const placingOf = c => {
+    const i = placings.indexOf(c);
+    return i < 0 ? Infinity : i;
+  };
+  const sortByBracket = (a, b) =>
+    (placingOf(a.car_number) - placingOf(b.car_number)) || sortByTime(a, b);
+
+  const sortFn = section.bracket ? sortByBracket : usePoints ? sortByPoints : sortByTime;
+  complete.sort(sortFn);
+  incomplete.sort(sortFn);
 
   // Assign ranks
   let rank = 1;
@@ -153,8 +392,14 @@ export function computeLeaderboard(section) {
       car_number: entry.car_number,
       name: entry.name,
       group_id: entry.group_id,
-      avg_time_ms: Math.round(averageTime(entry.times)),
-      best_time_ms: entry.times.length > 0 ? Math.round(Math.min(...entry.times)) : null,
+      home_section_id: entry.home_section_id,
+      avg_time_ms: entry.counted.length > 0 ? Math.round(averageTime(entry.counted)) : null,
+      best_time_ms: entry.counted.length > 0 ? Math.round(Math.min(...entry.counted)) : null,
+      adjusted_avg_time_ms: laneOffsets && entry.counted_adjusted.length > 0
+        ? Math.round(averageTime(entry.counted_adjusted))
+        : null,
+      points: usePoints ? entry.points : null,
+      excluded: entry.excluded,
       heats_run: entry.heats_run,
       incomplete: false
     });
@@ -166,8 +411,14 @@ export function computeLeaderboard(section) {
       car_number: entry.car_number,
       name: entry.name,
       group_id: entry.group_id,
-      avg_time_ms: entry.times.length > 0 ? Math.round(averageTime(entry.times)) : null,
-      best_time_ms: entry.times.length > 0 ? Math.round(Math.min(...entry.times)) : null,
+      home_section_id: entry.home_section_id,
+      avg_time_ms: entry.counted.length > 0 ? Math.round(averageTime(entry.counted)) : null,
+      best_time_ms: entry.counted.length > 0 ? Math.round(Math.min(...entry.counted)) : null,
+      adjusted_avg_time_ms: laneOffsets && entry.counted_adjusted.length > 0
+        ? Math.round(averageTime(entry.counted_adjusted))
+        : null,
+      points: usePoints ? entry.points : null,
+      excluded: entry.excluded,
       heats_run: entry.heats_run,
       incomplete: true
     });
@@ -176,6 +427,50 @@ export function computeLeaderboard(section) {
   return standings;
 }
 
+/**
+ * Pick the entrants for a Grand Champion finals section: the top N
+ * complete finishers from the latest completed start of each source section.
+ * Finalists keep their home car numbers, so two finalists sharing a number
+ * are reported as a conflict rather than renumbered. See specs/08 §5.4.
+ * @param {Object} sections - race_day.sections
+ * @param {Array<string>} sourceSectionIds
+ * @param {number} topN - finalists taken per section
+ * @returns {{ participants: Array<Object>, conflicts: Array<string> }}
+ *   participants carry home_section_id and home_place; conflicts lists
+ *   duplicated car numbers.
+ */
+export function seedFinals(sections, sourceSectionIds, topN) {
+  const participants = [];
+  for (const sectionId of sourceSectionIds) {
+    const sec = sections[sectionId];
+    if (!sec) continue;
+    const completed = getCompletedStarts(sec);
+    if (completed.length === 0) continue;
+
+    const standings = computeLeaderboard(flattenStart(sec, completed[completed.length - 1]));
+    for (const s of standings.filter(s => !s.incomplete).slice(0, topN)) {
+      const p = sec.participants.find(p => p.car_number === s.car_number);
+      participants.push({
+        participant_id: p ? p.participant_id : null,
+        name: s.name,
+        car_number: s.car_number,
+        group_id: s.group_id,
+        home_section_id: sectionId,
+        home_place: s.rank
+      });
+    }
+  }
+
+  const seen = new Set();
+  const conflicts = new Set();
+  for (const p of participants) {
+    if (seen.has(p.car_number)) conflicts.add(p.car_number);
+    seen.add(p.car_number);
+  }
+
+  return { participants, conflicts: [...conflicts].sort(compareCarNumbers) };
+}
+
 /**
  * Compute per-lane statistics from all timed results in a section.
  * @param {Object} section - race_day section object
@@ -205,13 +500,20 @@ export function computeLaneStats(section) {
 
 /**
  * Compute per-car, per-lane time matrix from all timed results in a section.
+ * Times left out by the section's scoring rules are listed in `excluded`
+ * (matching computeLeaderboard) so they can be flagged; the averages here
+ * stay raw.
  * @param {Object} section - race_day section object
- * @returns {Array<{car_number: number, name: string, lane_times: Object<number, number>, avg_time_ms: number|null, best_time_ms: number|null, heats_run: number}>}
+ * @returns {Array<{car_number: number, name: string, lane_times: Object<number, number>, avg_time_ms: number|null, best_time_ms: number|null, heats_run: number, excluded: Array<{heat_number: number, lane: number|null, time_ms: number, reason: string}>}>}
  *   Sorted by car_number. lane_times maps lane → time_ms (only timed results).
  */
 export function computeCarStats(section) {
   const cars = {};
   const removedSet = new Set(section.removed);
+  const excludedByCar = {};
+  if (section.scoring_rules) {
+    for (const s of computeLeaderboard(section)) excludedByCar[s.car_number] = s.excluded;
+  }
 
   for (const p of section.participants) {
     cars[p.car_number] = {
@@ -256,11 +558,39 @@ export function computeCarStats(section) {
       avg_time_ms: c.all_times.length > 0 ? Math.round(averageTime(c.all_times)) : null,
       best_time_ms: c.all_times.length > 0 ? Math.round(Math.min(...c.all_times)) : null,
       heats_run: c.heats_run,
-      removed: c.removed
+      removed: c.removed,
+      excluded: excludedByCar[c.car_number] || []
     }))
     .sort((a, b) => compareCarNumbers(a.car_number, b.car_number));
 }
 
+/**
+ * @param {Array<number>} values - non-empty
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Group items by key and average a value per group.
+ * @returns {Object} key → mean
+ */
+function meanBy(items, keyFn, valueFn) {
+  const sums = {};
+  for (const item of items) {
+    const k = keyFn(item);
+    if (!sums[k]) sums[k] = { total: 0, count: 0 };
+    sums[k].total += valueFn(item);
+    sums[k].count++;
+  }
+  const means = {};
+  for (const [k, { total, count }] of Object.entries(sums)) means[k] = total / count;
+  return means;
+}
+
 /**
  * @param {Array<number>} times
  * @returns {number}
@@ -0,0 +1,152 @@
+/**
+ * sensor-self-test.js — Guided pre-race check of a track's sensors.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * The operator works through one step per sensor: open and close the
+ * start gate, then pass a car through each lane PASSES_PER_LANE times.
+ * Every edge from the controller's `edges` topic is filed under the step
+ * that was showing when it arrived, so the test can tell
+ *   - lanes that never fire (no trigger during their own step),
+ *   - lanes that fire spuriously (triggers during another sensor's step),
+ *   - bounces: extra triggers within one beam break, and the jitter they
+ *     put on a finish time (first to last trigger of a break).
+ *
+ * The result is saved on a TrackSelfTested event (see state-manager.js).
+ */
+
+/** Subscription topics the self-test listens to. */
+export const SELF_TEST_TOPICS = ['edges'];
+
+/** Beam breaks asked of the operator per lane. */
+export const PASSES_PER_LANE = 3;
+
+/** Triggers closer together than this belong to the same beam break. */
+export const BOUNCE_WINDOW_MS = 50;
+
+/**
+ * Split a sensor's trigger times into beam breaks.
+ * @param {number[]} times - controller ms of each trigger (or gate opening)
+ * @param {number} [windowMs]
+ * @returns {{ passes: number, bounces: number, jitter_ms: number }}
+ */
+export function analyzeTriggers(times, windowMs = BOUNCE_WINDOW_MS) {
+  const sorted = [...times].sort((a, b) => a - b);
+  let passes = 0;
+  let jitter = 0;
+  let breakStart = null;
+  let prev = null;
+  for (const ms of sorted) {
+    if (prev === null || ms - prev > windowMs) {
+      passes++;
+      breakStart = ms;
+    }
+    jitter = Math.max(jitter, ms - breakStart);
+    prev = ms;
+  }
+  return { passes, bounces: sorted.length - passes, jitter_ms: jitter };
+}
+
+/**
+ * Verdict for one lane.
+ * @param {{ passes: number, bounces: number, spurious: number }} lane
+ * @returns {'ok'|'bouncy'|'dead'|'spurious'}
+ */
+export function laneVerdict(lane) {
+  if (lane.passes === 0) return 'dead';
+  if (lane.spurious > 0) return 'spurious';
+  if (lane.bounces > 0) return 'bouncy';
+  return 'ok';
+}
+
+/**
+ * @param {{ laneCount: number, passes?: number, windowMs?: number }} opts
+ * @returns {{
+ *   add: (frame: Object) => void,
+ *   step: () => ({ kind: 'gate' } | { kind: 'lane', lane: number } | null),
+ *   progress: () => Object,
+ *   isStepDone: () => boolean,
+ *   next: () => void,
+ *   result: () => Object
+ * }}
+ */
+export function createSelfTest({ laneCount, passes = PASSES_PER_LANE, windowMs = BOUNCE_WINDOW_MS }) {
+  const steps = [{ kind: 'gate' }];
+  for (let lane = 1; lane <= laneCount; lane++) steps.push({ kind: 'lane', lane });
+
+  let stepIdx = 0;
+  const edges = [];   // { ms, pin, lane?, edge, step }
+
+  function step() {
+    return steps[stepIdx] || null;
+  }
+
+  function add(frame) {
+    if (!frame || frame.event !== 'edge' || stepIdx >= steps.length) return;
+    edges.push({
+      ms: frame.ms,
+      pin: frame.pin,
+      ...(frame.pin === 'lane' ? { lane: Number(frame.lane) } : {}),
+      edge: frame.edge,
+      step: stepIdx
+    });
+  }
+
+  function gateStats() {
+    const own = edges.filter(e => e.pin === 'gate' && e.step === 0);
+    const opened = analyzeTriggers(own.filter(e => e.edge === 'opened').map(e => e.ms), windowMs);
+    const closed = analyzeTriggers(own.filter(e => e.edge === 'closed').map(e => e.ms), windowMs);
+    return {
+      opened: opened.passes > 0,
+      closed: closed.passes > 0,
+      bounces: opened.bounces + closed.bounces,
+      spurious: edges.filter(e => e.pin === 'gate' && e.edge === 'opened' && e.step !== 0).length
+    };
+  }
+
+  function laneStats(lane) {
+    const triggers = edges.filter(e => e.pin === 'lane' && e.lane === lane && e.edge === 'triggered');
+    const idx = steps.findIndex(s => s.lane === lane);
+    const stats = analyzeTriggers(triggers.filter(e => e.step === idx).map(e => e.ms), windowMs);
+    return { ...stats, spurious: triggers.filter(e => e.step !== idx).length };
+  }
+
+  /** Counts for the step on screen. */
+  function progress() {
+    const s = step();
+    if (!s) return {};
+    return s.kind === 'gate' ? gateStats() : laneStats(s.lane);
+  }
+
+  function isStepDone() {
+    const s = step();
+    if (!s) return true;
+    const p = progress();
+    return s.kind === 'gate' ? p.opened && p.closed : p.passes >= passes;
+  }
+
+  function next() {
+    if (stepIdx < steps.length) stepIdx++;
+  }
+
+  /** The report. Lanes that never fired or fired spuriously are failed. */
+  function result() {
+    const gate = gateStats();
+    const lanes = {};
+    const failed = [];
+    for (const s of steps) {
+      if (s.kind !== 'lane') continue;
+      const stats = laneStats(s.lane);
+      const verdict = laneVerdict(stats);
+      lanes[s.lane] = { ...stats, verdict };
+      if (verdict === 'dead' || verdict === 'spurious') failed.push(s.lane);
+    }
+    return {
+      lane_count: laneCount,
+      gate: { toggled: gate.opened && gate.closed, bounces: gate.bounces, spurious: gate.spurious },
+      lanes,
+      failed_lanes: failed
+    };
+  }
+
+  return { add, step, progress, isStepDone, next, result };
+}
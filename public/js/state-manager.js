@@ -4,6 +4,12 @@
  * Shared between pre-race and race day.
  */
 
+import { createBracket, applyRoundOutcome, isBracketFormat } from './bracket.js';
+import { verifyChains, extendChainCheck, canonicalJson, sha256Hex } from './event-chain.js';
+
+/** Track a section runs on when its SectionStarted names none. */
+export const DEFAULT_TRACK_ID = 'A';
+
 // Car numbers are opaque string identifiers (e.g. "42", "B100"). Normalize every
 // value crossing into state so equality (Set, ===, .includes) is type-stable.
 function normalizeCarNumber(v) {
@@ -12,6 +18,15 @@ function normalizeCarNumber(v) {
   return s || null;
 }
 
+function normalizeChecklist(checklist) {
+  if (!checklist) return null;
+  return {
+    max_weight: checklist.max_weight ?? null,
+    weight_unit: checklist.weight_unit || 'oz',
+    items: Array.isArray(checklist.items) ? checklist.items.filter(Boolean).map(String) : []
+  };
+}
+
 function normalizeLanes(lanes) {
   if (!Array.isArray(lanes)) return lanes;
   return lanes.map(l => l && l.car_number != null
@@ -33,6 +48,8 @@ export function initialState() {
     rally_name: null,
     rally_date: null,
     created_by: null,
+    scoring_rules: null,
+    inspection_checklist: null,
     sections: {},
     groups: {},
     registrars: {},
@@ -41,8 +58,13 @@ export function initialState() {
     race_day: {
       loaded: false,
       sections: {},
-      active_section_id: null
-    }
+      active_section_id: null,
+      // Section most recently started on each track, until it completes
+      active_sections: {},
+      // Latest sensor self-test per track
+      self_tests: {}
+    },
+    integrity: null
   };
 }
 
@@ -56,13 +78,23 @@ export function applyEvent(state, event) {
         rally_id: payload.rally_id,
         rally_name: payload.rally_name,
         rally_date: payload.rally_date,
-        created_by: payload.created_by
+        created_by: payload.created_by,
+        scoring_rules: payload.scoring_rules || null
       };
 
-    case 'SectionCreated':
+    case 'InspectionChecklistSet':
       return {
         ...state,
-        sections: {
+        inspection_checklist: normalizeChecklist(payload.checklist)
+      };
+
+    case 'SectionCreated': {
+      // Finals sections exist only on race day — they are seeded from other
+      // sections' standings, never registered into.
+      const isFinals = payload.section_type === 'finals';
+      return {
+        ...state,
+        sections: isFinals ? state.sections : {
           ...state.sections,
           [payload.section_id]: {
             section_id: payload.section_id,
@@ -78,14 +110,25 @@ export function applyEvent(state, event) {
             [payload.section_id]: {
               section_id: payload.section_id,
               section_name: payload.section_name,
+              section_type: isFinals ? 'finals' : 'standard',
               participants: [],
               arrived: [],
+              inspections: {},
               starts: {},
-              next_start_number: 1
+              next_start_number: 1,
+              scoring_method: payload.scoring_method || null,
+              scoring_rules: payload.scoring_rules || null,
+              ...(isFinals ? {
+                finals: {
+                  source_section_ids: payload.source_section_ids || [],
+                  top_n: payload.top_n || 1
+                }
+              } : {})
             }
           }
         }
       };
+    }
 
     case 'GroupCreated':
       return {
@@ -333,6 +376,36 @@ export function applyEvent(state, event) {
 
     // ─── Race Day Events ──────────────────────────────────────────
 
+    case 'FinalsSeeded': {
+      // Replaces the finals roster. Finalists keep their home car numbers and
+      // are already on site, so they are checked in as part of seeding.
+      const rd = state.race_day;
+      const sec = rd.sections[payload.section_id];
+      if (!sec || sec.section_type !== 'finals') return state;
+      const participants = (payload.participants || []).map(p => ({
+        participant_id: p.participant_id,
+        name: p.name,
+        car_number: normalizeCarNumber(p.car_number),
+        group_id: p.group_id || null,
+        home_section_id: p.home_section_id,
+        home_place: p.home_place ?? null
+      }));
+      return {
+        ...state,
+        race_day: {
+          ...rd,
+          sections: {
+            ...rd.sections,
+            [payload.section_id]: {
+              ...sec,
+              participants,
+              arrived: participants.map(p => p.car_number)
+            }
+          }
+        }
+      };
+    }
+
     case 'CarArrived': {
       const rd = state.race_day;
       const sec = rd.sections[payload.section_id];
@@ -354,16 +427,103 @@ export function applyEvent(state, event) {
       };
     }
 
+    case 'CarArrivalRevoked': {
+      // Compensates a mistaken CarArrived — the car goes back to "not arrived"
+      const rd = state.race_day;
+      const sec = rd.sections[payload.section_id];
+      if (!sec) return state;
+      const cn = normalizeCarNumber(payload.car_number);
+      if (cn == null || !sec.arrived.includes(cn)) return state;
+      return {
+        ...state,
+        race_day: {
+          ...rd,
+          sections: {
+            ...rd.sections,
+            [payload.section_id]: {
+              ...sec,
+              arrived: sec.arrived.filter(c => c !== cn)
+            }
+          }
+        }
+      };
+    }
+
+    case 'CarInspected': {
+      const rd = state.race_day;
+      const sec = rd.sections[payload.section_id];
+      if (!sec) return state;
+      const cn = normalizeCarNumber(payload.car_number);
+      if (cn == null) return state;
+      // Latest inspection wins — a car that failed can be fixed and re-inspected
+      return {
+        ...state,
+        race_day: {
+          ...rd,
+          sections: {
+            ...rd.sections,
+            [payload.section_id]: {
+              ...sec,
+              inspections: {
+                ...sec.inspections,
+                [cn]: {
+                  weight: payload.weight ?? null,
+                  weight_unit: payload.weight_unit || null,
+                  items: Array.isArray(payload.items) ? payload.items : [],
+                  passed: !!payload.passed,
+                  notes: payload.notes || null,
+                  timestamp: payload.timestamp
+                }
+              }
+            }
+          }
+        }
+      };
+    }
+
+    case 'CarPhotoTaken': {
+      const rd = state.race_day;
+      const sec = rd.sections[payload.section_id];
+      if (!sec) return state;
+      const cn = normalizeCarNumber(payload.car_number);
+      if (cn == null) return state;
+      // Latest photo wins; a null photo_id takes the photo down
+      const car_photos = { ...sec.car_photos };
+      if (payload.photo_id) car_photos[cn] = payload.photo_id;
+      else delete car_photos[cn];
+      return {
+        ...state,
+        race_day: {
+          ...rd,
+          sections: {
+            ...rd.sections,
+            [payload.section_id]: { ...sec, car_photos }
+          }
+        }
+      };
+    }
+
     case 'SectionStarted': {
       const rd = state.race_day;
       const sec = rd.sections[payload.section_id];
       if (!sec) return state;
       const sn = payload.start_number || sec.next_start_number;
+      // Elimination brackets seed every checked-in car in car-number order
+      const arrivedSet = new Set(sec.arrived);
+      const bracket = isBracketFormat(payload.format)
+        ? createBracket(payload.format, sec.participants
+            .map(p => p.car_number)
+            .filter(c => arrivedSet.has(c))
+            .sort(compareCarNumbers))
+        : null;
+      // Events from before multi-track support ran on the default track
+      const trackId = payload.track_id || DEFAULT_TRACK_ID;
       return {
         ...state,
         race_day: {
           ...rd,
           active_section_id: payload.section_id,
+          active_sections: { ...rd.active_sections, [trackId]: payload.section_id },
           sections: {
             ...rd.sections,
             [payload.section_id]: {
@@ -373,10 +533,19 @@ export function applyEvent(state, event) {
                 ...sec.starts,
                 [sn]: {
                   start_number: sn,
+                  track_id: trackId,
                   started: true,
                   completed: false,
                   early_end: false,
                   available_lanes: payload.available_lanes || null,
+                  scoring_method: payload.scoring_method || sec.scoring_method || null,
+                  lane_bias_correction: !!payload.lane_bias_correction,
+                  // Rules resolve start → section → rally default (specs/08 §4.6)
+                  scoring_rules: payload.scoring_rules || sec.scoring_rules || state.scoring_rules || null,
+                  format: bracket ? payload.format : 'round_robin',
+                  // Scheduler options, e.g. { perfect_n: true } (specs/07 §5.4)
+                  schedule_options: payload.schedule_options || null,
+                  bracket,
                   removed: [],
                   results: {},
                   reruns: {},
@@ -414,6 +583,28 @@ export function applyEvent(state, event) {
       };
     }
 
+    case 'TrackSelfTested': {
+      // Latest test per track wins
+      const trackId = payload.track_id || DEFAULT_TRACK_ID;
+      return {
+        ...state,
+        race_day: {
+          ...state.race_day,
+          self_tests: {
+            ...state.race_day.self_tests,
+            [trackId]: {
+              track_id: trackId,
+              lane_count: payload.lane_count,
+              gate: payload.gate,
+              lanes: payload.lanes,
+              failed_lanes: payload.failed_lanes || [],
+              timestamp: payload.timestamp
+            }
+          }
+        }
+      };
+    }
+
     case 'RaceCompleted': {
       const rd = state.race_day;
       const sec = rd.sections[payload.section_id];
@@ -430,6 +621,9 @@ export function applyEvent(state, event) {
       const mergedLanes = isPartialMerge
         ? existing.lanes
         : normalizeLanes(payload.lanes || []);
+      // A DNF re-run's timeline replaces the heat's; the original stays in its event
+      const timeline = payload.timeline || (isPartialMerge ? existing.timeline : null);
+      const suspect = payload.suspect || (isPartialMerge ? existing.suspect : null);
       return {
         ...state,
         race_day: {
@@ -449,6 +643,9 @@ export function applyEvent(state, event) {
                       heat_number: payload.heat_number,
                       lanes: mergedLanes,
                       times_ms: mergedTimes,
+                      track_id: payload.track_id || start.track_id,
+                      ...(timeline ? { timeline } : {}),
+                      ...(suspect ? { suspect } : {}),
                       timestamp: payload.timestamp
                     }
                   }
@@ -561,6 +758,37 @@ export function applyEvent(state, event) {
       };
     }
 
+    case 'CarReinstated': {
+      // Compensates a mistaken CarRemoved within the same start
+      const rd = state.race_day;
+      const sec = rd.sections[payload.section_id];
+      if (!sec) return state;
+      const sn = payload.start_number || activeStartNumber(sec);
+      const start = sec.starts[sn];
+      if (!start) return state;
+      const cn = normalizeCarNumber(payload.car_number);
+      if (cn == null || !start.removed.includes(cn)) return state;
+      return {
+        ...state,
+        race_day: {
+          ...rd,
+          sections: {
+            ...rd.sections,
+            [payload.section_id]: {
+              ...sec,
+              starts: {
+                ...sec.starts,
+                [sn]: {
+                  ...start,
+                  removed: start.removed.filter(c => c !== cn)
+                }
+              }
+            }
+          }
+        }
+      };
+    }
+
     case 'SectionCompleted': {
       const rd = state.race_day;
       const sec = rd.sections[payload.section_id];
@@ -568,10 +796,14 @@ export function applyEvent(state, event) {
       const sn = payload.start_number || activeStartNumber(sec);
       const start = sec.starts[sn];
       if (!start) return state;
+      // Free the track unless another section has started on it since
+      const activeSections = { ...rd.active_sections };
+      if (activeSections[start.track_id] === payload.section_id) delete activeSections[start.track_id];
       return {
         ...state,
         race_day: {
           ...rd,
+          active_sections: activeSections,
           sections: {
             ...rd.sections,
             [payload.section_id]: {
@@ -590,6 +822,41 @@ export function applyEvent(state, event) {
       };
     }
 
+    case 'BracketRoundCompleted': {
+      const rd = state.race_day;
+      const sec = rd.sections[payload.section_id];
+      if (!sec) return state;
+      const sn = payload.start_number || activeStartNumber(sec);
+      const start = sec.starts[sn];
+      if (!start || !start.bracket) return state;
+      const norm = list => (list || []).map(normalizeCarNumber);
+      return {
+        ...state,
+        race_day: {
+          ...rd,
+          sections: {
+            ...rd.sections,
+            [payload.section_id]: {
+              ...sec,
+              starts: {
+                ...sec.starts,
+                [sn]: {
+                  ...start,
+                  bracket: applyRoundOutcome(start.bracket, {
+                    round: payload.round,
+                    winners: norm(payload.winners),
+                    losers: norm(payload.losers),
+                    eliminated: norm(payload.eliminated),
+                    champion: normalizeCarNumber(payload.champion)
+                  })
+                }
+              }
+            }
+          }
+        }
+      };
+    }
+
     case 'ResultCorrected': {
       const rd = state.race_day;
       const sec = rd.sections[payload.section_id];
@@ -658,7 +925,7 @@ export function applyEvent(state, event) {
  * events still queued offline (which by definition came after everything
  * already synced on this device).
  */
-function compareEventsForReplay(a, b) {
+export function compareEventsForReplay(a, b) {
   const aServer = a.server_id != null ? Number(a.server_id) : null;
   const bServer = b.server_id != null ? Number(b.server_id) : null;
   if (aServer != null && bServer != null) return aServer - bServer;
@@ -667,9 +934,199 @@ function compareEventsForReplay(a, b) {
   return (a.id || 0) - (b.id || 0);
 }
 
+/**
+ * Replay an event log into state. The log's hash chains are checked on the
+ * way (see event-chain.js) and the verdict is kept in `state.integrity`.
+ */
 export function rebuildState(events) {
+  return replayEvents(null, events).state;
+}
+
+// ─── Snapshots ───────────────────────────────────────────────────
+
+/**
+ * Bump whenever applyEvent() changes how an existing event type is reduced,
+ * so snapshots written by older code are replayed from scratch instead.
+ */
+export const SNAPSHOT_VERSION = 4;
+
+/**
+ * Replay an event log, reusing an earlier replay when it still applies.
+ *
+ * `prior` records the replay order (local event ids) it covered. If those
+ * events are still the first ones in replay order, only the events after
+ * them are reduced onto `prior.state`. Anything else — an inbound server
+ * event whose lower server_id sorts it into the middle of the log, a sync
+ * that reorders local events, a cleared store, a different SNAPSHOT_VERSION —
+ * falls back to a full replay.
+ *
+ * @param {Object|null} prior - result of an earlier replayEvents() call, or a stored snapshot
+ * @param {Array<Object>} events - the full event log, any order
+ * @returns {{ version: number, keys: Array<number>, state: Object, chain: Object, reused: number }}
+ *   `reused` is how many events came from `prior` without being re-reduced.
+ */
+export function replayEvents(prior, events) {
   const ordered = [...events].sort(compareEventsForReplay);
-  return ordered.reduce((state, event) => applyEvent(state, event), initialState());
+  const keys = ordered.map(e => e.id ?? null);
+
+  let from = 0;
+  let state = initialState();
+  let chain = null;
+  if (isReplayPrefix(prior, keys)) {
+    from = prior.keys.length;
+    state = prior.state;
+    chain = extendChainCheck(prior.chain, ordered.slice(from));
+  }
+  if (!chain) chain = verifyChains(ordered);
+
+  for (let i = from; i < ordered.length; i++) {
+    state = applyEvent(state, ordered[i]);
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    keys,
+    state: { ...state, integrity: chain },
+    chain,
+    reused: from
+  };
+}
+
+/**
+ * Prepare a replayEvents() result for storage as a snapshot.
+ *
+ * A stored snapshot's state is trusted on the next load, so it is bound to
+ * the chain it was built from: `heads` holds each device's chain head hash
+ * among the covered events, and `digest` hashes the state together with
+ * those heads. isSnapshotIntact() rejects a snapshot whose state, chain
+ * report or heads were edited in storage.
+ *
+ * @param {Object} replay - result of replayEvents()
+ * @returns {{ version: number, keys: Array<number>, heads: Object<string, string>, digest: string, state: Object, chain: Object }}
+ */
+export function sealSnapshot(replay) {
+  const { version, keys, state, chain } = replay;
+  const heads = {};
+  for (const [key, head] of Object.entries(chain.heads || {})) heads[key] = head.hash;
+  return { version, keys, heads, digest: snapshotDigest({ version, keys, heads, state, chain }), state, chain };
+}
+
+/**
+ * Whether a stored snapshot is still the one sealSnapshot() wrote for this
+ * log: its heads match the stored events it covers and its digest matches
+ * its contents. The events' own hashes are checked by verifyChains().
+ *
+ * @param {Object} snapshot
+ * @param {Array<Object>} events - the full stored event log
+ * @returns {boolean}
+ */
+export function isSnapshotIntact(snapshot, events) {
+  if (!snapshot?.digest || !snapshot.heads || !Array.isArray(snapshot.keys)) return false;
+
+  const covered = new Set(snapshot.keys);
+  const heads = {};
+  const seqs = {};
+  let count = 0;
+  for (const raw of events) {
+    if (!covered.has(raw.id)) continue;
+    count++;
+    const e = raw.payload || raw;
+    if (e.hash == null) continue;
+    const key = `${e.rally_id}|${e.chain_id}`;
+    if (seqs[key] == null || e.chain_seq > seqs[key]) {
+      seqs[key] = e.chain_seq;
+      heads[key] = e.hash;
+    }
+  }
+  if (count !== snapshot.keys.length) return false;
+  if (canonicalJson(heads) !== canonicalJson(snapshot.heads)) return false;
+
+  const { version, keys, state, chain } = snapshot;
+  return snapshotDigest({ version, keys, heads, state, chain }) === snapshot.digest;
+}
+
+function snapshotDigest(contents) {
+  return sha256Hex(canonicalJson(contents));
+}
+
+function isReplayPrefix(prior, keys) {
+  if (!prior || prior.version !== SNAPSHOT_VERSION || !prior.chain) return false;
+  if (prior.keys.length > keys.length) return false;
+  for (let i = 0; i < prior.keys.length; i++) {
+    if (prior.keys[i] == null || prior.keys[i] !== keys[i]) return false;
+  }
+  return true;
+}
+
+// ─── Undo ────────────────────────────────────────────────────────
+
+// Events the operator can take back, each mapped to the compensating event
+// that reverses it. The log is append-only, so "undo" is always a new event.
+const UNDO_COMPENSATIONS = {
+  CarArrived: p => ({ type: 'CarArrivalRevoked', section_id: p.section_id, car_number: p.car_number }),
+  CarArrivalRevoked: p => ({ type: 'CarArrived', section_id: p.section_id, car_number: p.car_number }),
+  CarRemoved: p => ({ type: 'CarReinstated', section_id: p.section_id, start_number: p.start_number, car_number: p.car_number }),
+  CarReinstated: p => ({ type: 'CarRemoved', section_id: p.section_id, start_number: p.start_number, car_number: p.car_number, reason: 'Reinstatement undone' })
+};
+
+function isCompensationOf(comp, original) {
+  const expected = UNDO_COMPENSATIONS[original.type](original);
+  return comp.type === expected.type
+    && comp.section_id === original.section_id
+    && normalizeCarNumber(comp.car_number) === normalizeCarNumber(original.car_number)
+    && (comp.start_number ?? null) === (original.start_number ?? null);
+}
+
+/**
+ * Whether the operator app can still carry out an action's compensation:
+ * a car that has raced keeps its arrival, and removals belong to a start
+ * that must still be running.
+ */
+function canRevert(e, raced, openStarts) {
+  if (e.type === 'CarArrived') {
+    return !raced.has(`${e.section_id}|${normalizeCarNumber(e.car_number)}`);
+  }
+  if (!openStarts || e.type === 'CarArrivalRevoked') return true;
+  return openStarts.has(e.section_id)
+    && (e.start_number == null || openStarts.get(e.section_id) === e.start_number);
+}
+
+/**
+ * Find the most recent undoable action and the event that would reverse it.
+ *
+ * Compensating events written by an undo carry `undo: true` and cancel the
+ * nearest earlier action they reverse, so repeated undos walk back through
+ * the log rather than flip-flopping on the same car. Other event types
+ * (results, lane changes) are passed over, and so are actions that can no
+ * longer be reverted, so Undo never gets stuck on one.
+ *
+ * @param {Array<Object>} events - raw event log, any order
+ * @param {Object} [options]
+ * @param {Set<string>} [options.raced] - `section_id|car_number` of cars that
+ *   have raced in their section's active start
+ * @param {Map<string, number>} [options.openStarts] - section_id → start_number
+ *   of each section's active start; omit to allow every removal
+ * @returns {{ event: Object, compensation: Object }|null}
+ */
+export function findUndoableAction(events, { raced = new Set(), openStarts = null } = {}) {
+  const ordered = [...events].sort(compareEventsForReplay).map(e => e.payload || e);
+  const pending = [];
+  for (let i = ordered.length - 1; i >= 0; i--) {
+    const e = ordered[i];
+    if (!UNDO_COMPENSATIONS[e.type]) continue;
+    if (e.undo) {
+      pending.push(e);
+      continue;
+    }
+    const idx = pending.findIndex(comp => isCompensationOf(comp, e));
+    if (idx >= 0) {
+      pending.splice(idx, 1);
+      continue;
+    }
+    if (!canRevert(e, raced, openStarts)) continue;
+    return { event: e, compensation: { ...UNDO_COMPENSATIONS[e.type](e), undo: true } };
+  }
+  return null;
 }
 
 /**
@@ -737,6 +1194,65 @@ export function getCompletedStarts(section) {
   return Object.values(section.starts || {}).filter(s => s.completed).sort((a, b) => a.start_number - b.start_number);
 }
 
+/**
+ * Check an inspection against the rally's checklist.
+ * @param {Object} checklist - state.inspection_checklist
+ * @param {number|null} weight - measured weight in the checklist's unit
+ * @param {Array<{label: string, passed: boolean}>} items - pass/fail checks
+ * @returns {string[]} Reasons the car fails; empty when it passes
+ */
+export function inspectionFailures(checklist, weight, items) {
+  const failures = [];
+  if (checklist?.max_weight != null) {
+    if (weight == null || !isFinite(weight)) failures.push('Not weighed');
+    else if (weight > checklist.max_weight) failures.push(`Over weight (${weight} ${checklist.weight_unit})`);
+  }
+  for (const item of items) {
+    if (!item.passed) failures.push(item.label);
+  }
+  return failures;
+}
+
+/**
+ * Arrived cars that have not passed inspection, split by whether they were
+ * never inspected or their latest inspection failed.
+ * @param {Object} section - race_day section object
+ * @returns {{ uninspected: string[], failed: string[] }} Car numbers
+ */
+export function getInspectionGaps(section) {
+  const inspections = section.inspections || {};
+  const uninspected = [];
+  const failed = [];
+  for (const cn of section.arrived) {
+    const insp = inspections[cn];
+    if (!insp) uninspected.push(cn);
+    else if (!insp.passed) failed.push(cn);
+  }
+  uninspected.sort(compareCarNumbers);
+  failed.sort(compareCarNumbers);
+  return { uninspected, failed };
+}
+
+/**
+ * The photo id of a car's latest photo, or null. Finalists keep their home
+ * car numbers, so a finals car uses the photo from its home Section.
+ * @param {Object} state
+ * @param {string} sectionId
+ * @param {string} carNumber
+ * @returns {string|null}
+ */
+export function getCarPhotoId(state, sectionId, carNumber) {
+  const sec = state.race_day.sections[sectionId];
+  if (!sec) return null;
+  const cn = normalizeCarNumber(carNumber);
+  if (sec.car_photos?.[cn]) return sec.car_photos[cn];
+  const p = sec.participants.find(pp => pp.car_number === cn);
+  if (p?.home_section_id && p.home_section_id !== sectionId) {
+    return state.race_day.sections[p.home_section_id]?.car_photos?.[cn] || null;
+  }
+  return null;
+}
+
 /**
  * Build a "flat" section-like object from a section + start, suitable for
  * passing to scoring functions that expect the old flat shape.
@@ -752,7 +1268,11 @@ export function flattenStart(section, start) {
     removed: start.removed,
     lane_corrections: start.lane_corrections,
     reruns: start.reruns,
-    early_end: start.early_end || false
+    early_end: start.early_end || false,
+    scoring_method: start.scoring_method || section.scoring_method || null,
+    lane_bias_correction: !!start.lane_bias_correction,
+    scoring_rules: start.scoring_rules || section.scoring_rules || null,
+    bracket: start.bracket || null
   };
 }
 
@@ -189,6 +189,15 @@ export async function getClient() {
   return getRealClient();
 }
 
+/**
+ * Get a Supabase client without signing in, for pages anyone may open
+ * (the parent results page). Works in any mode; throws when Supabase is
+ * not configured.
+ */
+export async function getPublicClient() {
+  return getRealClient();
+}
+
 const _mockClient = {
   auth: {
     getUser() {
@@ -8,6 +8,7 @@
  */
 
 import { getUnsyncedEvents, markSynced, hasServerEvent, appendEvent as storeAppend, getEventByLocalId } from './event-store.js';
+import { uploadPendingPhotos } from './car-photos.js';
 
 const SYNC_INTERVAL_MS = 5000;
 const MAX_BACKOFF_MS = 60000;
@@ -110,6 +111,11 @@ export async function syncOnce() {
   }
 
   try {
+    // Photos first, so a device that sees a CarPhotoTaken event can fetch
+    // the photo it names. A failed upload is retried next cycle without
+    // holding back the events.
+    await uploadPendingPhotos(_client).catch(e => console.warn('Photo sync error:', e.message));
+
     const events = await getUnsyncedEvents();
 
     if (events.length === 0) {
@@ -119,12 +125,18 @@ export async function syncOnce() {
 
     setStatus('pending', events.length);
 
+    // The chain fields are also in the payload; columns let an auditor
+    // walk a device's chain in SQL without unpacking JSON.
     const rows = events.map(e => ({
       rally_id: e.rally_id,
       section_id: e.section_id || null,
       client_event_id: e.id,
       event_type: e.type,
       payload: e,
+      chain_id: e.chain_id || null,
+      chain_seq: e.chain_seq ?? null,
+      prev_hash: e.prev_hash || null,
+      hash: e.hash || null,
       created_by: _userId
     }));
 
@@ -298,8 +310,11 @@ async function _ingestServerRow(row) {
     }
   }
 
+  // The payload is the author's stored record. Drop its local id so this
+  // store assigns a fresh, increasing key instead of colliding with ours.
+  const { id: _authorLocalId, ...payload } = row.payload || {};
   await storeAppend({
-    ...row.payload,
+    ...payload,
     type: row.event_type,
     rally_id: row.rally_id,
     section_id: row.section_id,
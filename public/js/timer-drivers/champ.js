@@ -0,0 +1,86 @@
+/**
+ * timer-drivers/champ.js — Champ timers (eTekGadget SmartLine family).
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * 9600 baud, 8N1, CR-terminated lowercase commands. The timer echoes each
+ * command; reads then answer on the next line, settings answer nothing more.
+ *   v        read version
+ *   on       read the number of lanes
+ *   om0      clear all lane masks
+ *   om1..8   mask a lane so it doesn't wait for a car
+ *   rg       send the results when the race finishes
+ *   rs       read the start switch: 0 = closed (ready), 1 = open
+ * Results come back as one line, e.g. `1=3.0012! 2=3.1045" 3=0.0000`.
+ *
+ * See specs/12-commercial-timers.md.
+ */
+
+import { createLineTimer, createGateState, parseLaneTimes, pickLanes, unusedLanes } from './line-timer.js';
+
+const GATE_POLL_MS = 500;
+
+/**
+ * @param {{ write: (text: string) => Promise<void> }} io
+ * @returns {import('./index.js').TimerDriver}
+ */
+export function createChampDriver({ write }) {
+  const timer = createLineTimer({ write });
+  const gate = createGateState();
+  let _laneCount = 6;
+
+  async function connect({ laneCount = 6 } = {}) {
+    const version = await timer.command('v');
+    const lanes = Number(await timer.command('on', { match: line => /^\d+$/.test(line) }));
+    _laneCount = lanes || laneCount;
+    return { lane_count: _laneCount, firmware: version };
+  }
+
+  // Settings are confirmed by their echo
+  const setting = (cmd) => timer.command(cmd, { match: line => line === cmd });
+
+  async function armLanes(lanes) {
+    await setting('om0');
+    for (const lane of unusedLanes(lanes, _laneCount)) {
+      await setting('om' + lane);
+    }
+  }
+
+  async function waitForRace(lanes, signal) {
+    await armLanes(lanes);
+    const result = timer.nextLine(line => parseLaneTimes(line) !== null, { signal });
+    try {
+      await timer.send('rg');
+    } catch (e) {
+      result.catch(() => {});
+      throw e;
+    }
+    const times = parseLaneTimes(await result);
+    gate.set(false);   // a finished race means the gate is down
+    return pickLanes(times, lanes);
+  }
+
+  async function readGate(signal) {
+    const answer = await timer.command('rs', { match: line => line === '0' || line === '1', signal });
+    gate.set(answer === '0');
+    return answer === '0';
+  }
+
+  async function waitForGate(signal) {
+    while (!(await readGate(signal))) {
+      await new Promise((resolve, reject) => {
+        const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, GATE_POLL_MS);
+        const onAbort = () => { clearTimeout(t); reject(new DOMException('Aborted', 'AbortError')); };
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+  }
+
+  return {
+    gateSensing: true,
+    receive: timer.receive,
+    connect, armLanes, waitForRace, waitForGate,
+    close: timer.close,
+    getGateState: gate.get,
+    subscribe: gate.subscribe
+  };
+}
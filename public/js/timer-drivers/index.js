@@ -0,0 +1,54 @@
+/**
+ * timer-drivers/index.js — Commercial track timers RallyLab can race with.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * Each driver speaks one timer family's serial protocol and exposes the same
+ * small interface track-connection.js drives the race loop through (the
+ * Pico's Protocol v2 client implements it too). Drivers never touch the
+ * serial port: they are handed a write function and fed what the port
+ * reads, which is also how the transcript tests drive them.
+ *
+ * See specs/12-commercial-timers.md.
+ */
+
+import { createMicroWizardDriver } from './microwizard.js';
+import { createChampDriver } from './champ.js';
+import { createNewBoldDriver } from './newbold.js';
+
+/**
+ * @typedef {Object} TimerDriver
+ * @property {boolean} gateSensing - whether waitForGate() sees the start
+ *   gate; when false the operator presses Next Heat between heats
+ * @property {(text: string) => void} receive - feed text read from the port
+ * @property {(opts?: { laneCount?: number }) => Promise<{ lane_count: number, firmware: string|null }>} connect
+ *   Handshake. laneCount is used when the timer can't report its own.
+ * @property {(lanes: Array<{lane: number}>) => Promise<void>} armLanes
+ *   Tell the timer which lanes have cars
+ * @property {(lanes: Array<{lane: number}>, signal?: AbortSignal) => Promise<Object<string, number|null>>} waitForRace
+ *   Arm the lanes, then resolve with times_ms for the staged lanes
+ * @property {(signal?: AbortSignal) => Promise<void>} waitForGate
+ *   Get ready for the next race (and wait for the gate, if sensed)
+ * @property {(err?: Error) => void} close - the port is gone; reject every
+ *   pending wait with `err`
+ * @property {() => boolean|null} getGateState - gate_ready, or null if unknown
+ * @property {(onEvent: (frame: Object) => void) => () => void} subscribe
+ *   Gate changes as `{ event: 'state', gate_ready }`; returns unsubscribe
+ */
+
+/**
+ * Supported timers, in the order the connect dialog lists them.
+ * `serial` is passed to the Web Serial port's open().
+ */
+export const TIMER_DRIVERS = [
+  { id: 'microwizard', label: 'MicroWizard Fast Track', serial: { baudRate: 9600 }, create: createMicroWizardDriver },
+  { id: 'champ', label: 'Champ (eTekGadget)', serial: { baudRate: 9600 }, create: createChampDriver },
+  { id: 'newbold', label: 'NewBold DT / TURBO', serial: { baudRate: 1200 }, create: createNewBoldDriver }
+];
+
+/**
+ * @param {string} id
+ * @returns {Object|null} The TIMER_DRIVERS entry
+ */
+export function getTimerDriver(id) {
+  return TIMER_DRIVERS.find(d => d.id === id) || null;
+}
@@ -0,0 +1,213 @@
+/**
+ * timer-drivers/line-timer.js — Shared plumbing for line-based serial timers.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * Commercial timers talk short ASCII commands and answer with CR/LF
+ * terminated lines. createLineTimer() buffers incoming serial text into
+ * lines, sends commands and waits for the line that answers them, so each
+ * driver only has to describe its own commands and result format.
+ */
+
+const COMMAND_TIMEOUT = 3000;
+
+function abortError() {
+  return new DOMException('Aborted', 'AbortError');
+}
+
+/**
+ * @param {{ write: (text: string) => Promise<void>, eol?: string }} opts
+ *   write sends raw text to the timer; eol ends each command (default CR)
+ */
+export function createLineTimer({ write, eol = '\r' }) {
+  let _buf = '';
+  const _waiters = [];      // { match, resolve, reject } — oldest first
+  const _listeners = new Set();
+  let _closed = null;       // the error close() was given
+
+  function dispatch(line) {
+    for (const fn of _listeners) {
+      try { fn(line); } catch (e) { console.error('timer line listener threw', e); }
+    }
+    const i = _waiters.findIndex(w => w.match(line));
+    if (i >= 0) _waiters.splice(i, 1)[0].resolve(line);
+  }
+
+  /** Feed text read from the serial port. */
+  function receive(text) {
+    _buf += text;
+    let i;
+    while ((i = _buf.search(/[\r\n]/)) >= 0) {
+      const line = _buf.slice(0, i).trim();
+      _buf = _buf.slice(i + 1);
+      if (line) dispatch(line);
+    }
+  }
+
+  /**
+   * Wait for the next line that `match` accepts. Lines nobody is waiting
+   * for are dropped (listeners still see them).
+   * @param {(line: string) => boolean} match
+   * @param {{ signal?: AbortSignal, timeout?: number }} [opts] - timeout 0 = wait forever
+   * @returns {Promise<string>}
+   */
+  function nextLine(match, { signal, timeout = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) { reject(abortError()); return; }
+      if (_closed) { reject(_closed); return; }
+      let timer = null;
+      const waiter = {
+        match,
+        resolve: (line) => { cleanup(); resolve(line); },
+        reject: (err) => { cleanup(); reject(err); }
+      };
+      const onAbort = () => { remove(); cleanup(); reject(abortError()); };
+      const remove = () => {
+        const i = _waiters.indexOf(waiter);
+        if (i >= 0) _waiters.splice(i, 1);
+      };
+      const cleanup = () => {
+        if (timer) clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          remove();
+          cleanup();
+          reject(new Error('No response from timer (timeout)'));
+        }, timeout);
+      }
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      _waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Send a command and resolve with its answer: the first line after it
+   * that `match` accepts (by default any line except the timer's echo of
+   * the command).
+   * @param {string} cmd
+   * @param {{ match?: (line: string) => boolean, timeout?: number, signal?: AbortSignal }} [opts]
+   * @returns {Promise<string>}
+   */
+  async function command(cmd, { match = null, timeout = COMMAND_TIMEOUT, signal } = {}) {
+    const accept = match || (line => line !== cmd);
+    const answer = nextLine(accept, { timeout, signal });
+    try {
+      await write(cmd + eol);
+    } catch (e) {
+      answer.catch(() => {});
+      throw e;
+    }
+    return answer;
+  }
+
+  /** Send a command that has no answer. */
+  function send(cmd) {
+    return write(cmd + eol);
+  }
+
+  /**
+   * Call `fn` with every line received. Returns an unsubscribe function.
+   * @param {(line: string) => void} fn
+   */
+  function onLine(fn) {
+    _listeners.add(fn);
+    return () => _listeners.delete(fn);
+  }
+
+  /**
+   * The port is gone: reject every wait, including those without a
+   * timeout, and any made from now on.
+   * @param {Error} [err]
+   */
+  function close(err = new Error('Timer disconnected')) {
+    _closed = err;
+    for (const waiter of _waiters.splice(0)) waiter.reject(err);
+  }
+
+  return { receive, nextLine, command, send, onLine, close };
+}
+
+/**
+ * Parse a lane=time result line, e.g. `A=3.0012! B=3.1045" C=0.0000`.
+ * Lanes are letters (A = lane 1) or digits. The optional mark after each
+ * time is the place (!, ", #, … = 1st, 2nd, 3rd, …) and is ignored —
+ * RallyLab ranks by time.
+ * @param {string} line
+ * @returns {Object<string, number|null>|null} ms keyed by lane number
+ *   string, null for lanes without a time; null if this isn't a result line
+ */
+export function parseLaneTimes(line) {
+  const re = /\b([A-H1-8])\s*=\s*(\d+\.\d+)/g;
+  const times = {};
+  let m;
+  let found = false;
+  while ((m = re.exec(line)) !== null) {
+    found = true;
+    const lane = /\d/.test(m[1]) ? Number(m[1]) : m[1].charCodeAt(0) - 64;
+    times[String(lane)] = secondsToMs(m[2]);
+  }
+  return found ? times : null;
+}
+
+/**
+ * Seconds (as printed by a timer) to whole ms. Zero means the lane did
+ * not finish.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function secondsToMs(text) {
+  const s = Number(text);
+  return s > 0 ? Math.round(s * 1000) : null;
+}
+
+/**
+ * Keep only the staged lanes, with null for a staged lane the timer did
+ * not report.
+ * @param {Object<string, number|null>} times
+ * @param {Array<{lane: number}>} lanes
+ * @returns {Object<string, number|null>}
+ */
+export function pickLanes(times, lanes) {
+  const picked = {};
+  for (const { lane } of lanes) {
+    const t = times[String(lane)];
+    picked[String(lane)] = t != null ? t : null;
+  }
+  return picked;
+}
+
+/**
+ * Start-gate state as far as the driver knows it, pushed to subscribers as
+ * Protocol v2 style `{ event: 'state', gate_ready }` frames so the live
+ * console strip works unchanged.
+ */
+export function createGateState() {
+  let _ready = null;   // unknown until the timer says
+  const _subs = new Set();
+  return {
+    get: () => _ready,
+    set(ready) {
+      if (ready === _ready) return;
+      _ready = ready;
+      for (const fn of _subs) {
+        try { fn({ event: 'state', gate_ready: ready }); } catch (e) { console.error(e); }
+      }
+    },
+    subscribe(fn) {
+      _subs.add(fn);
+      if (_ready !== null) fn({ event: 'state', gate_ready: _ready });
+      return () => _subs.delete(fn);
+    }
+  };
+}
+
+/** Lane numbers 1..laneCount not in `lanes` — the lanes to mask off. */
+export function unusedLanes(lanes, laneCount) {
+  const used = new Set(lanes.map(l => l.lane));
+  const unused = [];
+  for (let lane = 1; lane <= laneCount; lane++) {
+    if (!used.has(lane)) unused.push(lane);
+  }
+  return unused;
+}
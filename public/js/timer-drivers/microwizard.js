@@ -0,0 +1,67 @@
+/**
+ * timer-drivers/microwizard.js — MicroWizard Fast Track timers (K and Q series).
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * 9600 baud, 8N1, CR-terminated two-letter commands:
+ *   RV       read version (answers one line)
+ *   MG       clear all lane masks
+ *   MA..MH   mask a lane so it doesn't wait for a car (A = lane 1)
+ *   RG       send the results when the race finishes
+ *   LR       reset the timer for the next race
+ * Results come back as one line, e.g. `A=3.0012! B=3.1045" C=0.0000`.
+ *
+ * The Fast Track does not report its start switch, so the operator presses
+ * Next Heat between heats (gateSensing is false).
+ *
+ * See specs/12-commercial-timers.md.
+ */
+
+import { createLineTimer, createGateState, parseLaneTimes, pickLanes, unusedLanes } from './line-timer.js';
+
+/**
+ * @param {{ write: (text: string) => Promise<void> }} io
+ * @returns {import('./index.js').TimerDriver}
+ */
+export function createMicroWizardDriver({ write }) {
+  const timer = createLineTimer({ write });
+  const gate = createGateState();
+  let _laneCount = 6;
+
+  async function connect({ laneCount = 6 } = {}) {
+    const version = await timer.command('RV');
+    _laneCount = laneCount;
+    return { lane_count: _laneCount, firmware: version };
+  }
+
+  async function armLanes(lanes) {
+    await timer.send('MG');
+    for (const lane of unusedLanes(lanes, _laneCount)) {
+      await timer.send('M' + String.fromCharCode(64 + lane));
+    }
+  }
+
+  async function waitForRace(lanes, signal) {
+    await armLanes(lanes);
+    const result = timer.nextLine(line => parseLaneTimes(line) !== null, { signal });
+    try {
+      await timer.send('RG');
+    } catch (e) {
+      result.catch(() => {});
+      throw e;
+    }
+    return pickLanes(parseLaneTimes(await result), lanes);
+  }
+
+  async function waitForGate() {
+    await timer.send('LR');
+  }
+
+  return {
+    gateSensing: false,
+    receive: timer.receive,
+    connect, armLanes, waitForRace, waitForGate,
+    close: timer.close,
+    getGateState: gate.get,
+    subscribe: gate.subscribe
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * timer-drivers/newbold.js — NewBold DT-series and TURBO timers.
+ * Pure functions, zero DOM/IndexedDB dependencies.
+ *
+ * 1200 baud, 8N1, output only: RallyLab sends nothing. After each race the
+ * timer prints one line of lane, time and place triples, e.g.
+ * `1 3.0012 1  2 3.1045 2  3 0.0000 0`. A zero time is a lane that did not
+ * finish. Unused lanes can't be masked, so their times are dropped here;
+ * the timer is reset at the timer as usual and the operator presses Next
+ * Heat (gateSensing is false).
+ *
+ * See specs/12-commercial-timers.md.
+ */
+
+import { createLineTimer, createGateState, secondsToMs, pickLanes } from './line-timer.js';
+
+/**
+ * Parse a NewBold result line.
+ * @param {string} line
+ * @returns {Object<string, number|null>|null} ms keyed by lane number
+ *   string; null if this isn't a result line
+ */
+export function parseNewBoldLine(line) {
+  const re = /\b([1-8])\s+(\d+\.\d+)\s+\d\b/g;
+  const times = {};
+  let m;
+  let found = false;
+  while ((m = re.exec(line)) !== null) {
+    found = true;
+    times[m[1]] = secondsToMs(m[2]);
+  }
+  return found ? times : null;
+}
+
+/**
+ * @param {{ write: (text: string) => Promise<void> }} io
+ * @returns {import('./index.js').TimerDriver}
+ */
+export function createNewBoldDriver({ write }) {
+  const timer = createLineTimer({ write });
+  const gate = createGateState();
+
+  async function connect({ laneCount = 6 } = {}) {
+    // Nothing to ask the timer — it only talks after a race
+    return { lane_count: laneCount, firmware: null };
+  }
+
+  async function armLanes() {}
+
+  async function waitForRace(lanes, signal) {
+    const line = await timer.nextLine(l => parseNewBoldLine(l) !== null, { signal });
+    return pickLanes(parseNewBoldLine(line), lanes);
+  }
+
+  async function waitForGate() {}
+
+  return {
+    gateSensing: false,
+    receive: timer.receive,
+    connect, armLanes, waitForRace, waitForGate,
+    close: timer.close,
+    getGateState: gate.get,
+    subscribe: gate.subscribe
+  };
+}
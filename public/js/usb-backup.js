@@ -6,6 +6,7 @@
  */
 
 import { getSetting, setSetting } from './event-store.js';
+import { verifyChains } from './event-chain.js';
 
 // ─── Module State ────────────────────────────────────────────────
 
@@ -101,9 +102,10 @@ export async function onEventAppended(getAllEvents, rallyId) {
 }
 
 /**
- * Parse and validate a backup JSON file.
+ * Parse and validate a backup JSON file. The events' hash chains are
+ * re-checked rather than trusting the `integrity` summary stored in the file.
  * @param {File} file
- * @returns {Promise<Object>} Parsed backup object { version, rally_id, timestamp, events }
+ * @returns {Promise<Object>} Parsed backup object { version, rally_id, timestamp, events, integrity }
  */
 export async function readBackupFile(file) {
   const text = await file.text();
@@ -119,7 +121,7 @@ export async function readBackupFile(file) {
     throw new Error('Invalid backup: missing rally_id');
   }
 
-  return data;
+  return { ...data, integrity: verifyChains(data.events) };
 }
 
 // ─── Internal ────────────────────────────────────────────────────
@@ -133,10 +135,14 @@ async function writeBackup(getAllEvents, rallyId) {
   if (!_dirHandle) return;
 
   const events = await getAllEvents();
+  // Events keep their chain fields, so an auditor can re-verify the file
+  // on its own; the summary records what the log looked like when written.
+  const { status, verified, unchained, problems } = verifyChains(events);
   const backup = {
     version: 1,
     rally_id: rallyId,
     timestamp: Date.now(),
+    integrity: { status, verified, unchained, problems },
     events
   };
 
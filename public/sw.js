@@ -18,16 +18,35 @@ const APP_SHELL = [
   'operator.html',
   'registrar.html',
   'audience.html',
+  'results.html',
   'css/styles.css',
   'js/config.js',
   'js/supabase.js',
   'js/event-store.js',
   'js/state-manager.js',
   'js/track-connection.js',
+  'js/timer-drivers/index.js',
+  'js/timer-drivers/line-timer.js',
+  'js/timer-drivers/microwizard.js',
+  'js/timer-drivers/champ.js',
+  'js/timer-drivers/newbold.js',
   'js/sync-worker.js',
   'js/broadcast.js',
+  'js/broadcast-replay.js',
+  'js/results-feed.js',
+  'js/schedule-replay.js',
+  'js/car-lookup.js',
+  'js/replay-buffer.js',
+  'js/heat-timeline.js',
+  'js/sensor-self-test.js',
+  'js/heat-plausibility.js',
+  'js/car-photos.js',
   'js/scheduler.js',
   'js/scoring.js',
+  'js/bracket.js',
+  'js/heat-timing.js',
+  'js/car-tags.js',
+  'js/event-chain.js',
   'js/sw-update.js',
   'js/pre-race/app.js',
   'js/pre-race/screens.js',
@@ -41,6 +60,7 @@ const APP_SHELL = [
   'js/operator/demo-data.js',
   'js/operator/report.js',
   'js/operator/export-xlsx.js',
+  'js/operator/replay-camera.js',
   'js/registrar/app.js',
   'js/registrar/screens.js',
   'js/registrar/dialogs.js',
@@ -48,6 +68,8 @@ const APP_SHELL = [
   'js/shared/rally-header.js',
   'js/audience/app.js',
   'js/audience/screens.js',
+  'js/results/app.js',
+  'js/results/screens.js',
   'manifest.json'
 ];
 
@@ -55,7 +77,8 @@ const APP_SHELL = [
 const CDN_DEPS = [
   'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
   'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.8.4/jspdf.plugin.autotable.min.js'
+  'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.8.4/jspdf.plugin.autotable.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/qrcode-generator/1.4.4/qrcode.min.js'
 ];
 
 self.addEventListener('install', event => {
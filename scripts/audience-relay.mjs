@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * audience-relay.mjs — Drives audience displays on other devices over the
+ * local network.
+ *
+ * The operator tab connects as `?role=operator&token=<code>` and sends the
+ * same SHOW_* messages it posts on its BroadcastChannel. The code is random
+ * per relay run and printed at startup; an operator connection without it
+ * is closed before any of its messages are read, so nothing else on the
+ * hall Wi-Fi can drive the TVs or rewrite the parents' event log.
+ *
+ * Every other connection is an audience display: it receives those
+ * messages, and its REQUEST_STATE is answered from the relay's own replay
+ * cache (the same one the operator uses), so a TV that joins or reconnects
+ * mid-heat catches up even while the operator is offline.
+ *
+ * Parent results pages connect as `?role=results`. The operator also sends
+ * the rally's public event log (EVENTS_RESET / EVENTS_APPENDED, see
+ * public/js/results-feed.js); the relay keeps a copy and hands the whole
+ * log to each results page that asks with REQUEST_EVENTS.
+ *
+ * The relay also serves public/, so a Raspberry Pi or smart TV browser only
+ * needs to open http://<this-laptop>:<port>/audience.html?relay, and a
+ * parent's phone http://<this-laptop>:<port>/results.html?relay
+ *
+ * Usage:
+ *   node scripts/audience-relay.mjs [--port 8787]
+ * (--port 0 picks a free port and prints it)
+ *
+ * Zero dependencies: a minimal RFC 6455 WebSocket server (unfragmented
+ * text frames, ping/pong and close) on top of node:http.
+ */
+
+import { createServer } from 'http';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { readFile } from 'fs/promises';
+import { networkInterfaces } from 'os';
+import { join, dirname, normalize, extname, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { createReplayCache } from '../public/js/broadcast-replay.js';
+import { applyFeedMessage } from '../public/js/results-feed.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = join(__dirname, '..', 'public');
+const RELAY_PATH = '/relay';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPERATOR_TOKEN = randomBytes(4).toString('hex');
+const CLOSE_FORBIDDEN = 4003;   // operator code missing or wrong
+const CLOSE_TOO_BIG = 1009;
+// Far above the largest EVENTS_RESET a rally produces, but a bound on what
+// one client on the hall Wi-Fi can make the relay hold
+const MAX_FRAME_BYTES = 16 * 1024 * 1024;
+
+const portArg = process.argv.indexOf('--port');
+const PORT = portArg >= 0 ? parseInt(process.argv[portArg + 1], 10) : 8787;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+// ─── WebSocket Framing ───────────────────────────────────────────
+
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+/** Encode an unmasked server→client frame. */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete client frames off the front of a buffer. Stops at a frame
+ * declaring more than MAX_FRAME_BYTES rather than waiting for it.
+ * @returns {{ frames: Array<{ opcode: number, payload: Buffer }>, rest: Buffer, tooBig: boolean }}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  let tooBig = false;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let len = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buffer.length < pos + 2) break;
+      len = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buffer.length < pos + 8) break;
+      len = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (len > MAX_FRAME_BYTES) {
+      tooBig = true;
+      break;
+    }
+    const maskLen = masked ? 4 : 0;
+    if (buffer.length < pos + maskLen + len) break;
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    pos += maskLen;
+    const payload = Buffer.from(buffer.subarray(pos, pos + len));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = pos + len;
+  }
+  return { frames, rest: buffer.subarray(offset), tooBig };
+}
+
+// ─── Relay ───────────────────────────────────────────────────────
+
+const replay = createReplayCache();
+const audiences = new Set();
+const resultsPages = new Set();
+let operatorCount = 0;
+let eventLog = [];
+
+function isOperatorToken(token) {
+  const given = Buffer.from(String(token || ''));
+  const expected = Buffer.from(OPERATOR_TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/** Close frame with a status code the browser reports on `close`. */
+function closeFrame(code, reason) {
+  const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+  payload.writeUInt16BE(code, 0);
+  payload.write(reason, 2);
+  return encodeFrame(OP_CLOSE, payload);
+}
+
+function sendJson(socket, message) {
+  if (!socket.destroyed) socket.write(encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(message))));
+}
+
+function onOperatorMessage(message) {
+  if (message?.type === 'EVENTS_RESET' || message?.type === 'EVENTS_APPENDED') {
+    const next = applyFeedMessage(eventLog, message);
+    // An append that doesn't continue our copy is dropped; the operator
+    // resends the whole log when it reconnects
+    if (!next) return;
+    eventLog = next;
+    for (const socket of resultsPages) sendJson(socket, message);
+    return;
+  }
+  replay.record(message);
+  for (const socket of audiences) sendJson(socket, message);
+}
+
+function onAudienceMessage(socket, message) {
+  if (message?.type === 'REQUEST_STATE') {
+    for (const msg of replay.replay()) sendJson(socket, msg);
+  }
+}
+
+function onResultsMessage(socket, message) {
+  if (message?.type === 'REQUEST_EVENTS') {
+    sendJson(socket, { type: 'EVENTS_RESET', events: eventLog });
+  }
+}
+
+function upgrade(req, socket) {
+  // 'close' follows and does the cleanup. Without a listener, a client that
+  // resets the connection (even one being refused) would end the relay.
+  socket.on('error', () => {});
+
+  const url = new URL(req.url, 'http://relay');
+  const key = req.headers['sec-websocket-key'];
+  if (url.pathname !== RELAY_PATH || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const role = url.searchParams.get('role');
+  const isOperator = role === 'operator';
+  if (isOperator && !isOperatorToken(url.searchParams.get('token'))) {
+    console.log(`! operator ${req.socket.remoteAddress} refused: wrong operator code`);
+    socket.end(closeFrame(CLOSE_FORBIDDEN, 'Wrong operator code'));
+    return;
+  }
+  const isResults = role === 'results';
+  const clients = isResults ? resultsPages : audiences;
+  const who = `${isOperator ? 'operator' : isResults ? 'results' : 'display'} ${req.socket.remoteAddress}`;
+  if (isOperator) operatorCount++;
+  else clients.add(socket);
+  console.log(`+ ${who} (${operatorCount} operator, ${audiences.size} display, ${resultsPages.size} results)`);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    if (socket.writableEnded) return;
+    const { frames, rest, tooBig } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    if (tooBig) {
+      console.log(`! ${who} sent a frame over ${MAX_FRAME_BYTES} bytes`);
+      pending = Buffer.alloc(0);
+      socket.end(closeFrame(CLOSE_TOO_BIG, 'Message too big'));
+    }
+    for (const { opcode, payload } of frames) {
+      if (opcode === OP_TEXT) {
+        let message;
+        try { message = JSON.parse(payload.toString('utf8')); } catch { continue; }
+        if (isOperator) onOperatorMessage(message);
+        else if (isResults) onResultsMessage(socket, message);
+        else onAudienceMessage(socket, message);
+      } else if (opcode === OP_PING) {
+        socket.write(encodeFrame(OP_PONG, payload));
+      } else if (opcode === OP_CLOSE) {
+        socket.end(encodeFrame(OP_CLOSE));
+      }
+    }
+  });
+
+  let gone = false;
+  const drop = () => {
+    if (gone) return;
+    gone = true;
+    if (isOperator) operatorCount--;
+    else clients.delete(socket);
+    console.log(`- ${who}`);
+  };
+  socket.on('close', drop);
+}
+
+// ─── Static Files ────────────────────────────────────────────────
+
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, 'http://relay');
+  let relative;
+  try {
+    relative = normalize(decodeURIComponent(pathname === '/' ? '/audience.html' : pathname));
+  } catch {
+    // Malformed %-escape (URIError): one bad request mustn't end the relay
+    res.writeHead(400).end('Bad request');
+    return;
+  }
+  const file = join(PUBLIC_DIR, relative);
+  if (!file.startsWith(PUBLIC_DIR + sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)] || 'application/octet-stream' });
+    res.end(body);
+  } catch {
+    res.writeHead(404).end('Not found');
+  }
+}
+
+// ─── Main ────────────────────────────────────────────────────────
+
+const server = createServer(serveStatic);
+server.on('upgrade', upgrade);
+server.listen(PORT, () => {
+  const { port } = server.address();
+  const addresses = Object.values(networkInterfaces()).flat()
+    .filter(a => a && a.family === 'IPv4' && !a.internal)
+    .map(a => a.address);
+  console.log(`RallyLab audience relay on port ${port}`);
+  console.log(`  Operator code: ${OPERATOR_TOKEN}`);
+  for (const ip of addresses.length ? addresses : ['localhost']) {
+    console.log(`  Operator: set Network Display to ${ip}:${port}`);
+    console.log(`  TV:       http://${ip}:${port}/audience.html?relay`);
+    console.log(`  Parents:  http://${ip}:${port}/results.html?relay`);
+  }
+});
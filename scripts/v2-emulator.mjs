@@ -0,0 +1,938 @@
+#!/usr/bin/env node
+
+/**
+ * v2-emulator.mjs — A Track Controller that speaks Protocol v2, in software.
+ *
+ * Emulates the Pico firmware's v2 dispatcher (firmware/protocol_v2.py), race
+ * engine (engine.py) and in-band update (update.py) closely enough to drive
+ * public/js/track-connection.js without hardware. It plugs in two ways:
+ *   - as a virtual USB serial port: `emulator.serialPort` is what
+ *     navigator.serial.requestPort() resolves with (open / readable /
+ *     writable / close, like Web Serial), or
+ *   - as a local HTTP+SSE server: `await emulator.listen()` serves /info,
+ *     /cmd and /events like the Pico's WiFi transport.
+ *
+ * Tests script the hardware — gate and lane edges, or whole races with
+ * chosen times — and inject faults: latency on everything the device
+ * sends, dropped frames, a host that stops reading (subscription overflow),
+ * a pulled cable and reboots. Uptime is virtual and only moves when the
+ * script advances it, so race times come out exactly as scripted.
+ *
+ * Usage (HTTP+SSE server, with a console on stdin):
+ *   node scripts/v2-emulator.mjs [--port 8080] [--lanes 6]
+ *   race 1=2150 3=2401   gate opens, the lanes finish at those times
+ *   gate open | gate close | lane 3 | advance 500
+ *   latency 200 | drop 2 | reboot | state
+ *
+ * See specs/03-track-controller-protocol-v2.md and
+ * test/track-connection-v2.test.mjs.
+ */
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { createInterface } from 'readline';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const PROTOCOL = '2.0';
+const TOPICS = ['gate', 'lanes', 'edges', 'race', 'engine'];
+
+// Same limits as the firmware
+const SERIAL_QUEUE_CAP = 32;
+const HTTP_QUEUE_CAP = 16;
+const UPDATE_CHUNK = 256;
+const RACE_TIMEOUT_MS = 7000;
+const REBOOT_DELAY_MS = 500;
+const DEBOUNCE_MS = 10;
+
+const BOOT_LINES = ['MPY: soft reboot', 'RallyLab Track Controller ready (protocol v2)'];
+
+const IDLE = 'IDLE';
+const ARMED = 'ARMED';
+const RACING = 'RACING';
+
+const CORS = { 'Access-Control-Allow-Origin': '*' };
+
+// ─── Emulator ────────────────────────────────────────────────────
+
+/**
+ * Create an emulated track controller.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.laneCount]
+ * @param {string} [opts.firmware] - reported by info until an update commits
+ * @param {number} [opts.latencyMs] - delay on every line the device sends
+ * @param {number} [opts.bootMs] - how long a reboot keeps the device away
+ * @param {number} [opts.raceTimeoutMs]
+ * @returns {Object} The emulator API (see the returned object)
+ */
+export function createV2Emulator({
+  laneCount = 6,
+  firmware = '0.0.0-emulator',
+  latencyMs = 0,
+  bootMs = 200,
+  raceTimeoutMs = RACE_TIMEOUT_MS
+} = {}) {
+  let _firmware = firmware;
+  let _latency = latencyMs;
+  let _deliverAt = 0;
+  let _outputPaused = false;
+  const _drops = [];            // { match, count } for outbound frames
+  const _inboundWaiters = [];   // { match, resolve } for next()
+  const _armedWaiters = [];
+  const _files = {};            // name → text installed by update_commit
+
+  // Device state — RAM, so a reboot loses it
+  let _up = true;
+  let _ms = 0;
+  let _raceSeq = 0;
+  let _phase = IDLE;
+  let _raceId = null;
+  let _activeLanes = null;      // Set of lane numbers
+  let _startMs = null;
+  let _times = new Map();       // lane → elapsed ms
+  let _lastRace = null;
+  let _update = null;           // open update session
+  let _rebootTimer = null;
+
+  // Physical state — survives a reboot
+  let _gateReady = true;
+  const _laneTriggered = new Map();
+
+  const _sessions = new Set();
+  const _serial = createVirtualSerialPort();
+  let _serialSession = createSession(_serialWrite, SERIAL_QUEUE_CAP);
+
+  let _server = null;
+  const _sseStreams = new Set();
+
+  // ─── Outbound Delivery ──────────────────────────────────────────
+
+  /** Run fn after the injected latency, keeping the device's output order. */
+  function later(fn) {
+    if (!_latency) {
+      fn();
+      return;
+    }
+    _deliverAt = Math.max(_deliverAt, Date.now() + _latency);
+    setTimeout(fn, _deliverAt - Date.now());
+  }
+
+  /** Whether a scripted drop() swallows this frame. */
+  function dropped(frame) {
+    const i = _drops.findIndex(d => d.match(frame));
+    if (i < 0) return false;
+    if (--_drops[i].count <= 0) _drops.splice(i, 1);
+    return true;
+  }
+
+  function _serialWrite(line, frame) {
+    if (_outputPaused) return false;   // host stopped reading — back off
+    if (dropped(frame)) return true;   // lost on the wire
+    later(() => _serial.push(line + '\r\n'));
+    return true;
+  }
+
+  // ─── Sessions (protocol_v2.Session) ─────────────────────────────
+
+  /**
+   * One protocol session per transport client.
+   * @param {(line: string, frame: Object) => boolean} writeLine - false = back off
+   * @param {number} queueCap - outbound frames held while the host isn't reading
+   */
+  function createSession(writeLine, queueCap) {
+    const subs = new Map();        // sub → Set of topics
+    const dropCounts = new Map();  // sub → events dropped since the last delivered
+    const pending = new Map();     // request id → 'wait_race' | 'wait_gate'
+    const outq = [];               // { isResponse, frame }
+    let nextHumanId = 0;
+    let closed = false;
+
+    function countDrop(frame) {
+      if (frame.sub == null) return;
+      const n = frame.event === 'overflow' ? frame.dropped : 1;
+      dropCounts.set(frame.sub, (dropCounts.get(frame.sub) || 0) + n);
+    }
+
+    // Events drop first when the queue is full; responses never do
+    function enqueue(isResponse, frame) {
+      if (closed) return;
+      if (outq.length >= queueCap) {
+        const i = outq.findIndex(f => !f.isResponse);
+        if (i >= 0) {
+          countDrop(outq.splice(i, 1)[0].frame);
+        } else if (!isResponse) {
+          countDrop(frame);
+          return;
+        }
+      }
+      if (!isResponse && dropCounts.has(frame.sub)) {
+        outq.push({ isResponse: false, frame: { sub: frame.sub, event: 'overflow', dropped: dropCounts.get(frame.sub) } });
+        dropCounts.delete(frame.sub);
+      }
+      outq.push({ isResponse, frame });
+      drain();
+    }
+
+    function drain() {
+      while (!closed && outq.length) {
+        const { frame } = outq[0];
+        if (writeLine(JSON.stringify(frame), frame) === false) return;
+        outq.shift();
+      }
+    }
+
+    function ok(id, payload) {
+      enqueue(true, { id, ok: payload ?? {} });
+    }
+
+    function err(id, code, message) {
+      const frame = id == null ? {} : { id };
+      enqueue(true, Object.assign(frame, { err: message, code }));
+    }
+
+    function deliver(topic, payload) {
+      for (const [sub, topics] of subs) {
+        if (topics.has(topic)) enqueue(false, { sub, ...payload });
+      }
+    }
+
+    function feedLine(raw) {
+      if (closed) return null;
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) return null;
+
+      if (line[0] === '{') {
+        let frame;
+        try {
+          frame = JSON.parse(line);
+        } catch {
+          err(null, 'bad_frame', 'could not parse JSON');
+          return null;
+        }
+        if (!frame || typeof frame !== 'object' || !('cmd' in frame)) {
+          err(null, 'bad_frame', 'missing cmd');
+          return null;
+        }
+        if (!Number.isInteger(frame.id)) {
+          err(null, 'bad_frame', 'missing or non-integer id');
+          return null;
+        }
+        dispatch(frame.id, frame.cmd, frame);
+        return frame;
+      }
+
+      // Human form: "cmd arg key=value …" with a negative id
+      const [cmd, ...parts] = line.split(/\s+/);
+      const args = {};
+      const positional = [];
+      for (const p of parts) {
+        const eq = p.indexOf('=');
+        if (eq > 0) args[p.slice(0, eq)] = p.slice(eq + 1);
+        else positional.push(p);
+      }
+      if (positional.length) args._pos = positional;
+      nextHumanId -= 1;
+      dispatch(nextHumanId, cmd, args);
+      return { id: nextHumanId, cmd, ...args };
+    }
+
+    function dispatch(id, cmd, args) {
+      if (_update && (cmd === 'wait_race' || cmd === 'wait_gate')) {
+        err(id, 'bad_state', 'update in progress');
+        return;
+      }
+      switch (cmd) {
+        case 'info': ok(id, info()); break;
+        case 'dbg': ok(id, dbg()); break;
+        case 'gate': ok(id, { gate_ready: _gateReady }); break;
+        case 'state': ok(id, _lastRace); break;
+        case 'subscribe': subscribe(id, args); break;
+        case 'unsubscribe': unsubscribe(id, args); break;
+        case 'cancel': cancel(id, args); break;
+        case 'reset': reset(id); break;
+        case 'wait_race': waitRace(id, args); break;
+        case 'wait_gate': waitGate(id); break;
+        case 'update_begin': answer(id, updateBegin(args)); break;
+        case 'update_chunk': answer(id, updateChunk(args)); break;
+        case 'update_commit': answer(id, updateCommit(args)); break;
+        case 'update_abort': answer(id, updateAbort(args)); break;
+        default: err(id, 'not_supported', `unknown command: ${cmd}`);
+      }
+    }
+
+    /** Send an update_* handler's { ok } or { code, message }. */
+    function answer(id, result) {
+      if (result.code) err(id, result.code, result.message);
+      else ok(id, result.ok);
+    }
+
+    function subscribe(id, args) {
+      let topics = args.topics ?? args._pos;
+      if (typeof topics === 'string') topics = topics.split(',').map(t => t.trim()).filter(Boolean);
+      if (!Array.isArray(topics) || !topics.length) {
+        err(id, 'bad_args', 'subscribe requires topics list');
+        return;
+      }
+      const accepted = topics.filter(t => TOPICS.includes(t));
+      const unknown = topics.filter(t => !TOPICS.includes(t));
+      if (!accepted.length) {
+        err(id, 'bad_args', 'no recognized topics');
+        return;
+      }
+      if (subs.has(id)) {
+        err(id, 'bad_state', 'id already in use as a sub');
+        return;
+      }
+      subs.set(id, new Set(accepted));
+      ok(id, unknown.length ? { sub: id, topics: accepted, unknown } : { sub: id, topics: accepted });
+
+      // Initial state follows the response
+      if (accepted.includes('gate')) {
+        enqueue(false, { sub: id, event: 'state', gate_ready: _gateReady, ms: _ms });
+      }
+      if (accepted.includes('lanes')) {
+        for (let lane = 1; lane <= laneCount; lane++) {
+          enqueue(false, { sub: id, event: 'state', lane, triggered: !!_laneTriggered.get(lane), ms: _ms });
+        }
+      }
+    }
+
+    function unsubscribe(id, args) {
+      const sub = parseInt(args.sub ?? args._pos?.[0], 10);
+      if (Number.isNaN(sub)) {
+        err(id, 'bad_args', 'unsubscribe requires sub');
+        return;
+      }
+      if (!subs.delete(sub)) {
+        err(id, 'bad_args', 'no such sub');
+        return;
+      }
+      dropCounts.delete(sub);
+      ok(id, {});
+    }
+
+    function cancel(id, args) {
+      const target = parseInt(args.target ?? args._pos?.[0], 10);
+      if (Number.isNaN(target)) {
+        err(id, 'bad_args', 'cancel requires target');
+        return;
+      }
+      if (subs.delete(target)) {
+        dropCounts.delete(target);
+        err(target, 'cancelled', 'cancelled by host');
+        ok(id, {});
+        return;
+      }
+      const kind = pending.get(target);
+      if (!kind) {
+        err(id, 'bad_args', 'no pending request with that id');
+        return;
+      }
+      pending.delete(target);
+      // The engine disarms once nobody is waiting for the race
+      if (kind === 'wait_race' && !waitingForRace()) cancelRace();
+      err(target, 'cancelled', 'cancelled by host');
+      ok(id, {});
+    }
+
+    function reset(id) {
+      for (const rid of [...pending.keys()]) {
+        pending.delete(rid);
+        err(rid, 'cancelled', 'session reset');
+      }
+      subs.clear();
+      dropCounts.clear();
+      cancelRace();
+      ok(id, {});
+    }
+
+    function waitRace(id, args) {
+      const lanes = args.lanes ?? args._pos?.[0];
+      if (args.after && _lastRace && args.after !== _lastRace.race_id) {
+        ok(id, _lastRace);
+        return;
+      }
+      if (lanes) {
+        const seen = new Set();
+        for (const ch of String(lanes)) {
+          const n = Number(ch);
+          if (!Number.isInteger(n)) {
+            err(id, 'bad_args', `invalid lanes: ${lanes}`);
+            return;
+          }
+          if (n < 1 || n > laneCount) {
+            err(id, 'bad_args', `lane ${n} out of range 1..${laneCount}`);
+            return;
+          }
+          if (seen.has(n)) {
+            err(id, 'bad_args', `duplicate lane ${n}`);
+            return;
+          }
+          seen.add(n);
+        }
+      }
+      // Another waiter may have armed it already — then just listen
+      if (_phase === IDLE) arm(lanes ? String(lanes) : null);
+      pending.set(id, 'wait_race');
+    }
+
+    function waitGate(id) {
+      if (_gateReady) {
+        ok(id, { gate_ready: true });
+        return;
+      }
+      pending.set(id, 'wait_gate');
+    }
+
+    /** Resolve this session's waiters of one kind. */
+    function resolvePending(kind, payload) {
+      for (const [rid, k] of [...pending]) {
+        if (k !== kind) continue;
+        pending.delete(rid);
+        ok(rid, payload);
+      }
+    }
+
+    function close() {
+      if (closed) return;
+      closed = true;
+      _sessions.delete(session);
+      subs.clear();
+      pending.clear();
+      outq.length = 0;
+    }
+
+    const session = {
+      feedLine, drain, deliver, resolvePending, close,
+      hasPending: (kind) => [...pending.values()].includes(kind)
+    };
+    _sessions.add(session);
+    return session;
+  }
+
+  function waitingForRace() {
+    return [..._sessions].some(s => s.hasPending('wait_race'));
+  }
+
+  function publish(topic, payload) {
+    for (const s of [..._sessions]) s.deliver(topic, payload);
+  }
+
+  function info() {
+    return { protocol: PROTOCOL, firmware: _firmware, lane_count: laneCount, topics: [...TOPICS] };
+  }
+
+  function dbg() {
+    const lanes = {};
+    for (let lane = 1; lane <= laneCount; lane++) {
+      const triggered = !!_laneTriggered.get(lane);
+      lanes[lane] = { raw: triggered ? 0 : 1, debounced: triggered ? 0 : 1, invert: false, pull: 'up' };
+    }
+    return {
+      controller: { protocol: PROTOCOL, firmware: _firmware, uptime_ms: _ms },
+      io: {
+        start_gate: { raw: _gateReady ? 1 : 0, debounced: _gateReady ? 1 : 0, invert: true, pull: 'up' },
+        lanes,
+        debounce_ms: DEBOUNCE_MS
+      },
+      engine: {
+        phase: _phase,
+        race_id: _raceId,
+        active_lanes: _activeLanes ? [..._activeLanes].sort((a, b) => a - b) : null,
+        gate_ready: _gateReady
+      }
+    };
+  }
+
+  // ─── Race Engine (engine.py) ────────────────────────────────────
+
+  function setPhase(phase) {
+    const prev = _phase;
+    _phase = phase;
+    publish('engine', { event: 'phase', phase, prev, ms: _ms });
+    if (phase === ARMED) {
+      publish('race', { event: 'armed', lanes: [..._activeLanes].sort((a, b) => a - b).join(''), ms: _ms });
+      for (const resolveArmed of _armedWaiters.splice(0)) resolveArmed();
+    } else if (phase === RACING) {
+      publish('race', { event: 'started', ms: _ms });
+    }
+  }
+
+  function arm(lanes) {
+    _activeLanes = lanes
+      ? new Set([...lanes].map(Number))
+      : new Set(Array.from({ length: laneCount }, (_, i) => i + 1));
+    _raceId = `race-${++_raceSeq}`;
+    _startMs = null;
+    _times = new Map();
+    setPhase(ARMED);
+  }
+
+  function cancelRace() {
+    if (_phase !== ARMED) return;
+    _raceId = null;
+    _activeLanes = null;
+    setPhase(IDLE);
+  }
+
+  function completeRace() {
+    const times_ms = {};
+    for (const lane of [..._times.keys()].sort((a, b) => a - b)) times_ms[lane] = _times.get(lane);
+    const result = { race_id: _raceId, times_ms };
+    _lastRace = result;
+    _raceId = null;
+    _activeLanes = null;
+    _startMs = null;
+    _times = new Map();
+    setPhase(IDLE);
+    for (const s of [..._sessions]) s.resolvePending('wait_race', result);
+    publish('race', { event: 'completed', ms: _ms, ...result });
+  }
+
+  function edge(info) {
+    publish('edges', { event: 'edge', ...info, ms: _ms });
+    if (info.pin === 'lane') {
+      publish('lanes', { event: 'state', lane: info.lane, triggered: info.edge === 'triggered', ms: _ms });
+    }
+  }
+
+  // ─── Scripted Hardware ──────────────────────────────────────────
+
+  /** The start gate drops. Starts the race if the engine is armed. */
+  function openGate() {
+    if (!_gateReady) return;
+    _gateReady = false;
+    edge({ pin: 'gate', edge: 'opened' });
+    publish('gate', { event: 'state', gate_ready: false, ms: _ms });
+    if (_phase === ARMED) {
+      _startMs = _ms;
+      setPhase(RACING);
+    }
+  }
+
+  /** The start gate is reset, which answers any wait_gate. */
+  function closeGate() {
+    if (_gateReady) return;
+    _gateReady = true;
+    edge({ pin: 'gate', edge: 'closed' });
+    publish('gate', { event: 'state', gate_ready: true, ms: _ms });
+    for (const s of [..._sessions]) s.resolvePending('wait_gate', { gate_ready: true });
+  }
+
+  /** A car reaches a lane sensor. */
+  function triggerLane(lane) {
+    _laneTriggered.set(lane, true);
+    edge({ pin: 'lane', lane, edge: 'triggered' });
+    if (_phase !== RACING || !_activeLanes.has(lane) || _times.has(lane)) return;
+    _times.set(lane, _ms - _startMs);
+    if (_times.size === _activeLanes.size) completeRace();
+  }
+
+  /** The car has left the lane sensor. */
+  function clearLane(lane) {
+    _laneTriggered.set(lane, false);
+    edge({ pin: 'lane', lane, edge: 'cleared' });
+  }
+
+  /** Move the uptime on; a race running past the timeout ends with what it has. */
+  function advance(ms) {
+    _ms += ms;
+    if (_phase === RACING && _ms - _startMs >= raceTimeoutMs) completeRace();
+  }
+
+  /**
+   * Run a whole race: the gate opens and each lane finishes at its time
+   * (ms after the start). Lanes left out or null never finish; advance()
+   * past the race timeout to end the race without them.
+   * @param {Object<string, number|null>} times
+   */
+  function race(times) {
+    openGate();
+    const start = _ms;
+    const finishes = Object.entries(times)
+      .filter(([, t]) => t != null)
+      .map(([lane, t]) => [Number(lane), t])
+      .sort((a, b) => a[1] - b[1]);
+    for (const [lane, t] of finishes) {
+      advance(start + t - _ms);
+      triggerLane(lane);
+      clearLane(lane);
+    }
+  }
+
+  /** Resolves once the engine is armed (at once if it already is). */
+  function whenArmed() {
+    if (_phase === ARMED) return Promise.resolve();
+    return new Promise(r => _armedWaiters.push(r));
+  }
+
+  /**
+   * Resolves with the next request the device receives that matches, after
+   * the device has handled it.
+   * @param {(frame: Object) => boolean} [match]
+   */
+  function next(match = () => true) {
+    return new Promise(r => _inboundWaiters.push({ match, resolve: r }));
+  }
+
+  function received(frame) {
+    if (!frame) return;
+    for (const w of [..._inboundWaiters]) {
+      if (!w.match(frame)) continue;
+      _inboundWaiters.splice(_inboundWaiters.indexOf(w), 1);
+      w.resolve(frame);
+    }
+  }
+
+  // ─── Faults ─────────────────────────────────────────────────────
+
+  /** Delay everything the device sends from now on. */
+  function setLatency(ms) {
+    _latency = ms;
+  }
+
+  /**
+   * Lose the next `count` outbound frames that match, on serial and SSE.
+   * @param {(frame: Object) => boolean} [match]
+   * @param {number} [count]
+   */
+  function drop(match = () => true, count = 1) {
+    _drops.push({ match, count });
+  }
+
+  /** The serial host stops reading: frames queue, and events overflow. */
+  function pauseOutput() {
+    _outputPaused = true;
+  }
+
+  function resumeOutput() {
+    _outputPaused = false;
+    _serialSession?.drain();
+  }
+
+  /** Pull the USB cable: the host's read fails mid-stream. */
+  function unplug() {
+    _serial.lose();
+  }
+
+  /**
+   * Soft-reset. Sessions, subscriptions, waits and the last race are lost;
+   * the gate and lanes keep their physical state. The serial port stays
+   * open and prints the boot banner when the device is back.
+   * @param {{ downMs?: number }} [opts]
+   * @returns {Promise<void>} resolves once the device answers again
+   */
+  function reboot({ downMs = bootMs } = {}) {
+    _up = false;
+    clearTimeout(_rebootTimer);
+    _rebootTimer = null;
+    for (const s of [..._sessions]) s.close();
+    _serialSession = null;
+    for (const res of _sseStreams) res.destroy();
+    _sseStreams.clear();
+    _ms = 0;
+    _phase = IDLE;
+    _raceId = null;
+    _activeLanes = null;
+    _startMs = null;
+    _times = new Map();
+    _lastRace = null;
+    _update = null;
+    return new Promise(r => setTimeout(() => {
+      _up = true;
+      _serialSession = createSession(_serialWrite, SERIAL_QUEUE_CAP);
+      for (const line of BOOT_LINES) later(() => _serial.push(line + '\r\n'));
+      r();
+    }, downMs));
+  }
+
+  // ─── In-Band Update (update.py) ─────────────────────────────────
+
+  function updateBegin({ version, files }) {
+    if (_update) return { code: 'busy', message: 'another update session is open' };
+    if (typeof version !== 'string' || !Array.isArray(files) || !files.length) {
+      return { code: 'bad_args', message: 'manifest requires version and files[]' };
+    }
+    for (const f of files) {
+      if (!f || typeof f.name !== 'string' || !/^[\w.-]+$/.test(f.name)) {
+        return { code: 'bad_args', message: `invalid filename: ${f?.name}` };
+      }
+      if (!Number.isInteger(f.size) || f.size < 0 || f.size > 1000000) {
+        return { code: 'bad_args', message: 'invalid file size' };
+      }
+    }
+    _update = {
+      session: `u-${_ms}`,
+      version,
+      files: new Map(files.map(f => [f.name, { ...f, chunks: [], received: 0 }]))
+    };
+    return { ok: { session: _update.session, chunk_size: UPDATE_CHUNK } };
+  }
+
+  function updateChunk({ session, name, offset, data }) {
+    if (!_update) return { code: 'bad_state', message: 'no active update session' };
+    if (session !== _update.session) return { code: 'bad_args', message: 'session mismatch' };
+    const file = _update.files.get(name);
+    if (!file) return { code: 'bad_args', message: `unknown file: ${name}` };
+    if (offset !== file.received) {
+      return { code: 'bad_args', message: `offset out of order (expected ${file.received})` };
+    }
+    if (typeof data !== 'string') return { code: 'bad_args', message: 'data must be base64 string' };
+    const blob = Buffer.from(data, 'base64');
+    if (blob.length > UPDATE_CHUNK) return { code: 'bad_args', message: 'chunk exceeds chunk_size' };
+    file.chunks.push(blob);
+    file.received += blob.length;
+    if (file.received >= file.size && file.sha256) {
+      const got = createHash('sha256').update(Buffer.concat(file.chunks)).digest('hex');
+      if (got !== file.sha256.toLowerCase()) {
+        file.chunks = [];
+        file.received = 0;
+        return { code: 'bad_args', message: `sha256 mismatch on ${name}` };
+      }
+    }
+    return { ok: { received: file.received } };
+  }
+
+  function updateCommit({ session }) {
+    if (!_update) return { code: 'bad_state', message: 'no active update session' };
+    if (session !== _update.session) return { code: 'bad_args', message: 'session mismatch' };
+    for (const [name, file] of _update.files) {
+      if (file.received < file.size) return { code: 'bad_state', message: `${name} is incomplete` };
+    }
+    if (_phase === RACING) return { code: 'bad_state', message: 'race in progress — wait for it to finish' };
+    cancelRace();
+    for (const [name, file] of _update.files) _files[name] = Buffer.concat(file.chunks).toString('utf8');
+    _firmware = _update.version;
+    _update = null;
+    // Reboot once the OK has gone out
+    _rebootTimer = setTimeout(() => reboot(), REBOOT_DELAY_MS);
+    return { ok: { committed: true, rebooting_in_ms: REBOOT_DELAY_MS } };
+  }
+
+  function updateAbort({ session }) {
+    if (!_update) return { ok: {} };
+    if (session !== _update.session) return { code: 'bad_args', message: 'session mismatch' };
+    _update = null;
+    return { ok: {} };
+  }
+
+  // ─── Virtual Serial Port ────────────────────────────────────────
+
+  function createVirtualSerialPort() {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    let controller = null;
+    let lineBuf = '';
+
+    function receive(text) {
+      lineBuf += text;
+      const lines = lineBuf.split(/\r\n|\r|\n/);
+      lineBuf = lines.pop();
+      for (const line of lines) {
+        if (!_up || !_serialSession) continue;   // nobody listening while it boots
+        received(_serialSession.feedLine(line));
+      }
+    }
+
+    const port = {
+      readable: null,
+      writable: null,
+      async open() {
+        if (port.readable) throw new DOMException('The port is already open.', 'InvalidStateError');
+        lineBuf = '';
+        port.readable = new ReadableStream({
+          start(c) { controller = c; },
+          cancel() { controller = null; }
+        });
+        port.writable = new WritableStream({
+          write(chunk) { receive(decoder.decode(chunk, { stream: true })); }
+        });
+      },
+      async close() {
+        try { controller?.close(); } catch {}
+        controller = null;
+        port.readable = null;
+        port.writable = null;
+      },
+      getInfo() {
+        return { usbVendorId: 0x2e8a, usbProductId: 0x0005 };   // Raspberry Pi Pico
+      }
+    };
+
+    return {
+      port,
+      push(text) {
+        try { controller?.enqueue(encoder.encode(text)); } catch { controller = null; }
+      },
+      lose() {
+        try { controller?.error(new DOMException('The device has been lost.', 'NetworkError')); } catch {}
+        controller = null;
+        port.readable = null;
+        port.writable = null;
+      }
+    };
+  }
+
+  // ─── HTTP + SSE (http_handler.py) ───────────────────────────────
+
+  function sendJson(res, status, body) {
+    later(() => {
+      if (res.destroyed) return;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...CORS });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  }
+
+  /** /info and /cmd: one frame in a short-lived session, one frame back. */
+  function oneShot(res, line) {
+    if (!line) {
+      sendJson(res, 400, { err: 'empty body' });
+      return;
+    }
+    const captured = [];
+    const s = createSession(out => captured.push(out), HTTP_QUEUE_CAP);
+    const frame = s.feedLine(line);
+    s.close();
+    received(frame);
+    if (!captured.length) {
+      // A long wait — the firmware can't hold it over /cmd
+      sendJson(res, 202, { err: 'use SSE for waits', code: 'bad_state' });
+      return;
+    }
+    sendJson(res, 200, captured[0]);
+  }
+
+  function openEvents(res, topics) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      ...CORS
+    });
+    res.flushHeaders();
+    const s = createSession((line, frame) => {
+      if (dropped(frame)) return true;
+      later(() => {
+        if (!res.destroyed && !res.writableEnded) res.write(`data: ${line}\n\n`);
+      });
+      return true;
+    }, HTTP_QUEUE_CAP);
+    _sseStreams.add(res);
+    res.on('close', () => {
+      _sseStreams.delete(res);
+      s.close();
+    });
+    const list = (topics || '').split(',').map(t => t.trim()).filter(Boolean);
+    if (list.length) s.feedLine(JSON.stringify({ id: 1, cmd: 'subscribe', topics: list }));
+  }
+
+  function handleHttp(req, res) {
+    if (!_up) {
+      req.socket.destroy();   // rebooting: nothing answers
+      return;
+    }
+    const { pathname, searchParams } = new URL(req.url, 'http://emulator');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        ...CORS,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      res.end();
+    } else if (req.method === 'GET' && pathname === '/info') {
+      oneShot(res, '{"id":1,"cmd":"info"}');
+    } else if (req.method === 'POST' && pathname === '/cmd') {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => oneShot(res, body.trim()));
+    } else if (req.method === 'GET' && pathname === '/events') {
+      openEvents(res, searchParams.get('topics'));
+    } else {
+      sendJson(res, 404, { err: 'not found' });
+    }
+  }
+
+  /**
+   * Serve the WiFi transport on a local port.
+   * @param {{ port?: number, host?: string }} [opts] - port 0 picks a free one
+   * @returns {Promise<{ address: string, close: () => Promise<void> }>}
+   *   address is host:port, as connectWifi() takes it
+   */
+  async function listen({ port = 0, host = '127.0.0.1' } = {}) {
+    _server = createServer(handleHttp);
+    await new Promise((resolveListen, reject) => {
+      _server.once('error', reject);
+      _server.listen(port, host, resolveListen);
+    });
+    return { address: `${host}:${_server.address().port}`, close };
+  }
+
+  /** Stop the HTTP server and any pending reboot. */
+  async function close() {
+    clearTimeout(_rebootTimer);
+    _rebootTimer = null;
+    if (!_server) return;
+    for (const res of _sseStreams) res.destroy();
+    _sseStreams.clear();
+    _server.closeAllConnections();
+    await new Promise(r => _server.close(r));
+    _server = null;
+  }
+
+  /** @returns {{ up: boolean, phase: string, gate_ready: boolean, last_race: Object|null, firmware: string, files: Object<string, string> }} */
+  function getState() {
+    return { up: _up, phase: _phase, gate_ready: _gateReady, last_race: _lastRace, firmware: _firmware, files: { ..._files } };
+  }
+
+  return {
+    serialPort: _serial.port,
+    listen, close, getState,
+    openGate, closeGate, triggerLane, clearLane, advance, race,
+    whenArmed, next,
+    setLatency, drop, pauseOutput, resumeOutput, unplug, reboot
+  };
+}
+
+// ─── Console ─────────────────────────────────────────────────────
+
+function runConsole(emulator) {
+  const rl = createInterface({ input: process.stdin });
+  rl.on('line', (line) => {
+    const [cmd, ...args] = line.trim().split(/\s+/);
+    switch (cmd) {
+      case 'race':
+        emulator.race(Object.fromEntries(args.map(a => a.split('=').map(Number))));
+        break;
+      case 'gate':
+        if (args[0] === 'open') emulator.openGate();
+        else emulator.closeGate();
+        break;
+      case 'lane':
+        emulator.triggerLane(Number(args[0]));
+        emulator.clearLane(Number(args[0]));
+        break;
+      case 'advance': emulator.advance(Number(args[0])); break;
+      case 'latency': emulator.setLatency(Number(args[0])); break;
+      case 'drop': emulator.drop(undefined, Number(args[0]) || 1); break;
+      case 'reboot': emulator.reboot().then(() => console.log('back up')); break;
+      case 'state': console.log(emulator.getState()); break;
+      case '': break;
+      default: console.log(`unknown: ${cmd}`);
+    }
+  });
+}
+
+const isMain = process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMain) {
+  const arg = (name, fallback) => {
+    const i = process.argv.indexOf(name);
+    return i >= 0 ? parseInt(process.argv[i + 1], 10) : fallback;
+  };
+  const emulator = createV2Emulator({ laneCount: arg('--lanes', 6) });
+  const port = arg('--port', 8080);
+  await emulator.listen({ port, host: '0.0.0.0' });
+  console.log(`RallyLab v2 emulator serving /info, /cmd and /events on port ${port}`);
+  runConsole(emulator);
+}
@@ -0,0 +1,16 @@
+-- Hash-chain columns for race-day events (see specs/04-domain-events.md §6.3).
+--
+-- Each device links the events it appends for a rally into a chain:
+-- chain_id identifies the device, chain_seq counts from 1, prev_hash is the
+-- previous event's hash and hash covers the event's payload. The same fields
+-- are inside `payload`; the columns let an auditor walk a chain in SQL.
+-- Pre-race events inserted directly (and rows synced before this migration)
+-- leave them NULL.
+
+ALTER TABLE domain_events ADD COLUMN IF NOT EXISTS chain_id TEXT;
+ALTER TABLE domain_events ADD COLUMN IF NOT EXISTS chain_seq INTEGER;
+ALTER TABLE domain_events ADD COLUMN IF NOT EXISTS prev_hash TEXT;
+ALTER TABLE domain_events ADD COLUMN IF NOT EXISTS hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_domain_events_chain
+  ON domain_events(rally_id, chain_id, chain_seq);
@@ -0,0 +1,44 @@
+-- Public read access for the parent results page (results.html?rally=<id>).
+--
+-- Parents don't sign in, and RLS only lets rally members read
+-- domain_events, so the page reads through this function instead. It
+-- returns the events needed to rebuild standings and schedules, with the
+-- email addresses of organizers and volunteers and the hash-chain fields
+-- stripped from the payload. Invitations, check-in roles and inspections
+-- are not returned at all. Knowing the rally id is what grants access:
+-- share the results link the same way as the audience display.
+--
+-- Keep the type and field lists in step with public/js/results-feed.js.
+
+CREATE OR REPLACE FUNCTION public_rally_events(p_rally_id UUID, p_after_id BIGINT DEFAULT 0)
+RETURNS TABLE (id BIGINT, rally_id UUID, section_id UUID, event_type TEXT, payload JSONB)
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT
+    de.id,
+    de.rally_id,
+    de.section_id,
+    de.event_type,
+    de.payload - ARRAY[
+      'created_by', 'added_by', 'invited_by', 'removed_by',
+      'registrar_email', 'operator_email', 'email',
+      'chain_id', 'chain_seq', 'prev_hash', 'hash',
+      'stored_at', 'synced', 'server_id', 'id'
+    ]
+  FROM domain_events de
+  WHERE de.rally_id = p_rally_id
+    AND de.id > COALESCE(p_after_id, 0)
+    AND de.event_type IN (
+      'RallyCreated', 'SectionCreated', 'GroupCreated',
+      'ParticipantAdded', 'ParticipantUpdated', 'ParticipantRemoved', 'RosterUpdated',
+      'CarArrived', 'CarArrivalRevoked', 'CarRemoved', 'CarReinstated', 'FinalsSeeded',
+      'SectionStarted', 'LanesChanged', 'RaceCompleted', 'ResultManuallyEntered',
+      'ResultCorrected', 'RerunDeclared', 'RotationAdded', 'BracketRoundCompleted',
+      'SectionCompleted'
+    )
+  ORDER BY de.id
+  LIMIT 1000;
+$$;
+
+REVOKE ALL ON FUNCTION public_rally_events(UUID, BIGINT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public_rally_events(UUID, BIGINT) TO anon, authenticated;
@@ -0,0 +1,43 @@
+-- Storage for car photos (CarPhotoTaken, specs/04-domain-events.md §3.18).
+--
+-- Photos are stored as car-photos/<rally_id>/<photo_id>.jpg. Only members
+-- of the rally (any role in rally_roles) can read or upload them; the
+-- parent results page does not show photos. Safe to re-run.
+--
+-- Keep the bucket name in step with PHOTO_BUCKET in public/js/car-photos.js.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('car-photos', 'car-photos', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Rally members read car photos" ON storage.objects;
+DROP POLICY IF EXISTS "Rally members upload car photos" ON storage.objects;
+DROP POLICY IF EXISTS "Rally members replace car photos" ON storage.objects;
+
+CREATE POLICY "Rally members read car photos"
+  ON storage.objects FOR SELECT
+  USING (
+    bucket_id = 'car-photos'
+    AND (storage.foldername(name))[1] IN (
+      SELECT rally_id::text FROM rally_roles WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Rally members upload car photos"
+  ON storage.objects FOR INSERT
+  WITH CHECK (
+    bucket_id = 'car-photos'
+    AND (storage.foldername(name))[1] IN (
+      SELECT rally_id::text FROM rally_roles WHERE user_id = auth.uid()
+    )
+  );
+
+-- Uploads use upsert, so a retried upload of the same photo needs UPDATE too
+CREATE POLICY "Rally members replace car photos"
+  ON storage.objects FOR UPDATE
+  USING (
+    bucket_id = 'car-photos'
+    AND (storage.foldername(name))[1] IN (
+      SELECT rally_id::text FROM rally_roles WHERE user_id = auth.uid()
+    )
+  );
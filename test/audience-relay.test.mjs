@@ -0,0 +1,184 @@
+/**
+ * Tests for scripts/audience-relay.mjs, run as its own process on a free port.
+ * Run with: node --test test/audience-relay.test.mjs
+ *
+ * The clients speak just enough RFC 6455 over node:http's upgrade to check
+ * who the relay lets in and what it refuses.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { request } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const RELAY = fileURLToPath(new URL('../scripts/audience-relay.mjs', import.meta.url));
+
+let relay = null;
+let port = null;
+let operatorCode = null;
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+/** A masked client→server frame. */
+function clientFrame(opcode, payload = Buffer.alloc(0)) {
+  const mask = randomBytes(4);
+  const len = payload.length;
+  const header = len < 126 ? Buffer.from([0x80 | opcode, 0x80 | len]) : Buffer.alloc(4);
+  if (len >= 126) {
+    header[0] = 0x80 | opcode;
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(len, 2);
+  }
+  const body = Buffer.from(payload);
+  for (let i = 0; i < body.length; i++) body[i] ^= mask[i % 4];
+  return Buffer.concat([header, mask, body]);
+}
+
+/** Wrap an upgraded socket: read server frames in order, send client ones. */
+function wsClient(socket, head) {
+  let buffer = Buffer.from(head);
+  const frames = [];
+  const waiting = [];
+  const parse = () => {
+    while (buffer.length >= 2) {
+      let len = buffer[1] & 0x7f;
+      let pos = 2;
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        pos = 4;
+      }
+      if (buffer.length < pos + len) return;
+      frames.push({ opcode: buffer[0] & 0x0f, payload: buffer.subarray(pos, pos + len) });
+      buffer = buffer.subarray(pos + len);
+    }
+    while (frames.length && waiting.length) waiting.shift()(frames.shift());
+  };
+  socket.on('data', (chunk) => { buffer = Buffer.concat([buffer, chunk]); parse(); });
+  socket.on('error', () => {});
+  parse();
+  return {
+    socket,
+    /** The next frame from the relay, or null if the socket ends first. */
+    next() {
+      if (frames.length) return Promise.resolve(frames.shift());
+      return new Promise((resolve) => {
+        waiting.push(resolve);
+        socket.once('close', () => resolve(null));
+      });
+    },
+    send(message) {
+      socket.write(clientFrame(0x1, Buffer.from(JSON.stringify(message))));
+    },
+    /** Resolve once the relay has read everything sent before this. */
+    async flush() {
+      socket.write(clientFrame(0x9));
+      const frame = await this.next();
+      assert.equal(frame?.opcode, 0xa);
+    },
+    close() {
+      socket.destroy();
+    }
+  };
+}
+
+function connect(query) {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      port,
+      path: `/relay?${query}`,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': randomBytes(16).toString('base64')
+      }
+    });
+    req.on('upgrade', (res, socket, head) => resolve(wsClient(socket, head)));
+    req.on('response', res => reject(new Error(`no upgrade: HTTP ${res.statusCode}`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/** Close code of a close frame, or null for any other frame. */
+function closeCode(frame) {
+  return frame?.opcode === 0x8 ? frame.payload.readUInt16BE(0) : null;
+}
+
+function getStatus(path) {
+  return new Promise((resolve, reject) => {
+    request({ port, path }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject).end();
+  });
+}
+
+// ─── Tests ───────────────────────────────────────────────────────
+
+describe('audience relay', () => {
+  before(async () => {
+    relay = spawn(process.execPath, [RELAY, '--port', '0'], { stdio: ['ignore', 'pipe', 'inherit'] });
+    let out = '';
+    await new Promise((resolve, reject) => {
+      relay.once('exit', code => reject(new Error(`relay exited with ${code}`)));
+      relay.stdout.on('data', (chunk) => {
+        out += chunk;
+        port ??= Number(out.match(/on port (\d+)/)?.[1]) || null;
+        operatorCode ??= out.match(/Operator code: (\w+)/)?.[1] || null;
+        if (port && operatorCode) resolve();
+      });
+    });
+  });
+
+  after(() => {
+    relay?.kill();
+  });
+
+  it('refuses an operator without the right code', async () => {
+    for (const query of ['role=operator', 'role=operator&token=00000000']) {
+      const client = await connect(query);
+      assert.equal(closeCode(await client.next()), 4003);
+      client.close();
+    }
+  });
+
+  it('accepts an operator with the code and relays its messages', async () => {
+    const operator = await connect(`role=operator&token=${operatorCode}`);
+    operator.send({ type: 'SHOW_WELCOME', rally_name: 'Kub Kars' });
+    await operator.flush();
+
+    const display = await connect('role=audience');
+    display.send({ type: 'REQUEST_STATE' });
+    const frame = await display.next();
+    assert.deepEqual(JSON.parse(frame.payload), { type: 'SHOW_WELCOME', rally_name: 'Kub Kars' });
+    operator.close();
+    display.close();
+  });
+
+  it('closes with 1009 on a frame over the size cap', async () => {
+    const client = await connect('role=audience');
+    const header = Buffer.alloc(14);
+    header[0] = 0x81;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(2n ** 40n, 2);
+    client.socket.write(header);
+    assert.equal(closeCode(await client.next()), 1009);
+    client.close();
+  });
+
+  it('survives a refused operator resetting the connection', async () => {
+    const client = await connect('role=operator');
+    client.socket.resetAndDestroy();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(await getStatus('/audience.html'), 200);
+  });
+
+  it('answers 400 to a malformed %-escape and keeps serving', async () => {
+    assert.equal(await getStatus('/%E0%A4%A'), 400);
+    assert.equal(await getStatus('/audience.html'), 200);
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Unit tests for bracket.js
+ * Run with: node --test test/bracket.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createBracket, applyRoundOutcome, isBracketComplete, generateBracketRound,
+  bracketSchedule, resolveRound, bracketPlacings, buildBracketView,
+  removeCarFromBracket, relaneBracket, isBracketFormat
+} from '../public/js/bracket.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+function participants(n) {
+  const out = [];
+  for (let i = 1; i <= n; i++) {
+    out.push({ car_number: String(i), name: `Car ${i}` });
+  }
+  return out;
+}
+
+/** Fake a timed result where lower car numbers are always faster. */
+function resultFor(heat) {
+  const times_ms = {};
+  for (const l of heat.lanes) times_ms[String(l.lane)] = 2000 + Number(l.car_number) * 10;
+  return { type: 'RaceCompleted', heat_number: heat.heat_number, lanes: heat.lanes, times_ms };
+}
+
+/**
+ * Race a whole bracket to completion with resultFor(), returning the final
+ * bracket state and every heat run.
+ */
+function raceBracket(format, n, lanes) {
+  const ps = participants(n);
+  let bracket = createBracket(format, ps.map(p => p.car_number));
+  const heats = [];
+  const results = {};
+  let guard = 0;
+  while (!isBracketComplete(bracket)) {
+    assert.ok(guard++ < 50, 'bracket did not converge');
+    const round = generateBracketRound({
+      bracket, participants: ps, available_lanes: lanes, first_heat_number: heats.length + 1
+    });
+    for (const h of round) results[h.heat_number] = resultFor(h);
+    heats.push(...round);
+    bracket = applyRoundOutcome(bracket, resolveRound({ bracket, heats: round, results }));
+  }
+  return { bracket, heats, results };
+}
+
+// ─── isBracketFormat ────────────────────────────────────────────
+
+describe('isBracketFormat', () => {
+  it('recognises the elimination formats only', () => {
+    assert.strictEqual(isBracketFormat('single_elimination'), true);
+    assert.strictEqual(isBracketFormat('double_elimination'), true);
+    assert.strictEqual(isBracketFormat('round_robin'), false);
+    assert.strictEqual(isBracketFormat(undefined), false);
+  });
+});
+
+// ─── generateBracketRound ───────────────────────────────────────
+
+describe('generateBracketRound', () => {
+  it('splits the field across ceil(n / lanes) heats', () => {
+    const ps = participants(10);
+    const bracket = createBracket('single_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2, 3, 4] });
+    assert.strictEqual(heats.length, 3);
+    assert.deepStrictEqual(heats.map(h => h.lanes.length), [4, 3, 3]);
+    assert.deepStrictEqual(heats.map(h => h.heat_number), [1, 2, 3]);
+    assert.ok(heats.every(h => h.round === 1 && h.bracket === 'winners'));
+  });
+
+  it('spreads neighbouring seeds across heats', () => {
+    const ps = participants(8);
+    const bracket = createBracket('single_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2, 3, 4] });
+    const cars = heats.map(h => h.lanes.map(l => l.car_number).sort());
+    assert.deepStrictEqual(cars, [['1', '3', '5', '7'], ['2', '4', '6', '8']]);
+  });
+
+  it('only uses the available lanes and carries names', () => {
+    const ps = participants(3);
+    const bracket = createBracket('single_elimination', ps.map(p => p.car_number));
+    const [heat] = generateBracketRound({ bracket, participants: ps, available_lanes: [5, 1, 3] });
+    assert.deepStrictEqual(heat.lanes.map(l => l.lane), [1, 3, 5]);
+    assert.ok(heat.lanes.every(l => l.name === `Car ${l.car_number}`));
+  });
+
+  it('gives a lone car a bye instead of a one-car heat', () => {
+    const ps = participants(3);
+    const bracket = createBracket('single_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2] });
+    assert.strictEqual(heats.length, 1);
+    assert.strictEqual(heats[0].lanes.length, 2);
+  });
+
+  it('stages a final heat between the last winners and losers cars', () => {
+    const bracket = { ...createBracket('double_elimination', ['1', '2']), winners: ['1'], losers: ['2'], round: 2 };
+    const heats = generateBracketRound({ bracket, participants: participants(2), available_lanes: [1, 2, 3] });
+    assert.strictEqual(heats.length, 1);
+    assert.strictEqual(heats[0].bracket, 'final');
+    assert.deepStrictEqual(heats[0].lanes.map(l => l.car_number).sort(), ['1', '2']);
+  });
+
+  it('returns no heats once a champion is decided', () => {
+    const bracket = { ...createBracket('single_elimination', ['1', '2']), winners: [], champion: '1' };
+    assert.deepStrictEqual(generateBracketRound({ bracket, participants: participants(2), available_lanes: [1, 2] }), []);
+  });
+});
+
+// ─── resolveRound ───────────────────────────────────────────────
+
+describe('resolveRound', () => {
+  it('advances the faster half of each heat', () => {
+    const ps = participants(8);
+    const bracket = createBracket('single_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2, 3, 4] });
+    const results = Object.fromEntries(heats.map(h => [h.heat_number, resultFor(h)]));
+    const outcome = resolveRound({ bracket, heats, results });
+    assert.deepStrictEqual(outcome.winners, ['1', '2', '3', '4']);
+    assert.deepStrictEqual(outcome.losers, []);
+    assert.deepStrictEqual(outcome.eliminated, ['5', '6', '7', '8']);
+    assert.strictEqual(outcome.champion, null);
+  });
+
+  it('drops losers to the losers bracket in double elimination', () => {
+    const ps = participants(4);
+    const bracket = createBracket('double_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2, 3, 4] });
+    const results = Object.fromEntries(heats.map(h => [h.heat_number, resultFor(h)]));
+    const outcome = resolveRound({ bracket, heats, results });
+    assert.deepStrictEqual(outcome.winners, ['1', '2']);
+    assert.deepStrictEqual(outcome.losers, ['3', '4']);
+    assert.deepStrictEqual(outcome.eliminated, []);
+  });
+
+  it('ranks a DNF last', () => {
+    const ps = participants(2);
+    const bracket = createBracket('single_elimination', ['1', '2']);
+    const [heat] = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2] });
+    const lane1 = heat.lanes.find(l => l.car_number === '1').lane;
+    const lane2 = heat.lanes.find(l => l.car_number === '2').lane;
+    const results = { 1: { type: 'RaceCompleted', lanes: heat.lanes, times_ms: { [lane2]: 3000, [lane1]: null } } };
+    const outcome = resolveRound({ bracket, heats: [heat], results });
+    assert.strictEqual(outcome.champion, '2');
+    assert.deepStrictEqual(outcome.eliminated, ['1']);
+  });
+
+  it('uses manual rankings', () => {
+    const ps = participants(2);
+    const bracket = createBracket('single_elimination', ['1', '2']);
+    const [heat] = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2] });
+    const results = {
+      1: { type: 'ResultManuallyEntered', rankings: [{ car_number: '2', place: 1 }, { car_number: '1', place: 2 }] }
+    };
+    assert.strictEqual(resolveRound({ bracket, heats: [heat], results }).champion, '2');
+  });
+
+  it('eliminates removed cars outright', () => {
+    const ps = participants(4);
+    const bracket = createBracket('double_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2, 3, 4] });
+    const results = Object.fromEntries(heats.map(h => [h.heat_number, resultFor(h)]));
+    const outcome = resolveRound({ bracket, heats, results, removed: ['1'] });
+    assert.ok(!outcome.winners.includes('1'));
+    assert.ok(!outcome.losers.includes('1'));
+    assert.strictEqual(outcome.eliminated[outcome.eliminated.length - 1], '1');
+  });
+
+  it('keeps cars with a bye in their bracket', () => {
+    const ps = participants(3);
+    const bracket = createBracket('single_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2] });
+    const results = Object.fromEntries(heats.map(h => [h.heat_number, resultFor(h)]));
+    const outcome = resolveRound({ bracket, heats, results });
+    const raced = heats[0].lanes.map(l => l.car_number);
+    const bye = ps.map(p => p.car_number).find(c => !raced.includes(c));
+    assert.ok(outcome.winners.includes(bye));
+    assert.strictEqual(outcome.winners.length, 2);
+  });
+});
+
+// ─── Full brackets ──────────────────────────────────────────────
+
+describe('full bracket runs', () => {
+  it('single elimination crowns the fastest car and places everyone', () => {
+    const { bracket } = raceBracket('single_elimination', 10, [1, 2, 3, 4]);
+    assert.strictEqual(bracket.champion, '1');
+    const placings = bracketPlacings(bracket);
+    assert.strictEqual(placings.length, 10);
+    assert.strictEqual(new Set(placings).size, 10);
+    assert.strictEqual(placings[0], '1');
+  });
+
+  it('double elimination runs a final between the bracket winners', () => {
+    const { bracket, heats } = raceBracket('double_elimination', 8, [1, 2, 3, 4]);
+    assert.strictEqual(bracket.champion, '1');
+    assert.strictEqual(heats[heats.length - 1].bracket, 'final');
+    assert.ok(heats.some(h => h.bracket === 'losers'));
+    assert.strictEqual(new Set(bracketPlacings(bracket)).size, 8);
+  });
+
+  it('double elimination with two cars goes straight to a final', () => {
+    const { bracket, heats } = raceBracket('double_elimination', 2, [1, 2]);
+    assert.deepStrictEqual(heats.map(h => h.bracket), ['winners', 'final']);
+    assert.strictEqual(bracket.champion, '1');
+  });
+
+  it('is deterministic', () => {
+    const a = raceBracket('double_elimination', 11, [1, 2, 3, 4, 5, 6]);
+    const b = raceBracket('double_elimination', 11, [1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual(a.heats, b.heats);
+    assert.deepStrictEqual(a.bracket, b.bracket);
+  });
+});
+
+// ─── buildBracketView ───────────────────────────────────────────
+
+describe('buildBracketView', () => {
+  it('marks advanced, dropped, and pending cars', () => {
+    const ps = participants(4);
+    let bracket = createBracket('double_elimination', ps.map(p => p.car_number));
+    const round1 = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2, 3, 4] });
+    const results = { 1: resultFor(round1[0]) };
+    bracket = applyRoundOutcome(bracket, resolveRound({ bracket, heats: round1, results }));
+    const round2 = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2, 3, 4], first_heat_number: 2 });
+
+    const view = buildBracketView(bracket, [...round1, ...round2], results);
+    assert.strictEqual(view.rounds.length, 2);
+    const statuses = Object.fromEntries(view.rounds[0].heats[0].cars.map(c => [c.car_number, c.status]));
+    assert.deepStrictEqual(statuses, { 1: 'advanced', 2: 'advanced', 3: 'dropped', 4: 'dropped' });
+    assert.ok(view.rounds[1].heats.every(h => h.cars.every(c => c.status === 'pending')));
+    assert.strictEqual(view.rounds[0].heats[0].cars.find(c => c.car_number === '1').time_ms, 2010);
+  });
+});
+
+// ─── Mid-bracket changes ────────────────────────────────────────
+
+describe('removeCarFromBracket', () => {
+  it('drops the car from pending heats and removes emptied heats', () => {
+    const ps = participants(4);
+    const bracket = createBracket('single_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2] });
+    const schedule = bracketSchedule(heats, 'single_elimination', [1, 2]);
+    const victim = heats[1].lanes[0].car_number;
+
+    const updated = removeCarFromBracket(schedule, victim, 0);
+    assert.strictEqual(updated.heats.length, 1);
+    assert.strictEqual(updated.metadata.total_heats, 1);
+    assert.ok(updated.heats.every(h => h.lanes.every(l => l.car_number !== victim)));
+  });
+
+  it('keeps completed heats verbatim', () => {
+    const ps = participants(4);
+    const bracket = createBracket('single_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2] });
+    const schedule = bracketSchedule(heats, 'single_elimination', [1, 2]);
+    const victim = heats[0].lanes[0].car_number;
+
+    const updated = removeCarFromBracket(schedule, victim, 1);
+    assert.deepStrictEqual(updated.heats[0], heats[0]);
+  });
+});
+
+describe('relaneBracket', () => {
+  it('re-deals pending heats onto the new lanes', () => {
+    const ps = participants(8);
+    const bracket = createBracket('single_elimination', ps.map(p => p.car_number));
+    const heats = generateBracketRound({ bracket, participants: ps, available_lanes: [1, 2, 3, 4] });
+    const schedule = bracketSchedule(heats, 'single_elimination', [1, 2, 3, 4]);
+
+    const updated = relaneBracket(schedule, 1, [1, 3]);
+    assert.deepStrictEqual(updated.heats[0], heats[0], 'completed heat kept');
+    const pending = updated.heats.slice(1);
+    assert.strictEqual(pending.length, 2);
+    assert.deepStrictEqual(pending.map(h => h.heat_number), [2, 3]);
+    assert.ok(pending.every(h => h.lanes.every(l => l.lane === 1 || l.lane === 3)));
+    assert.deepStrictEqual(
+      pending.flatMap(h => h.lanes.map(l => l.car_number)).sort(),
+      heats[1].lanes.map(l => l.car_number).sort()
+    );
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for broadcast-replay.js
+ * Run with: node --test test/broadcast-replay.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReplayCache } from '../public/js/broadcast-replay.js';
+
+const types = (messages) => messages.map(m => m.track_id ? `${m.type}:${m.track_id}` : m.type);
+
+describe('createReplayCache', () => {
+  it('replays nothing before any message', () => {
+    assert.deepEqual(createReplayCache().replay(), []);
+  });
+
+  it('replays zoom first, then the latest screen', () => {
+    const cache = createReplayCache();
+    cache.record({ type: 'SHOW_WELCOME', rally_name: 'Spring' });
+    cache.record({ type: 'SET_ZOOM', level: 1.5 });
+    cache.record({ type: 'SHOW_LEADERBOARD', section_name: 'Cubs' });
+    const replay = cache.replay();
+    assert.deepEqual(types(replay), ['SET_ZOOM', 'SHOW_LEADERBOARD']);
+    assert.equal(replay[0].level, 1.5);
+  });
+
+  it('keeps the latest screen and status of each track', () => {
+    const cache = createReplayCache();
+    cache.record({ type: 'SHOW_WELCOME', rally_name: 'Spring' });
+    cache.record({ type: 'SHOW_STAGING', heat_number: 1, track_id: 'A' });
+    cache.record({ type: 'SHOW_STAGING', heat_number: 1, track_id: 'B' });
+    cache.record({ type: 'SHOW_RESULTS', heat_number: 1, track_id: 'A' });
+    cache.record({ type: 'TRACK_STATUS', phase: 'staging', track_id: 'B' });
+    assert.deepEqual(types(cache.replay()),
+      ['SHOW_WELCOME', 'SHOW_RESULTS:A', 'SHOW_STAGING:B', 'TRACK_STATUS:B']);
+  });
+
+  it('drops per-track screens when an untracked screen takes over', () => {
+    const cache = createReplayCache();
+    cache.record({ type: 'SHOW_STAGING', heat_number: 1, track_id: 'A' });
+    cache.record({ type: 'SHOW_WELCOME', rally_name: 'Spring' });
+    assert.deepEqual(types(cache.replay()), ['SHOW_WELCOME']);
+  });
+
+  it('forgets a track status once cleared', () => {
+    const cache = createReplayCache();
+    cache.record({ type: 'TRACK_STATUS', phase: 'staging', track_id: 'A' });
+    cache.record({ type: 'TRACK_STATUS', phase: 'staging', track_id: 'B' });
+    cache.record({ type: 'TRACK_STATUS_CLEAR', track_id: 'A' });
+    assert.deepEqual(types(cache.replay()), ['TRACK_STATUS:B']);
+    cache.record({ type: 'TRACK_STATUS_CLEAR' });
+    assert.deepEqual(cache.replay(), []);
+  });
+
+  it('does not replay one-shot reveal messages', () => {
+    const cache = createReplayCache();
+    cache.record({ type: 'SHOW_SECTION_COMPLETE', section_name: 'Cubs', track_id: 'A' });
+    cache.record({ type: 'REVEAL_NEXT', track_id: 'A' });
+    assert.deepEqual(types(cache.replay()), ['SHOW_SECTION_COMPLETE:A']);
+  });
+});
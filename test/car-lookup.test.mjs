@@ -0,0 +1,144 @@
+/**
+ * Unit tests for car-lookup.js
+ * Run with: node --test test/car-lookup.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rebuildState } from '../public/js/state-manager.js';
+import { replaySchedule } from '../public/js/schedule-replay.js';
+import { lookupCar, searchCars } from '../public/js/car-lookup.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+const T0 = 1_700_000_000_000;
+
+/** Number events in order so rebuildState replays them as given. */
+function sequence(payloads) {
+  return payloads.map((p, i) => ({ id: i + 1, rally_id: 'r1', ...p }));
+}
+
+function rosterEvents() {
+  return [
+    { type: 'SectionCreated', section_id: 's1', section_name: 'Cubs' },
+    {
+      type: 'RosterUpdated',
+      section_id: 's1',
+      participants: [
+        { participant_id: 'p1', name: 'Alice' },
+        { participant_id: 'p2', name: 'Bob' },
+        { participant_id: 'p3', name: 'Carol' },
+        { participant_id: 'p4', name: 'Dave' }
+      ]
+    }
+  ];
+}
+
+function startedEvents() {
+  return [
+    ...rosterEvents(),
+    ...['1', '2', '3', '4'].map(car_number => ({ type: 'CarArrived', section_id: 's1', car_number })),
+    { type: 'SectionStarted', section_id: 's1', start_number: 1, available_lanes: [1, 2] }
+  ];
+}
+
+/** Run the first `count` scheduled heats, the lower lane always winning. */
+function withHeatsRun(payloads, count) {
+  const events = sequence(payloads);
+  const state = rebuildState(events);
+  const schedule = replaySchedule(events, state.race_day.sections.s1, 1, [1, 2]);
+  const results = schedule.heats.slice(0, count).map((heat, i) => ({
+    type: 'RaceCompleted',
+    section_id: 's1',
+    start_number: 1,
+    heat_number: heat.heat_number,
+    lanes: heat.lanes.map(l => ({ lane: l.lane, car_number: l.car_number, name: l.name })),
+    times_ms: Object.fromEntries(heat.lanes.map(l => [String(l.lane), 2000 + l.lane * 100])),
+    timestamp: T0 + i * 40000
+  }));
+  return { events: sequence([...payloads, ...results]), schedule };
+}
+
+// ─── lookupCar ────────────────────────────────────────────────────
+
+describe('lookupCar', () => {
+  it('returns nothing for a car that is not entered', () => {
+    const events = sequence(rosterEvents());
+    assert.deepEqual(lookupCar(rebuildState(events), events, '99', T0), []);
+  });
+
+  it('reports a car waiting for its section to start', () => {
+    const events = sequence([...rosterEvents(), { type: 'CarArrived', section_id: 's1', car_number: '2' }]);
+    const [view] = lookupCar(rebuildState(events), events, ' 2 ', T0);
+    assert.equal(view.section_name, 'Cubs');
+    assert.equal(view.name, 'Bob');
+    assert.equal(view.status, 'waiting');
+    assert.equal(view.arrived, true);
+    assert.equal(view.rank, null);
+    assert.deepEqual(view.upcoming, []);
+  });
+
+  it('lists heats run with times and places, and heats still to come', () => {
+    const { events, schedule } = withHeatsRun(startedEvents(), 2);
+    const state = rebuildState(events);
+    const car = schedule.heats[0].lanes[0].car_number;   // won heat 1 in lane 1
+    const [view] = lookupCar(state, events, car, T0 + 60000);
+
+    assert.equal(view.status, 'racing');
+    const heat1 = view.heats.find(h => h.heat_number === 1);
+    assert.deepEqual(heat1, { heat_number: 1, lane: 1, time_ms: 2100, place: 1, manual: false });
+    assert.ok(view.rank >= 1 && view.rank <= view.field_size);
+
+    const expected = schedule.heats
+      .filter(h => h.heat_number > 2 && h.lanes.some(l => l.car_number === car))
+      .map(h => h.heat_number);
+    assert.deepEqual(view.upcoming.map(u => u.heat_number), expected);
+    for (const u of view.upcoming) {
+      assert.equal(u.heats_away, u.heat_number - 3);
+      assert.ok(u.eta > T0 + 40000);
+    }
+  });
+
+  it('stops listing upcoming heats once the car is removed', () => {
+    const { events: run } = withHeatsRun(startedEvents(), 1);
+    const events = sequence([
+      ...run.map(({ id: _, ...e }) => e),
+      { type: 'CarRemoved', section_id: 's1', start_number: 1, car_number: '3' }
+    ]);
+    const [view] = lookupCar(rebuildState(events), events, '3', T0);
+    assert.equal(view.removed, true);
+    assert.deepEqual(view.upcoming, []);
+  });
+
+  it('reports the final place once the section is complete', () => {
+    const { events: run, schedule } = withHeatsRun(startedEvents(), Infinity);
+    const events = sequence([
+      ...run.map(({ id: _, ...e }) => e),
+      { type: 'SectionCompleted', section_id: 's1', start_number: 1 }
+    ]);
+    const views = ['1', '2', '3', '4'].map(c => lookupCar(rebuildState(events), events, c, T0)[0]);
+    assert.ok(views.every(v => v.status === 'complete' && v.upcoming.length === 0));
+    assert.deepEqual(views.map(v => v.rank).sort(), [1, 2, 3, 4]);
+    assert.ok(views.every(v => v.heats.length === schedule.heats.filter(h => h.lanes.some(l => l.car_number === v.car_number)).length));
+  });
+});
+
+// ─── searchCars ───────────────────────────────────────────────────
+
+describe('searchCars', () => {
+  const state = rebuildState(sequence(rosterEvents()));
+
+  it('matches an exact car number first, then names', () => {
+    const matches = searchCars(state, '3');
+    assert.equal(matches[0].car_number, '3');
+    assert.equal(matches[0].name, 'Carol');
+  });
+
+  it('matches part of a name regardless of case', () => {
+    assert.deepEqual(searchCars(state, 'ca').map(m => m.name), ['Carol']);
+  });
+
+  it('returns nothing for an empty query', () => {
+    assert.deepEqual(searchCars(state, '  '), []);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for car-tags.js
+ * Run with: node --test test/car-tags.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { carTagCode, parseCarTag, resolveCarScan, SCAN_STATUS } from '../public/js/car-tags.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+function makeState() {
+  return {
+    race_day: {
+      sections: {
+        s1: {
+          section_id: 's1',
+          section_name: 'Cubs',
+          participants: [
+            { car_number: '1', name: 'Alice' },
+            { car_number: '2', name: 'Bob' }
+          ],
+          arrived: ['2']
+        },
+        s2: {
+          section_id: 's2',
+          section_name: 'Scouts',
+          participants: [{ car_number: '1', name: 'Carol' }],
+          arrived: ['1']
+        }
+      }
+    }
+  };
+}
+
+// ─── parseCarTag ──────────────────────────────────────────────────
+
+describe('parseCarTag', () => {
+  it('round-trips a tag code', () => {
+    assert.deepEqual(parseCarTag(carTagCode('s1', 'B100')), { section_id: 's1', car_number: 'B100' });
+  });
+
+  it('tolerates surrounding whitespace and a lowercase prefix', () => {
+    assert.deepEqual(parseCarTag('  rl/s1/7\n'), { section_id: 's1', car_number: '7' });
+  });
+
+  it('treats a bare value as a car number', () => {
+    assert.deepEqual(parseCarTag('42'), { section_id: null, car_number: '42' });
+  });
+
+  it('rejects empty and malformed codes', () => {
+    assert.equal(parseCarTag(''), null);
+    assert.equal(parseCarTag('   '), null);
+    assert.equal(parseCarTag('XX/s1/1'), null);
+    assert.equal(parseCarTag('RL/s1'), null);
+    assert.equal(parseCarTag('RL//1'), null);
+  });
+});
+
+// ─── resolveCarScan ───────────────────────────────────────────────
+
+describe('resolveCarScan', () => {
+  it('accepts a tag for a car in this section that has not arrived', () => {
+    const r = resolveCarScan(makeState(), 's1', carTagCode('s1', '1'));
+    assert.equal(r.status, SCAN_STATUS.ok);
+    assert.equal(r.participant.name, 'Alice');
+  });
+
+  it('looks a bare car number up in this section', () => {
+    const r = resolveCarScan(makeState(), 's1', '1');
+    assert.equal(r.status, SCAN_STATUS.ok);
+    assert.equal(r.section_id, 's1');
+  });
+
+  it('reports a car that is already checked in', () => {
+    const r = resolveCarScan(makeState(), 's1', carTagCode('s1', '2'));
+    assert.equal(r.status, SCAN_STATUS.already_arrived);
+    assert.equal(r.participant.name, 'Bob');
+  });
+
+  it('reports a tag from another section even if that car has arrived there', () => {
+    const r = resolveCarScan(makeState(), 's1', carTagCode('s2', '1'));
+    assert.equal(r.status, SCAN_STATUS.wrong_section);
+    assert.equal(r.section_id, 's2');
+    assert.equal(r.participant.name, 'Carol');
+  });
+
+  it('reports unknown sections, cars and garbage', () => {
+    const state = makeState();
+    assert.equal(resolveCarScan(state, 's1', carTagCode('s9', '1')).status, SCAN_STATUS.unknown);
+    assert.equal(resolveCarScan(state, 's1', carTagCode('s1', '99')).status, SCAN_STATUS.unknown);
+    assert.equal(resolveCarScan(state, 's1', '99').status, SCAN_STATUS.unknown);
+    assert.equal(resolveCarScan(state, 's1', 'hello/world').status, SCAN_STATUS.unknown);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for event-chain.js
+ * Run with: node --test test/event-chain.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import {
+  sha256Hex, canonicalJson, hashEvent, chainHead, linkEvent, verifyChains, extendChainCheck
+} from '../public/js/event-chain.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+/** Append payloads to one device's chain the way event-store.js does. */
+function buildChain(payloads, { rallyId = 'r1', chainId = 'dev-a', startId = 1 } = {}) {
+  const stored = [];
+  payloads.forEach((p, i) => {
+    const head = chainHead(stored, rallyId, chainId);
+    const linked = linkEvent({ ...p, rally_id: rallyId, stored_at: 1000 + i, synced: 0, server_id: null }, head, chainId);
+    stored.push({ ...linked, id: startId + i });
+  });
+  return stored;
+}
+
+const PAYLOADS = [
+  { type: 'CarArrived', section_id: 's1', car_number: '1' },
+  { type: 'CarArrived', section_id: 's1', car_number: '2' },
+  { type: 'SectionStarted', section_id: 's1', start_number: 1 },
+  { type: 'RaceCompleted', section_id: 's1', heat_number: 1, times_ms: { 1: 2400, 2: 2510 } }
+];
+
+// ─── sha256Hex ────────────────────────────────────────────────────
+
+describe('sha256Hex', () => {
+  it('matches node:crypto across block boundaries and non-ASCII text', () => {
+    for (const text of ['', 'abc', 'a'.repeat(55), 'a'.repeat(56), 'a'.repeat(64), 'a'.repeat(200), 'Zoë — café 🏁']) {
+      assert.equal(sha256Hex(text), createHash('sha256').update(text, 'utf8').digest('hex'));
+    }
+  });
+});
+
+// ─── canonicalJson / hashEvent ────────────────────────────────────
+
+describe('hashEvent', () => {
+  it('ignores key order and null-vs-missing properties', () => {
+    assert.equal(canonicalJson({ b: 1, a: { d: [1, null], c: 'x' } }), '{"a":{"c":"x","d":[1,null]},"b":1}');
+    assert.equal(hashEvent({ type: 'X', section_id: null, a: 1 }), hashEvent({ a: 1, type: 'X' }));
+  });
+
+  it('ignores local storage bookkeeping', () => {
+    const [e] = buildChain(PAYLOADS.slice(0, 1));
+    const synced = { ...e, id: 99, synced: 1, server_id: '1234', stored_at: 5 };
+    assert.equal(hashEvent(synced), e.hash);
+  });
+});
+
+// ─── linkEvent ────────────────────────────────────────────────────
+
+describe('linkEvent', () => {
+  it('numbers events and links each to its predecessor', () => {
+    const chain = buildChain(PAYLOADS);
+    assert.deepEqual(chain.map(e => e.chain_seq), [1, 2, 3, 4]);
+    assert.equal(chain[0].prev_hash, null);
+    for (let i = 1; i < chain.length; i++) assert.equal(chain[i].prev_hash, chain[i - 1].hash);
+  });
+
+  it('keeps separate chains per rally and per device', () => {
+    const a = buildChain(PAYLOADS.slice(0, 2));
+    const b = buildChain(PAYLOADS.slice(0, 1), { chainId: 'dev-b', startId: 10 });
+    assert.equal(chainHead([...a, ...b], 'r1', 'dev-a'), a[1]);
+    assert.equal(chainHead([...a, ...b], 'r1', 'dev-b'), b[0]);
+    assert.equal(chainHead([...a, ...b], 'r2', 'dev-a'), null);
+  });
+});
+
+// ─── verifyChains ─────────────────────────────────────────────────
+
+describe('verifyChains', () => {
+  it('reports an untouched log as intact, counting unchained events', () => {
+    const log = [{ id: 100, type: 'RallyCreated', rally_id: 'r1', server_id: '7' }, ...buildChain(PAYLOADS)];
+    const result = verifyChains(log);
+    assert.equal(result.status, 'intact');
+    assert.equal(result.verified, 4);
+    assert.equal(result.unchained, 1);
+    assert.deepEqual(result.problems, []);
+  });
+
+  it('verifies interleaved chains from several devices in any order', () => {
+    const a = buildChain(PAYLOADS);
+    const b = buildChain(PAYLOADS.slice(0, 2), { chainId: 'dev-b', startId: 10 });
+    const result = verifyChains([b[1], a[3], a[0], b[0], a[2], a[1]]);
+    assert.equal(result.status, 'intact');
+    assert.equal(result.chains, 2);
+  });
+
+  it('survives a round trip through JSON and the sync pull', () => {
+    const log = buildChain(PAYLOADS).map(e => {
+      const row = JSON.parse(JSON.stringify(e));
+      return { ...row, section_id: row.section_id ?? null, synced: 1, server_id: String(e.id) };
+    });
+    assert.equal(verifyChains(log).status, 'intact');
+  });
+
+  it('flags an edited result', () => {
+    const log = buildChain(PAYLOADS);
+    log[3] = { ...log[3], times_ms: { 1: 2600, 2: 2510 } };
+    const result = verifyChains(log);
+    assert.equal(result.status, 'broken');
+    assert.deepEqual(result.problems.map(p => [p.id, p.reason]), [[4, 'edited']]);
+  });
+
+  it('flags an edit even when the hash was recomputed', () => {
+    const log = buildChain(PAYLOADS);
+    const forged = { ...log[1], car_number: '3' };
+    log[1] = { ...forged, hash: hashEvent(forged) };
+    const result = verifyChains(log);
+    assert.deepEqual(result.problems.map(p => [p.id, p.reason]), [[3, 'relinked']]);
+  });
+
+  it('flags a deleted event', () => {
+    const log = buildChain(PAYLOADS);
+    log.splice(1, 1);
+    assert.deepEqual(verifyChains(log).problems.map(p => [p.id, p.reason]), [[3, 'missing']]);
+  });
+
+  it('flags an event that stripped its own chain fields', () => {
+    const log = buildChain(PAYLOADS);
+    const { chain_id, chain_seq, prev_hash, hash, ...bare } = log[2];
+    log[2] = { ...bare, heat_number: 9 };
+    const result = verifyChains(log);
+    assert.equal(result.unchained, 0);
+    assert.deepEqual(result.problems.map(p => [p.id, p.reason]), [[4, 'missing'], [3, 'unhashed']]);
+  });
+
+  it('flags a tampered latest event whose hash was stripped', () => {
+    const log = buildChain(PAYLOADS);
+    const { hash, ...bare } = log[3];
+    log[3] = { ...bare, times_ms: { 1: 2600, 2: 2510 } };
+    const result = verifyChains(log);
+    assert.equal(result.status, 'broken');
+    assert.deepEqual(result.problems.map(p => [p.id, p.reason]), [[4, 'unhashed']]);
+  });
+
+  it('flags a stripped hash even behind a server id when its device chains', () => {
+    const log = buildChain(PAYLOADS);
+    const { hash, ...bare } = log[3];
+    log[3] = { ...bare, server_id: '99' };
+    assert.deepEqual(verifyChains(log).problems.map(p => [p.id, p.reason]), [[4, 'unhashed']]);
+  });
+
+  it('flags a duplicated position', () => {
+    const log = buildChain(PAYLOADS);
+    log.push({ ...log[1], id: 50 });
+    assert.deepEqual(verifyChains(log).problems.map(p => p.reason), ['duplicate']);
+  });
+
+  it('is unchained for an empty or legacy log', () => {
+    assert.equal(verifyChains([]).status, 'unchained');
+    assert.equal(verifyChains([{ server_id: '1', payload: { type: 'RallyCreated' } }]).status, 'unchained');
+  });
+
+  it('is broken for a hashless event that never came from the server', () => {
+    assert.equal(verifyChains([{ id: 1, type: 'RallyCreated', rally_id: 'r1', server_id: null }]).status, 'broken');
+  });
+});
+
+// ─── extendChainCheck ─────────────────────────────────────────────
+
+describe('extendChainCheck', () => {
+  it('continues from the prior heads and matches a full check', () => {
+    const log = buildChain(PAYLOADS);
+    const prior = verifyChains(log.slice(0, 2));
+    const extended = extendChainCheck(prior, log.slice(2));
+    assert.deepEqual(extended, verifyChains(log));
+  });
+
+  it('still catches a broken link across the boundary', () => {
+    const log = buildChain(PAYLOADS);
+    const prior = verifyChains(log.slice(0, 2));
+    assert.deepEqual(extendChainCheck(prior, log.slice(3)).problems.map(p => p.reason), ['missing']);
+  });
+
+  it('gives up when a new event belongs before a chain head', () => {
+    const log = buildChain(PAYLOADS);
+    const prior = verifyChains([log[0], log[2]]);
+    assert.equal(extendChainCheck(prior, [log[1]]), null);
+  });
+});
+
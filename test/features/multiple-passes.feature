@@ -0,0 +1,95 @@
+Feature: Multiple Passes
+  The operator can declare up front that every car runs each lane more
+  than once, or a fixed number of heats per car.
+
+  Background:
+    Given no race results
+
+  Scenario: Two runs per lane with the circle method
+    Given 8 participants
+    And a 6-lane track
+    And 2 runs per lane
+    When a schedule is generated
+    Then no error should be thrown
+    And the schedule should be valid
+    And the schedule should have 16 heats
+    And each participant should race exactly 12 times
+    And each participant should run every lane exactly 2 times
+    And the metadata should show lane_balance_perfect is 'true'
+    And heats should be numbered consecutively
+
+  Scenario: Two runs per lane with the greedy heuristic
+    Given 10 participants
+    And a 6-lane track
+    And 2 runs per lane
+    When a schedule is generated
+    Then the schedule should be valid
+    And each participant should race exactly 12 times
+    And lane balance should be within 1
+    And lane balance validation should pass
+
+  Scenario: Three runs per lane with a Perfect-N chart
+    Given 10 participants
+    And a 6-lane track
+    And the Perfect-N chart option is enabled
+    And 3 runs per lane
+    When a schedule is generated
+    Then each participant should run every lane exactly 3 times
+    And lane balance validation should pass
+
+  Scenario: Fixed heats per car that divides into full passes
+    Given 12 participants
+    And a 6-lane track
+    And 12 heats per car
+    When a schedule is generated
+    Then each participant should race exactly 12 times
+    And each participant should run every lane exactly 2 times
+    And the metadata should show lane_balance_perfect is 'true'
+
+  Scenario: Fixed heats per car with a partial pass
+    Given 10 participants
+    And a 6-lane track
+    And 8 heats per car
+    When a schedule is generated
+    Then the schedule should be valid
+    And each participant should race exactly 8 times
+    And lane balance should be within 1
+    And the metadata should show lane_balance_perfect is 'false'
+    And lane balance validation should pass
+    And heats should be numbered consecutively
+
+  Scenario: Fewer heats per car than lanes
+    Given 10 participants
+    And a 6-lane track
+    And 3 heats per car
+    When a schedule is generated
+    Then the schedule should be valid
+    And each participant should race exactly 3 times
+    And lane balance should be within 1
+
+  Scenario: Heats per car overrides runs per lane
+    Given 8 participants
+    And a 6-lane track
+    And 3 runs per lane
+    And 6 heats per car
+    When a schedule is generated
+    Then each participant should race exactly 6 times
+
+  Scenario: Nobody races alone when the slots do not divide evenly
+    Given 3 participants
+    And a 2-lane track
+    And 1 heats per car
+    When a schedule is generated
+    Then the schedule should be valid
+    And every heat should have at least 2 cars
+
+  Scenario: Removal keeps the pass count
+    Given 8 participants
+    And a 6-lane track
+    And 2 runs per lane
+    And a schedule has been generated
+    And heats 1 through 4 have been completed
+    When car 3 is removed
+    Then no error should be thrown
+    And the schedule should have 18 heats
+    And car 3 should not appear in any heat after heat 4
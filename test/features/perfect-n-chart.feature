@@ -0,0 +1,117 @@
+Feature: Perfect-N Charts
+  The Perfect-N chart option builds a cyclic chart that keeps perfect lane
+  balance and also spreads opponents evenly, so every car races every
+  other car as often as the roster size allows.
+
+  Background:
+    Given no race results
+    And the Perfect-N chart option is enabled
+
+  Scenario: Option selects the chart scheduler
+    Given 10 participants
+    And a 6-lane track
+    When the algorithm is selected
+    Then the selected algorithm should be 'perfect_n_chart'
+
+  Scenario: Results still switch to speed matching
+    Given 10 participants
+    And a 6-lane track
+    And the following race results:
+      | type          | heat | lane_1_ms | lane_2_ms | lane_3_ms | lane_4_ms | lane_5_ms | lane_6_ms | timestamp |
+      | RaceCompleted | 1    | 2150      | 2320      | 2401      | 3010      | 2875      | 2601      | 1000      |
+    When the algorithm is selected
+    Then the selected algorithm should be 'speed_matched_greedy'
+
+  Scenario: 10 participants on 6 lanes (Partial Perfect-N)
+    Given 10 participants
+    And a 6-lane track
+    When a schedule is generated
+    Then no error should be thrown
+    And the schedule should be valid
+    And lane balance should be perfect
+    And each participant should race exactly 6 times
+    And the metadata should show algorithm 'perfect_n_chart'
+    And the metadata should show lane_balance_perfect is 'true'
+    And every pair of participants should meet between 3 and 4 times
+    And the metadata should report the same opponent coverage as the heats
+
+  Scenario: 11 participants on 6 lanes (Perfect-N)
+    Given 11 participants
+    And a 6-lane track
+    When a schedule is generated
+    Then lane balance should be perfect
+    And every pair of participants should meet between 3 and 3 times
+
+  Scenario: 13 participants on 4 lanes (Perfect-N)
+    Given 13 participants
+    And a 4-lane track
+    When a schedule is generated
+    Then lane balance should be perfect
+    And every pair of participants should meet between 1 and 1 times
+
+  Scenario: Charts spread opponents better than the circle method
+    Given 15 participants
+    And a 6-lane track
+    When a schedule is generated
+    Then every pair of participants should meet between 2 and 3 times
+    And lane balance validation should pass
+
+  Scenario: Some roster sizes cannot be balanced within 1
+    Given 17 participants
+    And a 6-lane track
+    When a schedule is generated
+    Then lane balance should be perfect
+    And opponent meetings should differ by at most 2
+
+  Scenario: Large rosters never repeat an opponent
+    Given 50 participants
+    And a 6-lane track
+    When a schedule is generated
+    Then lane balance should be perfect
+    And no pair of participants should meet more than 1 time
+
+  Scenario: Alternate lanes use the physical lane numbers
+    Given 9 participants
+    And a track using lanes '1, 3, 5'
+    When a schedule is generated
+    Then lane balance should be perfect
+    And every heat should have at most 3 cars
+    And no pair of participants should meet more than 1 time
+
+  Scenario: Fewer participants than lanes
+    Given 4 participants
+    And a 6-lane track
+    When a schedule is generated
+    Then no error should be thrown
+    And the schedule should have 4 heats
+    And every heat should have at most 4 cars
+
+  Scenario: Removal keeps the chart option
+    Given 10 participants
+    And a 6-lane track
+    And a schedule has been generated
+    And heats 1 through 3 have been completed
+    When car 4 is removed
+    Then no error should be thrown
+    And the metadata should show algorithm 'perfect_n_chart'
+    And car 4 should not appear in any heat after heat 3
+    And the metadata should report the same opponent coverage as the heats
+
+  Scenario Outline: Common roster sizes on 6 lanes
+    Given <count> participants
+    And a 6-lane track
+    When a schedule is generated
+    Then lane balance should be perfect
+    And opponent meetings should differ by at most 1
+
+    Examples:
+      | count |
+      | 9     |
+      | 10    |
+      | 11    |
+      | 12    |
+      | 14    |
+      | 18    |
+      | 20    |
+      | 25    |
+      | 31    |
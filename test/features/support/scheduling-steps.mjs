@@ -18,7 +18,9 @@ import {
   assertNoDuplicatesInHeat,
   assertMinCarsPerHeat,
   buildLaneUsageMatrix,
-  countHeatsPerParticipant
+  countHeatsPerParticipant,
+  buildOpponentMatrix,
+  assertOpponentMeetingsBetween
 } from './validation-helpers.mjs';
 
 // ─── Given ───────────────────────────────────────────────────────────
@@ -31,6 +33,10 @@ Given('a {int}-lane track', function (lanes) {
   this.availableLanes = Array.from({ length: lanes }, (_, i) => i + 1);
 });
 
+Given('a track using lanes {string}', function (lanes) {
+  this.availableLanes = lanes.split(',').map(l => parseInt(l.trim(), 10));
+});
+
 Given('no race results', function () {
   this.results = [];
 });
@@ -47,6 +53,18 @@ Given('speed matching is enabled', function () {
   this.options.speed_matching = true;
 });
 
+Given('the Perfect-N chart option is enabled', function () {
+  this.options.perfect_n = true;
+});
+
+Given('{int} runs per lane', function (runs) {
+  this.options.runs_per_lane = runs;
+});
+
+Given('{int} heats per car', function (heats) {
+  this.options.heats_per_car = heats;
+});
+
 Given('the following race results:', function (dataTable) {
   const rows = dataTable.hashes();
   this.results = rows.map(row => {
@@ -143,7 +161,8 @@ When('car {int} is removed', function (carNumber) {
       remaining,
       this.currentHeatNumber,
       this.availableLanes,
-      this.results
+      this.results,
+      this.options
     );
     this.participants = remaining;
   } catch (e) {
@@ -160,7 +179,8 @@ When('car {int} named {string} arrives late', function (carNumber, name) {
       this.participants,
       this.currentHeatNumber,
       this.availableLanes,
-      this.results
+      this.results,
+      this.options
     );
   } catch (e) {
     this.error = e;
@@ -248,6 +268,19 @@ Then('each participant should race exactly {int} times', function (expected) {
   }
 });
 
+Then('each participant should run every lane exactly {int} times', function (expected) {
+  const matrix = buildLaneUsageMatrix(this.schedule);
+  for (const [carNumber, lanes] of Object.entries(matrix)) {
+    for (const lane of this.availableLanes) {
+      assert.equal(lanes[lane] || 0, expected, `Car ${carNumber} ran lane ${lane} ${lanes[lane] || 0} time(s)`);
+    }
+  }
+});
+
+Then('heats should be numbered consecutively', function () {
+  this.schedule.heats.forEach((heat, i) => assert.equal(heat.heat_number, i + 1));
+});
+
 Then('no participant appears twice in the same heat', function () {
   assertNoDuplicatesInHeat(this.schedule);
 });
@@ -311,6 +344,30 @@ Then('the schedule should have metadata', function () {
   assert.ok(typeof this.schedule.metadata.total_heats === 'number', 'Missing total_heats');
 });
 
+Then('every pair of participants should meet between {int} and {int} times', function (min, max) {
+  assertOpponentMeetingsBetween(this.schedule, min, max);
+});
+
+Then('no pair of participants should meet more than {int} time(s)', function (max) {
+  assertOpponentMeetingsBetween(this.schedule, 0, max);
+});
+
+Then('opponent meetings should differ by at most {int}', function (tolerance) {
+  const counts = [...buildOpponentMatrix(this.schedule).values()];
+  const spread = Math.max(...counts) - Math.min(...counts);
+  assert.ok(spread <= tolerance, `Opponent meetings range ${Math.min(...counts)}–${Math.max(...counts)} (max spread: ${tolerance})`);
+});
+
+Then('the metadata should report the same opponent coverage as the heats', function () {
+  const counts = [...buildOpponentMatrix(this.schedule).values()];
+  assert.deepEqual(this.schedule.metadata.opponent_coverage, {
+    pairs_total: counts.length,
+    pairs_met: counts.filter(c => c > 0).length,
+    min_meetings: Math.min(...counts),
+    max_meetings: Math.max(...counts)
+  });
+});
+
 Then('lane balance validation should pass', function () {
   const result = validateLaneBalance(this.schedule);
   assert.ok(result.valid, `Lane balance validation failed: ${result.errors.join(', ')}`);
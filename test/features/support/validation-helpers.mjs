@@ -119,3 +119,49 @@ export function assertMinCarsPerHeat(schedule, minCars = 2) {
     }
   }
 }
+
+/**
+ * Count how often each pair of participants meets in the same heat.
+ * Pairs that never meet are included with a count of 0.
+ * @param {Object} schedule
+ * @returns {Map<string, number>} "carA|carB" → meetings
+ */
+export function buildOpponentMatrix(schedule) {
+  const cars = [...new Set(schedule.heats.flatMap(h => h.lanes.map(l => String(l.car_number))))].sort();
+  const matrix = new Map();
+  for (let i = 0; i < cars.length; i++) {
+    for (let j = i + 1; j < cars.length; j++) {
+      matrix.set(`${cars[i]}|${cars[j]}`, 0);
+    }
+  }
+  for (const heat of schedule.heats) {
+    const inHeat = heat.lanes.map(l => String(l.car_number)).sort();
+    for (let i = 0; i < inHeat.length; i++) {
+      for (let j = i + 1; j < inHeat.length; j++) {
+        const key = `${inHeat[i]}|${inHeat[j]}`;
+        matrix.set(key, matrix.get(key) + 1);
+      }
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Assert every pair of participants meets between min and max times.
+ * @param {Object} schedule
+ * @param {number} min
+ * @param {number} max
+ * @throws {Error} listing the first few pairs outside the range
+ */
+export function assertOpponentMeetingsBetween(schedule, min, max) {
+  const errors = [];
+  for (const [pair, count] of buildOpponentMatrix(schedule)) {
+    if (count < min || count > max) {
+      errors.push(`Cars ${pair.replace('|', ' & ')}: met ${count} time(s) (expected ${min}–${max})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Opponent balance violations:\n${errors.slice(0, 10).join('\n')}`);
+  }
+}
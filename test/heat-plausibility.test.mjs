@@ -0,0 +1,104 @@
+/**
+ * Unit tests for heat-plausibility.js
+ * Run with: node --test test/heat-plausibility.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_HEAT_CHECKS, normalizeHeatChecks, carTimeHistory, checkHeat, describeSuspect
+} from '../public/js/heat-plausibility.js';
+
+const lanes = [
+  { lane: 1, car_number: '11' },
+  { lane: 2, car_number: '22' },
+  { lane: 3, car_number: '33' }
+];
+
+describe('normalizeHeatChecks', () => {
+  it('fills in defaults for missing or bad settings', () => {
+    assert.deepEqual(normalizeHeatChecks(null), DEFAULT_HEAT_CHECKS);
+    assert.deepEqual(normalizeHeatChecks({ min_ms: 'x', history_pct: -5 }), DEFAULT_HEAT_CHECKS);
+    assert.equal(normalizeHeatChecks({ enabled: false }).enabled, false);
+    assert.equal(normalizeHeatChecks({ max_ms: '8000' }).max_ms, 8000);
+  });
+
+  it('resets the time window when the slowest is not above the fastest', () => {
+    const rules = normalizeHeatChecks({ min_ms: 5000, max_ms: 4000 });
+    assert.equal(rules.min_ms, DEFAULT_HEAT_CHECKS.min_ms);
+    assert.equal(rules.max_ms, DEFAULT_HEAT_CHECKS.max_ms);
+  });
+});
+
+describe('carTimeHistory', () => {
+  it('collects timed runs per car, following lane corrections', () => {
+    const start = {
+      results: {
+        1: { type: 'RaceCompleted', heat_number: 1, lanes: lanes.slice(0, 2), times_ms: { '1': 2500, '2': 2600 } },
+        2: { type: 'RaceCompleted', heat_number: 2, lanes: lanes.slice(0, 2), times_ms: { '1': 2700, '2': null } },
+        3: { type: 'ResultManuallyEntered', heat_number: 3, rankings: [] }
+      },
+      lane_corrections: {
+        2: [{ lane: 1, car_number: '22' }, { lane: 2, car_number: '11' }]
+      }
+    };
+    const history = carTimeHistory(start);
+    assert.deepEqual(history.get('11'), [2500]);
+    assert.deepEqual(history.get('22'), [2600, 2700]);
+    assert.equal(carTimeHistory(null).size, 0);
+  });
+});
+
+describe('checkHeat', () => {
+  it('passes a normal heat', () => {
+    assert.deepEqual(checkHeat({ lanes, times_ms: { '1': 2500, '2': 2600, '3': null } }), []);
+  });
+
+  it('flags times outside the plausible window', () => {
+    const flags = checkHeat({ lanes, times_ms: { '1': 412, '2': 2600, '3': 12000 } });
+    assert.deepEqual(flags, [
+      { lane: 1, car_number: '11', reason: 'too_fast', ms: 412 },
+      { lane: 3, car_number: '33', reason: 'too_slow', ms: 12000 }
+    ]);
+  });
+
+  it('flags a lane that tripped before the gate opened', () => {
+    const timeline = [
+      { ms: 900, pin: 'lane', lane: 2, edge: 'triggered' },
+      { ms: 1000, pin: 'gate', edge: 'opened' },
+      { ms: 3500, pin: 'lane', lane: 1, edge: 'triggered' }
+    ];
+    const flags = checkHeat({ lanes, times_ms: { '1': 2500, '2': null, '3': 2600 }, timeline });
+    assert.deepEqual(flags, [{ lane: 2, car_number: '22', reason: 'early', ms: null }]);
+    assert.equal(checkHeat({ lanes, times_ms: { '1': 0, '2': 2500 } })[0].reason, 'early');
+  });
+
+  it("flags a time far off the car's median once it has enough runs", () => {
+    const history = new Map([['11', [2500, 2520, 2480]], ['22', [2600]]]);
+    const flags = checkHeat({ lanes, times_ms: { '1': 3400, '2': 4000, '3': 2500 }, history });
+    assert.deepEqual(flags, [{ lane: 1, car_number: '11', reason: 'off_history', ms: 3400, expected_ms: 2500 }]);
+    assert.deepEqual(checkHeat({ lanes, times_ms: { '1': 2700 }, history }), []);
+  });
+
+  it('follows the configured rules', () => {
+    const times_ms = { '1': 1200, '2': 2600 };
+    assert.deepEqual(checkHeat({ lanes, times_ms }, normalizeHeatChecks({ enabled: false })), []);
+    assert.deepEqual(checkHeat({ lanes, times_ms }, normalizeHeatChecks({ min_ms: 1000 })), []);
+  });
+});
+
+describe('describeSuspect', () => {
+  it('lists each flag and the outcome', () => {
+    assert.equal(describeSuspect({
+      flags: [
+        { lane: 1, reason: 'too_fast', ms: 412 },
+        { lane: 2, reason: 'off_history', ms: 3400, expected_ms: 2500 },
+        { lane: 3, reason: 'early', ms: null }
+      ],
+      resolution: 'dnf'
+    }), "Lane 1: Faster than possible (0.412s); Lane 2: Far off the car's other runs (3.400s, usually 2.500s); Lane 3: Tripped before the start — marked DNF");
+    assert.equal(describeSuspect({ flags: [{ lane: 1, reason: 'too_slow', ms: 12000 }], resolution: 'accepted' }),
+      'Lane 1: Slower than plausible (12.000s) — accepted');
+    assert.equal(describeSuspect(null), '');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for heat-timeline.js
+ * Run with: node --test test/heat-timeline.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TIMELINE_TOPICS, timelineEntry, createTimelineRecorder, summarizeTimeline
+} from '../public/js/heat-timeline.js';
+
+const gate = (ms, edge) => ({ sub: 7, event: 'edge', pin: 'gate', edge, ms });
+const lane = (ms, n, edge) => ({ sub: 7, event: 'edge', pin: 'lane', lane: n, edge, ms });
+const phase = (ms, p, prev) => ({ sub: 7, event: 'phase', phase: p, prev, ms });
+
+describe('timelineEntry', () => {
+  it('subscribes to the edge and engine topics', () => {
+    assert.deepEqual(TIMELINE_TOPICS, ['edges', 'engine']);
+  });
+
+  it('keeps edges, phases and overflow without the framing', () => {
+    assert.deepEqual(timelineEntry(gate(4523, 'opened')), { ms: 4523, pin: 'gate', edge: 'opened' });
+    assert.deepEqual(timelineEntry(lane(5190, '3', 'triggered')), { ms: 5190, pin: 'lane', lane: 3, edge: 'triggered' });
+    assert.deepEqual(timelineEntry(phase(4500, 'ARMED', 'IDLE')), { ms: 4500, phase: 'ARMED' });
+    assert.deepEqual(timelineEntry({ sub: 7, event: 'overflow', dropped: 4 }), { dropped: 4 });
+  });
+
+  it('ignores other frames', () => {
+    assert.equal(timelineEntry({ sub: 7, event: 'state', gate_ready: true }), null);
+    assert.equal(timelineEntry({ sub: 7, event: 'completed', times_ms: {} }), null);
+    assert.equal(timelineEntry(null), null);
+  });
+});
+
+describe('createTimelineRecorder', () => {
+  it('returns null when nothing was recorded', () => {
+    const rec = createTimelineRecorder();
+    rec.add({ sub: 7, event: 'state', gate_ready: false });
+    assert.equal(rec.take(), null);
+  });
+
+  it('records in arrival order and starts over after take()', () => {
+    const rec = createTimelineRecorder();
+    rec.add(phase(100, 'ARMED', 'IDLE'));
+    rec.add(gate(200, 'opened'));
+    assert.deepEqual(rec.take(), [{ ms: 100, phase: 'ARMED' }, { ms: 200, pin: 'gate', edge: 'opened' }]);
+    rec.add(gate(900, 'closed'));
+    assert.deepEqual(rec.take(), [{ ms: 900, pin: 'gate', edge: 'closed' }]);
+  });
+
+  it('counts entries past the cap in a trailing dropped entry', () => {
+    const rec = createTimelineRecorder(3);
+    for (let i = 0; i < 5; i++) rec.add(lane(i, 1, 'triggered'));
+    rec.add({ sub: 7, event: 'overflow', dropped: 10 });
+    const timeline = rec.take();
+    assert.equal(timeline.length, 4);
+    assert.deepEqual(timeline[3], { dropped: 12 });
+  });
+});
+
+describe('summarizeTimeline', () => {
+  const timeline = [
+    { ms: 4500, phase: 'ARMED' },
+    { ms: 4801, pin: 'gate', edge: 'opened' },
+    { ms: 4801, phase: 'RACING' },
+    { ms: 6951, pin: 'lane', lane: 3, edge: 'triggered' },
+    { ms: 6955, pin: 'lane', lane: 3, edge: 'cleared' },
+    { ms: 6958, pin: 'lane', lane: 3, edge: 'triggered' },
+    { ms: 7010, pin: 'lane', lane: 1, edge: 'triggered' },
+    { dropped: 2 },
+    { ms: 7202, phase: 'IDLE' }
+  ];
+
+  it('measures from the gate opening, like times_ms', () => {
+    const tl = summarizeTimeline(timeline);
+    assert.equal(tl.gate_opened, true);
+    assert.equal(tl.first_at, -301);
+    assert.equal(tl.last_at, 2401);
+    assert.deepEqual(tl.gate, [{ at: 0, edge: 'opened' }]);
+    assert.deepEqual(tl.phases.map(p => [p.at, p.phase]), [[-301, 'ARMED'], [0, 'RACING'], [2401, 'IDLE']]);
+  });
+
+  it('groups lanes in order and counts bounces', () => {
+    const tl = summarizeTimeline(timeline);
+    assert.deepEqual(tl.lanes.map(l => [l.lane, l.triggers, l.bounces]), [[1, 1, 0], [3, 2, 1]]);
+    assert.deepEqual(tl.lanes[1].marks.map(m => m.at), [2150, 2154, 2157]);
+    assert.equal(tl.dropped, 2);
+  });
+
+  it('falls back to the first entry when the gate never opened', () => {
+    const tl = summarizeTimeline([{ ms: 500, phase: 'ARMED' }, { ms: 800, pin: 'lane', lane: 2, edge: 'triggered' }]);
+    assert.equal(tl.gate_opened, false);
+    assert.equal(tl.first_at, 0);
+    assert.equal(tl.lanes[0].marks[0].at, 300);
+  });
+});
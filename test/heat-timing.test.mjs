@@ -0,0 +1,96 @@
+/**
+ * Unit tests for heat-timing.js
+ * Run with: node --test test/heat-timing.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateHeatInterval, estimateHeatTimes, DEFAULT_HEAT_INTERVAL_MS
+} from '../public/js/heat-timing.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+const T0 = 1_700_000_000_000;
+
+/** Build start.results with RaceCompleted timestamps at the given offsets (seconds). */
+function timedResults(offsetsSec) {
+  const results = {};
+  offsetsSec.forEach((sec, i) => {
+    results[i + 1] = { type: 'RaceCompleted', heat_number: i + 1, timestamp: T0 + sec * 1000 };
+  });
+  return results;
+}
+
+function schedule(heatCount) {
+  const heats = [];
+  for (let h = 1; h <= heatCount; h++) heats.push({ heat_number: h, lanes: [] });
+  return { heats };
+}
+
+// ─── estimateHeatInterval ─────────────────────────────────────────
+
+describe('estimateHeatInterval', () => {
+  it('falls back to the default pace before two heats are timed', () => {
+    assert.equal(estimateHeatInterval({}).interval_ms, DEFAULT_HEAT_INTERVAL_MS);
+    const one = estimateHeatInterval(timedResults([0]));
+    assert.equal(one.interval_ms, DEFAULT_HEAT_INTERVAL_MS);
+    assert.equal(one.sample_size, 0);
+    assert.equal(one.last_completed_at, T0);
+  });
+
+  it('uses the median gap so one long pause does not skew the pace', () => {
+    // Gaps: 40, 40, 600 (break), 40, 40
+    const { interval_ms, sample_size } = estimateHeatInterval(timedResults([0, 40, 80, 680, 720, 760]));
+    assert.equal(interval_ms, 40000);
+    assert.equal(sample_size, 5);
+  });
+
+  it('only looks at the most recent gaps', () => {
+    // Early heats at 90s apart, recent heats at 30s apart
+    const offsets = [0, 90, 180, 270, 300, 330, 360];
+    const { interval_ms } = estimateHeatInterval(timedResults(offsets), { window: 3 });
+    assert.equal(interval_ms, 30000);
+  });
+
+  it('ignores manual results', () => {
+    const results = timedResults([0, 50]);
+    results[3] = { type: 'ResultManuallyEntered', heat_number: 3, timestamp: T0 + 500000 };
+    const { interval_ms, last_completed_at } = estimateHeatInterval(results);
+    assert.equal(interval_ms, 50000);
+    assert.equal(last_completed_at, T0 + 50000);
+  });
+});
+
+// ─── estimateHeatTimes ────────────────────────────────────────────
+
+describe('estimateHeatTimes', () => {
+  it('projects remaining heats one pace apart after the last timed heat', () => {
+    const results = timedResults([0, 30, 60]);
+    const now = T0 + 70000;
+    const timing = estimateHeatTimes(schedule(6), results, now);
+
+    assert.deepEqual(timing.upcoming.map(u => u.heat_number), [4, 5, 6]);
+    assert.deepEqual(timing.upcoming.map(u => u.eta), [T0 + 90000, T0 + 120000, T0 + 150000]);
+    assert.equal(timing.finish_at, T0 + 150000);
+  });
+
+  it('treats an overdue heat as due now', () => {
+    const results = timedResults([0, 30]);
+    const now = T0 + 300000;
+    const timing = estimateHeatTimes(schedule(4), results, now);
+    assert.equal(timing.upcoming[0].eta, now);
+    assert.equal(timing.finish_at, now + 30000);
+  });
+
+  it('starts from now when nothing has run yet', () => {
+    const timing = estimateHeatTimes(schedule(2), {}, T0);
+    assert.deepEqual(timing.upcoming.map(u => u.eta), [T0 + DEFAULT_HEAT_INTERVAL_MS, T0 + 2 * DEFAULT_HEAT_INTERVAL_MS]);
+  });
+
+  it('reports no finish time once every heat has a result', () => {
+    const timing = estimateHeatTimes(schedule(2), timedResults([0, 30]), T0 + 40000);
+    assert.deepEqual(timing.upcoming, []);
+    assert.equal(timing.finish_at, null);
+  });
+});
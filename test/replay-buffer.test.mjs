@@ -0,0 +1,62 @@
+/**
+ * Unit tests for replay-buffer.js
+ * Run with: node --test test/replay-buffer.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecordingRotation, replayKey } from '../public/js/replay-buffer.js';
+
+describe('createRecordingRotation', () => {
+  const opts = { windowMs: 300, postRollMs: 100 };   // reach 400, segment 800
+
+  it('starts one recording at once and the other half a segment later', () => {
+    const rot = createRecordingRotation(opts);
+    assert.deepEqual(rot.due(1000), [0]);
+    assert.deepEqual(rot.due(1399), []);
+    assert.deepEqual(rot.due(1400), [1]);
+    assert.deepEqual(rot.due(1800), [0]);
+    assert.deepEqual(rot.due(2200), [1]);
+  });
+
+  it('keeps to the schedule when a check runs late', () => {
+    const rot = createRecordingRotation(opts);
+    rot.due(0);
+    assert.deepEqual(rot.due(450), [1]);
+    // Slot 0 restarts at 800 and 1600, not 800 after a late check
+    assert.deepEqual(rot.due(830), [0]);
+    assert.deepEqual(rot.due(1599), [1]);
+    assert.deepEqual(rot.due(1600), [0]);
+  });
+
+  it('picks the newest recording that reaches back a full window plus post-roll', () => {
+    const rot = createRecordingRotation(opts);
+    rot.started(0, 0);
+    rot.started(1, 400);
+    assert.equal(rot.pick(700), 0);     // slot 1 is only 300 ms old
+    assert.equal(rot.pick(800), 1);     // both reach back; slot 1 is shorter
+    rot.started(0, 800);
+    assert.equal(rot.pick(1100), 1);
+  });
+
+  it('falls back to the oldest recording while the camera is warming up', () => {
+    const rot = createRecordingRotation(opts);
+    assert.equal(rot.pick(0), null);
+    rot.started(0, 0);
+    assert.equal(rot.pick(100), 0);
+    rot.reset();
+    assert.equal(rot.pick(5000), null);
+  });
+});
+
+describe('replayKey', () => {
+  it('identifies a heat within a section start', () => {
+    assert.equal(replayKey('r1', 's1', 2, 14), 'r1|s1|2|14');
+    assert.notEqual(replayKey('r1', 's1', 1, 14), replayKey('r1', 's1', 2, 14));
+  });
+
+  it('keeps a flagged run apart from the heat it was re-run as', () => {
+    assert.equal(replayKey('r1', 's1', 2, 14, 'flagged'), 'r1|s1|2|14|flagged');
+    assert.notEqual(replayKey('r1', 's1', 2, 14, 'flagged'), replayKey('r1', 's1', 2, 14));
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Unit tests for operator/replay-camera.js
+ * Run with: node --test test/replay-camera.test.mjs
+ *
+ * There is no camera or MediaRecorder in Node, so a stand-in recorder
+ * writes a WebM stream the way browsers do: a header chunk, then
+ * unknown-size clusters of SimpleBlocks with a keyframe only every so often,
+ * cut into chunks wherever the timeslice falls. The clips the camera
+ * returns are parsed back and must play from their first frame: container
+ * header first, a keyframe first, and no frames missing after it.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReplayCamera } from '../public/js/operator/replay-camera.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── WebM writer (stand-in MediaRecorder) ────────────────────────
+
+const ID = {
+  EBML: 0x1a45dfa3, DOC_TYPE: 0x4282, SEGMENT: 0x18538067, TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae, TRACK_NUMBER: 0xd7, CLUSTER: 0x1f43b675, TIMECODE: 0xe7, SIMPLE_BLOCK: 0xa3
+};
+const UNKNOWN_SIZE = [0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+const FRAME_MS = 10;
+const FRAMES_PER_CLUSTER = 16;
+const KEYFRAME_EVERY = 40;
+
+function idBytes(id) {
+  const out = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) out.unshift(v & 0xff);
+  return out;
+}
+
+function sizeBytes(n) {
+  const out = [0x01];
+  for (let i = 6; i >= 0; i--) out.push(Math.floor(n / 2 ** (8 * i)) & 0xff);
+  return out;
+}
+
+function element(id, payload) {
+  return [...idBytes(id), ...sizeBytes(payload.length), ...payload];
+}
+
+function streamHeader() {
+  return [
+    ...element(ID.EBML, element(ID.DOC_TYPE, [...Buffer.from('webm')])),
+    ...idBytes(ID.SEGMENT), ...UNKNOWN_SIZE,
+    ...element(ID.TRACKS, element(ID.TRACK_ENTRY, element(ID.TRACK_NUMBER, [1])))
+  ];
+}
+
+function frameBytes(n) {
+  const out = [];
+  const time = n * FRAME_MS;
+  const clusterTime = Math.floor(n / FRAMES_PER_CLUSTER) * FRAMES_PER_CLUSTER * FRAME_MS;
+  if (n % FRAMES_PER_CLUSTER === 0) {
+    out.push(...idBytes(ID.CLUSTER), ...UNKNOWN_SIZE, ...element(ID.TIMECODE, [time >> 8, time & 0xff]));
+  }
+  const rel = time - clusterTime;
+  const flags = n % KEYFRAME_EVERY === 0 ? 0x80 : 0x00;
+  out.push(...element(ID.SIMPLE_BLOCK, [0x81, rel >> 8, rel & 0xff, flags, n >> 24, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff]));
+  return out;
+}
+
+class FakeMediaRecorder extends EventTarget {
+  static isTypeSupported(type) {
+    return type === 'video/webm;codecs=vp8';
+  }
+
+  constructor(stream, options) {
+    super();
+    this.mimeType = options?.mimeType || 'video/webm';
+    this.state = 'inactive';
+    this.ondataavailable = null;
+  }
+
+  start(timeslice) {
+    this.state = 'recording';
+    this.startedAt = Date.now();
+    this.frames = 0;
+    this.pending = streamHeader();
+    this.timer = setInterval(() => this.flush(), timeslice);
+  }
+
+  /** Encode every frame due by now. */
+  encode() {
+    while (this.frames * FRAME_MS <= Date.now() - this.startedAt) {
+      this.pending.push(...frameBytes(this.frames++));
+    }
+  }
+
+  flush() {
+    this.encode();
+    const event = new Event('dataavailable');
+    event.data = new Blob([new Uint8Array(this.pending)]);
+    this.pending = [];
+    this.ondataavailable?.(event);
+    this.dispatchEvent(event);
+  }
+
+  requestData() {
+    if (this.state === 'recording') setTimeout(() => this.flush(), 0);
+  }
+
+  stop() {
+    if (this.state === 'inactive') return;
+    clearInterval(this.timer);
+    this.flush();
+    this.state = 'inactive';
+    this.dispatchEvent(new Event('stop'));
+  }
+}
+
+// ─── WebM reader ─────────────────────────────────────────────────
+
+/**
+ * Walk a WebM file and list its frames. Throws on anything a player would
+ * choke on: no header, an element cut off, or bytes that aren't an element.
+ */
+function readFrames(bytes) {
+  let pos = 0;
+  const need = (n) => {
+    if (pos + n > bytes.length) throw new Error(`truncated at byte ${pos}`);
+  };
+  const vintLength = (first, max) => {
+    let len = 1;
+    while (len <= max && !(first & (0x80 >> (len - 1)))) len++;
+    if (len > max) throw new Error(`bad length marker at byte ${pos}`);
+    return len;
+  };
+  const readId = () => {
+    need(1);
+    const len = vintLength(bytes[pos], 4);
+    need(len);
+    let id = 0;
+    for (let i = 0; i < len; i++) id = id * 256 + bytes[pos + i];
+    pos += len;
+    return id;
+  };
+  const readSize = () => {
+    need(1);
+    const len = vintLength(bytes[pos], 8);
+    need(len);
+    let value = bytes[pos] & (0xff >> len);
+    let unknown = value === (0xff >> len);
+    for (let i = 1; i < len; i++) {
+      value = value * 256 + bytes[pos + i];
+      if (bytes[pos + i] !== 0xff) unknown = false;
+    }
+    pos += len;
+    return unknown ? null : value;
+  };
+
+  if (readId() !== ID.EBML) throw new Error('no EBML header');
+  const headerSize = readSize();
+  need(headerSize);
+  pos += headerSize;
+  if (readId() !== ID.SEGMENT) throw new Error('no Segment');
+  readSize();
+
+  const frames = [];
+  let tracks = false;
+  let clusterTime = null;
+  while (pos < bytes.length) {
+    const id = readId();
+    const size = readSize();
+    if (id === ID.CLUSTER) {
+      if (!tracks) throw new Error('Cluster before Tracks');
+      clusterTime = null;
+      continue;   // unknown-size cluster: its children follow
+    }
+    if (size === null) throw new Error(`unknown size on element 0x${id.toString(16)}`);
+    need(size);
+    if (id === ID.TRACKS) {
+      tracks = true;
+    } else if (id === ID.TIMECODE) {
+      clusterTime = (bytes[pos] << 8) | bytes[pos + 1];
+    } else if (id === ID.SIMPLE_BLOCK) {
+      if (clusterTime === null) throw new Error('SimpleBlock outside a cluster');
+      const rel = (bytes[pos + 1] << 8) | bytes[pos + 2];
+      const index = ((bytes[pos + 4] << 24) | (bytes[pos + 5] << 16) | (bytes[pos + 6] << 8) | bytes[pos + 7]) >>> 0;
+      frames.push({ index, time: clusterTime + rel, key: (bytes[pos + 3] & 0x80) !== 0 });
+    } else {
+      throw new Error(`unexpected element 0x${id.toString(16)} at byte ${pos}`);
+    }
+    pos += size;
+  }
+  return frames;
+}
+
+/** The frames of a clip that plays from its first frame to its last. */
+async function playableFrames(blob) {
+  const frames = readFrames(new Uint8Array(await blob.arrayBuffer()));
+  assert.ok(frames.length > 0, 'clip has no frames');
+  assert.ok(frames[0].key, 'clip does not start on a keyframe');
+  for (let i = 1; i < frames.length; i++) {
+    assert.equal(frames[i].index, frames[i - 1].index + 1, `frame missing before frame ${frames[i].index}`);
+  }
+  return frames;
+}
+
+// ─── Tests ───────────────────────────────────────────────────────
+
+const OPTS = { windowMs: 300, postRollMs: 100, chunkMs: 50 };
+
+describe('createReplayCamera', () => {
+  const saved = {};
+
+  before(() => {
+    const track = { stop() {}, getSettings: () => ({ deviceId: 'cam-1' }) };
+    const stream = { getTracks: () => [track], getVideoTracks: () => [track] };
+    for (const name of ['navigator', 'document', 'MediaRecorder']) {
+      saved[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+    }
+    const define = (name, value) => Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    define('navigator', { mediaDevices: { getUserMedia: async () => stream } });
+    define('document', { createElement: () => ({ play: async () => {}, videoWidth: 0 }) });
+    define('MediaRecorder', FakeMediaRecorder);
+  });
+
+  after(() => {
+    for (const [name, desc] of Object.entries(saved)) {
+      if (desc) Object.defineProperty(globalThis, name, desc);
+      else delete globalThis[name];
+    }
+  });
+
+  it('checks clips the way a player would: a header + tail splice fails', async () => {
+    const recorder = new FakeMediaRecorder(null, {});
+    const chunks = [];
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+    recorder.start(OPTS.chunkMs);
+    await sleep(600);
+    recorder.stop();
+    await playableFrames(new Blob(chunks));
+    await assert.rejects(playableFrames(new Blob([chunks[0], ...chunks.slice(-3)])));
+  });
+
+  it('returns clips that play from the first frame and reach back a full window', async () => {
+    const camera = createReplayCamera(OPTS);
+    await camera.start();
+    try {
+      await sleep(900);
+      // Captures at different points of the rotation, including across restarts
+      for (let i = 0; i < 4; i++) {
+        const { clip, mime_type } = await camera.capture();
+        assert.ok(clip, 'no clip captured');
+        assert.equal(mime_type, 'video/webm;codecs=vp8');
+        const frames = await playableFrames(clip);
+        const span = frames[frames.length - 1].time - frames[0].time;
+        assert.ok(span >= OPTS.windowMs, `clip covers only ${span} ms`);
+        await sleep(170);
+      }
+    } finally {
+      camera.stop();
+    }
+  });
+
+  it('returns no clip once stopped', async () => {
+    const camera = createReplayCamera(OPTS);
+    await camera.start();
+    camera.stop();
+    assert.deepEqual(await camera.capture(), { clip: null, still: null, mime_type: null });
+  });
+});
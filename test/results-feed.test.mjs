@@ -0,0 +1,78 @@
+/**
+ * Unit tests for results-feed.js
+ * Run with: node --test test/results-feed.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toPublicEvent, fromPublicRow, feedMessage, applyFeedMessage
+} from '../public/js/results-feed.js';
+
+const ev = (id, type, extra = {}) => ({ id, type, rally_id: 'r1', ...extra });
+
+describe('toPublicEvent', () => {
+  it('keeps race events and strips emails and chain fields', () => {
+    const out = toPublicEvent(ev(3, 'ParticipantAdded', {
+      section_id: 's1', participant: { name: 'Alice' }, added_by: 'leader@example.com',
+      chain_id: 'c1', chain_seq: 2, prev_hash: 'aa', hash: 'bb', synced: true, server_id: '90'
+    }));
+    assert.deepEqual(out, { id: 3, type: 'ParticipantAdded', rally_id: 'r1', section_id: 's1', participant: { name: 'Alice' } });
+  });
+
+  it('leaves out invitations, roles, inspections and photos', () => {
+    for (const type of ['RegistrarInvited', 'OperatorInvited', 'CheckInRoleGranted', 'CarInspected', 'CarPhotoTaken']) {
+      assert.equal(toPublicEvent(ev(1, type, { email: 'x@example.com' })), null, type);
+    }
+  });
+});
+
+describe('fromPublicRow', () => {
+  it('flattens a server row, using the server id for replay order', () => {
+    const e = fromPublicRow({ id: 42, rally_id: 'r1', section_id: 's1', event_type: 'CarArrived', payload: { car_number: '7' } });
+    assert.deepEqual(e, { car_number: '7', id: 42, type: 'CarArrived', rally_id: 'r1', section_id: 's1' });
+  });
+});
+
+describe('feedMessage', () => {
+  const a = ev(1, 'SectionCreated');
+  const b = ev(2, 'CarArrived');
+  const c = ev(5, 'SectionStarted');
+
+  it('sends only the new events while the log grows', () => {
+    assert.deepEqual(feedMessage([a, b], [a, b, c]), { type: 'EVENTS_APPENDED', from: 2, events: [c] });
+  });
+
+  it('sends nothing when the log is unchanged', () => {
+    assert.equal(feedMessage([a, b], [a, b]), null);
+  });
+
+  it('resends the whole log when an event lands in the middle', () => {
+    assert.deepEqual(feedMessage([a, c], [a, b, c]), { type: 'EVENTS_RESET', events: [a, b, c] });
+  });
+
+  it('resends the whole log after the store is cleared', () => {
+    assert.deepEqual(feedMessage([a, b], []), { type: 'EVENTS_RESET', events: [] });
+  });
+});
+
+describe('applyFeedMessage', () => {
+  const a = ev(1, 'SectionCreated');
+  const b = ev(2, 'CarArrived');
+
+  it('replaces the log on EVENTS_RESET and extends it on EVENTS_APPENDED', () => {
+    let log = applyFeedMessage([b], { type: 'EVENTS_RESET', events: [a] });
+    assert.deepEqual(log, [a]);
+    log = applyFeedMessage(log, { type: 'EVENTS_APPENDED', from: 1, events: [b] });
+    assert.deepEqual(log, [a, b]);
+  });
+
+  it('returns null for an append that skips ahead, so the page asks again', () => {
+    assert.equal(applyFeedMessage([a], { type: 'EVENTS_APPENDED', from: 3, events: [b] }), null);
+  });
+
+  it('ignores other messages', () => {
+    const log = [a];
+    assert.equal(applyFeedMessage(log, { type: 'SHOW_WELCOME' }), log);
+  });
+});
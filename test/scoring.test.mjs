@@ -7,17 +7,20 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   computeLeaderboard, getAcceptedResults,
-  sectionAverageTime, syntheticTimesFromRanking
+  sectionAverageTime, syntheticTimesFromRanking,
+  pointsForHeat, getScoringMethod, seedFinals, estimateLaneOffsets,
+  findExcludedTimes, computeCarStats
 } from '../public/js/scoring.js';
 
 // ─── Helpers ──────────────────────────────────────────────────────
 
-function makeSection({ participants, results, removed = [], lane_corrections = {} }) {
+function makeSection({ participants, results, removed = [], lane_corrections = {}, scoring_method }) {
   return {
     participants,
     results,
     removed,
     lane_corrections,
+    scoring_method,
     arrived: participants.map(p => p.car_number),
     started: true,
     completed: false,
@@ -406,3 +409,367 @@ describe('computeLeaderboard — edge cases', () => {
     assert.strictEqual(standings[0].best_time_ms, 2200);
   });
 });
+
+// ─── Points scoring ─────────────────────────────────────────────
+
+const dave = { participant_id: 'p4', name: 'Dave', car_number: 4 };
+
+function lanesFor(...cars) {
+  return cars.map((c, i) => ({ lane: i + 1, car_number: c.car_number, name: c.name }));
+}
+
+describe('getScoringMethod', () => {
+  it('defaults to average_time', () => {
+    assert.strictEqual(getScoringMethod({}), 'average_time');
+    assert.strictEqual(getScoringMethod({ scoring_method: null }), 'average_time');
+  });
+
+  it('ignores unknown methods', () => {
+    assert.strictEqual(getScoringMethod({ scoring_method: 'bogus' }), 'average_time');
+  });
+
+  it('returns points when selected', () => {
+    assert.strictEqual(getScoringMethod({ scoring_method: 'points' }), 'points');
+  });
+});
+
+describe('pointsForHeat', () => {
+  it('awards N points for 1st down to 1 for last', () => {
+    const result = { type: 'RaceCompleted', times_ms: { '1': 2600, '2': 2400, '3': 2500 } };
+    const points = pointsForHeat(result, lanesFor(alice, bob, carol));
+    assert.deepStrictEqual(points, { 1: 1, 2: 3, 3: 2 });
+  });
+
+  it('gives tied times the better place', () => {
+    const result = { type: 'RaceCompleted', times_ms: { '1': 2400, '2': 2400, '3': 2500 } };
+    const points = pointsForHeat(result, lanesFor(alice, bob, carol));
+    assert.deepStrictEqual(points, { 1: 3, 2: 3, 3: 1 });
+  });
+
+  it('gives a DNF zero points', () => {
+    const result = { type: 'RaceCompleted', times_ms: { '1': 2400, '3': 2500 } };
+    const points = pointsForHeat(result, lanesFor(alice, bob, carol));
+    assert.deepStrictEqual(points, { 1: 3, 2: 0, 3: 2 });
+  });
+
+  it('awards points from manual places', () => {
+    const result = {
+      type: 'ResultManuallyEntered',
+      rankings: [{ car_number: 2, place: 1 }, { car_number: 1, place: 2 }]
+    };
+    assert.deepStrictEqual(pointsForHeat(result, lanesFor(alice, bob)), { 2: 2, 1: 1 });
+  });
+});
+
+describe('computeLeaderboard — points scoring', () => {
+  it('ranks by total points rather than average time', () => {
+    // Alice wins two heats narrowly, then limps home second in the third.
+    // Bob has the better average but fewer points.
+    const section = makeSection({
+      participants: [alice, bob, carol],
+      scoring_method: 'points',
+      results: {
+        1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2400, '2': 2410, '3': 2600 }, lanes: lanesFor(alice, bob, carol), timestamp: 100 },
+        2: { type: 'RaceCompleted', heat_number: 2, times_ms: { '1': 2400, '2': 2410, '3': 2600 }, lanes: lanesFor(alice, bob, carol), timestamp: 200 },
+        3: { type: 'RaceCompleted', heat_number: 3, times_ms: { '1': 4000, '2': 2410, '3': 4100 }, lanes: lanesFor(alice, bob, carol), timestamp: 300 }
+      }
+    });
+
+    const standings = computeLeaderboard(section);
+    assert.deepStrictEqual(standings.map(s => s.name), ['Alice', 'Bob', 'Carol']);
+    assert.deepStrictEqual(standings.map(s => s.points), [8, 7, 3]);
+    assert.ok(standings[1].avg_time_ms < standings[0].avg_time_ms);
+  });
+
+  it('breaks point ties by average time', () => {
+    const section = makeSection({
+      participants: [alice, bob],
+      scoring_method: 'points',
+      results: {
+        1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2400, '2': 2500 }, lanes: lanesFor(alice, bob), timestamp: 100 },
+        2: { type: 'RaceCompleted', heat_number: 2, times_ms: { '1': 2900, '2': 2300 }, lanes: lanesFor(alice, bob), timestamp: 200 }
+      }
+    });
+
+    const standings = computeLeaderboard(section);
+    assert.strictEqual(standings[0].points, 3);
+    assert.strictEqual(standings[1].points, 3);
+    assert.strictEqual(standings[0].name, 'Bob');
+  });
+
+  it('counts a DNF as a heat run so the car stays complete', () => {
+    const section = makeSection({
+      participants: [alice, bob],
+      scoring_method: 'points',
+      results: {
+        1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2400 }, lanes: lanesFor(alice, bob), timestamp: 100 }
+      }
+    });
+
+    const standings = computeLeaderboard(section);
+    const bobRow = standings.find(s => s.name === 'Bob');
+    assert.strictEqual(bobRow.points, 0);
+    assert.strictEqual(bobRow.heats_run, 1);
+    assert.strictEqual(bobRow.incomplete, false);
+    assert.strictEqual(bobRow.avg_time_ms, null);
+  });
+
+  it('scores manual heats by place', () => {
+    const section = makeSection({
+      participants: [alice, bob, carol, dave],
+      scoring_method: 'points',
+      results: {
+        1: {
+          type: 'ResultManuallyEntered', heat_number: 1, lanes: lanesFor(alice, bob, carol, dave),
+          rankings: [
+            { car_number: 3, place: 1 }, { car_number: 1, place: 2 },
+            { car_number: 4, place: 3 }, { car_number: 2, place: 4 }
+          ],
+          timestamp: 100
+        }
+      }
+    });
+
+    const standings = computeLeaderboard(section);
+    assert.deepStrictEqual(standings.map(s => [s.name, s.points]), [
+      ['Carol', 4], ['Alice', 3], ['Dave', 2], ['Bob', 1]
+    ]);
+  });
+
+  it('still ranks removed cars as incomplete', () => {
+    const section = makeSection({
+      participants: [alice, bob, carol],
+      scoring_method: 'points',
+      removed: [1],
+      results: {
+        1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2200, '2': 2500, '3': 2600 }, lanes: lanesFor(alice, bob, carol), timestamp: 100 }
+      }
+    });
+
+    const standings = computeLeaderboard(section);
+    assert.strictEqual(standings[2].name, 'Alice');
+    assert.strictEqual(standings[2].incomplete, true);
+    assert.strictEqual(standings[2].points, 3);
+  });
+
+  it('leaves points null under average-time scoring', () => {
+    const section = makeSection({
+      participants: [alice, bob],
+      results: {
+        1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2400, '2': 2500 }, lanes: lanesFor(alice, bob), timestamp: 100 }
+      }
+    });
+
+    const standings = computeLeaderboard(section);
+    assert.strictEqual(standings[0].points, null);
+  });
+});
+
+// ─── Bracket ranking ────────────────────────────────────────────
+
+describe('computeLeaderboard — elimination bracket', () => {
+  it('ranks by bracket placing, not average time', () => {
+    const [a, b, c] = [alice, bob, carol].map(p => ({ ...p, car_number: String(p.car_number) }));
+    const section = makeSection({
+      participants: [a, b, c],
+      results: {
+        // Carol posts the fastest time but is knocked out in the final
+        1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2500, '2': 2600, '3': 2100 }, lanes: lanesFor(a, b, c), timestamp: 100 },
+        2: { type: 'RaceCompleted', heat_number: 2, times_ms: { '1': 2400, '2': 2700 }, lanes: lanesFor(c, a), timestamp: 200 }
+      }
+    });
+    section.bracket = {
+      format: 'single_elimination', round: 3, winners: [], losers: [], champion: '3',
+      rounds: [
+        { round: 1, winners: ['3', '1'], losers: [], eliminated: ['2'] },
+        { round: 2, winners: [], losers: [], eliminated: ['1'] }
+      ]
+    };
+
+    const standings = computeLeaderboard(section);
+    assert.deepStrictEqual(standings.map(s => s.name), ['Carol', 'Alice', 'Bob']);
+    assert.ok(standings.every(s => !s.incomplete), 'uneven heat counts are expected in a bracket');
+  });
+});
+
+// ─── seedFinals ─────────────────────────────────────────────────
+
+function completedSection(participants, results, extra = {}) {
+  return {
+    participants,
+    arrived: participants.map(p => p.car_number),
+    starts: {
+      1: { start_number: 1, completed: true, results, removed: [], lane_corrections: {}, reruns: {}, ...extra }
+    }
+  };
+}
+
+describe('seedFinals', () => {
+  const cubs = [
+    { participant_id: 'c1', name: 'Alice', car_number: '1', group_id: 'g1' },
+    { participant_id: 'c2', name: 'Bob', car_number: '2', group_id: null },
+    { participant_id: 'c3', name: 'Carol', car_number: '3', group_id: null }
+  ];
+  const scouts = [
+    { participant_id: 's1', name: 'Sam', car_number: 'S1', group_id: null },
+    { participant_id: 's2', name: 'Tess', car_number: 'S2', group_id: null }
+  ];
+  const cubsResults = {
+    1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2600, '2': 2400, '3': 2500 }, lanes: lanesFor(...cubs) }
+  };
+  const scoutsResults = {
+    1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2300, '2': 2200 }, lanes: lanesFor(...scouts) }
+  };
+
+  it('takes the top N from each source section with home references', () => {
+    const sections = {
+      cubs: completedSection(cubs, cubsResults),
+      scouts: completedSection(scouts, scoutsResults)
+    };
+    const { participants, conflicts } = seedFinals(sections, ['cubs', 'scouts'], 2);
+    assert.deepStrictEqual(conflicts, []);
+    assert.deepStrictEqual(participants.map(p => p.car_number), ['2', '3', 'S2', 'S1']);
+    assert.deepStrictEqual(participants[0], {
+      participant_id: 'c2', name: 'Bob', car_number: '2', group_id: null,
+      home_section_id: 'cubs', home_place: 1
+    });
+    assert.strictEqual(participants[3].home_section_id, 'scouts');
+    assert.strictEqual(participants[3].home_place, 2);
+  });
+
+  it('skips removed cars when picking finalists', () => {
+    const sections = { cubs: completedSection(cubs, cubsResults, { removed: ['2'] }) };
+    const { participants } = seedFinals(sections, ['cubs'], 1);
+    assert.deepStrictEqual(participants.map(p => p.car_number), ['3']);
+  });
+
+  it('skips sections without a completed start', () => {
+    const sections = {
+      cubs: completedSection(cubs, cubsResults),
+      scouts: { participants: scouts, arrived: [], starts: {} }
+    };
+    const { participants } = seedFinals(sections, ['cubs', 'scouts', 'missing'], 5);
+    assert.strictEqual(participants.length, 3);
+  });
+
+  it('reports car numbers shared between sections', () => {
+    const beavers = cubs.map(p => ({ ...p, participant_id: 'b' + p.participant_id }));
+    const sections = {
+      cubs: completedSection(cubs, cubsResults),
+      beavers: completedSection(beavers, cubsResults)
+    };
+    const { conflicts } = seedFinals(sections, ['cubs', 'beavers'], 2);
+    assert.deepStrictEqual(conflicts, ['2', '3']);
+  });
+});
+
+// ─── Lane bias correction ───────────────────────────────────────
+
+describe('estimateLaneOffsets', () => {
+  // Alice is truly 10ms faster than Bob; lane 1 is 40ms slow, lane 2 40ms fast.
+  // Heat 3 is a catch-up heat that puts Alice back in the slow lane.
+  const unbalanced = {
+    1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2440, '2': 2370 }, lanes: lanesFor(alice, bob) },
+    2: { type: 'RaceCompleted', heat_number: 2, times_ms: { '1': 2450, '2': 2360 }, lanes: lanesFor(bob, alice) },
+    3: { type: 'RaceCompleted', heat_number: 3, times_ms: { '1': 2440, '2': 2370 }, lanes: lanesFor(alice, bob) }
+  };
+
+  it('recovers per-lane offsets centred on zero', () => {
+    const offsets = estimateLaneOffsets(makeSection({ participants: [alice, bob], results: unbalanced }));
+    assert.ok(Math.abs(offsets[1] - 40) < 0.1, `lane 1 offset ${offsets[1]}`);
+    assert.ok(Math.abs(offsets[2] + 40) < 0.1, `lane 2 offset ${offsets[2]}`);
+  });
+
+  it('ignores manual heats and returns nothing for a single lane', () => {
+    const section = makeSection({
+      participants: [alice, bob],
+      results: {
+        1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2440 }, lanes: lanesFor(alice) },
+        2: { type: 'ResultManuallyEntered', heat_number: 2, lanes: lanesFor(alice, bob), rankings: [{ car_number: 1, place: 1 }, { car_number: 2, place: 2 }] }
+      }
+    });
+    assert.deepStrictEqual(estimateLaneOffsets(section), {});
+  });
+
+  it('ranks by adjusted average when lane_bias_correction is set', () => {
+    const raw = computeLeaderboard(makeSection({ participants: [alice, bob], results: unbalanced }));
+    assert.strictEqual(raw[0].name, 'Bob');
+    assert.strictEqual(raw[0].adjusted_avg_time_ms, null);
+
+    const section = { ...makeSection({ participants: [alice, bob], results: unbalanced }), lane_bias_correction: true };
+    const adjusted = computeLeaderboard(section);
+    assert.deepStrictEqual(adjusted.map(s => s.name), ['Alice', 'Bob']);
+    assert.strictEqual(adjusted[0].adjusted_avg_time_ms, 2400);
+    assert.strictEqual(adjusted[1].adjusted_avg_time_ms, 2410);
+    assert.strictEqual(adjusted[0].avg_time_ms, 2413, 'raw average still reported');
+  });
+});
+
+// ─── Drop and outlier rules ─────────────────────────────────────
+
+describe('findExcludedTimes', () => {
+  it('returns nothing without rules', () => {
+    assert.deepStrictEqual(findExcludedTimes({ 1: [2400, 2500] }, null), {});
+  });
+
+  it('drops the slowest time, keeping at least one', () => {
+    const out = findExcludedTimes({ 1: [2400, 2600, 2500], 2: [2450] }, { drop: 'worst' });
+    assert.deepStrictEqual([...out[1]], [[1, 'dropped_worst']]);
+    assert.strictEqual(out[2], undefined);
+  });
+
+  it('drops best and worst only with three or more times', () => {
+    const out = findExcludedTimes({ 1: [2400, 2600, 2500], 2: [2450, 2460] }, { drop: 'best_and_worst' });
+    assert.deepStrictEqual(new Map(out[1]), new Map([[1, 'dropped_worst'], [0, 'dropped_best']]));
+    assert.strictEqual(out[2], undefined);
+  });
+
+  it('rejects times far from the car median, then applies drop rules', () => {
+    const out = findExcludedTimes({
+      1: [2400, 2410, 2390, 2405, 3400],
+      2: [2500, 2510, 2490, 2505, 2495]
+    }, { outlier_sd: 1.5, drop: 'worst' });
+    assert.strictEqual(out[1].get(4), 'outlier');
+    assert.strictEqual(out[1].get(1), 'dropped_worst', 'slowest remaining time dropped');
+    assert.deepStrictEqual([...out[2]], [[1, 'dropped_worst']]);
+  });
+
+  it('skips cars with fewer than three times and ignores DNFs', () => {
+    const out = findExcludedTimes({ 1: [2400, 5000], 2: [2500, null, 2510, 2490] }, { outlier_sd: 1 });
+    assert.strictEqual(out[1], undefined);
+    assert.ok(!out[2] || !out[2].has(1));
+  });
+});
+
+describe('computeLeaderboard — scoring rules', () => {
+  // Bob is faster except for heat 3, where his car came off the guide rail.
+  const results = {
+    1: { type: 'RaceCompleted', heat_number: 1, times_ms: { '1': 2400, '2': 2350 }, lanes: lanesFor(alice, bob) },
+    2: { type: 'RaceCompleted', heat_number: 2, times_ms: { '1': 2350, '2': 2400 }, lanes: lanesFor(bob, alice) },
+    3: { type: 'RaceCompleted', heat_number: 3, times_ms: { '1': 2400, '2': 2900 }, lanes: lanesFor(alice, bob) }
+  };
+
+  it('ranks on counted times and lists exclusions', () => {
+    const raw = computeLeaderboard(makeSection({ participants: [alice, bob], results }));
+    assert.strictEqual(raw[0].name, 'Alice');
+    assert.deepStrictEqual(raw[0].excluded, []);
+
+    const section = { ...makeSection({ participants: [alice, bob], results }), scoring_rules: { drop: 'worst' } };
+    const ruled = computeLeaderboard(section);
+    assert.deepStrictEqual(ruled.map(s => s.name), ['Bob', 'Alice']);
+    assert.strictEqual(ruled[0].avg_time_ms, 2350);
+    assert.strictEqual(ruled[0].heats_run, 3, 'dropped heats still count as run');
+    assert.deepStrictEqual(ruled[0].excluded, [
+      { heat_number: 3, lane: 2, time_ms: 2900, reason: 'dropped_worst' }
+    ]);
+  });
+
+  it('flags excluded times in computeCarStats', () => {
+    const section = { ...makeSection({ participants: [alice, bob], results }), scoring_rules: { drop: 'worst' } };
+    const bobStats = computeCarStats(section).find(c => c.car_number === 2);
+    assert.deepStrictEqual(bobStats.excluded.map(x => x.heat_number), [3]);
+
+    const plain = computeCarStats(makeSection({ participants: [alice, bob], results }));
+    assert.ok(plain.every(c => c.excluded.length === 0));
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for sensor-self-test.js
+ * Run with: node --test test/sensor-self-test.test.mjs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyzeTriggers, laneVerdict, createSelfTest, PASSES_PER_LANE
+} from '../public/js/sensor-self-test.js';
+
+const gate = (ms, edge) => ({ sub: 1, event: 'edge', pin: 'gate', edge, ms });
+const lane = (ms, n, edge = 'triggered') => ({ sub: 1, event: 'edge', pin: 'lane', lane: n, edge, ms });
+
+/** Feed one clean beam break per entry in `times`. */
+function breaks(test, n, times) {
+  for (const ms of times) {
+    test.add(lane(ms, n));
+    test.add(lane(ms + 80, n, 'cleared'));
+  }
+}
+
+describe('analyzeTriggers', () => {
+  it('counts one pass per beam break', () => {
+    assert.deepEqual(analyzeTriggers([1000, 2000, 3000]), { passes: 3, bounces: 0, jitter_ms: 0 });
+  });
+
+  it('folds triggers inside the bounce window into one break', () => {
+    assert.deepEqual(analyzeTriggers([1000, 1004, 1011, 2000, 2030], 50), { passes: 2, bounces: 3, jitter_ms: 30 });
+  });
+
+  it('reports nothing for no triggers', () => {
+    assert.deepEqual(analyzeTriggers([]), { passes: 0, bounces: 0, jitter_ms: 0 });
+  });
+});
+
+describe('laneVerdict', () => {
+  it('ranks dead, spurious, bouncy, ok', () => {
+    assert.equal(laneVerdict({ passes: 0, bounces: 0, spurious: 3 }), 'dead');
+    assert.equal(laneVerdict({ passes: 3, bounces: 2, spurious: 1 }), 'spurious');
+    assert.equal(laneVerdict({ passes: 3, bounces: 2, spurious: 0 }), 'bouncy');
+    assert.equal(laneVerdict({ passes: 3, bounces: 0, spurious: 0 }), 'ok');
+  });
+});
+
+describe('createSelfTest', () => {
+  it('steps through the gate, then each lane', () => {
+    const test = createSelfTest({ laneCount: 2 });
+    assert.deepEqual(test.step(), { kind: 'gate' });
+    test.add(gate(100, 'opened'));
+    assert.equal(test.isStepDone(), false);
+    test.add(gate(900, 'closed'));
+    assert.equal(test.isStepDone(), true);
+    test.next();
+    assert.deepEqual(test.step(), { kind: 'lane', lane: 1 });
+    breaks(test, 1, [2000, 3000]);
+    assert.equal(test.progress().passes, 2);
+    assert.equal(test.isStepDone(), false);
+    breaks(test, 1, [4000]);
+    assert.equal(test.isStepDone(), true);
+    test.next();
+    test.next();
+    assert.equal(test.step(), null);
+  });
+
+  it('passes a clean track', () => {
+    const test = createSelfTest({ laneCount: 2 });
+    test.add(gate(100, 'opened'));
+    test.add(gate(900, 'closed'));
+    for (const n of [1, 2]) {
+      test.next();
+      breaks(test, n, [n * 10000, n * 10000 + 1000, n * 10000 + 2000]);
+    }
+    test.next();
+    const report = test.result();
+    assert.deepEqual(report.gate, { toggled: true, bounces: 0, spurious: 0 });
+    assert.deepEqual(report.lanes[1], { passes: PASSES_PER_LANE, bounces: 0, jitter_ms: 0, spurious: 0, verdict: 'ok' });
+    assert.deepEqual(report.failed_lanes, []);
+    assert.equal(report.lane_count, 2);
+  });
+
+  it('fails lanes that never fire or fire during another step', () => {
+    const test = createSelfTest({ laneCount: 3 });
+    test.add(gate(100, 'opened'));
+    test.add(lane(150, 3));             // lane 3 fires as the gate opens
+    test.add(gate(900, 'closed'));
+    test.next();
+    breaks(test, 1, [2000, 3000, 4000]);
+    test.next();                        // lane 2 skipped: never fired
+    test.next();
+    breaks(test, 3, [8000, 9000, 10000]);
+    const report = test.result();
+    assert.equal(report.lanes[2].verdict, 'dead');
+    assert.equal(report.lanes[3].verdict, 'spurious');
+    assert.equal(report.lanes[3].spurious, 1);
+    assert.deepEqual(report.failed_lanes, [2, 3]);
+  });
+
+  it('measures bounces and jitter without failing the lane', () => {
+    const test = createSelfTest({ laneCount: 1 });
+    test.next();
+    test.add(lane(1000, 1));
+    test.add(lane(1002, 1, 'cleared'));
+    test.add(lane(1007, 1));
+    test.add(lane(1090, 1, 'cleared'));
+    breaks(test, 1, [2000, 3000]);
+    const report = test.result();
+    assert.deepEqual(report.lanes[1], { passes: 3, bounces: 1, jitter_ms: 7, spurious: 0, verdict: 'bouncy' });
+    assert.deepEqual(report.failed_lanes, []);
+    assert.equal(report.gate.toggled, false);
+  });
+
+  it('ignores frames other than edges and anything after the last step', () => {
+    const test = createSelfTest({ laneCount: 1 });
+    test.add({ sub: 1, event: 'state', gate_ready: false });
+    test.next();
+    test.next();
+    test.add(lane(5000, 1));
+    assert.equal(test.result().lanes[1].passes, 0);
+  });
+});
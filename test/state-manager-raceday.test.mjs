@@ -8,8 +8,11 @@ import assert from 'node:assert/strict';
 import {
   initialState, applyEvent, rebuildState,
   nextAvailableCarNumber, deriveRaceDayPhase, getAcceptedResult,
-  getActiveStart, getLatestStart, getCompletedStarts, getStart, flattenStart
+  getActiveStart, getLatestStart, getCompletedStarts, getStart, flattenStart,
+  getInspectionGaps, inspectionFailures, getCarPhotoId, findUndoableAction,
+  replayEvents, sealSnapshot, isSnapshotIntact, SNAPSHOT_VERSION, DEFAULT_TRACK_ID
 } from '../public/js/state-manager.js';
+import { linkEvent } from '../public/js/event-chain.js';
 
 // ─── Helpers ──────────────────────────────────────────────────────
 
@@ -172,6 +175,112 @@ describe('SectionStarted', () => {
     assert.strictEqual(s.race_day.sections.s1.starts[1].available_lanes, null);
   });
 
+  it('stores scoring_method on the start when provided', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1', scoring_method: 'points' }
+    ]);
+    assert.strictEqual(s.race_day.sections.s1.starts[1].scoring_method, 'points');
+  });
+
+  it('inherits scoring_method from SectionCreated when not provided', () => {
+    const [created, roster] = baseRosterPayloads();
+    const s = buildState([
+      { ...created, scoring_method: 'points' },
+      roster,
+      { type: 'SectionStarted', section_id: 's1' }
+    ]);
+    const sec = s.race_day.sections.s1;
+    assert.strictEqual(sec.scoring_method, 'points');
+    assert.strictEqual(sec.starts[1].scoring_method, 'points');
+    assert.strictEqual(flattenStart(sec, sec.starts[1]).scoring_method, 'points');
+  });
+
+  it('stores lane_bias_correction on the start and flattens it', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1', lane_bias_correction: true },
+      { type: 'SectionCompleted', section_id: 's1' },
+      { type: 'SectionStarted', section_id: 's1' }
+    ]);
+    const sec = s.race_day.sections.s1;
+    assert.strictEqual(sec.starts[1].lane_bias_correction, true);
+    assert.strictEqual(flattenStart(sec, sec.starts[1]).lane_bias_correction, true);
+    assert.strictEqual(flattenStart(sec, sec.starts[2]).lane_bias_correction, false);
+  });
+
+  it('stores schedule_options on the start', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1', schedule_options: { perfect_n: true } },
+      { type: 'SectionCompleted', section_id: 's1' },
+      { type: 'SectionStarted', section_id: 's1' }
+    ]);
+    const sec = s.race_day.sections.s1;
+    assert.deepStrictEqual(sec.starts[1].schedule_options, { perfect_n: true });
+    assert.strictEqual(sec.starts[2].schedule_options, null);
+  });
+
+  it('resolves scoring_rules from start, then section, then rally', () => {
+    const [created, roster] = baseRosterPayloads();
+    const s = buildState([
+      { type: 'RallyCreated', rally_id: 'r1', rally_name: 'Rally', rally_date: '2026-03-15', scoring_rules: { drop: 'worst' } },
+      { ...created, scoring_rules: { outlier_sd: 3 } },
+      roster,
+      { type: 'SectionStarted', section_id: 's1' },
+      { type: 'SectionCompleted', section_id: 's1' },
+      { type: 'SectionStarted', section_id: 's1', scoring_rules: {} },
+      { type: 'SectionCreated', section_id: 's2', section_name: 'Scouts' },
+      { type: 'SectionStarted', section_id: 's2' }
+    ]);
+    const sec = s.race_day.sections.s1;
+    assert.deepStrictEqual(sec.starts[1].scoring_rules, { outlier_sd: 3 });
+    assert.deepStrictEqual(flattenStart(sec, sec.starts[2]).scoring_rules, {}, 'empty rules override defaults');
+    assert.deepStrictEqual(s.race_day.sections.s2.starts[1].scoring_rules, { drop: 'worst' });
+  });
+
+  it('defaults format to round_robin with no bracket', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1' }
+    ]);
+    assert.strictEqual(s.race_day.sections.s1.starts[1].format, 'round_robin');
+    assert.strictEqual(s.race_day.sections.s1.starts[1].bracket, null);
+  });
+
+  it('seeds a bracket from arrived cars for an elimination format', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '3' },
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'SectionStarted', section_id: 's1', format: 'double_elimination' }
+    ]);
+    const start = s.race_day.sections.s1.starts[1];
+    assert.strictEqual(start.format, 'double_elimination');
+    assert.deepStrictEqual(start.bracket.winners, ['1', '3']);
+    assert.deepStrictEqual(start.bracket.losers, []);
+    assert.strictEqual(start.bracket.round, 1);
+    assert.strictEqual(start.bracket.champion, null);
+  });
+
+  it('records the track it runs on in active_sections', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1', track_id: 'B' }
+    ]);
+    assert.strictEqual(s.race_day.sections.s1.starts[1].track_id, 'B');
+    assert.deepStrictEqual(s.race_day.active_sections, { B: 's1' });
+  });
+
+  it('defaults track_id to Track A for events without one', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1' }
+    ]);
+    assert.strictEqual(s.race_day.sections.s1.starts[1].track_id, DEFAULT_TRACK_ID);
+    assert.deepStrictEqual(s.race_day.active_sections, { [DEFAULT_TRACK_ID]: 's1' });
+  });
+
   it('respects explicit start_number', () => {
     const s = buildState([
       ...baseRosterPayloads(),
@@ -282,6 +391,109 @@ describe('RaceCompleted', () => {
     assert.strictEqual(result.times_ms['1'], 2600);
     assert.strictEqual(result.timestamp, 2000);
   });
+  it('records the track that timed the heat, defaulting to the start\'s', () => {
+    const race = (heat, extra) => ({
+      type: 'RaceCompleted',
+      section_id: 's1',
+      heat_number: heat,
+      lanes: [{ lane: 1, car_number: '1', name: 'Alice' }],
+      times_ms: { '1': 2500 },
+      ...extra
+    });
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1', track_id: 'B' },
+      race(1),
+      race(2, { track_id: 'A' })
+    ]);
+    const results = s.race_day.sections.s1.starts[1].results;
+    assert.strictEqual(results[1].track_id, 'B');
+    assert.strictEqual(results[2].track_id, 'A');
+  });
+
+  it('keeps the sensor timeline, replaced by a DNF re-run that recorded one', () => {
+    const lanes = [
+      { lane: 1, car_number: '1', name: 'Alice' },
+      { lane: 2, car_number: '2', name: 'Bob' }
+    ];
+    const first = [{ ms: 100, pin: 'gate', edge: 'opened' }, { ms: 2600, pin: 'lane', lane: 1, edge: 'triggered' }];
+    const rerun = [{ ms: 900, pin: 'gate', edge: 'opened' }, { ms: 3600, pin: 'lane', lane: 2, edge: 'triggered' }];
+    const race = (extra) => ({ type: 'RaceCompleted', section_id: 's1', heat_number: 1, lanes, ...extra });
+    const results = (payloads) => buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1' },
+      ...payloads
+    ]).race_day.sections.s1.starts[1].results;
+
+    assert.deepStrictEqual(results([race({ times_ms: { '1': 2500, '2': null }, timeline: first })])[1].timeline, first);
+    assert.ok(!('timeline' in results([race({ times_ms: { '1': 2500 } })])[1]));
+
+    const dnf = race({ lanes: [lanes[1]], times_ms: { '2': 2700 } });
+    assert.deepStrictEqual(results([
+      race({ times_ms: { '1': 2500, '2': null }, timeline: first }),
+      { ...dnf, timeline: rerun }
+    ])[1].timeline, rerun);
+    assert.deepStrictEqual(results([
+      race({ times_ms: { '1': 2500, '2': null }, timeline: first }),
+      dnf
+    ])[1].timeline, first);
+  });
+
+  it('keeps the suspect-heat flag for the reports', () => {
+    const lanes = [
+      { lane: 1, car_number: '1', name: 'Alice' },
+      { lane: 2, car_number: '2', name: 'Bob' }
+    ];
+    const suspect = { flags: [{ lane: 2, car_number: '2', reason: 'too_fast', ms: 412 }], resolution: 'dnf' };
+    const results = (payloads) => buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1' },
+      ...payloads
+    ]).race_day.sections.s1.starts[1].results;
+    const flagged = { type: 'RaceCompleted', section_id: 's1', heat_number: 1, lanes, times_ms: { '1': 2500, '2': null }, suspect };
+
+    assert.deepStrictEqual(results([flagged])[1].suspect, suspect);
+    assert.ok(!('suspect' in results([{ ...flagged, suspect: undefined }])[1]));
+    // A DNF re-run of lane 2 merges in; the original flag stays on the heat
+    assert.deepStrictEqual(results([
+      flagged,
+      { type: 'RaceCompleted', section_id: 's1', heat_number: 1, lanes: [lanes[1]], times_ms: { '2': 2700 } }
+    ])[1].suspect, suspect);
+  });
+});
+
+// ─── TrackSelfTested ────────────────────────────────────────────
+
+describe('TrackSelfTested', () => {
+  const report = (failed, timestamp) => ({
+    type: 'TrackSelfTested',
+    lane_count: 2,
+    gate: { toggled: true, bounces: 0, spurious: 0 },
+    lanes: {
+      1: { passes: 3, bounces: 0, jitter_ms: 0, spurious: 0, verdict: 'ok' },
+      2: { passes: failed ? 0 : 3, bounces: 0, jitter_ms: 0, spurious: 0, verdict: failed ? 'dead' : 'ok' }
+    },
+    failed_lanes: failed ? [2] : [],
+    timestamp
+  });
+
+  it('keeps the latest test per track', () => {
+    const s = buildState([
+      report(true, 1000),
+      { ...report(false, 2000), track_id: 'B' },
+      report(false, 3000)
+    ]);
+    const tests = s.race_day.self_tests;
+    assert.deepStrictEqual(Object.keys(tests).sort(), ['A', 'B']);
+    assert.deepStrictEqual(tests.A.failed_lanes, []);
+    assert.strictEqual(tests.A.timestamp, 3000);
+    assert.strictEqual(tests.B.track_id, 'B');
+    assert.strictEqual(tests.B.lanes[2].verdict, 'ok');
+  });
+
+  it('starts with no tests', () => {
+    assert.deepStrictEqual(buildState([]).race_day.self_tests, {});
+  });
 });
 
 // ─── ResultManuallyEntered ──────────────────────────────────────
@@ -417,6 +629,256 @@ describe('CarRemoved', () => {
   });
 });
 
+// ─── CarArrivalRevoked / CarReinstated ──────────────────────────
+
+describe('CarArrivalRevoked', () => {
+  it('removes the car from arrived', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'CarArrived', section_id: 's1', car_number: '2' },
+      { type: 'CarArrivalRevoked', section_id: 's1', car_number: '1' }
+    ]);
+    assert.deepStrictEqual(s.race_day.sections.s1.arrived, ['2']);
+  });
+
+  it('ignores a car that has not arrived', () => {
+    const before = buildState([
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' }
+    ]);
+    const after = applyEvent(before, makeEvent({ type: 'CarArrivalRevoked', section_id: 's1', car_number: '2' }));
+    assert.strictEqual(after, before);
+  });
+
+  it('lets the car check in again', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'CarArrivalRevoked', section_id: 's1', car_number: '1' },
+      { type: 'CarArrived', section_id: 's1', car_number: '1' }
+    ]);
+    assert.deepStrictEqual(s.race_day.sections.s1.arrived, ['1']);
+  });
+});
+
+describe('CarReinstated', () => {
+  it('clears the car from the start\'s removed list', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1' },
+      { type: 'CarRemoved', section_id: 's1', car_number: '2' },
+      { type: 'CarRemoved', section_id: 's1', car_number: '3' },
+      { type: 'CarReinstated', section_id: 's1', start_number: 1, car_number: '2' }
+    ]);
+    assert.deepStrictEqual(s.race_day.sections.s1.starts[1].removed, ['3']);
+  });
+
+  it('ignores a car that was not removed', () => {
+    const before = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1' }
+    ]);
+    const after = applyEvent(before, makeEvent({ type: 'CarReinstated', section_id: 's1', car_number: '2' }));
+    assert.strictEqual(after, before);
+  });
+});
+
+// ─── findUndoableAction ─────────────────────────────────────────
+
+describe('findUndoableAction', () => {
+  function events(payloads) {
+    return payloads.map((p, i) => ({ id: i + 1, ...p }));
+  }
+
+  it('returns null when nothing can be undone', () => {
+    assert.strictEqual(findUndoableAction(events(baseRosterPayloads())), null);
+  });
+
+  it('reverses the latest check-in', () => {
+    const action = findUndoableAction(events([
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'CarArrived', section_id: 's1', car_number: '2' }
+    ]));
+    assert.strictEqual(action.event.car_number, '2');
+    assert.deepStrictEqual(action.compensation,
+      { type: 'CarArrivalRevoked', section_id: 's1', car_number: '2', undo: true });
+  });
+
+  it('reverses a removal into its start, passing over results', () => {
+    const action = findUndoableAction(events([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1', start_number: 1 },
+      { type: 'CarRemoved', section_id: 's1', start_number: 1, car_number: '3' },
+      { type: 'RaceCompleted', section_id: 's1', start_number: 1, heat_number: 1 }
+    ]));
+    assert.deepStrictEqual(action.compensation,
+      { type: 'CarReinstated', section_id: 's1', start_number: 1, car_number: '3', undo: true });
+  });
+
+  it('steps further back on repeated undo', () => {
+    const log = [
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'CarArrived', section_id: 's1', car_number: '2' },
+      { type: 'CarArrivalRevoked', section_id: 's1', car_number: '2', undo: true }
+    ];
+    const action = findUndoableAction(events(log));
+    assert.strictEqual(action.compensation.type, 'CarArrivalRevoked');
+    assert.strictEqual(action.compensation.car_number, '1');
+  });
+
+  it('passes over the check-in of a car that has already raced', () => {
+    const action = findUndoableAction(events([
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'CarArrived', section_id: 's1', car_number: 2 }
+    ]), { raced: new Set(['s1|2']) });
+    assert.strictEqual(action.event.car_number, '1');
+  });
+
+  it('passes over removals from a start that is no longer running', () => {
+    const log = events([
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'CarRemoved', section_id: 's1', start_number: 1, car_number: '3' }
+    ]);
+    assert.strictEqual(findUndoableAction(log, { openStarts: new Map([['s1', 2]]) }).event.type, 'CarArrived');
+    assert.strictEqual(findUndoableAction(log, { openStarts: new Map([['s1', 1]]) }).event.type, 'CarRemoved');
+  });
+
+  it('treats a hand-made revoke as an action of its own', () => {
+    const action = findUndoableAction(events([
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'CarArrivalRevoked', section_id: 's1', car_number: '1' }
+    ]));
+    assert.deepStrictEqual(action.compensation,
+      { type: 'CarArrived', section_id: 's1', car_number: '1', undo: true });
+  });
+});
+
+// ─── Finals sections ────────────────────────────────────────────
+
+describe('Finals sections', () => {
+  const finalsCreated = {
+    type: 'SectionCreated',
+    section_id: 'f1',
+    section_name: 'Grand Champion Finals',
+    section_type: 'finals',
+    source_section_ids: ['s1', 's2'],
+    top_n: 2
+  };
+  const finalists = [
+    { participant_id: 'p2', name: 'Bob', car_number: 2, group_id: 'g1', home_section_id: 's1', home_place: 1 },
+    { participant_id: 'q7', name: 'Zed', car_number: 'B7', home_section_id: 's2', home_place: 1 }
+  ];
+
+  it('creates a race-day-only section carrying the finals config', () => {
+    const s = buildState([...baseRosterPayloads(), finalsCreated]);
+    assert.strictEqual(s.sections.f1, undefined);
+    const sec = s.race_day.sections.f1;
+    assert.strictEqual(sec.section_type, 'finals');
+    assert.deepStrictEqual(sec.finals, { source_section_ids: ['s1', 's2'], top_n: 2 });
+    assert.strictEqual(s.race_day.sections.s1.section_type, 'standard');
+    assert.strictEqual(s.race_day.sections.s1.finals, undefined);
+  });
+
+  it('FinalsSeeded sets the roster and checks every finalist in', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      finalsCreated,
+      { type: 'FinalsSeeded', section_id: 'f1', participants: finalists }
+    ]);
+    const sec = s.race_day.sections.f1;
+    assert.deepStrictEqual(sec.participants, [
+      { participant_id: 'p2', name: 'Bob', car_number: '2', group_id: 'g1', home_section_id: 's1', home_place: 1 },
+      { participant_id: 'q7', name: 'Zed', car_number: 'B7', group_id: null, home_section_id: 's2', home_place: 1 }
+    ]);
+    assert.deepStrictEqual(sec.arrived, ['2', 'B7']);
+  });
+
+  it('re-seeding replaces the previous finalists', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      finalsCreated,
+      { type: 'FinalsSeeded', section_id: 'f1', participants: finalists },
+      { type: 'FinalsSeeded', section_id: 'f1', participants: finalists.slice(1) }
+    ]);
+    assert.deepStrictEqual(s.race_day.sections.f1.arrived, ['B7']);
+    assert.strictEqual(s.race_day.sections.f1.participants.length, 1);
+  });
+
+  it('ignores FinalsSeeded for a regular section', () => {
+    const before = buildState(baseRosterPayloads());
+    const after = applyEvent(before, makeEvent(
+      { type: 'FinalsSeeded', section_id: 's1', participants: finalists }
+    ));
+    assert.strictEqual(after, before);
+  });
+
+  it('finalists keep their home section in a started finals', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      finalsCreated,
+      { type: 'FinalsSeeded', section_id: 'f1', participants: finalists },
+      { type: 'SectionStarted', section_id: 'f1' }
+    ]);
+    const sec = s.race_day.sections.f1;
+    const flat = flattenStart(sec, sec.starts[1]);
+    assert.deepStrictEqual(flat.participants.map(p => p.home_section_id), ['s1', 's2']);
+  });
+});
+
+// ─── BracketRoundCompleted ──────────────────────────────────────
+
+describe('BracketRoundCompleted', () => {
+  function bracketPayloads() {
+    return [
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'CarArrived', section_id: 's1', car_number: '2' },
+      { type: 'CarArrived', section_id: 's1', car_number: '3' },
+      { type: 'SectionStarted', section_id: 's1', format: 'single_elimination' }
+    ];
+  }
+
+  it('advances winners and records eliminations', () => {
+    const s = buildState([
+      ...bracketPayloads(),
+      { type: 'BracketRoundCompleted', section_id: 's1', round: 1, winners: ['1', '3'], losers: [], eliminated: ['2'] }
+    ]);
+    const bracket = s.race_day.sections.s1.starts[1].bracket;
+    assert.strictEqual(bracket.round, 2);
+    assert.deepStrictEqual(bracket.winners, ['1', '3']);
+    assert.strictEqual(bracket.rounds.length, 1);
+    assert.strictEqual(bracket.champion, null);
+  });
+
+  it('records the champion and flattens the bracket', () => {
+    const s = buildState([
+      ...bracketPayloads(),
+      { type: 'BracketRoundCompleted', section_id: 's1', round: 1, winners: ['1', '3'], losers: [], eliminated: ['2'] },
+      { type: 'BracketRoundCompleted', section_id: 's1', round: 2, winners: [], losers: [], eliminated: ['3'], champion: '1' }
+    ]);
+    const sec = s.race_day.sections.s1;
+    assert.strictEqual(sec.starts[1].bracket.champion, '1');
+    assert.strictEqual(flattenStart(sec, sec.starts[1]).bracket.champion, '1');
+  });
+
+  it('is ignored for a round-robin start', () => {
+    const before = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionStarted', section_id: 's1' }
+    ]);
+    const after = applyEvent(before, makeEvent(
+      { type: 'BracketRoundCompleted', section_id: 's1', round: 1, winners: ['1'] }
+    ));
+    assert.strictEqual(after, before);
+  });
+});
+
 // ─── SectionCompleted ───────────────────────────────────────────
 
 describe('SectionCompleted', () => {
@@ -428,6 +890,18 @@ describe('SectionCompleted', () => {
     ]);
     assert.strictEqual(s.race_day.sections.s1.starts[1].completed, true);
   });
+  it('frees its track while a section on the other track keeps racing', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'SectionCreated', section_id: 's2', section_name: 'Scouts' },
+      { type: 'RosterUpdated', section_id: 's2', participants: [{ participant_id: 'p4', name: 'Dan' }] },
+      { type: 'SectionStarted', section_id: 's1', track_id: 'A' },
+      { type: 'SectionStarted', section_id: 's2', track_id: 'B' },
+      { type: 'SectionCompleted', section_id: 's1' }
+    ]);
+    assert.deepStrictEqual(s.race_day.active_sections, { B: 's2' });
+    assert.ok(getActiveStart(s.race_day.sections.s2));
+  });
 });
 
 // ─── deriveRaceDayPhase ─────────────────────────────────────────
@@ -939,3 +1413,204 @@ describe('Multiple starts per section', () => {
     assert.ok(sec.starts[1].results[1]);
   });
 });
+
+// ─── Inspection ───────────────────────────────────────────────────
+
+describe('Inspection', () => {
+  const checklist = { max_weight: 5, weight_unit: 'oz', items: ['Wheels legal', 'Length OK'] };
+
+  it('InspectionChecklistSet sets and clears the rally checklist', () => {
+    let s = buildState([{ type: 'InspectionChecklistSet', checklist }]);
+    assert.deepStrictEqual(s.inspection_checklist, checklist);
+    s = applyEvent(s, makeEvent({ type: 'InspectionChecklistSet', checklist: null }));
+    assert.strictEqual(s.inspection_checklist, null);
+  });
+
+  it('InspectionChecklistSet defaults the weight unit and drops blank items', () => {
+    const s = buildState([{ type: 'InspectionChecklistSet', checklist: { max_weight: 5, items: ['Wheels legal', ''] } }]);
+    assert.deepStrictEqual(s.inspection_checklist, { max_weight: 5, weight_unit: 'oz', items: ['Wheels legal'] });
+  });
+
+  it('CarInspected records the latest inspection per car', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      {
+        type: 'CarInspected', section_id: 's1', car_number: 1, weight: 5.3, weight_unit: 'oz',
+        items: [{ label: 'Wheels legal', passed: true }], passed: false, notes: 'Too heavy', timestamp: 1000
+      },
+      {
+        type: 'CarInspected', section_id: 's1', car_number: '1', weight: 4.9, weight_unit: 'oz',
+        items: [{ label: 'Wheels legal', passed: true }], passed: true, timestamp: 2000
+      }
+    ]);
+    const insp = s.race_day.sections.s1.inspections['1'];
+    assert.strictEqual(insp.weight, 4.9);
+    assert.strictEqual(insp.passed, true);
+    assert.strictEqual(insp.notes, null);
+    assert.strictEqual(insp.timestamp, 2000);
+  });
+
+  it('CarInspected ignores unknown section', () => {
+    const before = buildState(baseRosterPayloads());
+    const after = applyEvent(before, makeEvent({ type: 'CarInspected', section_id: 'nope', car_number: '1', passed: true }));
+    assert.strictEqual(after, before);
+  });
+
+  it('getInspectionGaps lists arrived cars not yet passed', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'CarArrived', section_id: 's1', car_number: '1' },
+      { type: 'CarArrived', section_id: 's1', car_number: '2' },
+      { type: 'CarArrived', section_id: 's1', car_number: '3' },
+      { type: 'CarInspected', section_id: 's1', car_number: '1', passed: true },
+      { type: 'CarInspected', section_id: 's1', car_number: '3', passed: false }
+    ]);
+    assert.deepStrictEqual(getInspectionGaps(s.race_day.sections.s1), { uninspected: ['2'], failed: ['3'] });
+  });
+
+  it('CarPhotoTaken keeps the latest photo per car, and a null photo takes it down', () => {
+    let s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'CarPhotoTaken', section_id: 's1', car_number: 1, photo_id: 'ph1' },
+      { type: 'CarPhotoTaken', section_id: 's1', car_number: '2', photo_id: 'ph2' },
+      { type: 'CarPhotoTaken', section_id: 's1', car_number: '1', photo_id: 'ph3' }
+    ]);
+    assert.deepStrictEqual(s.race_day.sections.s1.car_photos, { 1: 'ph3', 2: 'ph2' });
+    s = applyEvent(s, makeEvent({ type: 'CarPhotoTaken', section_id: 's1', car_number: '2', photo_id: null }));
+    assert.strictEqual(getCarPhotoId(s, 's1', '2'), null);
+    assert.strictEqual(getCarPhotoId(s, 's1', 1), 'ph3');
+  });
+
+  it('getCarPhotoId finds a finalist\'s photo in its home section', () => {
+    const s = buildState([
+      ...baseRosterPayloads(),
+      { type: 'CarPhotoTaken', section_id: 's1', car_number: '2', photo_id: 'ph2' },
+      { type: 'SectionCreated', section_id: 'f1', section_name: 'Finals', section_type: 'finals' },
+      {
+        type: 'FinalsSeeded', section_id: 'f1',
+        participants: [{ participant_id: 'p2', name: 'Bob', car_number: '2', home_section_id: 's1', home_place: 1 }]
+      }
+    ]);
+    assert.strictEqual(getCarPhotoId(s, 'f1', '2'), 'ph2');
+    assert.strictEqual(getCarPhotoId(s, 'nope', '2'), null);
+  });
+
+  it('inspectionFailures checks weight and every item', () => {
+    const items = [{ label: 'Wheels legal', passed: true }, { label: 'Length OK', passed: false }];
+    assert.deepStrictEqual(inspectionFailures(checklist, 4.8, items), ['Length OK']);
+    assert.deepStrictEqual(inspectionFailures(checklist, 5.2, [items[0]]), ['Over weight (5.2 oz)']);
+    assert.deepStrictEqual(inspectionFailures(checklist, null, [items[0]]), ['Not weighed']);
+    assert.deepStrictEqual(inspectionFailures({ ...checklist, max_weight: null }, null, [items[0]]), []);
+  });
+});
+
+// ─── replayEvents (snapshots + incremental reduction) ────────────
+
+describe('replayEvents', () => {
+  /** Stored-event records: local ids in insertion order, optional server ids. */
+  function stored(payloads, firstId = 1) {
+    return payloads.map((p, i) => ({ id: firstId + i, ...p }));
+  }
+
+  const base = () => stored([
+    ...baseRosterPayloads(),
+    { type: 'CarArrived', section_id: 's1', car_number: '1' },
+    { type: 'CarArrived', section_id: 's1', car_number: '2' }
+  ]);
+
+  it('matches a full rebuild when it first runs', () => {
+    const events = base();
+    const replay = replayEvents(null, events);
+    assert.deepStrictEqual(replay.state, rebuildState(events));
+    assert.strictEqual(replay.reused, 0);
+    assert.strictEqual(replay.version, SNAPSHOT_VERSION);
+  });
+
+  it('only reduces events appended since the prior replay', () => {
+    const events = base();
+    const prior = replayEvents(null, events);
+    const more = [...events, ...stored([
+      { type: 'CarArrived', section_id: 's1', car_number: '3' },
+      { type: 'SectionStarted', section_id: 's1' }
+    ], events.length + 1)];
+
+    const replay = replayEvents(prior, more);
+    assert.strictEqual(replay.reused, events.length);
+    assert.deepStrictEqual(replay.state, rebuildState(more));
+  });
+
+  it('replays from scratch when a late server event sorts before the prior replay', () => {
+    // Local events 3 and 4 synced as server ids 10 and 11; a registrar's
+    // check-in with server id 5 is pulled afterwards and belongs before them
+    const events = base().map((e, i) => ({ ...e, server_id: i < 2 ? String(i + 1) : String(i + 8) }));
+    const prior = replayEvents(null, events);
+    const late = { id: 5, type: 'CarArrived', section_id: 's1', car_number: '3', server_id: '5' };
+
+    const replay = replayEvents(prior, [...events, late]);
+    assert.strictEqual(replay.reused, 0);
+    assert.deepStrictEqual(replay.state, rebuildState([...events, late]));
+    assert.deepStrictEqual(replay.state.race_day.sections.s1.arrived, ['3', '1', '2']);
+  });
+
+  it('ignores a snapshot from another reducer version or a cleared store', () => {
+    const events = base();
+    const prior = replayEvents(null, events);
+    assert.strictEqual(replayEvents({ ...prior, version: SNAPSHOT_VERSION + 1 }, events).reused, 0);
+    assert.strictEqual(replayEvents(prior, events.slice(0, 2)).reused, 0);
+  });
+});
+
+// ─── Sealed snapshots ───────────────────────────────────────────
+
+describe('sealSnapshot / isSnapshotIntact', () => {
+  /** Stored events linked onto one device's chain, as appendEvent() does. */
+  function chained(payloads, head = null, firstId = 1) {
+    return payloads.map((p, i) => {
+      head = linkEvent({ rally_id: 'r1', ...p }, head, 'device-a');
+      return { id: firstId + i, ...head };
+    });
+  }
+
+  const events = () => chained([
+    ...baseRosterPayloads(),
+    { type: 'CarArrived', section_id: 's1', car_number: '1' },
+    { type: 'SectionStarted', section_id: 's1' }
+  ]);
+
+  it('accepts the snapshot it sealed, and later appends still reuse it', () => {
+    const log = events();
+    const snapshot = sealSnapshot(replayEvents(null, log));
+    assert.deepStrictEqual(Object.values(snapshot.heads), [log[log.length - 1].hash]);
+    assert.ok(isSnapshotIntact(structuredClone(snapshot), log));
+
+    const more = [...log, ...chained([{ type: 'CarArrived', section_id: 's1', car_number: '2' }], log[log.length - 1], log.length + 1)];
+    assert.ok(isSnapshotIntact(snapshot, more));
+    assert.strictEqual(replayEvents(snapshot, more).reused, log.length);
+  });
+
+  it('rejects a snapshot whose cached state was edited', () => {
+    const log = events();
+    const snapshot = structuredClone(sealSnapshot(replayEvents(null, log)));
+    snapshot.state.race_day.sections.s1.arrived.push('2');
+    assert.ok(!isSnapshotIntact(snapshot, log));
+  });
+
+  it('rejects a snapshot whose chain heads no longer match the log', () => {
+    const log = events();
+    const snapshot = sealSnapshot(replayEvents(null, log));
+    // A different log reusing the same local ids
+    const other = chained([...baseRosterPayloads(), { type: 'CarArrived', section_id: 's1', car_number: '2' }, { type: 'SectionStarted', section_id: 's1' }]);
+    assert.ok(!isSnapshotIntact(snapshot, other));
+    // Heads edited to match: the digest no longer does
+    const forged = { ...snapshot, heads: Object.fromEntries(Object.keys(snapshot.heads).map(k => [k, other[other.length - 1].hash])) };
+    assert.ok(!isSnapshotIntact(forged, other));
+  });
+
+  it('rejects snapshots written before sealing and ones missing covered events', () => {
+    const log = events();
+    const { reused, ...unsealed } = replayEvents(null, log);
+    assert.ok(!isSnapshotIntact(unsealed, log));
+    assert.ok(!isSnapshotIntact(sealSnapshot(replayEvents(null, log)), log.slice(1)));
+  });
+});
+
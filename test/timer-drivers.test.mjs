@@ -0,0 +1,288 @@
+/**
+ * Transcript tests for the commercial timer drivers (timer-drivers/).
+ * Run with: node --test test/timer-drivers.test.mjs
+ *
+ * Each transcript is the serial conversation with the timer: '> …' is what
+ * the driver must write next (without its line ending) and '< …' is a line
+ * the timer sends back.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLineTimer, parseLaneTimes, pickLanes, unusedLanes } from '../public/js/timer-drivers/line-timer.js';
+import { TIMER_DRIVERS, getTimerDriver } from '../public/js/timer-drivers/index.js';
+import { createMicroWizardDriver } from '../public/js/timer-drivers/microwizard.js';
+import { createChampDriver } from '../public/js/timer-drivers/champ.js';
+import { createNewBoldDriver, parseNewBoldLine } from '../public/js/timer-drivers/newbold.js';
+
+/**
+ * Play a transcript against a driver. Timer lines are sent one per tick,
+ * each once every host write before it has happened.
+ */
+function transcript(create, steps) {
+  let i = 0;
+  let driver = null;
+  const pump = () => setTimeout(() => {
+    if (i < steps.length && steps[i].startsWith('< ')) {
+      driver.receive(steps[i++].slice(2) + '\r\n');
+      pump();
+    }
+  }, 0);
+  driver = create({
+    write: async (text) => {
+      const step = steps[i];
+      assert.ok(step?.startsWith('> '), `unexpected write ${JSON.stringify(text)} at step ${i}`);
+      assert.equal(text, step.slice(2) + '\r');
+      i++;
+      pump();
+    }
+  });
+  pump();
+  return {
+    driver,
+    done: () => assert.equal(i, steps.length, `transcript stopped at step ${i}: ${steps[i]}`)
+  };
+}
+
+const lanes = (...nums) => nums.map(lane => ({ lane, car_number: lane * 10 }));
+
+// ─── Shared Plumbing ─────────────────────────────────────────────
+
+describe('parseLaneTimes', () => {
+  it('reads lettered lanes and ignores the place marks', () => {
+    assert.deepEqual(parseLaneTimes('A=3.0012! B=3.1046" C=2.9871#'), { 1: 3001, 2: 3105, 3: 2987 });
+  });
+
+  it('reads numbered lanes', () => {
+    assert.deepEqual(parseLaneTimes('1=3.0012! 2=3.1046"'), { 1: 3001, 2: 3105 });
+  });
+
+  it('treats a zero time as did not finish', () => {
+    assert.deepEqual(parseLaneTimes('A=3.0012! B=0.0000'), { 1: 3001, 2: null });
+  });
+
+  it('returns null for lines that are not results', () => {
+    assert.equal(parseLaneTimes('Fast Track K3 v5.1'), null);
+    assert.equal(parseLaneTimes('ok'), null);
+  });
+});
+
+describe('pickLanes / unusedLanes', () => {
+  it('keeps only the staged lanes, with null for unreported ones', () => {
+    assert.deepEqual(pickLanes({ 1: 3001, 2: 3105, 4: 2999 }, lanes(1, 3)), { 1: 3001, 3: null });
+  });
+
+  it('lists the lanes without cars', () => {
+    assert.deepEqual(unusedLanes(lanes(1, 3), 4), [2, 4]);
+  });
+});
+
+describe('createLineTimer', () => {
+  it('splits lines across chunks and on CR, LF or CRLF', () => {
+    const seen = [];
+    const t = createLineTimer({ write: async () => {} });
+    t.onLine(line => seen.push(line));
+    t.receive('A=3.0');
+    t.receive('012\r\nok\rnext\n\n');
+    assert.deepEqual(seen, ['A=3.0012', 'ok', 'next']);
+  });
+
+  it('skips the echo of a command when waiting for its answer', async () => {
+    let t = null;
+    t = createLineTimer({
+      write: async (text) => setTimeout(() => t.receive(`${text.trim()}\r\n42\r\n`), 0)
+    });
+    assert.equal(await t.command('on'), '42');
+  });
+
+  it('rejects a command nobody answers', async () => {
+    const t = createLineTimer({ write: async () => {} });
+    await assert.rejects(t.command('RV', { timeout: 20 }), /timeout/);
+  });
+
+  it('rejects waits without a timeout once closed, and any made after', async () => {
+    const t = createLineTimer({ write: async () => {} });
+    const waiting = t.nextLine(() => true);
+    t.close(new Error('Timer disconnected'));
+    await assert.rejects(waiting, /Timer disconnected/);
+    await assert.rejects(t.nextLine(() => true), /Timer disconnected/);
+  });
+});
+
+describe('TIMER_DRIVERS', () => {
+  it('gives every driver a label, a baud rate and a factory', () => {
+    for (const d of TIMER_DRIVERS) {
+      assert.ok(d.label);
+      assert.ok(d.serial.baudRate > 0);
+      assert.equal(typeof d.create, 'function');
+      assert.equal(getTimerDriver(d.id), d);
+    }
+    assert.equal(getTimerDriver('nope'), null);
+  });
+});
+
+// ─── MicroWizard Fast Track ──────────────────────────────────────
+
+describe('MicroWizard driver', () => {
+  it('reads the version on connect and uses the given lane count', async () => {
+    const { driver, done } = transcript(createMicroWizardDriver, [
+      '> RV',
+      '< Fast Track K3 v5.1'
+    ]);
+    assert.deepEqual(await driver.connect({ laneCount: 4 }), { lane_count: 4, firmware: 'Fast Track K3 v5.1' });
+    assert.equal(driver.gateSensing, false);
+    done();
+  });
+
+  it('masks the empty lanes, asks for the results and reads them', async () => {
+    const { driver, done } = transcript(createMicroWizardDriver, [
+      '> RV',
+      '< Fast Track K3 v5.1',
+      '> MG',
+      '> MC',
+      '> RG',
+      '< A=3.0012! B=3.1046" C=0.0000 D=2.9871#'
+    ]);
+    await driver.connect({ laneCount: 4 });
+    const times = await driver.waitForRace(lanes(1, 2, 4));
+    assert.deepEqual(times, { 1: 3001, 2: 3105, 4: 2987 });
+    done();
+  });
+
+  it('reports a staged lane with no time as a DNF', async () => {
+    const { driver, done } = transcript(createMicroWizardDriver, [
+      '> RV',
+      '< Fast Track Q1',
+      '> MG',
+      '> RG',
+      '< A=3.0012! B=0.0000'
+    ]);
+    await driver.connect({ laneCount: 2 });
+    assert.deepEqual(await driver.waitForRace(lanes(1, 2)), { 1: 3001, 2: null });
+    done();
+  });
+
+  it('resets the timer between heats', async () => {
+    const { driver, done } = transcript(createMicroWizardDriver, ['> LR']);
+    await driver.waitForGate();
+    done();
+  });
+
+  it('stops waiting when the race is aborted', async () => {
+    const { driver, done } = transcript(createMicroWizardDriver, [
+      '> RV',
+      '< Fast Track K3 v5.1',
+      '> MG',
+      '> RG'
+    ]);
+    await driver.connect({ laneCount: 1 });
+    const abort = new AbortController();
+    const race = driver.waitForRace(lanes(1), abort.signal);
+    setTimeout(() => abort.abort(), 10);
+    await assert.rejects(race, { name: 'AbortError' });
+    done();
+  });
+});
+
+// ─── Champ ───────────────────────────────────────────────────────
+
+describe('Champ driver', () => {
+  it('reads the version and lane count past the echoes', async () => {
+    const { driver, done } = transcript(createChampDriver, [
+      '> v',
+      '< v',
+      '< eTekGadget SmartLine Timer v20.06',
+      '> on',
+      '< on',
+      '< 3'
+    ]);
+    assert.deepEqual(await driver.connect({ laneCount: 6 }), { lane_count: 3, firmware: 'eTekGadget SmartLine Timer v20.06' });
+    assert.equal(driver.gateSensing, true);
+    done();
+  });
+
+  it('masks the empty lanes, waits for the race and reports the gate down', async () => {
+    const { driver, done } = transcript(createChampDriver, [
+      '> v',
+      '< v',
+      '< eTekGadget SmartLine Timer v20.06',
+      '> on',
+      '< on',
+      '< 4',
+      '> om0',
+      '< om0',
+      '> om2',
+      '< om2',
+      '> om4',
+      '< om4',
+      '> rg',
+      '< rg',
+      '< 1=3.0012! 2=0.0000 3=2.9871" 4=0.0000'
+    ]);
+    await driver.connect();
+    const frames = [];
+    driver.subscribe(frame => frames.push(frame));
+    assert.deepEqual(await driver.waitForRace(lanes(1, 3)), { 1: 3001, 3: 2987 });
+    assert.deepEqual(frames, [{ event: 'state', gate_ready: false }]);
+    assert.equal(driver.getGateState(), false);
+    done();
+  });
+
+  it('polls the start switch until the gate is closed', async () => {
+    const { driver, done } = transcript(createChampDriver, [
+      '> rs',
+      '< rs',
+      '< 1',
+      '> rs',
+      '< rs',
+      '< 0'
+    ]);
+    const frames = [];
+    driver.subscribe(frame => frames.push(frame));
+    await driver.waitForGate();
+    assert.deepEqual(frames, [
+      { event: 'state', gate_ready: false },
+      { event: 'state', gate_ready: true }
+    ]);
+    done();
+  });
+
+  it('stops polling when aborted', async () => {
+    const { driver, done } = transcript(createChampDriver, [
+      '> rs',
+      '< rs',
+      '< 1'
+    ]);
+    const abort = new AbortController();
+    const wait = driver.waitForGate(abort.signal);
+    setTimeout(() => abort.abort(), 50);
+    await assert.rejects(wait, { name: 'AbortError' });
+    done();
+  });
+});
+
+// ─── NewBold ─────────────────────────────────────────────────────
+
+describe('NewBold driver', () => {
+  it('sends nothing on connect', async () => {
+    const { driver, done } = transcript(createNewBoldDriver, []);
+    assert.deepEqual(await driver.connect({ laneCount: 3 }), { lane_count: 3, firmware: null });
+    assert.equal(driver.gateSensing, false);
+    done();
+  });
+
+  it('reads the result line and drops lanes without cars', async () => {
+    const { driver, done } = transcript(createNewBoldDriver, [
+      '< NEWBOLD DT8000',
+      '< 1 3.0012 1  2 3.1046 2  3 0.0000 0  4 2.9871 1'
+    ]);
+    const times = await driver.waitForRace(lanes(1, 3, 4));
+    assert.deepEqual(times, { 1: 3001, 3: null, 4: 2987 });
+    done();
+  });
+
+  it('parses lane, time and place triples', () => {
+    assert.deepEqual(parseNewBoldLine('1 3.0012 1 2 3.1046 2'), { 1: 3001, 2: 3105 });
+    assert.equal(parseNewBoldLine('NEWBOLD DT8000'), null);
+  });
+});
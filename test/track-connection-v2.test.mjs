@@ -0,0 +1,472 @@
+/**
+ * Tests for track-connection.js's Protocol v2 client, driven against the
+ * emulated track controller in scripts/v2-emulator.mjs.
+ * Run with: node --test test/track-connection-v2.test.mjs
+ *
+ * The emulator stands in for the Pico as a virtual Web Serial port or a
+ * local HTTP+SSE server, so requests, subscriptions, cancel, overflow,
+ * reboots and in-band firmware updates all run through the real client.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createV2Emulator } from '../scripts/v2-emulator.mjs';
+import { TIMELINE_TOPICS, createTimelineRecorder, summarizeTimeline } from '../public/js/heat-timeline.js';
+import { SELF_TEST_TOPICS, createSelfTest } from '../public/js/sensor-self-test.js';
+
+// ─── Browser Environment ─────────────────────────────────────────
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.has(key) ? storage.get(key) : null,
+  setItem: (key, value) => { storage.set(key, String(value)); },
+  removeItem: (key) => { storage.delete(key); }
+};
+
+let serialPort = null;
+Object.defineProperty(globalThis, 'navigator', {
+  value: { serial: { requestPort: async () => serialPort } },
+  configurable: true
+});
+
+// Node's BroadcastChannel keeps the process alive; a page's doesn't
+const NodeBroadcastChannel = globalThis.BroadcastChannel;
+globalThis.BroadcastChannel = class extends NodeBroadcastChannel {
+  constructor(name) {
+    super(name);
+    this.unref();
+  }
+};
+
+/** Just enough EventSource for the WiFi subscriptions. */
+globalThis.EventSource = class {
+  constructor(url) {
+    this.onmessage = null;
+    this.onerror = null;
+    this._abort = new AbortController();
+    fetch(url, { signal: this._abort.signal }).then(async (resp) => {
+      const decoder = new TextDecoder();
+      let buf = '';
+      for await (const chunk of resp.body) {
+        buf += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buf.indexOf('\n\n')) >= 0) {
+          const data = buf.slice(0, end).split('\n')
+            .filter(l => l.startsWith('data: ')).map(l => l.slice(6)).join('\n');
+          buf = buf.slice(end + 2);
+          this.onmessage?.({ data });
+        }
+      }
+    }).catch(() => this.onerror?.());
+  }
+
+  close() {
+    this._abort.abort();
+  }
+};
+
+const { createTrackConnection } = await import('../public/js/track-connection.js');
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+const lanes = (...nums) => nums.map(lane => ({ lane, car_number: lane * 10 }));
+
+/** Let the serial reader and timers catch up. */
+const settle = (ms = 20) => new Promise(r => setTimeout(r, ms));
+
+/** Resolve once cond() holds, polling. */
+async function until(cond, ms = 2000) {
+  const start = Date.now();
+  while (!cond()) {
+    if (Date.now() - start > ms) throw new Error('timed out waiting');
+    await settle(5);
+  }
+}
+
+let trackSeq = 0;
+let emu = null;
+let track = null;
+
+async function connectOverSerial(opts) {
+  emu = createV2Emulator(opts);
+  serialPort = emu.serialPort;
+  track = createTrackConnection({ name: `V${++trackSeq}` });
+  return track.connectSerial();
+}
+
+// ─── Emulator ────────────────────────────────────────────────────
+
+describe('v2 emulator', () => {
+  /** Open the virtual port and collect the device's lines. */
+  async function openConsole(emulator) {
+    const port = emulator.serialPort;
+    await port.open({ baudRate: 115200 });
+    const lines = [];
+    const reader = port.readable.getReader();
+    const decoder = new TextDecoder();
+    (async () => {
+      let buf = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buf += decoder.decode(value);
+        const parts = buf.split('\r\n');
+        buf = parts.pop();
+        lines.push(...parts);
+      }
+    })();
+    const writer = port.writable.getWriter();
+    return {
+      lines,
+      type: (text) => writer.write(new TextEncoder().encode(text + '\n')),
+      close: async () => { await reader.cancel(); writer.releaseLock(); await port.close(); }
+    };
+  }
+
+  it('answers the human form with negative ids', async () => {
+    const c = await openConsole(createV2Emulator({ laneCount: 4 }));
+    await c.type('info');
+    await c.type('subscribe gate');
+    await settle();
+    const frames = c.lines.map(l => JSON.parse(l));
+    assert.equal(frames[0].id, -1);
+    assert.equal(frames[0].ok.lane_count, 4);
+    assert.deepEqual(frames[1], { id: -2, ok: { sub: -2, topics: ['gate'] } });
+    assert.deepEqual(frames[2], { sub: -2, event: 'state', gate_ready: true, ms: 0 });
+    await c.close();
+  });
+
+  it('rejects bad requests with the standard codes', async () => {
+    const c = await openConsole(createV2Emulator({ laneCount: 4 }));
+    await c.type('{"id":1,"cmd":"wait_race","lanes":"15"}');
+    await c.type('{"id":2,"cmd":"fly"}');
+    await c.type('{"cmd":"info"}');
+    await settle();
+    const codes = c.lines.map(l => JSON.parse(l).code);
+    assert.deepEqual(codes, ['bad_args', 'not_supported', 'bad_frame']);
+    await c.close();
+  });
+
+  it('times a scripted race to the millisecond', async () => {
+    const emulator = createV2Emulator();
+    const c = await openConsole(emulator);
+    await c.type('{"id":1,"cmd":"wait_race","lanes":"13"}');
+    await emulator.whenArmed();
+    emulator.race({ 1: 2150, 3: 2401 });
+    await settle();
+    assert.deepEqual(JSON.parse(c.lines[0]), { id: 1, ok: { race_id: 'race-1', times_ms: { 1: 2150, 3: 2401 } } });
+    await c.close();
+  });
+});
+
+// ─── Serial Transport ────────────────────────────────────────────
+
+describe('track-connection over a virtual serial port', () => {
+  afterEach(async () => {
+    track?.disconnectSerial();
+    await settle();
+  });
+
+  it('connects with the device lane count', async () => {
+    assert.deepEqual(await connectOverSerial({ laneCount: 4 }), { lane_count: 4 });
+    assert.equal(track.getTrackMode(), 'serial');
+    assert.equal(track.hasGateSensor(), true);
+  });
+
+  it('runs heats back to back, passing the last race id', async () => {
+    await connectOverSerial();
+    const requests = [];
+    const watch = () => emu.next(f => f.cmd === 'wait_race').then(f => requests.push(f));
+
+    watch();
+    let race = track.waitForRace(lanes(1, 3));
+    await emu.whenArmed();
+    emu.race({ 1: 2150, 3: 2401 });
+    assert.deepEqual(await race, { 1: 2150, 3: 2401 });
+
+    let gate = track.waitForGate();
+    await settle();
+    emu.closeGate();
+    await gate;
+
+    watch();
+    race = track.waitForRace(lanes(2, 3));
+    await emu.whenArmed();
+    emu.race({ 2: 2302, 3: 2299 });
+    assert.deepEqual(await race, { 2: 2302, 3: 2299 });
+
+    assert.equal(requests[0].lanes, '13');
+    assert.equal(requests[0].after, undefined);
+    assert.equal(requests[1].lanes, '23');
+    assert.equal(requests[1].after, 'race-1');
+  });
+
+  it('ends a race with a missing car at the race timeout', async () => {
+    await connectOverSerial({ raceTimeoutMs: 7000 });
+    const race = track.waitForRace(lanes(1, 2));
+    await emu.whenArmed();
+    emu.race({ 1: 2500, 2: null });
+    emu.advance(7000);
+    assert.deepEqual(await race, { 1: 2500 });
+  });
+
+  it('streams gate and lane events until unsubscribed', async () => {
+    await connectOverSerial({ laneCount: 2 });
+    const events = [];
+    const sub = track.subscribeTrackEvents(['gate', 'lanes'], f => events.push(f));
+    await until(() => events.length === 3);
+    assert.deepEqual(events.map(e => e.gate_ready ?? e.lane), [true, 1, 2]);
+
+    const race = track.waitForRace(lanes(1, 2));
+    await emu.whenArmed();
+    emu.race({ 1: 2100, 2: 2200 });
+    await race;
+    await until(() => events.length === 8);
+    assert.deepEqual(events.slice(3).map(e => e.gate_ready ?? `${e.lane}${e.triggered ? '+' : '-'}`),
+      [false, '1+', '1-', '2+', '2-']);
+
+    await sub.unsubscribe();
+    emu.closeGate();
+    await settle();
+    assert.equal(events.length, 8);
+  });
+
+  it('records a heat\'s sensor timeline, bounces included', async () => {
+    await connectOverSerial({ laneCount: 2 });
+    const recorder = createTimelineRecorder();
+    const sub = track.subscribeTrackEvents(TIMELINE_TOPICS, recorder.add);
+    const race = track.waitForRace(lanes(1, 2));
+    await emu.whenArmed();
+    emu.openGate();
+    emu.advance(2150);
+    emu.triggerLane(1);
+    emu.clearLane(1);
+    emu.advance(6);
+    emu.triggerLane(1);
+    emu.clearLane(1);
+    emu.advance(150);
+    emu.triggerLane(2);
+    assert.deepEqual(await race, { 1: 2150, 2: 2306 });
+    await settle();
+    await sub.unsubscribe();
+
+    const tl = summarizeTimeline(recorder.take());
+    assert.deepEqual(tl.phases.map(p => p.phase), ['ARMED', 'RACING', 'IDLE']);
+    assert.deepEqual(tl.gate, [{ at: 0, edge: 'opened' }]);
+    assert.deepEqual(tl.lanes.map(l => [l.lane, l.marks[0].at, l.bounces]), [[1, 2150, 1], [2, 2306, 0]]);
+  });
+
+  it('runs a sensor self-test from the edge stream', async () => {
+    await connectOverSerial({ laneCount: 2 });
+    const test = createSelfTest({ laneCount: 2, passes: 2 });
+    let edges = 0;
+    const sub = track.subscribeTrackEvents(SELF_TEST_TOPICS, (f) => { edges++; test.add(f); });
+    await settle();
+    const pass = (lane, bounce) => {
+      emu.triggerLane(lane);
+      if (bounce) { emu.advance(3); emu.clearLane(lane); emu.advance(2); emu.triggerLane(lane); }
+      emu.advance(80);
+      emu.clearLane(lane);
+      emu.advance(1000);
+    };
+    const step = async (n, act) => { act(); await until(() => edges === n); test.next(); };
+
+    await step(2, () => { emu.openGate(); emu.advance(500); emu.closeGate(); });
+    await step(10, () => { pass(1, true); pass(1); emu.triggerLane(2); emu.clearLane(2); });
+    await step(12, () => pass(2));
+    await sub.unsubscribe();
+
+    const report = test.result();
+    assert.equal(report.gate.toggled, true);
+    assert.deepEqual(report.lanes[1], { passes: 2, bounces: 1, jitter_ms: 5, spurious: 0, verdict: 'bouncy' });
+    assert.deepEqual(report.lanes[2], { passes: 1, bounces: 0, jitter_ms: 0, spurious: 1, verdict: 'spurious' });
+    assert.deepEqual(report.failed_lanes, [2]);
+  });
+
+  it('cancels an aborted wait on the device and races again', async () => {
+    await connectOverSerial();
+    const abort = new AbortController();
+    const race = track.waitForRace(lanes(1, 2), abort.signal);
+    await emu.whenArmed();
+    const cancel = emu.next(f => f.cmd === 'cancel');
+    abort.abort();
+    await assert.rejects(race, { name: 'AbortError' });
+    await cancel;
+    assert.equal(emu.getState().phase, 'IDLE');
+
+    const again = track.waitForRace(lanes(1));
+    await emu.whenArmed();
+    emu.race({ 1: 1999 });
+    assert.deepEqual(await again, { 1: 1999 });
+  });
+
+  it('answers other requests while a race is outstanding, with latency', async () => {
+    await connectOverSerial({ latencyMs: 30 });
+    const race = track.waitForRace(lanes(1));
+    await emu.whenArmed();
+    const dbg = await track.sendSerialCommand('dbg');
+    assert.equal(dbg.engine.phase, 'ARMED');
+    assert.deepEqual(dbg.engine.active_lanes, [1]);
+    emu.race({ 1: 2000 });
+    assert.deepEqual(await race, { 1: 2000 });
+  });
+
+  it('reports dropped events with an overflow frame when the host falls behind', async () => {
+    await connectOverSerial();
+    const events = [];
+    track.subscribeTrackEvents(['edges'], f => events.push(f));
+    await settle();
+
+    emu.pauseOutput();
+    for (let i = 0; i < 25; i++) {
+      emu.triggerLane(1);
+      emu.clearLane(1);
+    }
+    emu.resumeOutput();
+    await until(() => events.some(e => e.event === 'overflow'));
+    await settle();
+
+    const edges = events.filter(e => e.event === 'edge').length;
+    const lost = events.filter(e => e.event === 'overflow').reduce((n, e) => n + e.dropped, 0);
+    assert.ok(lost > 0);
+    assert.equal(edges + lost, 50);
+  });
+
+  it('asks again when the first info answer is lost', async () => {
+    emu = createV2Emulator({ laneCount: 5 });
+    emu.drop(f => f.ok?.protocol === '2.0');
+    serialPort = emu.serialPort;
+    track = createTrackConnection({ name: `V${++trackSeq}` });
+    assert.deepEqual(await track.connectSerial(), { lane_count: 5 });
+  });
+
+  it('ignores the boot chatter after a reboot', async () => {
+    await connectOverSerial({ laneCount: 3 });
+    await emu.reboot({ downMs: 20 });
+    await settle();
+    const info = await track.sendSerialCommand('info');
+    assert.equal(info.lane_count, 3);
+    assert.equal(track.isUsingSerial(), true);
+  });
+
+  it('fails outstanding requests when the cable is pulled', async () => {
+    await connectOverSerial();
+    const race = track.waitForRace(lanes(1));
+    await emu.whenArmed();
+    emu.unplug();
+    await assert.rejects(race, /Serial port disconnected/);
+    assert.equal(track.isUsingSerial(), false);
+    track = null;
+  });
+
+  it('flashes firmware in band and reconnects after the reboot', async () => {
+    await connectOverSerial({ bootMs: 100 });
+    const stages = [];
+    const files = [
+      { name: 'main.py', content: '# main\n'.repeat(60) },
+      { name: 'config.py', content: 'FIRMWARE_VERSION = "9.9.9"\n' }
+    ];
+    const info = await track.flashFirmwareInBand(files, '9.9.9', stage => stages.push(stage));
+    assert.equal(info.firmware, '9.9.9');
+    assert.deepEqual([...new Set(stages)], ['begin', 'chunk', 'commit', 'rebooting', 'done']);
+    assert.equal(emu.getState().files['main.py'], files[0].content);
+  });
+});
+
+// ─── WiFi Transport ──────────────────────────────────────────────
+
+describe('track-connection over HTTP+SSE', () => {
+  let server = null;
+
+  beforeEach(async () => {
+    emu = createV2Emulator({ laneCount: 4, bootMs: 100 });
+    server = await emu.listen();
+    track = createTrackConnection({ name: `V${++trackSeq}` });
+  });
+
+  afterEach(async () => {
+    track.disconnectWifi();
+    await server.close();
+  });
+
+  it('connects with the device lane count', async () => {
+    assert.deepEqual(await track.connectWifi(server.address), { lane_count: 4 });
+    assert.equal(track.getTrackMode(), 'wifi');
+  });
+
+  it('streams gate events over SSE', async () => {
+    await track.connectWifi(server.address);
+    const events = [];
+    const sub = track.subscribeTrackEvents(['gate'], f => events.push(f));
+    await until(() => events.length === 1);
+    emu.openGate();
+    emu.closeGate();
+    await until(() => events.length === 3);
+    assert.deepEqual(events.map(e => e.gate_ready), [true, false, true]);
+    await sub.unsubscribe();
+  });
+
+  it('returns from waitForGate at once when the gate is down', async () => {
+    await track.connectWifi(server.address);
+    await track.waitForGate();
+    assert.equal(track.getWifiError(), null);
+  });
+
+  it('flashes firmware in band over /cmd', async () => {
+    await track.connectWifi(server.address);
+    const info = await track.flashFirmwareInBand([{ name: 'main.py', content: 'print("hi")\n' }], '9.9.9');
+    assert.equal(info.firmware, '9.9.9');
+  });
+});
+
+// ─── Commercial Timer ────────────────────────────────────────────
+
+describe('track-connection with a commercial timer', () => {
+  /** A bare Web Serial port with nothing on the other end. */
+  function silentPort() {
+    let controller = null;
+    const port = {
+      readable: null,
+      writable: null,
+      async open() {
+        port.readable = new ReadableStream({ start(c) { controller = c; } });
+        port.writable = new WritableStream({ write() {} });
+      },
+      async close() {
+        try { controller?.close(); } catch {}
+        port.readable = null;
+        port.writable = null;
+      },
+      lose() {
+        controller.error(new DOMException('The device has been lost.', 'NetworkError'));
+        port.readable = null;
+        port.writable = null;
+      }
+    };
+    return port;
+  }
+
+  beforeEach(async () => {
+    serialPort = silentPort();
+    track = createTrackConnection({ name: `V${++trackSeq}` });
+    await track.connectTimer('newbold', { laneCount: 4 });
+  });
+
+  it('fails the waiting race loop on a manual disconnect', async () => {
+    const race = track.waitForRace(lanes(1, 2));
+    await settle();
+    track.disconnectTimer();
+    await assert.rejects(race, /Timer disconnected/);
+    assert.equal(track.isConnected(), false);
+    assert.equal(track.isUsingTimer(), false);
+  });
+
+  it('fails the waiting race loop when the cable is pulled', async () => {
+    const race = track.waitForRace(lanes(1, 2));
+    await settle();
+    serialPort.lose();
+    await assert.rejects(race, /Timer disconnected/);
+    assert.equal(track.isConnected(), false);
+    assert.equal(track.isUsingTimer(), false);
+  });
+});